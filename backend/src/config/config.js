@@ -1,3 +1,12 @@
+/**
+ * Whole number of at least 0 from an environment variable, or the fallback
+ * when it is unset or not such a number
+ */
+const nonNegativeInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
 module.exports = {
   // Server Configuration
   port: process.env.PORT || 3001,
@@ -20,6 +29,11 @@ module.exports = {
     logging: process.env.NODE_ENV === 'development' ? console.log : false
   },
 
+  // Session Storage Configuration
+  storage: {
+    driver: process.env.SESSION_STORE || 'memory' // memory, postgres
+  },
+
   // API Keys Configuration
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
@@ -41,8 +55,12 @@ module.exports = {
 
   deepgram: {
     apiKey: process.env.DEEPGRAM_API_KEY,
-    model: 'nova-2',
-    language: 'en-US'
+    model: process.env.DEEPGRAM_MODEL || 'nova-2',
+    language: process.env.DEEPGRAM_LANGUAGE || 'en-US',
+    // Override to point at a local stand-in when testing
+    apiUrl: process.env.DEEPGRAM_API_URL || 'https://api.deepgram.com/v1',
+    streamUrl: process.env.DEEPGRAM_STREAM_URL || 'wss://api.deepgram.com/v1',
+    keepAliveInterval: 8000 // Deepgram closes idle live streams after ~10s
   },
 
   assemblyai: {
@@ -52,16 +70,103 @@ module.exports = {
 
   // JWT Configuration
   jwt: {
-    secret: process.env.JWT_SECRET || 'fallback_secret_key_for_development_only',
+    // Every route and socket trusts tokens signed with this, so only development
+    // may fall back to a known secret; server.js refuses to start without one
+    secret: process.env.JWT_SECRET ||
+      ((process.env.NODE_ENV || 'development') === 'development' ? 'fallback_secret_key_for_development_only' : undefined),
     expiresIn: process.env.JWT_EXPIRES_IN || '24h'
   },
 
+  // Authentication Settings
+  auth: {
+    allowSignup: process.env.AUTH_ALLOW_SIGNUP ?
+      process.env.AUTH_ALLOW_SIGNUP === 'true' :
+      process.env.NODE_ENV !== 'production',
+    minPasswordLength: 8
+  },
+
+  // Patient Invite Links
+  invites: {
+    expiresInMinutes: parseInt(process.env.INVITE_EXPIRES_MINUTES) || 60,
+    maxExpiresInMinutes: 7 * 24 * 60, // 1 week
+    baseUrl: process.env.INVITE_BASE_URL || 'http://localhost:3000'
+  },
+
+  // Languages (ISO 639-1 codes)
+  languages: {
+    // Spoken language of new sessions, or 'auto' to detect it per segment
+    transcription: process.env.TRANSCRIPTION_LANGUAGE || 'en',
+    // Entries spoken in any other language are stored with a translation into this one
+    translation: process.env.TRANSLATION_LANGUAGE || 'en',
+    translate: process.env.TRANSCRIPT_TRANSLATION !== 'false',
+    // Language MERs are written in
+    documentation: process.env.DOCUMENTATION_LANGUAGE || 'en'
+  },
+
   // Transcription Settings
   transcription: {
     provider: process.env.TRANSCRIPTION_PROVIDER || 'openai',
     interval: parseInt(process.env.TRANSCRIPTION_INTERVAL) || 3000,
     maxAudioChunkSize: parseInt(process.env.MAX_AUDIO_CHUNK_SIZE) || 1048576,
-    supportedFormats: ['wav', 'mp3', 'flac', 'aac', 'ogg']
+    // Containers providers accept as-is (used when audio can't be decoded locally)
+    supportedFormats: ['wav', 'mp3', 'flac', 'aac', 'ogg', 'webm'],
+    // Decoding to PCM/WAV before transcription
+    audio: {
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+      sampleRate: 16000,
+      channels: 1,
+      decodeTimeoutMs: 15000
+    },
+    // Voice activity detection - segments decoded audio at pauses and drops silence
+    vad: {
+      enabled: process.env.TRANSCRIPTION_VAD !== 'false',
+      frameMs: 30,
+      energyThresholdDb: parseFloat(process.env.VAD_ENERGY_THRESHOLD_DB) || -45, // dBFS
+      minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS) || 300,
+      silenceDurationMs: parseInt(process.env.VAD_SILENCE_MS) || 700,
+      maxSegmentMs: parseInt(process.env.VAD_MAX_SEGMENT_MS) || 15000
+    },
+    fallback: {
+      // Providers tried after the active one, in order
+      chain: (process.env.TRANSCRIPTION_FALLBACK_CHAIN || 'openai,elevenlabs')
+        .split(',').map(name => name.trim()).filter(Boolean),
+      // Mock text must never end up in a real patient's transcript, so this
+      // is only ever honoured in development
+      allowMock: process.env.TRANSCRIPTION_MOCK_FALLBACK !== 'false' &&
+        (process.env.NODE_ENV || 'development') === 'development',
+      maxRetries: parseInt(process.env.TRANSCRIPTION_MAX_RETRIES) || 2,
+      retryBaseDelayMs: parseInt(process.env.TRANSCRIPTION_RETRY_DELAY_MS) || 500,
+      circuitBreaker: {
+        failureThreshold: parseInt(process.env.TRANSCRIPTION_BREAKER_THRESHOLD) || 3,
+        resetTimeoutMs: parseInt(process.env.TRANSCRIPTION_BREAKER_RESET_MS) || 30000
+      }
+    },
+    streaming: {
+      enabled: process.env.TRANSCRIPTION_STREAMING === 'true',
+      // Required when streaming is enabled; 'fake' is only accepted in development
+      provider: process.env.STREAMING_PROVIDER || null,
+      // Fake provider only: words revealed per audio chunk
+      fakeWordsPerChunk: parseInt(process.env.FAKE_STREAM_WORDS_PER_CHUNK) || 2
+    },
+    // Per-clinic vocabulary (/api/transcription/glossary)
+    glossary: {
+      maxTerms: parseInt(process.env.GLOSSARY_MAX_TERMS) || 500,
+      // Similarity (0-1) a transcribed phrase needs to be corrected to a glossary term
+      fuzzyThreshold: parseFloat(process.env.GLOSSARY_FUZZY_THRESHOLD) || 0.8,
+      // Shorter terms are only corrected on exact alias matches
+      minFuzzyLength: 5
+    },
+    // Background transcription of uploaded recordings (POST /api/transcription/jobs)
+    jobs: {
+      // Dot-directory so the /uploads static route never serves pending recordings
+      uploadPath: process.env.TRANSCRIPTION_JOB_UPLOAD_PATH || `${process.env.UPLOAD_PATH || './uploads'}/.transcription-jobs`,
+      // Decoded recordings are cut at a pause near this length before transcription
+      chunkSeconds: parseInt(process.env.TRANSCRIPTION_JOB_CHUNK_SECONDS) || 600,
+      // A whole recording takes far longer to decode, and a long piece longer to
+      // transcribe, than the few seconds of a live chunk
+      decodeTimeoutMs: parseInt(process.env.TRANSCRIPTION_JOB_DECODE_TIMEOUT_MS) || 5 * 60 * 1000,
+      providerTimeoutMs: parseInt(process.env.TRANSCRIPTION_JOB_PROVIDER_TIMEOUT_MS) || 5 * 60 * 1000
+    }
   },
 
   // WebSocket Settings
@@ -81,10 +186,24 @@ module.exports = {
     ]
   },
 
+  // Consultation audio archive (opt-in per session)
+  archive: {
+    driver: process.env.AUDIO_ARCHIVE_DRIVER || 'local', // local or memory
+    // Dot-directory so the /uploads static route never serves archived audio
+    path: process.env.AUDIO_ARCHIVE_PATH || `${process.env.UPLOAD_PATH || './uploads'}/.audio-archive`,
+    encryptionKey: process.env.AUDIO_ARCHIVE_KEY, // 32 bytes, hex or base64 (AES-256-GCM)
+    retentionDays: process.env.AUDIO_ARCHIVE_RETENTION_DAYS !== undefined ?
+      parseInt(process.env.AUDIO_ARCHIVE_RETENTION_DAYS) : 30, // 0 keeps audio forever
+    purgeInterval: parseInt(process.env.AUDIO_ARCHIVE_PURGE_INTERVAL) || 60 * 60 * 1000 // 1 hour
+  },
+
   // Session Configuration
   session: {
     timeout: parseInt(process.env.SESSION_TIMEOUT) || 2 * 60 * 60 * 1000, // 2 hours
-    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 30 * 60 * 1000 // 30 minutes
+    cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 30 * 60 * 1000, // 30 minutes
+    inactiveHours: parseInt(process.env.SESSION_INACTIVE_HOURS) || 4,
+    retentionHours: process.env.SESSION_RETENTION_HOURS !== undefined ?
+      parseInt(process.env.SESSION_RETENTION_HOURS) : 24 // 0 keeps ended sessions forever
   },
 
   // CORS Origins
@@ -94,12 +213,25 @@ module.exports = {
 
   // Medical Record Generation Settings
   mer: {
-    autoGenerate: true,
-    generateInterval: 60000, // Generate MER every minute during recording
+    // Keep a live MER draft while recording, updated with the new transcript every interval
+    autoGenerate: process.env.MER_AUTO_GENERATE !== 'false',
+    generateInterval: parseInt(process.env.MER_GENERATE_INTERVAL) || 60000,
+    // Times to re-ask the model when a section doesn't match its JSON Schema
+    schemaRetries: nonNegativeInt(process.env.MER_SCHEMA_RETRIES, 2),
     includeTimestamps: true,
     confidenceThreshold: 0.7
   },
 
+  // Clinic letterhead on printed MERs (PDF and DOCX exports)
+  clinic: {
+    name: process.env.CLINIC_NAME || 'AI Voice MER Clinic',
+    address: process.env.CLINIC_ADDRESS || '',
+    phone: process.env.CLINIC_PHONE || '',
+    email: process.env.CLINIC_EMAIL || '',
+    // PNG or JPEG shown at the top left of the letterhead
+    logoPath: process.env.CLINIC_LOGO_PATH || null
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -0,0 +1,85 @@
+const AuthService = require('../services/authService');
+const InviteService = require('../services/inviteService');
+const AuditLogger = require('../services/auditLogger');
+
+/**
+ * Pull a bearer token out of an Authorization header
+ */
+function extractBearerToken(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware - require a valid JWT and attach req.user
+ */
+function authenticate(req, res, next) {
+  try {
+    req.user = AuthService.verifyToken(extractBearerToken(req.headers.authorization));
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'UNAUTHORIZED'
+    });
+  }
+}
+
+/**
+ * Express middleware - only allow the given roles (use after authenticate)
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires role: ${roles.join(' or ')}`,
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware - verify the handshake token and bind socket.data.user
+ * Clients pass the token as `auth: { token }` or an Authorization header.
+ * Patients without an account may instead pass `auth: { inviteToken }`; they
+ * connect as a guest bound to the invite's session and redeem it on join.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || extractBearerToken(headers.authorization);
+
+    if (!token && auth.inviteToken) {
+      const invite = await InviteService.verifyInviteToken(auth.inviteToken);
+      socket.data.user = {
+        id: `guest:${invite.id}`,
+        role: 'patient',
+        name: invite.patientName || auth.name || 'Patient',
+        sessionId: invite.sessionId,
+        guest: true
+      };
+      socket.data.inviteToken = auth.inviteToken;
+      return next();
+    }
+
+    socket.data.user = AuthService.verifyToken(token);
+    next();
+  } catch (error) {
+    console.warn(`🔒 Socket ${socket.id} rejected: ${error.message}`);
+    AuditLogger.denied('socket:connect', { code: error.code, socketId: socket.id });
+    const authError = new Error(error.message);
+    authError.data = { code: error.code || 'UNAUTHORIZED' };
+    next(authError);
+  }
+}
+
+module.exports = { authenticate, requireRole, authenticateSocket, extractBearerToken };
@@ -0,0 +1,40 @@
+const sessionManager = require('../services/sessionManager');
+const AuditLogger = require('../services/auditLogger');
+
+/**
+ * Only the session's own doctor may continue. Loads the session into req.sessionRecord.
+ * @param {string} action - Audit action recorded when access is denied
+ * @param {string} deniedMessage - Error message for other users
+ */
+function requireSessionDoctor(action, deniedMessage = 'Only the session doctor can do this') {
+  return async (req, res, next) => {
+    try {
+      const session = await sessionManager.getSession(req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      if (req.user.role !== 'doctor' || !sessionManager.isParticipant(session, req.user)) {
+        AuditLogger.denied(action, { actor: req.user, sessionId: session.id });
+        return res.status(403).json({
+          success: false,
+          error: deniedMessage,
+          code: 'FORBIDDEN'
+        });
+      }
+
+      req.sessionRecord = session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireSessionDoctor
+};
@@ -0,0 +1,174 @@
+/**
+ * Initial schema - every table the models describe. Tables and indexes are
+ * only created if missing, so databases set up by the old sequelize.sync()
+ * start from here without changes.
+ */
+
+const timestamps = (DataTypes, { updatedAt = true } = {}) => ({
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  ...(updatedAt && { updatedAt: { type: DataTypes.DATE, allowNull: false } })
+});
+
+// Child rows are removed together with their session
+const sessionReference = (DataTypes, allowNull = false) => ({
+  type: DataTypes.STRING,
+  allowNull,
+  references: { model: 'sessions', key: 'id' },
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+async function up({ queryInterface, DataTypes, transaction }) {
+  const createTable = (name, attributes) => queryInterface.createTable(name, attributes, { transaction });
+  const createIndex = (name, table, columns, { unique = false } = {}) => queryInterface.sequelize.query(
+    `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${name}" ON "${table}" (${columns})`,
+    { transaction }
+  );
+
+  await createTable('sessions', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'waiting' },
+    isRecording: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    doctor: { type: DataTypes.JSONB, allowNull: false },
+    patient: { type: DataTypes.JSONB, allowNull: false },
+    metadata: { type: DataTypes.JSONB, allowNull: false },
+    lastActivityAt: { type: DataTypes.DATE, allowNull: false },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('sessions_status', 'sessions', '"status"');
+  await createIndex('sessions_last_activity_at', 'sessions', '"lastActivityAt"');
+  // Doctors list their own sessions
+  await createIndex('sessions_doctor_user_id', 'sessions', `("doctor"->>'userId')`);
+
+  await createTable('transcript_entries', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    sessionId: sessionReference(DataTypes),
+    position: { type: DataTypes.INTEGER, allowNull: false },
+    timestamp: { type: DataTypes.DATE, allowNull: false },
+    entry: { type: DataTypes.JSONB, allowNull: false },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('transcript_entries_session_id_position', 'transcript_entries', '"sessionId", "position"');
+
+  await createTable('transcript_revisions', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    sessionId: sessionReference(DataTypes),
+    action: { type: DataTypes.STRING, allowNull: false },
+    actorId: { type: DataTypes.STRING, allowNull: true },
+    actorRole: { type: DataTypes.STRING, allowNull: true },
+    position: { type: DataTypes.INTEGER, allowNull: false },
+    before: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    after: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    ...timestamps(DataTypes, { updatedAt: false })
+  });
+  await createIndex('transcript_revisions_session_id_created_at', 'transcript_revisions', '"sessionId", "createdAt"');
+
+  await createTable('mer_documents', {
+    sessionId: { ...sessionReference(DataTypes), primaryKey: true },
+    document: { type: DataTypes.JSONB, allowNull: false },
+    ...timestamps(DataTypes)
+  });
+
+  await createTable('mer_versions', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    sessionId: sessionReference(DataTypes),
+    version: { type: DataTypes.INTEGER, allowNull: false },
+    action: { type: DataTypes.STRING, allowNull: false },
+    status: { type: DataTypes.STRING, allowNull: false },
+    actorId: { type: DataTypes.STRING, allowNull: true },
+    actorRole: { type: DataTypes.STRING, allowNull: true },
+    changes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    document: { type: DataTypes.JSONB, allowNull: false },
+    ...timestamps(DataTypes, { updatedAt: false })
+  });
+  await createIndex('mer_versions_session_id_version', 'mer_versions', '"sessionId", "version"', { unique: true });
+
+  await createTable('recordings', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    sessionId: sessionReference(DataTypes),
+    startedAt: { type: DataTypes.DATE, allowNull: false },
+    endedAt: { type: DataTypes.DATE, allowNull: true },
+    durationMs: { type: DataTypes.INTEGER, allowNull: true },
+    startedBy: { type: DataTypes.STRING, allowNull: true },
+    metadata: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('recordings_session_id', 'recordings', '"sessionId"');
+
+  await createTable('users', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    email: { type: DataTypes.STRING, allowNull: false, unique: true },
+    passwordHash: { type: DataTypes.STRING, allowNull: false },
+    name: { type: DataTypes.STRING, allowNull: false },
+    role: { type: DataTypes.STRING, allowNull: false },
+    clinicId: { type: DataTypes.STRING, allowNull: false, defaultValue: 'default' },
+    ...timestamps(DataTypes)
+  });
+
+  await createTable('audit_events', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    action: { type: DataTypes.STRING, allowNull: false },
+    outcome: { type: DataTypes.STRING, allowNull: false },
+    actorId: { type: DataTypes.STRING, allowNull: true },
+    actorRole: { type: DataTypes.STRING, allowNull: true },
+    sessionId: { type: DataTypes.STRING, allowNull: true },
+    details: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    ...timestamps(DataTypes, { updatedAt: false })
+  });
+  await createIndex('audit_events_session_id', 'audit_events', '"sessionId"');
+  await createIndex('audit_events_actor_id', 'audit_events', '"actorId"');
+
+  await createTable('invites', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    sessionId: sessionReference(DataTypes),
+    createdBy: { type: DataTypes.STRING, allowNull: false },
+    patientName: { type: DataTypes.STRING, allowNull: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    usedAt: { type: DataTypes.DATE, allowNull: true },
+    usedBy: { type: DataTypes.STRING, allowNull: true },
+    revokedAt: { type: DataTypes.DATE, allowNull: true },
+    replacedBy: { type: DataTypes.STRING, allowNull: true },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('invites_session_id', 'invites', '"sessionId"');
+
+  await createTable('transcription_jobs', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'queued' },
+    createdBy: { type: DataTypes.STRING, allowNull: false },
+    sessionId: { type: DataTypes.STRING, allowNull: true },
+    filename: { type: DataTypes.STRING, allowNull: true },
+    mimeType: { type: DataTypes.STRING, allowNull: true },
+    size: { type: DataTypes.INTEGER, allowNull: true },
+    filePath: { type: DataTypes.STRING, allowNull: true },
+    progress: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    result: { type: DataTypes.JSONB, allowNull: true },
+    error: { type: DataTypes.TEXT, allowNull: true },
+    startedAt: { type: DataTypes.DATE, allowNull: true },
+    completedAt: { type: DataTypes.DATE, allowNull: true },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('transcription_jobs_created_by', 'transcription_jobs', '"createdBy"');
+  await createIndex('transcription_jobs_status', 'transcription_jobs', '"status"');
+
+  await createTable('glossaries', {
+    clinicId: { type: DataTypes.STRING, primaryKey: true },
+    terms: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    ...timestamps(DataTypes)
+  });
+
+  await createTable('mer_templates', {
+    id: { type: DataTypes.STRING, primaryKey: true },
+    clinicId: { type: DataTypes.STRING, allowNull: false },
+    name: { type: DataTypes.STRING, allowNull: false },
+    specialty: { type: DataTypes.STRING, allowNull: true },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    guidance: { type: DataTypes.TEXT, allowNull: true },
+    sections: { type: DataTypes.JSONB, allowNull: false },
+    createdBy: { type: DataTypes.STRING, allowNull: true },
+    ...timestamps(DataTypes)
+  });
+  await createIndex('mer_templates_clinic_id', 'mer_templates', '"clinicId"');
+}
+
+module.exports = { up };
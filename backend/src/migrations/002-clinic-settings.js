@@ -0,0 +1,14 @@
+/**
+ * Per-clinic settings, starting with the MER documentation language
+ */
+
+async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.createTable('clinic_settings', {
+    clinicId: { type: DataTypes.STRING, primaryKey: true },
+    documentationLanguage: { type: DataTypes.STRING, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  }, { transaction });
+}
+
+module.exports = { up };
@@ -0,0 +1,14 @@
+/**
+ * Revision numbers for note templates, bumped on every update so the
+ * schemas generated against a template can be told apart
+ */
+
+async function up({ queryInterface, DataTypes, transaction }) {
+  await queryInterface.addColumn('mer_templates', 'revision', {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  }, { transaction });
+}
+
+module.exports = { up };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+
+// Names of applied migrations are kept in this table
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Any constant works - it only has to be the same for every backend instance
+const MIGRATION_LOCK_ID = 4177;
+
+/**
+ * Migration files in this directory, in the order they apply
+ * @returns {Array<string>} File names like 001-initial-schema.js
+ */
+function listMigrations() {
+  return fs.readdirSync(__dirname)
+    .filter(file => /^\d{3}-[\w-]+\.js$/.test(file))
+    .sort();
+}
+
+/**
+ * Apply every migration that hasn't run yet, each in its own transaction.
+ * Each migration module exports up({ queryInterface, DataTypes, transaction }).
+ * An advisory lock keeps two instances starting together from running one twice.
+ * @param {Sequelize} sequelize - Connected Sequelize instance (PostgreSQL)
+ * @returns {Promise<Array<string>>} Names of the migrations applied
+ */
+async function runMigrations(sequelize) {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.createTable(MIGRATIONS_TABLE, {
+    name: { type: DataTypes.STRING, primaryKey: true },
+    appliedAt: { type: DataTypes.DATE, allowNull: false }
+  });
+
+  const applied = [];
+  for (const file of listMigrations()) {
+    const name = path.basename(file, '.js');
+
+    const ran = await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(:lock)', {
+        replacements: { lock: MIGRATION_LOCK_ID },
+        transaction
+      });
+      const [done] = await sequelize.query(`SELECT 1 FROM ${MIGRATIONS_TABLE} WHERE name = :name`, {
+        replacements: { name },
+        transaction
+      });
+      if (done.length > 0) {
+        return false;
+      }
+
+      await require(path.join(__dirname, file)).up({ queryInterface, DataTypes, transaction });
+      await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name, appliedAt: new Date() }], { transaction });
+      return true;
+    });
+
+    if (ran) {
+      console.log(`🗄️ Applied migration ${name}`);
+      applied.push(name);
+    }
+  }
+
+  return applied;
+}
+
+module.exports = { runMigrations, listMigrations, MIGRATIONS_TABLE };
@@ -0,0 +1,41 @@
+/**
+ * AuditEvent model - append-only log of security-relevant actions
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  outcome: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  actorRole: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'audit_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['sessionId'] },
+    { fields: ['actorId'] }
+  ]
+});
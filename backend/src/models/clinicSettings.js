@@ -0,0 +1,16 @@
+/**
+ * ClinicSettings model - settings a clinic chooses for itself, such as the
+ * language its MERs are written in
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('ClinicSettings', {
+  clinicId: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  documentationLanguage: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'clinic_settings'
+});
@@ -0,0 +1,16 @@
+/**
+ * Glossary model - per-clinic vocabulary used to improve transcription
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('Glossary', {
+  clinicId: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  terms: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'glossaries'
+});
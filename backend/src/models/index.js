@@ -0,0 +1,60 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const config = require('../config/config');
+
+const defineSession = require('./session');
+const defineTranscriptEntry = require('./transcriptEntry');
+const defineTranscriptRevision = require('./transcriptRevision');
+const defineMERDocument = require('./merDocument');
+const defineMERVersion = require('./merVersion');
+const defineRecording = require('./recording');
+const defineUser = require('./user');
+const defineAuditEvent = require('./auditEvent');
+const defineInvite = require('./invite');
+const defineTranscriptionJob = require('./transcriptionJob');
+const defineGlossary = require('./glossary');
+const defineMERTemplate = require('./merTemplate');
+const defineClinicSettings = require('./clinicSettings');
+
+/**
+ * Create a Sequelize connection from config.database and register all models.
+ * The tables themselves are created by the migrations in src/migrations.
+ * @param {Object} dbConfig - Database configuration (defaults to config.database)
+ * @returns {Object} { sequelize, models }
+ */
+function initModels(dbConfig = config.database) {
+  const sequelize = new Sequelize(dbConfig.database, dbConfig.username, dbConfig.password, {
+    host: dbConfig.host,
+    port: dbConfig.port,
+    dialect: dbConfig.dialect,
+    pool: dbConfig.pool,
+    logging: dbConfig.logging
+  });
+
+  const models = {
+    Session: defineSession(sequelize, DataTypes),
+    TranscriptEntry: defineTranscriptEntry(sequelize, DataTypes),
+    TranscriptRevision: defineTranscriptRevision(sequelize, DataTypes),
+    MERDocument: defineMERDocument(sequelize, DataTypes),
+    MERVersion: defineMERVersion(sequelize, DataTypes),
+    Recording: defineRecording(sequelize, DataTypes),
+    User: defineUser(sequelize, DataTypes),
+    AuditEvent: defineAuditEvent(sequelize, DataTypes),
+    Invite: defineInvite(sequelize, DataTypes),
+    TranscriptionJob: defineTranscriptionJob(sequelize, DataTypes),
+    Glossary: defineGlossary(sequelize, DataTypes),
+    MERTemplate: defineMERTemplate(sequelize, DataTypes),
+    ClinicSettings: defineClinicSettings(sequelize, DataTypes)
+  };
+
+  // Child records are removed together with their session
+  models.Session.hasMany(models.TranscriptEntry, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  models.Session.hasMany(models.TranscriptRevision, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  models.Session.hasOne(models.MERDocument, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  models.Session.hasMany(models.MERVersion, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  models.Session.hasMany(models.Recording, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  models.Session.hasMany(models.Invite, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+
+  return { sequelize, models };
+}
+
+module.exports = { initModels };
@@ -0,0 +1,46 @@
+/**
+ * Invite model - single-use patient join links for a session
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('Invite', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  patientName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  usedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replacedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'invites',
+  indexes: [
+    { fields: ['sessionId'] }
+  ]
+});
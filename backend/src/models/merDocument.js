@@ -0,0 +1,15 @@
+/**
+ * MERDocument model - current version of a session's MER (history in MERVersion)
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('MERDocument', {
+  sessionId: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  document: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'mer_documents'
+});
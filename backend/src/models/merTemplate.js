@@ -0,0 +1,48 @@
+/**
+ * MERTemplate model - a clinic's own note templates (the built-in ones live
+ * in code). Sections hold the fields and prompt guidance MERs are generated with.
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('MERTemplate', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  clinicId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  specialty: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  guidance: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sections: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'mer_templates',
+  indexes: [
+    { fields: ['clinicId'] }
+  ]
+});
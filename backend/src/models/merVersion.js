@@ -0,0 +1,50 @@
+/**
+ * MERVersion model - append-only history of a session's MER. Every
+ * generation, doctor edit, status change, signature and addendum stores the
+ * whole document as it was afterwards, so any two versions can be compared.
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('MERVersion', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING, // generate, review, edit, sign, addendum
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING, // draft, under_review, signed, amended
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  actorRole: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  document: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'mer_versions',
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['sessionId', 'version'] }
+  ]
+});
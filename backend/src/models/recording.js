@@ -0,0 +1,39 @@
+/**
+ * Recording model - metadata for each start/stop recording cycle
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('Recording', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  startedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'recordings',
+  indexes: [
+    { fields: ['sessionId'] }
+  ]
+});
@@ -0,0 +1,41 @@
+/**
+ * Session model - one row per consultation
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('Session', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'waiting'
+  },
+  isRecording: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  doctor: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  patient: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  lastActivityAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'sessions',
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['lastActivityAt'] }
+  ]
+});
@@ -0,0 +1,31 @@
+/**
+ * TranscriptEntry model - one row per transcribed utterance.
+ * The full entry is kept in `entry` so new fields don't need a migration.
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('TranscriptEntry', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  entry: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'transcript_entries',
+  indexes: [
+    { fields: ['sessionId', 'position'] }
+  ]
+});
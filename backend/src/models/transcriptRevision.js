@@ -0,0 +1,48 @@
+/**
+ * TranscriptRevision model - append-only history of manual transcript corrections.
+ * `before` holds the entries as they were and `after` the entries that replaced
+ * them at `position`, so the original transcript can be rebuilt by undoing
+ * revisions newest first.
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('TranscriptRevision', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING, // edit, delete, split, merge, change-speaker
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  actorRole: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'transcript_revisions',
+  updatedAt: false,
+  indexes: [
+    { fields: ['sessionId', 'createdAt'] }
+  ]
+});
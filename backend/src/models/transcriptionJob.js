@@ -0,0 +1,65 @@
+/**
+ * Transcription job model - background transcription of uploaded recordings
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('TranscriptionJob', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  sessionId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  progress: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'transcription_jobs',
+  indexes: [
+    { fields: ['createdBy'] },
+    { fields: ['status'] }
+  ]
+});
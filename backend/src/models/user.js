@@ -0,0 +1,33 @@
+/**
+ * User model - doctors and patients who can sign in
+ */
+module.exports = (sequelize, DataTypes) => sequelize.define('User', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  passwordHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  clinicId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'default'
+  }
+}, {
+  tableName: 'users'
+});
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * POST /api/auth/register
+ * Create a patient account and return an access token
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+
+    const user = await AuthService.register({ email, password, name, role });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        token: AuthService.issueToken(user)
+      },
+      message: 'Account created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error registering user:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to register user',
+      code: error.code
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await AuthService.login(email, password);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token: AuthService.issueToken(user)
+      },
+      message: 'Logged in successfully'
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to log in',
+      code: error.code
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+module.exports = router;
@@ -30,7 +30,8 @@ router.get('/', (req, res) => {
           available: !!config.openai.apiKey
         },
         database: {
-          configured: !!(config.database.host && config.database.database)
+          configured: !!(config.database.host && config.database.database),
+          sessionStore: config.storage.driver
         }
       }
     };
@@ -76,7 +77,7 @@ router.get('/detailed', async (req, res) => {
     let deepgramStatus = 'unavailable';
     if (config.deepgram.apiKey) {
       try {
-        await require('axios').get('https://api.deepgram.com/v1/projects', {
+        await require('axios').get(`${config.deepgram.apiUrl}/projects`, {
           headers: { 'Authorization': `Token ${config.deepgram.apiKey}` },
           timeout: 5000
         });
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const InviteService = require('../services/inviteService');
+const AuditLogger = require('../services/auditLogger');
+const { requireRole } = require('../middleware/auth');
+const { requireSessionDoctor } = require('../middleware/sessionAccess');
+
+/**
+ * Send an invite service error with its status and code
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error(`${fallbackMessage}:`, error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallbackMessage,
+    code: error.code
+  });
+}
+
+router.use(requireRole('doctor'), requireSessionDoctor('invites:manage', 'Only the session doctor can manage invites'));
+
+/**
+ * POST /api/session/:sessionId/invites
+ * Issue a single-use patient invite link
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { patientName, expiresInMinutes } = req.body;
+
+    const result = await InviteService.createInvite(req.params.sessionId, req.user, {
+      patientName: patientName || req.sessionRecord.patient.name,
+      expiresInMinutes
+    });
+
+    AuditLogger.log('invites:create', { actor: req.user, sessionId: req.params.sessionId, inviteId: result.invite.id });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Invite created successfully'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to create invite');
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/invites
+ * List invites and their status
+ */
+router.get('/', async (req, res) => {
+  try {
+    const invites = await InviteService.listInvites(req.params.sessionId);
+
+    res.json({
+      success: true,
+      data: invites
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to get invites');
+  }
+});
+
+/**
+ * DELETE /api/session/:sessionId/invites/:inviteId
+ * Revoke an unused invite
+ */
+router.delete('/:inviteId', async (req, res) => {
+  try {
+    const invite = await InviteService.revokeInvite(req.params.sessionId, req.params.inviteId);
+
+    AuditLogger.log('invites:revoke', { actor: req.user, sessionId: req.params.sessionId, inviteId: invite.id });
+
+    res.json({
+      success: true,
+      data: invite,
+      message: 'Invite revoked successfully'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke invite');
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/invites/:inviteId/reissue
+ * Revoke an invite and issue a replacement link
+ */
+router.post('/:inviteId/reissue', async (req, res) => {
+  try {
+    const result = await InviteService.reissueInvite(
+      req.params.sessionId,
+      req.params.inviteId,
+      req.user,
+      { expiresInMinutes: req.body.expiresInMinutes }
+    );
+
+    AuditLogger.log('invites:reissue', {
+      actor: req.user,
+      sessionId: req.params.sessionId,
+      inviteId: result.invite.id,
+      replaces: req.params.inviteId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Invite reissued successfully'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Failed to reissue invite');
+  }
+});
+
+module.exports = router;
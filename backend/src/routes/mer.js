@@ -1,10 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const MERGeneratorService = require('../services/merGeneratorService');
+const { SECTION_SCHEMAS, MER_DOCUMENT_SCHEMA, NOTE_TEMPLATE_SCHEMA } = require('../services/merSchemas');
+const MERTemplateService = require('../services/merTemplateService');
+const { MERTemplateError } = MERTemplateService;
+const MERExportService = require('../services/merExport');
+const { MERExportError } = MERExportService;
+const MERReviewService = require('../services/merReviewService');
+const { MERReviewError } = MERReviewService;
+const ClinicSettingsService = require('../services/clinicSettingsService');
+const { ClinicSettingsError } = ClinicSettingsService;
+const AuditLogger = require('../services/auditLogger');
+const config = require('../config/config');
+const { requireSessionDoctor } = require('../middleware/sessionAccess');
+const { normalizeLanguage } = require('../services/languages');
+const { MERGenerationError } = MERGeneratorService;
+
+/**
+ * Respond to a failed generation: a 502 when the model failed or its output
+ * still didn't match the schema after re-asking (with the validation errors),
+ * a 422 when there was nothing to generate from.
+ */
+function sendGenerationError(res, error, message) {
+  if (error instanceof MERGenerationError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      section: error.section,
+      ...(error.errors && { validationErrors: error.errors })
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: error.message || message
+  });
+}
+
+/**
+ * Respond to a failed template lookup or change
+ */
+function sendTemplateError(res, error, message) {
+  if (error instanceof MERTemplateError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.validationErrors.length > 0 && { validationErrors: error.validationErrors })
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+const clinicOf = (req) => req.user.clinicId || 'default';
+
+/**
+ * Note template named by templateId in a request body, or the default
+ */
+async function requestedTemplate(req) {
+  const { templateId } = req.body;
+  return templateId === undefined ? MERTemplateService.getDefault() : MERTemplateService.get(templateId, clinicOf(req));
+}
+
+/**
+ * Documentation language named in a request body, or that of the doctor's clinic
+ */
+async function requestedLanguage(req) {
+  return normalizeLanguage(req.body.documentationLanguage) || ClinicSettingsService.getDocumentationLanguage(clinicOf(req));
+}
 
 /**
  * POST /api/mer/generate
- * Generate MER from transcript data
+ * Generate MER from transcript data, optionally in a given documentationLanguage
+ * (the clinic's by default) and with a note template ({ templateId }, SOAP by default)
  */
 router.post('/generate', async (req, res) => {
   try {
@@ -24,12 +96,16 @@ router.post('/generate', async (req, res) => {
       });
     }
     
+    const template = await requestedTemplate(req);
+    
     const merDocument = await MERGeneratorService.generateMER({
       transcript,
       doctor,
       patient,
       sessionId: sessionId || `session_${Date.now()}`,
-      customInstructions
+      customInstructions,
+      documentationLanguage: await requestedLanguage(req),
+      template
     });
     
     res.json({
@@ -39,11 +115,11 @@ router.post('/generate', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof MERTemplateError) {
+      return sendTemplateError(res, error);
+    }
     console.error('Error generating MER:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate MER document'
-    });
+    sendGenerationError(res, error, 'Failed to generate MER document');
   }
 });
 
@@ -62,7 +138,7 @@ router.post('/quick-note', async (req, res) => {
       });
     }
     
-    const quickNote = await MERGeneratorService.generateQuickNote(transcriptSegment);
+    const quickNote = await MERGeneratorService.generateQuickNote(transcriptSegment, await requestedLanguage(req));
     
     res.json({
       success: true,
@@ -72,16 +148,13 @@ router.post('/quick-note', async (req, res) => {
     
   } catch (error) {
     console.error('Error generating quick note:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate quick note'
-    });
+    sendGenerationError(res, error, 'Failed to generate quick note');
   }
 });
 
 /**
  * POST /api/mer/soap
- * Generate SOAP notes only
+ * Generate SOAP notes only, or the notes of another template given { templateId }
  */
 router.post('/soap', async (req, res) => {
   try {
@@ -94,14 +167,13 @@ router.post('/soap', async (req, res) => {
       });
     }
     
-    const transcriptText = transcript
-      .map(entry => `[${entry.speaker}] ${entry.text}`)
-      .join('\n');
+    const template = await requestedTemplate(req);
+    const transcriptText = MERGeneratorService.formatTranscriptForAnalysis(transcript);
     
     const soapNotes = await MERGeneratorService.generateSOAPNotes(transcriptText, {
       doctor: doctor || 'Doctor',
       patient: patient || 'Patient'
-    });
+    }, await requestedLanguage(req), template);
     
     res.json({
       success: true,
@@ -110,11 +182,11 @@ router.post('/soap', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof MERTemplateError) {
+      return sendTemplateError(res, error);
+    }
     console.error('Error generating SOAP notes:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate SOAP notes'
-    });
+    sendGenerationError(res, error, 'Failed to generate SOAP notes');
   }
 });
 
@@ -133,11 +205,9 @@ router.post('/icd-codes', async (req, res) => {
       });
     }
     
-    const transcriptText = transcript
-      .map(entry => `[${entry.speaker}] ${entry.text}`)
-      .join('\n');
+    const transcriptText = MERGeneratorService.formatTranscriptForAnalysis(transcript);
     
-    const icdCodes = await MERGeneratorService.generateICDCodes(transcriptText);
+    const icdCodes = await MERGeneratorService.generateICDCodes(transcriptText, await requestedLanguage(req));
     
     res.json({
       success: true,
@@ -147,10 +217,7 @@ router.post('/icd-codes', async (req, res) => {
     
   } catch (error) {
     console.error('Error generating ICD codes:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate ICD codes'
-    });
+    sendGenerationError(res, error, 'Failed to generate ICD codes');
   }
 });
 
@@ -169,11 +236,9 @@ router.post('/prescriptions', async (req, res) => {
       });
     }
     
-    const transcriptText = transcript
-      .map(entry => `[${entry.speaker}] ${entry.text}`)
-      .join('\n');
+    const transcriptText = MERGeneratorService.formatTranscriptForAnalysis(transcript);
     
-    const prescriptions = await MERGeneratorService.generatePrescriptions(transcriptText);
+    const prescriptions = await MERGeneratorService.generatePrescriptions(transcriptText, await requestedLanguage(req));
     
     res.json({
       success: true,
@@ -183,10 +248,7 @@ router.post('/prescriptions', async (req, res) => {
     
   } catch (error) {
     console.error('Error generating prescriptions:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate prescription information'
-    });
+    sendGenerationError(res, error, 'Failed to generate prescription information');
   }
 });
 
@@ -222,59 +284,29 @@ router.post('/validate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/mer/schema
+ * JSON Schemas every generated MER section and the complete document are
+ * validated against, and the schema of note template definitions
+ */
+router.get('/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      document: MER_DOCUMENT_SCHEMA,
+      sections: SECTION_SCHEMAS,
+      noteTemplate: NOTE_TEMPLATE_SCHEMA
+    }
+  });
+});
+
 /**
  * GET /api/mer/templates
- * Get available MER templates
+ * Note templates available to the clinic: the built-in ones, then its own
  */
-router.get('/templates', (req, res) => {
+router.get('/templates', async (req, res) => {
   try {
-    const templates = {
-      soapTemplate: {
-        subjective: {
-          chiefComplaint: "",
-          historyOfPresentIllness: "",
-          reviewOfSystems: "",
-          pastMedicalHistory: "",
-          socialHistory: "",
-          familyHistory: ""
-        },
-        objective: {
-          vitalSigns: "",
-          physicalExam: "",
-          labResults: "",
-          imaging: ""
-        },
-        assessment: {
-          primaryDiagnosis: "",
-          differentialDiagnoses: [],
-          clinicalImpression: ""
-        },
-        plan: {
-          medications: [],
-          procedures: [],
-          followUp: "",
-          patientEducation: "",
-          referrals: []
-        }
-      },
-      quickNoteTemplate: {
-        date: "",
-        time: "",
-        provider: "",
-        patient: "",
-        chiefComplaint: "",
-        assessment: "",
-        plan: ""
-      },
-      prescriptionTemplate: {
-        medication: "",
-        dosage: "",
-        frequency: "",
-        duration: "",
-        instructions: "",
-        indication: ""
-      }
-    };
+    const templates = await MERTemplateService.list(clinicOf(req));
     
     res.json({
       success: true,
@@ -283,12 +315,339 @@ router.get('/templates', (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error getting templates:', error);
+    sendTemplateError(res, error, 'Failed to get MER templates');
+  }
+});
+
+/**
+ * GET /api/mer/templates/:templateId
+ * One note template, with the schema its notes are validated against
+ */
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await MERTemplateService.get(req.params.templateId, clinicOf(req));
+    
+    res.json({
+      success: true,
+      data: { ...template, schema: MERTemplateService.schemasFor(template).soapNotes }
+    });
+    
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to get MER template');
+  }
+});
+
+/**
+ * POST /api/mer/templates
+ * Add a note template to the clinic, e.g. { name: 'Cardiology', specialty: 'cardiology',
+ * sections: [{ key: 'subjective', title: 'Subjective', fields: [{ key: 'chiefComplaint', guidance: '...' }] }] }
+ */
+router.post('/templates', async (req, res) => {
+  try {
+    const template = await MERTemplateService.create(clinicOf(req), req.body, req.user);
+    
+    AuditLogger.log('mer-template:create', { actor: req.user, templateId: template.id, name: template.name });
+    
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'MER template created'
+    });
+    
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to create MER template');
+  }
+});
+
+/**
+ * PUT /api/mer/templates/:templateId
+ * Replace the definition of one of the clinic's note templates
+ */
+router.put('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await MERTemplateService.update(req.params.templateId, clinicOf(req), req.body);
+    
+    AuditLogger.log('mer-template:update', { actor: req.user, templateId: template.id, name: template.name });
+    
+    res.json({
+      success: true,
+      data: template,
+      message: 'MER template updated'
+    });
+    
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to update MER template');
+  }
+});
+
+/**
+ * DELETE /api/mer/templates/:templateId
+ * Delete one of the clinic's note templates
+ */
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    await MERTemplateService.remove(req.params.templateId, clinicOf(req));
+    
+    AuditLogger.log('mer-template:delete', { actor: req.user, templateId: req.params.templateId });
+    
+    res.json({
+      success: true,
+      message: 'MER template deleted'
+    });
+    
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to delete MER template');
+  }
+});
+
+/**
+ * GET /api/mer/settings
+ * The doctor's clinic MER settings. A null documentationLanguage means the
+ * server default, given as defaultDocumentationLanguage.
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await ClinicSettingsService.getSettings(clinicOf(req));
+    
+    res.json({
+      success: true,
+      data: { ...settings, defaultDocumentationLanguage: config.languages.documentation }
+    });
+    
+  } catch (error) {
+    console.error('Error getting clinic settings:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get MER templates'
+      error: 'Failed to get clinic settings'
     });
   }
 });
 
+/**
+ * PUT /api/mer/settings
+ * Change the clinic's MER settings: { documentationLanguage } (null for the server default)
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const settings = await ClinicSettingsService.updateSettings(clinicOf(req), req.body || {});
+    
+    AuditLogger.log('clinic:update-settings', { actor: req.user, clinicId: clinicOf(req), ...settings });
+    
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Clinic settings updated'
+    });
+    
+  } catch (error) {
+    if (error instanceof ClinicSettingsError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error updating clinic settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update clinic settings'
+    });
+  }
+});
+
+/**
+ * Respond to a failed export
+ */
+function sendExportError(res, error) {
+  if (error instanceof MERExportError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.validationErrors.length > 0 && { validationErrors: error.validationErrors })
+    });
+  }
+  console.error('Error exporting MER:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to export MER'
+  });
+}
+
+/**
+ * GET /api/mer/:sessionId/fhir
+ * The session's MER as a FHIR R4 document Bundle
+ */
+router.get('/:sessionId/fhir', requireSessionDoctor('mer:export'), async (req, res) => {
+  try {
+    const session = req.sessionRecord;
+    const { document, contentType } = await MERExportService.export(session, 'fhir');
+    
+    AuditLogger.log('mer:export', { actor: req.user, sessionId: session.id, format: 'fhir' });
+    res.type(contentType).json(document);
+    
+  } catch (error) {
+    sendExportError(res, error);
+  }
+});
+
+/**
+ * GET /api/mer/:sessionId/export?format=fhir|hl7v2|ccda|pdf|docx
+ * Download the session's MER in an interchange format
+ */
+router.get('/:sessionId/export', requireSessionDoctor('mer:export'), async (req, res) => {
+  try {
+    const session = req.sessionRecord;
+    const format = req.query.format;
+    const { body, contentType, filename } = await MERExportService.export(session, format);
+    
+    AuditLogger.log('mer:export', { actor: req.user, sessionId: session.id, format });
+    res.attachment(filename).type(contentType).send(body);
+    
+  } catch (error) {
+    sendExportError(res, error);
+  }
+});
+
+/**
+ * Respond to a failed review action
+ */
+function sendReviewError(res, error, message) {
+  if (error instanceof MERReviewError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.validationErrors.length > 0 && { validationErrors: error.validationErrors })
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+/**
+ * Run a review action that creates a new MER version, audit it and send the
+ * new version to the doctor's socket
+ */
+async function applyReviewAction(req, res, auditAction, action) {
+  const session = req.sessionRecord;
+
+  try {
+    const { version, document } = await action();
+
+    AuditLogger.log(auditAction, { actor: req.user, sessionId: session.id, version: version.version, status: version.status });
+    if (session.doctor.socketId) {
+      req.app.get('io')?.to(session.doctor.socketId).emit('mer-updated', { version, document });
+    }
+
+    res.json({
+      success: true,
+      data: { version, document },
+      message: `MER version ${version.version} saved (${version.status.replace('_', ' ')})`
+    });
+
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to update MER');
+  }
+}
+
+/**
+ * GET /api/mer/:sessionId/versions
+ * Review status and version history of the session's MER
+ */
+router.get('/:sessionId/versions', requireSessionDoctor('mer:view-versions'), async (req, res) => {
+  try {
+    const history = await MERReviewService.getVersions(req.params.sessionId);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+    
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to get MER versions');
+  }
+});
+
+/**
+ * GET /api/mer/:sessionId/versions/diff?from=&to=
+ * Field-level changes between two versions; by default from the latest AI
+ * output to the current version
+ */
+router.get('/:sessionId/versions/diff', requireSessionDoctor('mer:view-versions'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const diff = await MERReviewService.diffVersions(req.params.sessionId, from, to);
+    
+    res.json({
+      success: true,
+      data: diff
+    });
+    
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to compare MER versions');
+  }
+});
+
+/**
+ * GET /api/mer/:sessionId/versions/:version
+ * One version of the MER, with the document as it was
+ */
+router.get('/:sessionId/versions/:version', requireSessionDoctor('mer:view-versions'), async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a version number',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const version = await MERReviewService.getVersion(req.params.sessionId, req.params.version);
+    
+    res.json({
+      success: true,
+      data: version
+    });
+    
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to get MER version');
+  }
+});
+
+/**
+ * POST /api/mer/:sessionId/versions
+ * Edit MER fields, e.g. { edits: [{ path: 'soapNotes.plan.followUp', value: 'Review in 1 week' }], baseVersion: 2 }
+ */
+router.post('/:sessionId/versions', requireSessionDoctor('mer:edit'), (req, res) =>
+  applyReviewAction(req, res, 'mer:edit', () =>
+    MERReviewService.editFields(req.params.sessionId, req.body.edits, req.user, req.body.baseVersion)));
+
+/**
+ * POST /api/mer/:sessionId/versions/review
+ * Open the draft MER for review
+ */
+router.post('/:sessionId/versions/review', requireSessionDoctor('mer:review'), (req, res) =>
+  applyReviewAction(req, res, 'mer:review', () =>
+    MERReviewService.startReview(req.params.sessionId, req.user)));
+
+/**
+ * POST /api/mer/:sessionId/versions/sign
+ * Sign the MER under review, optionally only if it is still { baseVersion }
+ */
+router.post('/:sessionId/versions/sign', requireSessionDoctor('mer:sign'), (req, res) =>
+  applyReviewAction(req, res, 'mer:sign', () =>
+    MERReviewService.sign(req.params.sessionId, req.user, req.body.baseVersion)));
+
+/**
+ * POST /api/mer/:sessionId/versions/addenda
+ * Add an addendum to the signed MER, e.g. { text: 'Lab results received: ...' }
+ */
+router.post('/:sessionId/versions/addenda', requireSessionDoctor('mer:addendum'), (req, res) =>
+  applyReviewAction(req, res, 'mer:addendum', () =>
+    MERReviewService.addAddendum(req.params.sessionId, req.body.text, req.user)));
+
 module.exports = router;
@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const sessionManager = require('../services/sessionManager');
+const inviteRoutes = require('./invites');
+const { requireRole } = require('../middleware/auth');
+const { requireSessionDoctor } = require('../middleware/sessionAccess');
+const AuditLogger = require('../services/auditLogger');
+const AudioArchive = require('../services/audioArchive');
+const TranscriptEditService = require('../services/transcriptEditService');
+const { normalizeLanguage } = require('../services/languages');
+const MERTemplateService = require('../services/merTemplateService');
+const { MERTemplateError } = MERTemplateService;
+const { AudioArchiveError } = AudioArchive;
+const { TranscriptEditError } = TranscriptEditService;
+
+// Patient invite links - /api/session/:sessionId/invites
+router.use('/:sessionId/invites', inviteRoutes);
 
 /**
  * POST /api/session/create
- * Create a new session
+ * Create a new session owned by the authenticated doctor
  */
-router.post('/create', (req, res) => {
+router.post('/create', requireRole('doctor'), async (req, res) => {
   try {
-    const { doctorName, patientName } = req.body;
+    const { patientName } = req.body;
+    const doctorName = req.body.doctorName || req.user.name;
     
     if (!doctorName) {
       return res.status(400).json({
@@ -17,7 +32,7 @@ router.post('/create', (req, res) => {
       });
     }
 
-    const session = sessionManager.createSession(doctorName, patientName);
+    const session = await sessionManager.createSession(doctorName, patientName, req.user.id);
     
     res.status(201).json({
       success: true,
@@ -36,9 +51,9 @@ router.post('/create', (req, res) => {
 
 /**
  * GET /api/session/:sessionId
- * Get session details
+ * Get session details - all of them for the session doctor, a reduced view for the patient
  */
-router.get('/:sessionId', (req, res) => {
+router.get('/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -49,7 +64,7 @@ router.get('/:sessionId', (req, res) => {
       });
     }
     
-    const session = sessionManager.getSession(sessionId);
+    const session = await sessionManager.getSession(sessionId);
     
     if (!session) {
       return res.status(404).json({
@@ -58,9 +73,17 @@ router.get('/:sessionId', (req, res) => {
       });
     }
     
+    if (!sessionManager.isParticipant(session, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a participant in this session',
+        code: 'FORBIDDEN'
+      });
+    }
+    
     res.json({
       success: true,
-      data: session
+      data: req.user.role === 'doctor' ? session : sessionManager.toPatientView(session)
     });
     
   } catch (error) {
@@ -74,12 +97,12 @@ router.get('/:sessionId', (req, res) => {
 
 /**
  * GET /api/session
- * Get all sessions
+ * Get all sessions owned by the authenticated doctor
  */
-router.get('/', (req, res) => {
+router.get('/', requireRole('doctor'), async (req, res) => {
   try {
-    const sessions = sessionManager.getAllSessions();
-    const stats = sessionManager.getSessionStats();
+    const sessions = await sessionManager.getAllSessions({ doctorId: req.user.id });
+    const stats = await sessionManager.getSessionStats({ doctorId: req.user.id });
     
     res.json({
       success: true,
@@ -98,23 +121,339 @@ router.get('/', (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/session/:sessionId/speakers
+ * Reassign a diarized speaker label to the doctor or patient
+ */
+router.patch('/:sessionId/speakers', requireSessionDoctor('session:reassign-speaker'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { speakerLabel, role } = req.body;
+    
+    if (!speakerLabel || !['doctor', 'patient'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'speakerLabel and a role of doctor or patient are required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const updatedEntries = await sessionManager.reassignSpeaker(sessionId, speakerLabel, role, req.user);
+    if (!updatedEntries) {
+      return res.status(404).json({
+        success: false,
+        error: 'Speaker not found in this session',
+        code: 'SPEAKER_NOT_FOUND'
+      });
+    }
+    
+    AuditLogger.log('session:reassign-speaker', { actor: req.user, sessionId, speakerLabel, role });
+    req.app.get('io')?.to(sessionId).emit('speaker-reassigned', {
+      speakerLabel,
+      role,
+      entries: updatedEntries
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        speakerMap: (await sessionManager.getSession(sessionId)).metadata.speakerMap,
+        entries: updatedEntries
+      },
+      message: `Speaker ${speakerLabel} assigned to ${role}`
+    });
+    
+  } catch (error) {
+    console.error('Error reassigning speaker:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reassign speaker'
+    });
+  }
+});
+
+/**
+ * PATCH /api/session/:sessionId/settings
+ * Update per-session settings, e.g. { archiveAudio: true } or { language: 'hi' }
+ * (an ISO 639-1 code, or 'auto' to detect the spoken language) or
+ * { noteTemplate: 'psychiatry' } (a template from GET /api/mer/templates)
+ */
+router.patch('/:sessionId/settings', requireSessionDoctor('session:update-settings'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { archiveAudio, noteTemplate } = req.body;
+    const language = req.body.language !== undefined ? normalizeLanguage(req.body.language) : undefined;
+    
+    if (language === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'language must be a supported ISO 639-1 code or "auto"',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if (archiveAudio !== undefined && typeof archiveAudio !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'archiveAudio must be true or false',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if (archiveAudio && !AudioArchive.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Audio archiving is not configured on this server (set AUDIO_ARCHIVE_KEY)',
+        code: 'ARCHIVE_NOT_CONFIGURED'
+      });
+    }
+    
+    if (noteTemplate !== undefined) {
+      // Throws TEMPLATE_NOT_FOUND unless it is built in or one of the clinic's
+      await MERTemplateService.get(noteTemplate, req.user.clinicId || 'default');
+    }
+    
+    const settings = await sessionManager.updateSettings(sessionId, { archiveAudio, language, noteTemplate });
+    
+    AuditLogger.log('session:update-settings', { actor: req.user, sessionId, settings });
+    // Participants should know when their audio is being kept or which language is expected
+    req.app.get('io')?.to(sessionId).emit('session-settings-updated', { sessionId, settings });
+    
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Session settings updated'
+    });
+    
+  } catch (error) {
+    if (error instanceof MERTemplateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error updating session settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update session settings'
+    });
+  }
+});
+
+/**
+ * Apply a transcript correction, audit it and tell the session's participants
+ * @param {Function} edit - Performs the change and resolves to { revision, entries, removedIds }
+ */
+async function applyTranscriptEdit(req, res, edit) {
+  const { sessionId } = req.params;
+
+  try {
+    const { revision, entries, removedIds } = await edit();
+
+    AuditLogger.log('session:edit-transcript', {
+      actor: req.user,
+      sessionId,
+      action: revision.action,
+      revisionId: revision.id
+    });
+    req.app.get('io')?.to(sessionId).emit('transcript-updated', {
+      action: revision.action,
+      revision,
+      entries,
+      removedIds
+    });
+
+    res.json({
+      success: true,
+      data: { revision, entries, removedIds },
+      message: `Transcript ${revision.action} saved`
+    });
+
+  } catch (error) {
+    if (error instanceof TranscriptEditError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error editing transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit transcript'
+    });
+  }
+}
+
+/**
+ * GET /api/session/:sessionId/transcript/revisions
+ * List every correction made to the transcript, oldest first
+ */
+router.get('/:sessionId/transcript/revisions', requireSessionDoctor('session:view-transcript-revisions'), async (req, res) => {
+  try {
+    const revisions = await TranscriptEditService.getRevisions(req.params.sessionId);
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+
+  } catch (error) {
+    console.error('Error getting transcript revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get transcript revisions'
+    });
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/transcript/original
+ * The transcript as transcribed, before any corrections
+ */
+router.get('/:sessionId/transcript/original', requireSessionDoctor('session:view-original-transcript'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const transcript = await TranscriptEditService.getOriginalTranscript(sessionId);
+
+    AuditLogger.log('session:view-original-transcript', { actor: req.user, sessionId });
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+
+  } catch (error) {
+    console.error('Error getting original transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get original transcript'
+    });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/transcript/merge
+ * Merge consecutive entries of one speaker, e.g. { entryIds: ['a', 'b'] }
+ */
+router.post('/:sessionId/transcript/merge', requireSessionDoctor('session:edit-transcript'), (req, res) => {
+  applyTranscriptEdit(req, res, () =>
+    TranscriptEditService.mergeEntries(req.params.sessionId, req.body.entryIds, req.user));
+});
+
+/**
+ * PATCH /api/session/:sessionId/transcript/:entryId
+ * Correct an entry's text or speaker, e.g. { text: 'Metformin 500mg' } or { speaker: 'patient' }
+ */
+router.patch('/:sessionId/transcript/:entryId', requireSessionDoctor('session:edit-transcript'), async (req, res) => {
+  const { sessionId, entryId } = req.params;
+  const { text, speaker } = req.body;
+
+  // One kind of change per request, so each revision in the history is a single correction
+  if ((text === undefined) === (speaker === undefined)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send either text or speaker',
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  applyTranscriptEdit(req, res, () => text !== undefined
+    ? TranscriptEditService.editEntry(sessionId, entryId, { text }, req.user)
+    : TranscriptEditService.changeSpeaker(sessionId, entryId, { speaker }, req.user));
+});
+
+/**
+ * DELETE /api/session/:sessionId/transcript/:entryId
+ * Remove an entry from the transcript (it stays in the revision history)
+ */
+router.delete('/:sessionId/transcript/:entryId', requireSessionDoctor('session:edit-transcript'), (req, res) => {
+  applyTranscriptEdit(req, res, () =>
+    TranscriptEditService.deleteEntry(req.params.sessionId, req.params.entryId, req.user));
+});
+
+/**
+ * POST /api/session/:sessionId/transcript/:entryId/split
+ * Split an entry in two at a character position, e.g. { at: 42, speaker: 'patient' }
+ */
+router.post('/:sessionId/transcript/:entryId/split', requireSessionDoctor('session:edit-transcript'), (req, res) => {
+  applyTranscriptEdit(req, res, () =>
+    TranscriptEditService.splitEntry(req.params.sessionId, req.params.entryId, req.body, req.user));
+});
+
+/**
+ * GET /api/session/:sessionId/recordings/:recordingId/audio?speaker=doctor|patient
+ * Download a speaker's decrypted archived audio for a recording
+ */
+router.get('/:sessionId/recordings/:recordingId/audio', requireSessionDoctor('session:download-audio'), async (req, res) => {
+  const { sessionId, recordingId } = req.params;
+  const speaker = req.query.speaker || 'doctor';
+  
+  try {
+    if (!['doctor', 'patient'].includes(speaker)) {
+      return res.status(400).json({
+        success: false,
+        error: 'speaker must be doctor or patient',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const audio = await AudioArchive.readAudio(sessionId, recordingId, speaker);
+    
+    AuditLogger.log('session:download-audio', { actor: req.user, sessionId, recordingId, speaker });
+    
+    res.set({
+      'Content-Type': audio.mimeType,
+      'Content-Length': audio.data.length,
+      'Content-Disposition': `attachment; filename="${sessionId}-${recordingId}-${speaker}.${audio.format || 'bin'}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(audio.data);
+    
+  } catch (error) {
+    if (error instanceof AudioArchiveError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error downloading archived audio:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download archived audio'
+    });
+  }
+});
+
 /**
  * DELETE /api/session/:sessionId
  * End a session
  */
-router.delete('/:sessionId', (req, res) => {
+router.delete('/:sessionId', requireRole('doctor'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const session = sessionManager.endSession(sessionId);
+    const existingSession = await sessionManager.getSession(sessionId);
     
-    if (!session) {
+    if (!existingSession) {
       return res.status(404).json({
         success: false,
         error: 'Session not found'
       });
     }
     
+    if (!sessionManager.isParticipant(existingSession, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the session doctor can end this session',
+        code: 'FORBIDDEN'
+      });
+    }
+    
+    const session = await sessionManager.endSession(sessionId);
+    
     res.json({
       success: true,
       data: session,
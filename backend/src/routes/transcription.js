@@ -1,6 +1,56 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
+const config = require('../config/config');
 const TranscriptionService = require('../services/transcriptionService');
+const TranscriptionJobService = require('../services/transcriptionJobService');
+const { TranscriptionJobError } = TranscriptionJobService;
+const GlossaryService = require('../services/glossaryService');
+const { GlossaryError } = GlossaryService;
+const AuditLogger = require('../services/auditLogger');
+const { requireSessionDoctor } = require('../middleware/sessionAccess');
+const { describeProviders, getProvider } = require('../services/transcriptionProviders');
+
+const clinicOf = (req) => req.user.clinicId || 'default';
+
+// Uploaded recordings are kept on disk until their job has run
+const uploadRecording = multer({
+  storage: multer.diskStorage({
+    destination: config.transcription.jobs.uploadPath,
+    filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname || '')}`)
+  }),
+  limits: { fileSize: config.upload.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!config.upload.allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new TranscriptionJobError(`Audio type ${file.mimetype} is not allowed`, 'UNSUPPORTED_AUDIO_FORMAT'));
+    }
+    cb(null, true);
+  }
+}).single('audio');
+
+/**
+ * Send a job or glossary error as JSON
+ */
+const sendServiceError = (res, error) => {
+  if (error instanceof TranscriptionJobError || error instanceof GlossaryError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  return null;
+};
 
 /**
  * GET /api/transcription/status
@@ -8,7 +58,7 @@ const TranscriptionService = require('../services/transcriptionService');
  */
 router.get('/status', (req, res) => {
   try {
-    const status = TranscriptionService.getProviderStatus();
+    const status = TranscriptionService.getProviderStatus(clinicOf(req));
     res.json({
       success: true,
       data: status
@@ -24,7 +74,7 @@ router.get('/status', (req, res) => {
 
 /**
  * POST /api/transcription/provider
- * Switch transcription provider
+ * Switch the transcription provider of the doctor's clinic
  */
 router.post('/provider', (req, res) => {
   try {
@@ -37,12 +87,13 @@ router.post('/provider', (req, res) => {
       });
     }
     
-    TranscriptionService.switchProvider(provider);
+    TranscriptionService.switchProvider(provider, clinicOf(req));
+    AuditLogger.log('transcription:switch-provider', { actor: req.user, clinicId: clinicOf(req), provider });
     
     res.json({
       success: true,
       message: `Switched to ${provider} provider`,
-      data: TranscriptionService.getProviderStatus()
+      data: TranscriptionService.getProviderStatus(clinicOf(req))
     });
     
   } catch (error) {
@@ -69,10 +120,9 @@ router.post('/test', async (req, res) => {
       });
     }
     
-    // Switch provider temporarily if specified
-    const originalProvider = TranscriptionService.activeProvider;
+    // A provider given here is only tried for this request
     if (provider) {
-      TranscriptionService.switchProvider(provider);
+      getProvider(provider, 'batch');
     }
     
     // Convert base64 audio data to buffer
@@ -82,14 +132,10 @@ router.post('/test', async (req, res) => {
     const result = await TranscriptionService.processAudioChunk(audioBuffer, {
       speaker: 'test',
       sessionId: 'test-session',
-      timestamp: new Date()
+      timestamp: new Date(),
+      provider
     });
     
-    // Restore original provider
-    if (provider) {
-      TranscriptionService.switchProvider(originalProvider);
-    }
-    
     res.json({
       success: true,
       data: result,
@@ -107,13 +153,14 @@ router.post('/test', async (req, res) => {
 
 /**
  * DELETE /api/transcription/session/:sessionId
- * Clean up transcription session
+ * Clean up transcription session (session doctor only)
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', requireSessionDoctor('transcription:cleanup-session'), (req, res) => {
   try {
     const { sessionId } = req.params;
     
     TranscriptionService.cleanupSession(sessionId);
+    AuditLogger.log('transcription:cleanup-session', { actor: req.user, sessionId });
     
     res.json({
       success: true,
@@ -135,26 +182,7 @@ router.delete('/session/:sessionId', (req, res) => {
  */
 router.get('/providers', (req, res) => {
   try {
-    const providers = [
-      {
-        name: 'openai',
-        displayName: 'OpenAI Whisper',
-        features: ['High accuracy', 'Multiple languages', 'Word timestamps'],
-        available: !!process.env.OPENAI_API_KEY
-      },
-      {
-        name: 'deepgram',
-        displayName: 'Deepgram',
-        features: ['Real-time', 'Speaker diarization', 'Fast processing'],
-        available: !!process.env.DEEPGRAM_API_KEY
-      },
-      {
-        name: 'assemblyai',
-        displayName: 'AssemblyAI',
-        features: ['Speaker labels', 'Punctuation', 'High accuracy'],
-        available: !!process.env.ASSEMBLYAI_API_KEY
-      }
-    ];
+    const providers = describeProviders();
     
     res.json({
       success: true,
@@ -170,4 +198,216 @@ router.get('/providers', (req, res) => {
   }
 });
 
+/**
+ * POST /api/transcription/jobs
+ * Upload a recording (multipart field "audio") for background transcription.
+ * Optional fields: sessionId to add it to an existing session, patientName for a new one.
+ */
+router.post('/jobs', (req, res) => {
+  uploadRecording(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        // The rest of the rejected upload is never read, so the connection can't be reused
+        res.set('Connection', 'close');
+        throw uploadError;
+      }
+      
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'An audio file is required (multipart field "audio")',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const job = await TranscriptionJobService.createJob(req.file, req.user, {
+        sessionId: req.body.sessionId,
+        patientName: req.body.patientName
+      });
+      
+      res.status(202).json({
+        success: true,
+        data: job,
+        message: 'Transcription job queued'
+      });
+      
+    } catch (error) {
+      if (req.file) {
+        fs.rm(req.file.path, { force: true }, () => {});
+      }
+      if (sendServiceError(res, error)) {
+        return;
+      }
+      console.error('Error creating transcription job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create transcription job'
+      });
+    }
+  });
+});
+
+/**
+ * GET /api/transcription/jobs
+ * List the current doctor's transcription jobs
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await TranscriptionJobService.listJobs(req.user);
+    
+    res.json({
+      success: true,
+      data: jobs
+    });
+    
+  } catch (error) {
+    console.error('Error listing transcription jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list transcription jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/transcription/jobs/:jobId
+ * Poll a transcription job's status and progress
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await TranscriptionJobService.getJob(req.params.jobId, req.user);
+    
+    res.json({
+      success: true,
+      data: job
+    });
+    
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    console.error('Error getting transcription job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get transcription job'
+    });
+  }
+});
+
+/**
+ * GET /api/transcription/glossary
+ * Get the current doctor's clinic glossary
+ */
+router.get('/glossary', async (req, res) => {
+  try {
+    const terms = await GlossaryService.getTerms(clinicOf(req));
+    
+    res.json({
+      success: true,
+      data: { clinicId: clinicOf(req), terms }
+    });
+    
+  } catch (error) {
+    console.error('Error getting glossary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get glossary'
+    });
+  }
+});
+
+/**
+ * POST /api/transcription/glossary
+ * Add terms to the clinic glossary. Body: { terms: [{ term, category, aliases }] }
+ * or a single { term, category, aliases }. Existing terms (ignoring case) are updated.
+ */
+router.post('/glossary', async (req, res) => {
+  try {
+    const inputs = Array.isArray(req.body?.terms) ? req.body.terms : [req.body];
+    const glossary = await GlossaryService.addTerms(clinicOf(req), inputs);
+    
+    AuditLogger.log('glossary:add-terms', { actor: req.user, clinicId: clinicOf(req), count: inputs.length });
+    
+    res.status(201).json({
+      success: true,
+      data: glossary,
+      message: 'Glossary updated'
+    });
+    
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    console.error('Error adding glossary terms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update glossary'
+    });
+  }
+});
+
+/**
+ * PUT /api/transcription/glossary
+ * Replace the whole clinic glossary. Body: { terms: [...] }
+ */
+router.put('/glossary', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.terms)) {
+      return res.status(400).json({
+        success: false,
+        error: 'terms must be an array',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const glossary = await GlossaryService.replaceTerms(clinicOf(req), req.body.terms);
+    
+    AuditLogger.log('glossary:replace', { actor: req.user, clinicId: clinicOf(req), count: glossary.terms.length });
+    
+    res.json({
+      success: true,
+      data: glossary,
+      message: 'Glossary replaced'
+    });
+    
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    console.error('Error replacing glossary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace glossary'
+    });
+  }
+});
+
+/**
+ * DELETE /api/transcription/glossary/:termId
+ * Remove a term from the clinic glossary
+ */
+router.delete('/glossary/:termId', async (req, res) => {
+  try {
+    const glossary = await GlossaryService.removeTerm(clinicOf(req), req.params.termId);
+    
+    AuditLogger.log('glossary:remove-term', { actor: req.user, clinicId: clinicOf(req), termId: req.params.termId });
+    
+    res.json({
+      success: true,
+      data: glossary,
+      message: 'Glossary term removed'
+    });
+    
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    console.error('Error removing glossary term:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove glossary term'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Provision an account - the only way to create doctors, since self-service
+ * registration only creates patients. The password is read from stdin so it
+ * doesn't end up in the shell history:
+ *
+ *   echo "$PASSWORD" | npm run create-user -- --email dr@clinic.org --name "Dr Who" --role doctor --clinic clinic-1
+ */
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const config = require('../config/config');
+const AuthService = require('../services/authService');
+const { getStorage } = require('../services/storage');
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString().trim();
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'string', default: 'doctor' },
+      clinic: { type: 'string', default: 'default' }
+    }
+  });
+
+  // Accounts in the memory store would be gone when this script exits
+  if (config.storage.driver === 'memory') {
+    throw new Error('create-user needs a persistent store (SESSION_STORE=postgres)');
+  }
+
+  const store = getStorage();
+  await store.init();
+  try {
+    const user = await AuthService.createUser({
+      email: values.email,
+      password: await readStdin(),
+      name: values.name,
+      role: values.role,
+      clinicId: values.clinic
+    });
+    console.log(`✅ ${user.role} ${user.email} (${user.id}) can now log in`);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -13,7 +13,12 @@ const transcriptionRoutes = require('./routes/transcription');
 const merRoutes = require('./routes/mer');
 const sessionRoutes = require('./routes/session');
 const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const { authenticate, requireRole } = require('./middleware/auth');
 const socketHandlers = require('./services/socketHandlers');
+const SessionManager = require('./services/sessionManager');
+const TranscriptionJobService = require('./services/transcriptionJobService');
+const { getProviderNames } = require('./services/transcriptionProviders');
 
 // Create Express app and HTTP server
 const app = express();
@@ -44,6 +49,16 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
+// Stricter limit on credential endpoints
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many authentication attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+app.use('/api/auth', authLimiter);
+
 // CORS configuration for WebRTC and Socket.IO
 const corsOptions = {
   origin: config.corsOrigins,
@@ -69,8 +84,9 @@ const io = socketIo(server, {
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Serve static files. Dot-directories (transcription job uploads, the audio
+// archive) are private; express.static only skips them when told to.
+app.use('/uploads', express.static(path.join(__dirname, '../uploads'), { dotfiles: 'ignore' }));
 
 // Health check endpoint (keep for backward compatibility)
 app.get('/health', (req, res) => {
@@ -86,12 +102,14 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/health', healthRoutes);
-app.use('/api/transcription', transcriptionRoutes);
-app.use('/api/mer', merRoutes);
-app.use('/api/session', sessionRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/transcription', authenticate, requireRole('doctor'), transcriptionRoutes);
+app.use('/api/mer', authenticate, requireRole('doctor'), merRoutes);
+app.use('/api/session', authenticate, sessionRoutes);
 
 // WebSocket handlers
 socketHandlers(io);
+app.set('io', io); // Lets REST routes notify session rooms
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -140,18 +158,53 @@ process.on('SIGINT', () => {
   });
 });
 
-// Start server
+// Anyone could forge tokens signed with the development fallback secret
+if (!config.jwt.secret) {
+  console.error('❌ JWT_SECRET must be set when NODE_ENV is not development');
+  process.exit(1);
+}
+
+// Streaming must name its provider, and the offline one replays a scripted
+// consultation that must never end up in a real patient's transcript
+const { streaming } = config.transcription;
+if (streaming.enabled && !streaming.provider) {
+  console.error('❌ STREAMING_PROVIDER must be set when TRANSCRIPTION_STREAMING is true');
+  process.exit(1);
+}
+if (streaming.enabled && streaming.provider === 'fake' && config.nodeEnv !== 'development') {
+  console.error('❌ STREAMING_PROVIDER=fake is only allowed when NODE_ENV is development');
+  process.exit(1);
+}
+
+// Unregistered providers (including fake outside development) would be skipped silently
+if (!getProviderNames('batch').includes(config.transcription.provider)) {
+  console.error(`❌ TRANSCRIPTION_PROVIDER=${config.transcription.provider} is not available. Available: ${getProviderNames('batch').join(', ')}`);
+  process.exit(1);
+}
+
+// Start server once the session store is ready
 const PORT = config.port;
-server.listen(PORT, () => {
-  console.log('🚀 =================================');
-  console.log('🏥 AI Voice MER Backend Started');
-  console.log('🚀 =================================');
-  console.log(`📍 Server: http://localhost:${PORT}`);
-  console.log(`🔧 Environment: ${config.nodeEnv}`);
-  console.log(`📊 Health Check: http://localhost:${PORT}/health`);
-  console.log(`� Socket.IO: Enabled`);
-  console.log(`📡 Transcription: ${config.transcription.provider}`);
-  console.log('🚀 =================================');
+SessionManager.init().then(() => {
+  server.listen(PORT, () => {
+    console.log('🚀 =================================');
+    console.log('🏥 AI Voice MER Backend Started');
+    console.log('🚀 =================================');
+    console.log(`📍 Server: http://localhost:${PORT}`);
+    console.log(`🔧 Environment: ${config.nodeEnv}`);
+    console.log(`📊 Health Check: http://localhost:${PORT}/health`);
+    console.log(`� Socket.IO: Enabled`);
+    console.log(`📡 Transcription: ${config.transcription.provider}`);
+    console.log(`💾 Session store: ${config.storage.driver}`);
+    console.log('🚀 =================================');
+  });
+  
+  // Pick up uploads that were still waiting when the server last stopped
+  TranscriptionJobService.resumePendingJobs().catch(error => {
+    console.error('Failed to resume transcription jobs:', error);
+  });
+}).catch(error => {
+  console.error('Failed to initialize session store:', error);
+  process.exit(1);
 });
 
 module.exports = { app, server, io };
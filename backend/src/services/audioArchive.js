@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const AudioNormalizer = require('./audioNormalizer');
+const { getStorage } = require('./storage');
+const { getBlobStore } = require('./blobStore');
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Run a task after the ones already queued under the same key. A failed task
+ * doesn't stop the ones after it; the key is dropped once its queue drains.
+ * @param {Map} queues - key -> tail of its queue
+ * @returns {Promise} Result of the task
+ */
+function enqueue(queues, key, task) {
+  const run = (queues.get(key) || Promise.resolve())
+    .catch(() => {})
+    .then(task);
+
+  queues.set(key, run);
+  run.finally(() => {
+    if (queues.get(key) === run) {
+      queues.delete(key);
+    }
+  }).catch(() => {});
+
+  return run;
+}
+
+/**
+ * Raised when archived audio can't be written or read
+ */
+class AudioArchiveError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'AudioArchiveError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Audio Archive
+ * Keeps the raw consultation audio of sessions that opted in, so a MER can be
+ * checked against what was actually said. Chunks are encrypted with
+ * AES-256-GCM as they arrive and appended to one blob per recording and
+ * speaker as length-prefixed frames: [length][iv][auth tag][ciphertext].
+ */
+class AudioArchive {
+  constructor() {
+    this.writes = new Map(); // blob key -> tail of its write queue
+    this.registrations = new Map(); // recording id -> tail of its metadata updates
+  }
+
+  /**
+   * Archive encryption key from config, or null if unset or malformed
+   * @returns {Buffer|null}
+   */
+  getKey() {
+    const raw = config.archive.encryptionKey;
+    if (!raw) {
+      return null;
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    return key.length === 32 ? key : null;
+  }
+
+  /**
+   * Whether audio can be archived (a valid encryption key is configured)
+   */
+  isConfigured() {
+    return this.getKey() !== null;
+  }
+
+  blobKey(sessionId, recordingId, speaker) {
+    return `${sessionId}/${recordingId}/${speaker}.audio.enc`;
+  }
+
+  /**
+   * Encrypt one chunk into a frame. The blob key is authenticated so frames
+   * can't be moved between recordings.
+   */
+  encryptFrame(data, blobKey) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    cipher.setAAD(Buffer.from(blobKey));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    const body = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    return Buffer.concat([length, body]);
+  }
+
+  /**
+   * Decrypt every frame in a blob back into the original audio
+   */
+  decryptFrames(blob, blobKey) {
+    const key = this.getKey();
+    const parts = [];
+    let offset = 0;
+
+    while (offset + 4 <= blob.length) {
+      const length = blob.readUInt32BE(offset);
+      const body = blob.subarray(offset + 4, offset + 4 + length);
+      offset += 4 + length;
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, body.subarray(0, IV_LENGTH));
+      decipher.setAAD(Buffer.from(blobKey));
+      decipher.setAuthTag(body.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      parts.push(decipher.update(body.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final());
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Archive a chunk from a session's current recording. Writes for the same
+   * recording and speaker are queued so chunks stay in arrival order.
+   * @param {Object} session - Session the chunk belongs to
+   * @param {string} speaker - Role whose microphone produced the chunk
+   * @param {Buffer} chunk - Audio as received
+   * @returns {Promise<boolean>} Whether the chunk was archived
+   */
+  async appendChunk(session, speaker, chunk) {
+    const recordingId = session.metadata.currentRecordingId;
+    if (!session.metadata.settings?.archiveAudio || !recordingId) {
+      return false;
+    }
+    if (!this.isConfigured()) {
+      throw new AudioArchiveError('Audio archive encryption key is not configured', 'ARCHIVE_NOT_CONFIGURED', 503);
+    }
+
+    const blobKey = this.blobKey(session.id, recordingId, speaker);
+    await enqueue(this.writes, blobKey, () => this.writeChunk(session.id, recordingId, speaker, blobKey, chunk));
+    return true;
+  }
+
+  async writeChunk(sessionId, recordingId, speaker, blobKey, chunk) {
+    const store = getBlobStore();
+    const streamKey = `${sessionId}:${speaker}`;
+    AudioNormalizer.captureInitSegment(streamKey, chunk);
+
+    let data = chunk;
+    if (!(await store.stat(blobKey))) {
+      const detected = AudioNormalizer.detectContainer(chunk);
+
+      // A recorder that kept running across recordings starts this one mid-stream
+      const initSegment = AudioNormalizer.getInitSegment(streamKey);
+      if (detected?.headerless && initSegment) {
+        data = Buffer.concat([initSegment, chunk]);
+      }
+
+      await this.registerArchive(sessionId, recordingId, speaker, {
+        key: blobKey,
+        format: detected?.format || null,
+        mimeType: detected ? AudioNormalizer.getMimeType(detected.format) : 'application/octet-stream',
+        archivedAt: new Date(),
+        purgedAt: null
+      });
+      console.log(`🗄️ Archiving ${speaker} audio for recording ${recordingId} in session ${sessionId}`);
+    }
+
+    await store.append(blobKey, this.encryptFrame(data, blobKey));
+  }
+
+  /**
+   * Record where a speaker's archived audio lives on the recording's metadata.
+   * Both speakers' first chunks arrive together and each rewrites the whole
+   * metadata, so updates to one recording run one at a time.
+   */
+  registerArchive(sessionId, recordingId, speaker, archive) {
+    return enqueue(this.registrations, recordingId, () => this.saveArchiveEntry(sessionId, recordingId, speaker, archive));
+  }
+
+  async saveArchiveEntry(sessionId, recordingId, speaker, archive) {
+    const recording = (await getStorage().getRecordings(sessionId)).find(candidate => candidate.id === recordingId);
+    if (!recording) {
+      return null;
+    }
+
+    const metadata = recording.metadata || {};
+    return getStorage().saveRecording({
+      id: recordingId,
+      sessionId,
+      metadata: {
+        ...metadata,
+        archive: { ...metadata.archive, [speaker]: { ...metadata.archive?.[speaker], ...archive } }
+      }
+    });
+  }
+
+  /**
+   * Decrypt the archived audio of one speaker in a recording
+   * @param {string} sessionId - Session identifier
+   * @param {string} recordingId - Recording identifier
+   * @param {string} speaker - 'doctor' or 'patient'
+   * @returns {Promise<Object>} { data, mimeType, format }
+   */
+  async readAudio(sessionId, recordingId, speaker) {
+    const recording = (await getStorage().getRecordings(sessionId)).find(candidate => candidate.id === recordingId);
+    const archive = recording?.metadata?.archive?.[speaker];
+    if (!archive) {
+      throw new AudioArchiveError('No archived audio for this recording', 'ARCHIVE_NOT_FOUND', 404);
+    }
+    if (archive.purgedAt) {
+      throw new AudioArchiveError('Archived audio has been purged under the retention policy', 'ARCHIVE_PURGED', 410);
+    }
+    if (!this.isConfigured()) {
+      throw new AudioArchiveError('Audio archive encryption key is not configured', 'ARCHIVE_NOT_CONFIGURED', 503);
+    }
+
+    await this.writes.get(archive.key)?.catch(() => {});
+    const blob = await getBlobStore().read(archive.key);
+    if (!blob) {
+      throw new AudioArchiveError('No archived audio for this recording', 'ARCHIVE_NOT_FOUND', 404);
+    }
+
+    try {
+      return { data: this.decryptFrames(blob, archive.key), mimeType: archive.mimeType, format: archive.format };
+    } catch (error) {
+      console.error(`❌ Failed to decrypt archived audio ${archive.key}:`, error.message);
+      throw new AudioArchiveError('Archived audio could not be decrypted', 'ARCHIVE_CORRUPT', 500);
+    }
+  }
+
+  /**
+   * Delete archived audio last written before the retention period (call periodically)
+   * @returns {Promise<number>} Number of blobs purged
+   */
+  async purgeExpired(retentionDays = config.archive.retentionDays) {
+    if (!retentionDays) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const store = getBlobStore();
+    let purged = 0;
+
+    for (const blob of await store.list('')) {
+      if (blob.updatedAt >= cutoff || this.writes.has(blob.key)) {
+        continue;
+      }
+
+      await store.delete(blob.key);
+      purged++;
+
+      const [sessionId, recordingId, file] = blob.key.split('/');
+      await this.registerArchive(sessionId, recordingId, file.split('.')[0], { purgedAt: new Date() });
+    }
+
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} archived audio file(s) past ${retentionDays} day retention`);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Delete all archived audio for a session
+   */
+  async deleteSession(sessionId) {
+    await getBlobStore().deletePrefix(`${sessionId}/`);
+  }
+}
+
+// Create singleton instance
+const audioArchive = new AudioArchive();
+
+// Purge expired audio periodically
+setInterval(() => {
+  audioArchive.purgeExpired().catch(error => {
+    console.error('Error purging archived audio:', error);
+  });
+}, config.archive.purgeInterval).unref();
+
+module.exports = audioArchive;
+module.exports.AudioArchiveError = AudioArchiveError;
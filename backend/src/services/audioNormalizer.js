@@ -0,0 +1,322 @@
+const { spawn } = require('child_process');
+const config = require('../config/config');
+
+// Container format -> MIME type used when talking to providers
+const CONTAINER_MIME_TYPES = {
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac'
+};
+
+// Matroska/WebM element IDs
+const EBML_HEADER_ID = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+/**
+ * Raised when audio can't be recognised, isn't allowed or can't be decoded
+ */
+class AudioFormatError extends Error {
+  constructor(message, code = 'UNSUPPORTED_AUDIO_FORMAT') {
+    super(message);
+    this.name = 'AudioFormatError';
+    this.code = code;
+  }
+}
+
+/**
+ * Audio Normalizer
+ * Detects the container of incoming audio and turns it into 16-bit PCM/WAV
+ * before it reaches a provider. MediaRecorder only writes the WebM header
+ * (EBML + tracks) into its first chunk, so the header is remembered per
+ * stream and put back in front of later header-less chunks.
+ */
+class AudioNormalizer {
+  constructor() {
+    this.initSegments = new Map(); // streamKey -> WebM init segment
+    this.ffmpegMissing = false;
+  }
+
+  /**
+   * Identify the container from magic bytes
+   * @param {Buffer} buffer - Audio data
+   * @returns {Object|null} { format, headerless } or null if unknown
+   */
+  detectContainer(buffer) {
+    if (!buffer || buffer.length < 4) {
+      return null;
+    }
+
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+    if (ascii(0, 4) === 'RIFF' && buffer.length >= 12 && ascii(8, 12) === 'WAVE') {
+      return { format: 'wav', headerless: false };
+    }
+    if (buffer.subarray(0, 4).equals(EBML_HEADER_ID)) {
+      return { format: 'webm', headerless: false };
+    }
+    if (buffer.subarray(0, 4).equals(CLUSTER_ID)) {
+      // A MediaRecorder chunk after the first one
+      return { format: 'webm', headerless: true };
+    }
+    if (ascii(0, 4) === 'OggS') {
+      return { format: 'ogg', headerless: false };
+    }
+    if (ascii(0, 4) === 'fLaC') {
+      return { format: 'flac', headerless: false };
+    }
+    if (ascii(0, 3) === 'ID3') {
+      return { format: 'mp3', headerless: false };
+    }
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+      // MPEG frame sync - layer bits of 00 mean an ADTS (AAC) frame
+      return { format: (buffer[1] & 0x06) === 0 ? 'aac' : 'mp3', headerless: false };
+    }
+
+    return null;
+  }
+
+  /**
+   * Remember the WebM init segment from a stream's first chunk
+   * @param {string} streamKey - Session/speaker the chunk belongs to
+   * @param {Buffer} chunk - Audio chunk as received
+   */
+  captureInitSegment(streamKey, chunk) {
+    if (!chunk || !chunk.subarray(0, 4).equals(EBML_HEADER_ID)) {
+      return;
+    }
+
+    const clusterStart = chunk.indexOf(CLUSTER_ID);
+    this.initSegments.set(streamKey, clusterStart === -1 ? chunk : chunk.subarray(0, clusterStart));
+  }
+
+  /**
+   * Get the init segment remembered for a stream
+   * @returns {Buffer|undefined}
+   */
+  getInitSegment(streamKey) {
+    return this.initSegments.get(streamKey);
+  }
+
+  /**
+   * MIME type for a detected container format
+   */
+  getMimeType(format) {
+    return CONTAINER_MIME_TYPES[format];
+  }
+
+  /**
+   * Forget a stream's init segment
+   */
+  forgetStream(streamKey) {
+    this.initSegments.delete(streamKey);
+  }
+
+  /**
+   * Forget every stream belonging to a session
+   */
+  forgetSession(sessionId) {
+    for (const streamKey of this.initSegments.keys()) {
+      if (streamKey.startsWith(`${sessionId}:`)) {
+        this.initSegments.delete(streamKey);
+      }
+    }
+  }
+
+  /**
+   * Normalize audio for transcription
+   * @param {Buffer} buffer - Audio data (one or more chunks from the same stream)
+   * @param {Object} options - { streamKey, decodeTimeoutMs } where decodeTimeoutMs
+   *   replaces the live decode timeout (e.g. for whole uploaded recordings)
+   * @returns {Promise<Object>} { buffer, format, mimeType, filename, pcm, sampleRate, channels }
+   */
+  async normalize(buffer, options = {}) {
+    const detected = this.detectContainer(buffer);
+    if (!detected) {
+      throw new AudioFormatError('Unrecognized audio container');
+    }
+
+    const { format } = detected;
+    const mimeType = CONTAINER_MIME_TYPES[format];
+    if (!config.upload.allowedMimeTypes.includes(mimeType)) {
+      throw new AudioFormatError(`Audio type ${mimeType} is not allowed`);
+    }
+
+    let input = buffer;
+    if (detected.headerless) {
+      const initSegment = this.initSegments.get(options.streamKey);
+      if (!initSegment) {
+        throw new AudioFormatError('WebM chunk received without its init segment', 'MISSING_INIT_SEGMENT');
+      }
+      input = Buffer.concat([initSegment, buffer]);
+    }
+
+    // 16-bit PCM WAV needs no decoding
+    if (format === 'wav') {
+      const wav = this.parseWav(input);
+      if (wav) {
+        return this.fromPcm(wav.pcm, wav.sampleRate, wav.channels);
+      }
+    }
+
+    try {
+      const pcm = await this.decodeToPcm(input, options.decodeTimeoutMs);
+      return this.fromPcm(pcm, config.transcription.audio.sampleRate, config.transcription.audio.channels);
+    } catch (error) {
+      if (error.code !== 'FFMPEG_NOT_FOUND') {
+        throw new AudioFormatError(`Could not decode ${format} audio: ${error.message}`, 'AUDIO_DECODE_FAILED');
+      }
+
+      // Without ffmpeg, pass through formats providers accept directly - correctly labelled
+      if (!config.transcription.supportedFormats.includes(format)) {
+        throw new AudioFormatError(`${format} audio needs ffmpeg to be transcoded`, 'AUDIO_DECODE_FAILED');
+      }
+      return {
+        buffer: input,
+        format,
+        mimeType,
+        filename: `audio.${format}`,
+        pcm: null,
+        sampleRate: null,
+        channels: null
+      };
+    }
+  }
+
+  /**
+   * Wrap PCM in a WAV container
+   */
+  fromPcm(pcm, sampleRate, channels) {
+    return {
+      buffer: this.encodeWav(pcm, sampleRate, channels),
+      format: 'wav',
+      mimeType: 'audio/wav',
+      filename: 'audio.wav',
+      pcm,
+      sampleRate,
+      channels
+    };
+  }
+
+  /**
+   * Extract 16-bit PCM from a WAV file
+   * @returns {Object|null} { pcm, sampleRate, channels } or null if not 16-bit PCM
+   */
+  parseWav(buffer) {
+    let offset = 12;
+    let fmt = null;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (id === 'fmt ' && body + 16 <= buffer.length) {
+        fmt = {
+          audioFormat: buffer.readUInt16LE(body),
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14)
+        };
+      } else if (id === 'data') {
+        if (!fmt || fmt.audioFormat !== 1 || fmt.bitsPerSample !== 16) {
+          return null;
+        }
+        return {
+          pcm: buffer.subarray(body, Math.min(body + size, buffer.length)),
+          sampleRate: fmt.sampleRate,
+          channels: fmt.channels
+        };
+      }
+
+      offset = body + size + (size % 2); // chunks are word aligned
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a 16-bit PCM WAV file
+   */
+  encodeWav(pcm, sampleRate, channels) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+  }
+
+  /**
+   * Decode any container ffmpeg understands to mono 16-bit PCM
+   * @param {Buffer} buffer - Encoded audio
+   * @param {number} timeoutMs - Give up after this long (defaults to the live decode timeout)
+   * @returns {Promise<Buffer>} Raw s16le PCM
+   */
+  decodeToPcm(buffer, timeoutMs = config.transcription.audio.decodeTimeoutMs) {
+    const { ffmpegPath, sampleRate, channels } = config.transcription.audio;
+
+    if (this.ffmpegMissing) {
+      const error = new Error('ffmpeg is not installed');
+      error.code = 'FFMPEG_NOT_FOUND';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-f', 's16le', '-acodec', 'pcm_s16le',
+        '-ac', String(channels), '-ar', String(sampleRate),
+        'pipe:1'
+      ]);
+
+      const output = [];
+      let stderr = '';
+      const timeout = setTimeout(() => {
+        ffmpeg.kill('SIGKILL');
+        reject(new Error('ffmpeg decode timed out'));
+      }, timeoutMs);
+
+      ffmpeg.stdout.on('data', data => output.push(data));
+      ffmpeg.stderr.on('data', data => { stderr += data; });
+
+      ffmpeg.on('error', (error) => {
+        clearTimeout(timeout);
+        if (error.code === 'ENOENT') {
+          this.ffmpegMissing = true;
+          console.warn(`⚠️ ffmpeg not found at "${ffmpegPath}" - audio will be passed through undecoded`);
+          error.code = 'FFMPEG_NOT_FOUND';
+        }
+        reject(error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        clearTimeout(timeout);
+        if (code === 0) {
+          resolve(Buffer.concat(output));
+        } else {
+          reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+        }
+      });
+
+      // The process may exit before reading all input on bad data
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(buffer);
+    });
+  }
+}
+
+module.exports = new AudioNormalizer();
+module.exports.AudioFormatError = AudioFormatError;
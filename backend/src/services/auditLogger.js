@@ -0,0 +1,54 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+
+/**
+ * Audit Logger
+ * Records security-relevant actions (denied requests, access to records)
+ * to the console and the session store.
+ */
+class AuditLogger {
+  /**
+   * Record an audit event. Never throws - auditing must not break the request.
+   * @param {string} action - What was attempted (e.g. 'socket:start-recording')
+   * @param {Object} details - { outcome, actor, sessionId, ...extra }
+   * @returns {Promise<Object|null>} Stored event
+   */
+  async log(action, { outcome = 'success', actor = null, sessionId = null, ...extra } = {}) {
+    const event = {
+      id: uuidv4(),
+      action,
+      outcome,
+      actorId: actor?.id || null,
+      actorRole: actor?.role || null,
+      sessionId,
+      details: extra,
+      createdAt: new Date()
+    };
+
+    console.log(`🛡️ AUDIT ${JSON.stringify(event)}`);
+
+    try {
+      return await getStorage().addAuditEvent(event);
+    } catch (error) {
+      console.error('Failed to persist audit event:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a denied action
+   */
+  async denied(action, details = {}) {
+    return this.log(action, { ...details, outcome: 'denied' });
+  }
+
+  /**
+   * Get audit events
+   * @param {Object} filter - { sessionId, actorId }
+   */
+  async getEvents(filter = {}) {
+    return getStorage().getAuditEvents(filter);
+  }
+}
+
+module.exports = new AuditLogger();
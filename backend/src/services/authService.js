@@ -0,0 +1,161 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+
+const ROLES = ['doctor', 'patient'];
+
+/**
+ * Authentication error with an HTTP status and machine-readable code
+ */
+class AuthError extends Error {
+  constructor(message, code = 'UNAUTHORIZED', status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Auth Service
+ * Handles doctor/patient accounts and JWT issuing/verification
+ */
+class AuthService {
+  /**
+   * Strip secrets from a stored user
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      clinicId: user.clinicId
+    };
+  }
+
+  /**
+   * Self-service registration. Only patient accounts in the default clinic
+   * can be created this way; doctors are provisioned by an operator (see createUser).
+   * @param {Object} data - { email, password, name, role }
+   * @returns {Promise<Object>} Public user
+   */
+  async register({ email, password, name, role }) {
+    if (!config.auth.allowSignup) {
+      throw new AuthError('Self-service registration is disabled', 'SIGNUP_DISABLED', 403);
+    }
+
+    if (role && role !== 'patient') {
+      throw new AuthError('Doctor accounts are created by an administrator', 'FORBIDDEN', 403);
+    }
+
+    return this.createUser({ email, password, name, role: 'patient' });
+  }
+
+  /**
+   * Create an account with any role and clinic. Not reachable over HTTP -
+   * operators provision doctors with `npm run create-user`.
+   * @param {Object} data - { email, password, name, role, clinicId }
+   * @returns {Promise<Object>} Public user
+   */
+  async createUser({ email, password, name, role, clinicId }) {
+    if (!email || !password || !name) {
+      throw new AuthError('Email, password and name are required', 'VALIDATION_ERROR', 400);
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+    }
+
+    if (password.length < config.auth.minPasswordLength) {
+      throw new AuthError(`Password must be at least ${config.auth.minPasswordLength} characters`, 'VALIDATION_ERROR', 400);
+    }
+
+    const store = getStorage();
+    if (await store.getUserByEmail(email)) {
+      throw new AuthError('An account with this email already exists', 'EMAIL_TAKEN', 409);
+    }
+
+    const user = await store.createUser({
+      id: uuidv4(),
+      email: email.toLowerCase(),
+      passwordHash: await bcrypt.hash(password, 10),
+      name,
+      role,
+      clinicId: clinicId || 'default'
+    });
+
+    console.log(`🔐 Created ${role} account: ${user.email} (clinic ${user.clinicId})`);
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Verify credentials
+   * @param {string} email - Email address
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} Public user
+   */
+  async login(email, password) {
+    if (!email || !password) {
+      throw new AuthError('Email and password are required', 'VALIDATION_ERROR', 400);
+    }
+
+    const user = await getStorage().getUserByEmail(email);
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      throw new AuthError('Invalid email or password', 'INVALID_CREDENTIALS', 401);
+    }
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Issue a signed access token for a user
+   * @param {Object} user - Public user
+   * @param {Object} claims - Extra claims to embed
+   * @returns {string} JWT
+   */
+  issueToken(user, claims = {}) {
+    return jwt.sign({
+      ...claims,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      clinicId: user.clinicId
+    }, config.jwt.secret, {
+      subject: user.id,
+      expiresIn: config.jwt.expiresIn
+    });
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT
+   * @returns {Object} Authenticated user ({ id, role, name, email, clinicId, ... })
+   */
+  verifyToken(token) {
+    if (!token) {
+      throw new AuthError('Authentication token is required', 'AUTH_REQUIRED', 401);
+    }
+
+    try {
+      const { sub, iat, exp, ...claims } = jwt.verify(token, config.jwt.secret);
+      if (!ROLES.includes(claims.role)) {
+        throw new AuthError('Token has an invalid role', 'INVALID_TOKEN', 401);
+      }
+      return { id: sub, ...claims };
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw error;
+      }
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('Authentication token has expired', 'TOKEN_EXPIRED', 401);
+      }
+      throw new AuthError('Invalid authentication token', 'INVALID_TOKEN', 401);
+    }
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
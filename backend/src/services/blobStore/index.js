@@ -0,0 +1,54 @@
+const config = require('../../config/config');
+const LocalBlobStore = require('./localBlobStore');
+const MemoryBlobStore = require('./memoryBlobStore');
+
+/**
+ * Create the blob store selected by config.archive.driver
+ *
+ * Blob stores keep opaque binary objects under slash-separated keys:
+ *   append(key, data)    - add data to the end of an object, creating it if needed
+ *   read(key)            - whole object as a Buffer, or null
+ *   stat(key)            - { size, updatedAt }, or null
+ *   list(prefix)         - [{ key, size, updatedAt }] for objects under a prefix
+ *   delete(key)          - remove one object
+ *   deletePrefix(prefix) - remove every object under a prefix
+ *
+ * @param {string} driver - 'local' or 'memory'
+ * @returns {Object} Blob store instance
+ */
+function createBlobStore(driver = config.archive.driver) {
+  switch (driver) {
+    case 'local':
+      return new LocalBlobStore(config.archive.path);
+
+    case 'memory':
+      return new MemoryBlobStore();
+
+    default:
+      throw new Error(`Unsupported blob store: ${driver}`);
+  }
+}
+
+// Shared blob store used by the audio archive
+let blobStore = null;
+
+/**
+ * Get the shared blob store, creating it on first use
+ * @returns {Object} Blob store
+ */
+function getBlobStore() {
+  if (!blobStore) {
+    blobStore = createBlobStore();
+  }
+  return blobStore;
+}
+
+/**
+ * Replace the shared blob store (e.g. with a MemoryBlobStore in tests)
+ * @param {Object} store - Blob store
+ */
+function setBlobStore(store) {
+  blobStore = store;
+}
+
+module.exports = { createBlobStore, getBlobStore, setBlobStore, LocalBlobStore, MemoryBlobStore };
@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local filesystem blob store
+ * Each key is a file below the root directory.
+ */
+class LocalBlobStore {
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+  }
+
+  /**
+   * Resolve a key to a file path, refusing keys that escape the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootPath, key);
+    if (filePath !== this.rootPath && !filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async append(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    await fs.appendFile(filePath, data, { mode: 0o600 });
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return { size: stats.size, updatedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const blobs = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+          continue;
+        }
+        const key = path.relative(this.rootPath, filePath).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stats = await fs.stat(filePath);
+          blobs.push({ key, size: stats.size, updatedAt: stats.mtime });
+        }
+      }
+    };
+
+    // Only walk the directory the prefix points into
+    await walk(this.resolve(prefix.slice(0, prefix.lastIndexOf('/') + 1)));
+    return blobs;
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async deletePrefix(prefix) {
+    for (const blob of await this.list(prefix)) {
+      await this.delete(blob.key);
+    }
+  }
+}
+
+module.exports = LocalBlobStore;
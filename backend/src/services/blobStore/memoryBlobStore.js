@@ -0,0 +1,46 @@
+/**
+ * In-memory blob store - for tests and local development
+ */
+class MemoryBlobStore {
+  constructor() {
+    this.blobs = new Map(); // key -> { data, updatedAt }
+  }
+
+  async append(key, data) {
+    const existing = this.blobs.get(key);
+    this.blobs.set(key, {
+      data: existing ? Buffer.concat([existing.data, data]) : Buffer.from(data),
+      updatedAt: new Date()
+    });
+  }
+
+  async read(key) {
+    const blob = this.blobs.get(key);
+    return blob ? Buffer.from(blob.data) : null;
+  }
+
+  async stat(key) {
+    const blob = this.blobs.get(key);
+    return blob ? { size: blob.data.length, updatedAt: blob.updatedAt } : null;
+  }
+
+  async list(prefix = '') {
+    return Array.from(this.blobs.entries())
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, blob]) => ({ key, size: blob.data.length, updatedAt: blob.updatedAt }));
+  }
+
+  async delete(key) {
+    this.blobs.delete(key);
+  }
+
+  async deletePrefix(prefix) {
+    for (const key of Array.from(this.blobs.keys())) {
+      if (key.startsWith(prefix)) {
+        this.blobs.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryBlobStore;
@@ -0,0 +1,66 @@
+/**
+ * Circuit breaker for an unreliable dependency.
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests are skipped until resetTimeoutMs has passed
+ * half-open - one trial request is let through; success closes the
+ *             circuit, failure opens it again
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may be attempted right now
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      console.log(`🔌 Circuit for ${this.name} is half-open, allowing a trial request`);
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`✅ Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || null;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`⚡ Circuit for ${this.name} opened after ${this.failures} failure(s)`);
+    }
+  }
+
+  /**
+   * Snapshot for status endpoints
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,87 @@
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+const GlossaryService = require('./glossaryService');
+const { AUTO, normalizeLanguage } = require('./languages');
+
+/**
+ * Raised when clinic settings changes are invalid
+ */
+class ClinicSettingsError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400) {
+    super(message);
+    this.name = 'ClinicSettingsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Clinic Settings Service
+ * Settings a clinic chooses for itself. For now that is the language its MERs
+ * are written in; a clinic that hasn't chosen one uses DOCUMENTATION_LANGUAGE.
+ * Every MER generation path resolves the language from the clinic of the
+ * session's doctor (or of the requesting doctor when there is no session).
+ */
+class ClinicSettingsService {
+  constructor() {
+    this.cache = new Map(); // clinicId -> settings
+  }
+
+  /**
+   * Get a clinic's own settings
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Object>} { clinicId, documentationLanguage } where unset values are null
+   */
+  async getSettings(clinicId = 'default') {
+    if (!this.cache.has(clinicId)) {
+      const settings = await getStorage().getClinicSettings(clinicId);
+      this.cache.set(clinicId, { clinicId, documentationLanguage: settings?.documentationLanguage || null });
+    }
+    return this.cache.get(clinicId);
+  }
+
+  /**
+   * Change a clinic's settings. Unknown keys are ignored; a null
+   * documentationLanguage goes back to the server default.
+   * @param {string} clinicId - Clinic identifier
+   * @param {Object} changes - { documentationLanguage }
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(clinicId, changes = {}) {
+    const settings = { ...await this.getSettings(clinicId) };
+
+    if (changes.documentationLanguage !== undefined) {
+      const language = changes.documentationLanguage === null ? null : normalizeLanguage(changes.documentationLanguage);
+      if (changes.documentationLanguage !== null && (!language || language === AUTO)) {
+        throw new ClinicSettingsError(`Unsupported documentation language: ${changes.documentationLanguage}`);
+      }
+      settings.documentationLanguage = language;
+    }
+
+    await getStorage().saveClinicSettings(settings);
+    this.cache.set(clinicId, settings);
+    console.log(`🏥 Settings of clinic ${clinicId} updated`);
+    return settings;
+  }
+
+  /**
+   * Language a clinic's MERs are written in
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<string>} ISO 639-1 code
+   */
+  async getDocumentationLanguage(clinicId = 'default') {
+    return (await this.getSettings(clinicId)).documentationLanguage || config.languages.documentation;
+  }
+
+  /**
+   * Language a session's MER is written in: that of its doctor's clinic
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string>} ISO 639-1 code
+   */
+  async getDocumentationLanguageForSession(sessionId) {
+    return this.getDocumentationLanguage(await GlossaryService.getClinicForSession(sessionId));
+  }
+}
+
+module.exports = new ClinicSettingsService();
+module.exports.ClinicSettingsError = ClinicSettingsError;
@@ -0,0 +1,296 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+
+const CATEGORIES = ['medication', 'clinician', 'specialty', 'anatomy', 'other'];
+
+/**
+ * Raised when glossary changes are invalid
+ */
+class GlossaryError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Lowercase and strip punctuation for comparisons
+ */
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Similarity between two strings from 0 (nothing alike) to 1 (identical), by edit distance
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Glossary Service
+ * Keeps each clinic's vocabulary (medications, clinician names, specialty
+ * terms) and applies it to transcription: providers that support it get the
+ * terms as a prompt or keyword boost, and everything else is corrected
+ * afterwards by fuzzy matching against the glossary.
+ *
+ * Term shape: { id, term, category, aliases } where aliases are known
+ * mis-transcriptions that are always replaced with the term.
+ */
+class GlossaryService {
+  constructor() {
+    this.cache = new Map(); // clinicId -> terms
+    this.sessionClinics = new Map(); // sessionId -> clinicId of its doctor
+  }
+
+  /**
+   * Get a clinic's glossary terms
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Array>} Terms
+   */
+  async getTerms(clinicId = 'default') {
+    if (!this.cache.has(clinicId)) {
+      const glossary = await getStorage().getGlossary(clinicId);
+      this.cache.set(clinicId, glossary?.terms || []);
+    }
+    return this.cache.get(clinicId);
+  }
+
+  /**
+   * Get the glossary of the clinic a session's doctor belongs to
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Terms
+   */
+  async getTermsForSession(sessionId) {
+    return this.getTerms(await this.getClinicForSession(sessionId));
+  }
+
+  /**
+   * Clinic a session's doctor belongs to
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string>} Clinic identifier ('default' for unknown sessions)
+   */
+  async getClinicForSession(sessionId) {
+    if (!this.sessionClinics.has(sessionId)) {
+      const session = await getStorage().getSession(sessionId);
+      if (!session) {
+        return 'default';
+      }
+      const doctor = session.doctor.userId ? await getStorage().getUserById(session.doctor.userId) : null;
+      this.sessionClinics.set(sessionId, doctor?.clinicId || 'default');
+    }
+    return this.sessionClinics.get(sessionId);
+  }
+
+  /**
+   * Forget cached lookups for a session
+   */
+  forgetSession(sessionId) {
+    this.sessionClinics.delete(sessionId);
+  }
+
+  /**
+   * Validate and normalize a term from the API
+   * @param {Object|string} input - { term, category, aliases } or just the term
+   * @returns {Object} Term
+   */
+  validateTerm(input) {
+    const data = typeof input === 'string' ? { term: input } : (input || {});
+    const term = typeof data.term === 'string' ? data.term.trim() : '';
+    if (!term || term.length > 100) {
+      throw new GlossaryError('Each glossary entry needs a term of 1-100 characters');
+    }
+
+    const category = data.category || 'other';
+    if (!CATEGORIES.includes(category)) {
+      throw new GlossaryError(`category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+
+    if (data.aliases !== undefined && !Array.isArray(data.aliases)) {
+      throw new GlossaryError('aliases must be an array of strings');
+    }
+    const aliases = (data.aliases || [])
+      .filter(alias => typeof alias === 'string' && alias.trim())
+      .map(alias => alias.trim());
+
+    return { id: data.id || uuidv4(), term, category, aliases };
+  }
+
+  /**
+   * Store a clinic's terms
+   */
+  async saveTerms(clinicId, terms) {
+    if (terms.length > config.transcription.glossary.maxTerms) {
+      throw new GlossaryError(`A glossary can hold at most ${config.transcription.glossary.maxTerms} terms`);
+    }
+
+    const glossary = await getStorage().saveGlossary({ clinicId, terms });
+    this.cache.set(clinicId, glossary.terms);
+    console.log(`📖 Glossary for clinic ${clinicId} now has ${glossary.terms.length} terms`);
+    return glossary;
+  }
+
+  /**
+   * Add terms to a clinic's glossary. A term that already exists (ignoring case) is updated.
+   * @param {string} clinicId - Clinic identifier
+   * @param {Array} inputs - Terms to add
+   * @returns {Promise<Object>} Updated glossary
+   */
+  async addTerms(clinicId, inputs) {
+    const terms = [...await this.getTerms(clinicId)];
+
+    for (const input of inputs) {
+      const term = this.validateTerm(input);
+      const index = terms.findIndex(existing => existing.term.toLowerCase() === term.term.toLowerCase());
+      if (index === -1) {
+        terms.push(term);
+      } else {
+        terms[index] = { ...term, id: terms[index].id };
+      }
+    }
+
+    return this.saveTerms(clinicId, terms);
+  }
+
+  /**
+   * Replace a clinic's whole glossary
+   * @returns {Promise<Object>} Updated glossary
+   */
+  async replaceTerms(clinicId, inputs) {
+    return this.saveTerms(clinicId, inputs.map(input => this.validateTerm(input)));
+  }
+
+  /**
+   * Remove a term from a clinic's glossary
+   * @returns {Promise<Object>} Updated glossary
+   */
+  async removeTerm(clinicId, termId) {
+    const terms = await this.getTerms(clinicId);
+    if (!terms.some(term => term.id === termId)) {
+      throw new GlossaryError('Glossary term not found', 'TERM_NOT_FOUND', 404);
+    }
+    return this.saveTerms(clinicId, terms.filter(term => term.id !== termId));
+  }
+
+  /**
+   * Plain term list for provider boosting
+   * @param {Array} terms - Glossary terms
+   * @returns {Array<string>}
+   */
+  toProviderTerms(terms) {
+    return [...new Set(terms.map(term => term.term))];
+  }
+
+  /**
+   * Replace phrases that closely match a glossary term (or exactly match one of
+   * its aliases) with the term. Windows one word shorter and longer than the
+   * term are tried too, since mis-heard words are often split or merged.
+   * @param {string} text - Transcribed text
+   * @param {Array} terms - Glossary terms
+   * @returns {Object} { text, corrections: [{ from, to }] }
+   */
+  correctText(text, terms) {
+    const { fuzzyThreshold, minFuzzyLength } = config.transcription.glossary;
+    const tokens = text.split(/(\s+)/);
+    const wordIndexes = tokens.map((token, index) => index).filter(index => tokens[index].trim());
+    const corrections = [];
+
+    const candidates = terms.flatMap(term => [
+      { phrase: normalize(term.term), target: term.term, fuzzy: normalize(term.term).replace(/ /g, '').length >= minFuzzyLength },
+      ...term.aliases.map(alias => ({ phrase: normalize(alias), target: term.term, fuzzy: false }))
+    ]).filter(candidate => candidate.phrase);
+
+    for (let w = 0; w < wordIndexes.length; w++) {
+      let best = null;
+
+      for (const candidate of candidates) {
+        const length = candidate.phrase.split(' ').length;
+        for (let size = Math.max(1, length - 1); size <= length + 1 && w + size <= wordIndexes.length; size++) {
+          const window = normalize(wordIndexes.slice(w, w + size).map(index => tokens[index]).join(' '));
+          const score = window === candidate.phrase
+            ? 1
+            : candidate.fuzzy ? similarity(window.replace(/ /g, ''), candidate.phrase.replace(/ /g, '')) : 0;
+
+          if (score >= fuzzyThreshold && (!best || score > best.score || (score === best.score && size > best.size))) {
+            best = { ...candidate, size, score, window };
+          }
+        }
+      }
+
+      if (!best) continue;
+
+      const first = wordIndexes[w];
+      const last = wordIndexes[w + best.size - 1];
+      const original = tokens.slice(first, last + 1).join('');
+      if (normalize(original) !== normalize(best.target)) {
+        // Keep punctuation around the phrase, e.g. "(metforman," -> "(Metformin,"
+        const leading = tokens[first].match(/^[^\p{L}\p{N}]*/u)[0];
+        const trailing = tokens[last].match(/[^\p{L}\p{N}]*$/u)[0];
+        tokens.splice(first, last - first + 1, `${leading}${best.target}${trailing}`, ...Array(last - first).fill(''));
+        corrections.push({ from: original, to: best.target });
+      }
+      w += best.size - 1;
+    }
+
+    return { text: tokens.join(''), corrections };
+  }
+
+  /**
+   * Apply the glossary to a transcription result's text, utterances and words
+   * @param {Object} result - Transcription result
+   * @param {Array} terms - Glossary terms
+   * @returns {Object} Corrected result with glossaryCorrections
+   */
+  applyToResult(result, terms) {
+    if (!result?.text || terms.length === 0) {
+      return result;
+    }
+
+    const corrected = this.correctText(result.text, terms);
+    if (corrected.corrections.length === 0) {
+      return result;
+    }
+
+    const singleWordTerms = terms.filter(term => !term.term.includes(' '));
+    console.log(`📖 Glossary corrections:`, corrected.corrections);
+
+    return {
+      ...result,
+      text: corrected.text,
+      ...(result.utterances && {
+        utterances: result.utterances.map(utterance => ({
+          ...utterance,
+          text: this.correctText(utterance.text, terms).text
+        }))
+      }),
+      ...(result.words && {
+        words: result.words.map(word => ({
+          ...word,
+          word: this.correctText(word.word, singleWordTerms).text
+        }))
+      }),
+      glossaryCorrections: corrected.corrections
+    };
+  }
+}
+
+module.exports = new GlossaryService();
+module.exports.GlossaryError = GlossaryError;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,222 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+const { AuthError } = require('./authService');
+
+const INVITE_TOKEN_TYPE = 'invite';
+
+/**
+ * Invite Service
+ * Issues signed, single-use, time-limited patient join links for a session
+ */
+class InviteService {
+  /**
+   * Public view of an invite with its current state
+   */
+  toPublicInvite(invite) {
+    return {
+      id: invite.id,
+      sessionId: invite.sessionId,
+      patientName: invite.patientName,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
+      usedAt: invite.usedAt,
+      revokedAt: invite.revokedAt,
+      replacedBy: invite.replacedBy,
+      status: this.getStatus(invite)
+    };
+  }
+
+  /**
+   * Derive the invite status: pending, used, revoked or expired
+   */
+  getStatus(invite) {
+    if (invite.revokedAt) return 'revoked';
+    if (invite.usedAt) return 'used';
+    if (new Date(invite.expiresAt) <= new Date()) return 'expired';
+    return 'pending';
+  }
+
+  /**
+   * Build the patient-facing join link
+   */
+  buildJoinUrl(sessionId, token) {
+    return `${config.invites.baseUrl}/join/${encodeURIComponent(sessionId)}?invite=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Create a new invite for a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} doctor - Authenticated doctor issuing the invite
+   * @param {Object} options - { patientName, expiresInMinutes }
+   * @returns {Promise<Object>} { invite, token, url }
+   */
+  async createInvite(sessionId, doctor, options = {}) {
+    const expiresInMinutes = parseInt(options.expiresInMinutes) || config.invites.expiresInMinutes;
+    if (expiresInMinutes <= 0 || expiresInMinutes > config.invites.maxExpiresInMinutes) {
+      throw new AuthError(
+        `expiresInMinutes must be between 1 and ${config.invites.maxExpiresInMinutes}`,
+        'VALIDATION_ERROR',
+        400
+      );
+    }
+
+    const inviteId = uuidv4();
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + expiresInMinutes * 60 * 1000);
+
+    const invite = await getStorage().saveInvite({
+      id: inviteId,
+      sessionId,
+      createdBy: doctor.id,
+      patientName: options.patientName || null,
+      createdAt,
+      expiresAt,
+      usedAt: null,
+      usedBy: null,
+      revokedAt: null,
+      replacedBy: null
+    });
+
+    const token = jwt.sign(
+      { typ: INVITE_TOKEN_TYPE, sid: sessionId },
+      config.jwt.secret,
+      { jwtid: inviteId, expiresIn: expiresInMinutes * 60 }
+    );
+
+    console.log(`✉️ Invite ${inviteId} issued for session ${sessionId} (expires ${expiresAt.toISOString()})`);
+    return {
+      invite: this.toPublicInvite(invite),
+      token,
+      url: this.buildJoinUrl(sessionId, token)
+    };
+  }
+
+  /**
+   * Check an invite token's signature and state without consuming it
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} Stored invite
+   */
+  async verifyInviteToken(token) {
+    if (!token) {
+      throw new AuthError('An invite token is required to join this session', 'INVITE_REQUIRED', 401);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('This invite link has expired', 'INVITE_EXPIRED', 401);
+      }
+      throw new AuthError('Invalid invite token', 'INVITE_INVALID', 401);
+    }
+
+    if (payload.typ !== INVITE_TOKEN_TYPE || !payload.jti) {
+      throw new AuthError('Invalid invite token', 'INVITE_INVALID', 401);
+    }
+
+    const invite = await getStorage().getInvite(payload.jti);
+    if (!invite || invite.sessionId !== payload.sid) {
+      throw new AuthError('Invalid invite token', 'INVITE_INVALID', 401);
+    }
+
+    switch (this.getStatus(invite)) {
+      case 'revoked':
+        throw new AuthError('This invite link has been revoked', 'INVITE_REVOKED', 401);
+      case 'used':
+        throw new AuthError('This invite link has already been used', 'INVITE_USED', 401);
+      case 'expired':
+        throw new AuthError('This invite link has expired', 'INVITE_EXPIRED', 401);
+      default:
+        return invite;
+    }
+  }
+
+  /**
+   * Consume an invite for a session join
+   * @param {string} token - Invite token
+   * @param {string} sessionId - Session the user is joining
+   * @param {string} userId - User redeeming the invite
+   * @returns {Promise<Object>} Redeemed invite
+   */
+  async redeemInvite(token, sessionId, userId) {
+    const invite = await this.verifyInviteToken(token);
+
+    if (invite.sessionId !== sessionId) {
+      throw new AuthError('This invite is for a different session', 'INVITE_INVALID', 403);
+    }
+
+    // Atomic claim - loses the race if another socket redeemed it first
+    if (!(await getStorage().markInviteUsed(invite.id, userId))) {
+      throw new AuthError('This invite link has already been used', 'INVITE_USED', 401);
+    }
+
+    console.log(`✉️ Invite ${invite.id} redeemed for session ${sessionId} by ${userId}`);
+    return { ...invite, usedAt: new Date(), usedBy: userId };
+  }
+
+  /**
+   * List invites for a session
+   */
+  async listInvites(sessionId) {
+    const invites = await getStorage().listInvites(sessionId);
+    return invites.map(invite => this.toPublicInvite(invite));
+  }
+
+  /**
+   * Load an invite that belongs to the given session
+   */
+  async getSessionInvite(sessionId, inviteId) {
+    const invite = await getStorage().getInvite(inviteId);
+    if (!invite || invite.sessionId !== sessionId) {
+      throw new AuthError('Invite not found', 'INVITE_NOT_FOUND', 404);
+    }
+    return invite;
+  }
+
+  /**
+   * Revoke an unused invite
+   * @returns {Promise<Object>} Revoked invite
+   */
+  async revokeInvite(sessionId, inviteId) {
+    const invite = await this.getSessionInvite(sessionId, inviteId);
+    if (invite.usedAt) {
+      throw new AuthError('Invite has already been used', 'INVITE_USED', 409);
+    }
+
+    const revoked = invite.revokedAt
+      ? invite
+      : await getStorage().saveInvite({ ...invite, revokedAt: new Date() });
+
+    console.log(`✉️ Invite ${inviteId} revoked for session ${sessionId}`);
+    return this.toPublicInvite(revoked);
+  }
+
+  /**
+   * Revoke an invite and issue a fresh link with the same patient name
+   * @returns {Promise<Object>} { invite, token, url } for the new invite
+   */
+  async reissueInvite(sessionId, inviteId, doctor, options = {}) {
+    const invite = await this.getSessionInvite(sessionId, inviteId);
+    if (invite.usedAt) {
+      throw new AuthError('Invite has already been used', 'INVITE_USED', 409);
+    }
+
+    const reissued = await this.createInvite(sessionId, doctor, {
+      patientName: invite.patientName,
+      ...options
+    });
+
+    await getStorage().saveInvite({
+      ...invite,
+      revokedAt: invite.revokedAt || new Date(),
+      replacedBy: reissued.invite.id
+    });
+
+    return reissued;
+  }
+}
+
+module.exports = new InviteService();
@@ -0,0 +1,57 @@
+/**
+ * Language helpers
+ * Sessions, transcript entries and MERs identify languages by ISO 639-1 code
+ * ('en', 'hi', ...). Providers report languages in their own forms ('en-US',
+ * 'en_us', 'hindi'), so everything is normalized through here.
+ */
+const AUTO = 'auto';
+
+// Languages the transcription providers have in common
+const LANGUAGE_CODES = [
+  'af', 'ar', 'as', 'az', 'be', 'bg', 'bn', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el', 'en',
+  'es', 'et', 'fa', 'fi', 'fr', 'gl', 'gu', 'he', 'hi', 'hr', 'hu', 'hy', 'id', 'is', 'it',
+  'ja', 'kk', 'kn', 'ko', 'lt', 'lv', 'mi', 'mk', 'ml', 'mr', 'ms', 'ne', 'nl', 'no', 'or',
+  'pa', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sr', 'sv', 'sw', 'ta', 'te', 'th', 'tl', 'tr',
+  'uk', 'ur', 'vi', 'zh'
+];
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const codesByName = new Map(LANGUAGE_CODES.map(code => [displayNames.of(code).toLowerCase(), code]));
+
+/**
+ * Normalize a language code or name
+ * @param {string} value - e.g. 'hi', 'en-US', 'en_us', 'Hindi' or 'auto'
+ * @returns {string|null} ISO 639-1 code, 'auto', or null if unrecognized
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const lower = value.trim().toLowerCase();
+  if (lower === AUTO) {
+    return AUTO;
+  }
+
+  const base = lower.split(/[-_]/)[0];
+  if (LANGUAGE_CODES.includes(base)) {
+    return base;
+  }
+  return codesByName.get(lower) || null;
+}
+
+/**
+ * English name of a language for prompts and display
+ * @param {string} code - ISO 639-1 code
+ * @returns {string} e.g. 'Hindi'
+ */
+function languageName(code) {
+  return LANGUAGE_CODES.includes(code) ? displayNames.of(code) : code;
+}
+
+module.exports = {
+  AUTO,
+  LANGUAGE_CODES,
+  normalizeLanguage,
+  languageName
+};
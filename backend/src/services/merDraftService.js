@@ -0,0 +1,205 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const SessionManager = require('./sessionManager');
+const MERGeneratorService = require('./merGeneratorService');
+const MERTemplateService = require('./merTemplateService');
+const ClinicSettingsService = require('./clinicSettingsService');
+const { MERValidationError } = MERGeneratorService;
+
+/**
+ * MER Draft Service
+ * Keeps a live MER draft while a session is recording. Every
+ * MER_GENERATE_INTERVAL the transcript entries added since the last draft are
+ * sent to the LLM together with that draft, so the doctor can watch the record
+ * take shape and stopping the recording only has to fold in the last few
+ * entries instead of generating the MER from scratch. Once an entry the draft
+ * covers is corrected, deleted or merged away, the draft is started over from
+ * the corrected transcript so removed text can't linger in it.
+ *
+ * Events: updated - { sessionId, version, entriesAdded, document }
+ */
+class MERDraftService extends EventEmitter {
+  constructor() {
+    super();
+    this.drafts = new Map(); // sessionId -> { sections, template, language, coveredIds, coveredAt, version }
+    this.timers = new Map(); // sessionId -> interval
+    this.updates = new Map(); // sessionId -> update in progress
+  }
+
+  /**
+   * Start drafting for a session that began recording
+   * @param {string} sessionId - Session identifier
+   */
+  start(sessionId) {
+    if (!config.mer.autoGenerate || this.timers.has(sessionId)) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const session = await SessionManager.getSession(sessionId);
+        if (!session?.isRecording) {
+          this.stop(sessionId);
+          this.drafts.delete(sessionId);
+          return;
+        }
+        await this.update(sessionId);
+      } catch (error) {
+        // The previous draft stays in place and the next tick tries again
+        console.error(`Error updating MER draft for session ${sessionId}:`, error);
+      }
+    }, config.mer.generateInterval);
+    timer.unref();
+
+    this.timers.set(sessionId, timer);
+    console.log(`📝 Live MER drafting started for session ${sessionId}`);
+  }
+
+  /**
+   * Stop the drafting timer, keeping the draft
+   */
+  stop(sessionId) {
+    clearInterval(this.timers.get(sessionId));
+    this.timers.delete(sessionId);
+  }
+
+  /**
+   * Fold new and corrected transcript entries into the session's draft. If an
+   * update is already running, that update is returned instead of starting another.
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} The draft, or null without a transcript
+   */
+  async update(sessionId) {
+    if (!this.updates.has(sessionId)) {
+      const update = this.applyNewEntries(sessionId).finally(() => this.updates.delete(sessionId));
+      this.updates.set(sessionId, update);
+    }
+    return this.updates.get(sessionId);
+  }
+
+  /**
+   * Whether entries the draft was built from have since been corrected or removed
+   * @param {Object} draft - Draft with coveredIds and coveredAt
+   * @param {Array} transcript - Current transcript
+   * @returns {boolean}
+   */
+  isStale(draft, transcript) {
+    const currentIds = new Set(transcript.map(entry => entry.id));
+    return [...draft.coveredIds].some(entryId => !currentIds.has(entryId)) ||
+      transcript.some(entry =>
+        draft.coveredIds.has(entry.id) && entry.editedAt && new Date(entry.editedAt) > draft.coveredAt);
+  }
+
+  /**
+   * Send the entries the draft doesn't cover yet to the LLM with the draft
+   */
+  async applyNewEntries(sessionId) {
+    const startedAt = new Date();
+    const session = await SessionManager.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    // A draft written for another note template or documentation language,
+    // or from entries that were corrected since, is started over
+    const template = await MERTemplateService.forSession(session);
+    const language = await ClinicSettingsService.getDocumentationLanguageForSession(sessionId);
+    const previous = this.drafts.get(sessionId);
+    let draft = previous?.template.id === template.id && previous.template.updatedAt === template.updatedAt &&
+      previous.language === language
+      ? previous
+      : null;
+    if (draft && this.isStale(draft, session.transcript)) {
+      console.log(`📝 Transcript of session ${sessionId} was corrected, starting the MER draft over`);
+      draft = null;
+    }
+
+    const entries = session.transcript.filter(entry => !draft?.coveredIds.has(entry.id));
+    if (entries.length === 0) {
+      if (!draft) {
+        this.drafts.delete(sessionId);
+      }
+      return draft;
+    }
+
+    const sections = await MERGeneratorService.updateDraft(
+      draft?.sections || null,
+      entries,
+      { doctor: session.doctor.name, patient: session.patient.name || 'Patient' },
+      language,
+      template
+    );
+
+    const updated = {
+      sections,
+      template,
+      language,
+      coveredIds: new Set(session.transcript.map(entry => entry.id)),
+      coveredAt: startedAt,
+      version: (previous?.version || 0) + 1
+    };
+    this.drafts.set(sessionId, updated);
+    console.log(`📝 MER draft v${updated.version} for session ${sessionId} (+${entries.length} entries)`);
+
+    this.emit('updated', {
+      sessionId,
+      version: updated.version,
+      entriesAdded: entries.length,
+      document: this.toDocument(session, updated)
+    });
+    return updated;
+  }
+
+  /**
+   * MER document for a draft
+   */
+  toDocument(session, draft) {
+    const document = MERGeneratorService.buildDocument({
+      transcript: session.transcript,
+      doctor: session.doctor.name,
+      patient: session.patient.name || 'Patient',
+      sessionId: session.id,
+      template: draft.template
+    }, draft.sections, draft.language);
+    document.metadata.draftVersion = draft.version;
+    return document;
+  }
+
+  /**
+   * Finish drafting when recording stops: fold in the remaining entries and
+   * return the draft as the final MER. The document is checked against the
+   * MER schema and its note template like a generated one; a draft that
+   * doesn't pass is dropped and the MER generated from scratch instead, where
+   * generateMER retries and finally rejects it.
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} MER document, or null when there is no
+   *   valid draft to build on and the MER should be generated from scratch
+   */
+  async finalize(sessionId) {
+    this.stop(sessionId);
+    if (!this.drafts.has(sessionId)) {
+      return null;
+    }
+
+    try {
+      // Let a tick that is still running finish, then cover what it missed
+      await this.updates.get(sessionId)?.catch(() => {});
+      const draft = await this.update(sessionId);
+      const session = await SessionManager.getSession(sessionId);
+      return draft && session
+        ? MERGeneratorService.checkDocument(this.toDocument(session, draft), draft.template)
+        : null;
+    } catch (error) {
+      if (error instanceof MERValidationError) {
+        console.warn(`⚠️ Final MER draft for session ${sessionId} is invalid, generating the MER from scratch:`, error.errors);
+      } else {
+        console.error(`Error finalizing MER draft for session ${sessionId}:`, error);
+      }
+      return null;
+    } finally {
+      this.drafts.delete(sessionId);
+    }
+  }
+}
+
+module.exports = new MERDraftService();
@@ -0,0 +1,222 @@
+const {
+  IDENTIFIER_SYSTEM,
+  SECTION_CODES,
+  stableId,
+  noteSections,
+  hl7Timestamp,
+  escapeXml,
+  diagnoses,
+  prescribed,
+  dosageText,
+  signature,
+  addendumLines
+} = require('./common');
+
+const LOINC = '2.16.840.1.113883.6.1';
+
+// CDA ids need an OID or UUID root, so the identifier systems get UUIDs of their own
+const ID_ROOTS = {
+  user: stableId(IDENTIFIER_SYSTEM, 'user'),
+  session: stableId(IDENTIFIER_SYSTEM, 'session')
+};
+
+// Section templates of the C-CDA R2.1 Progress Note for the SOAP sections of
+// a note template; its other sections are sent without a section template
+const NOTE_SECTIONS = {
+  subjective: { templateId: '2.16.840.1.113883.10.20.21.2.2', ...SECTION_CODES.subjective, title: 'Subjective' },
+  objective: { templateId: '2.16.840.1.113883.10.20.21.2.1', ...SECTION_CODES.objective, title: 'Objective' },
+  assessment: { templateId: '2.16.840.1.113883.10.20.22.2.8', ...SECTION_CODES.assessment, title: 'Assessment' },
+  plan: { templateId: '2.16.840.1.113883.10.20.22.2.10', ...SECTION_CODES.plan, title: 'Plan of Treatment' }
+};
+
+// Sections every document has, whatever the note template
+const SECTIONS = {
+  problems: { templateId: '2.16.840.1.113883.10.20.22.2.5', code: '11450-4', display: 'Problem list - Reported', title: 'Problems' },
+  medications: { templateId: '2.16.840.1.113883.10.20.22.2.1', code: '10160-0', display: 'History of Medication use Narrative', title: 'Medications' },
+  allergies: { templateId: '2.16.840.1.113883.10.20.22.2.6', ...SECTION_CODES.allergies, title: 'Allergies and Intolerances' }
+};
+
+// Addenda have no C-CDA section template and are only included once there are any
+const ADDENDA_SECTION = { ...SECTION_CODES.addenda, title: 'Addenda' };
+
+/**
+ * Name of a person as given/family elements, from a single display name
+ */
+function personName(name) {
+  const parts = String(name || '').trim().split(/\s+/);
+  const family = parts.pop();
+  return `<name>${parts.map(given => `<given>${escapeXml(given)}</given>`).join('')}<family>${escapeXml(family)}</family></name>`;
+}
+
+/**
+ * Narrative table; cells are escaped here
+ */
+function table(headers, rows) {
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeXml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * C-CDA Exporter
+ * Turns a session's MER into a C-CDA R2.1 Progress Note. Every section is
+ * sent as narrative only (no coded entries), which the templates allow and
+ * which keeps an AI-generated record from being imported as structured,
+ * clinician-confirmed data.
+ */
+class CCDAExporter {
+  /**
+   * Narrative section, or one with nullFlavor NI when it has nothing to say
+   * @param {Object} section - { templateId, code, display, title }; templateId and code are optional
+   * @param {string} text - Narrative block XHTML, already escaped
+   * @returns {string} component XML
+   */
+  section(section, text) {
+    return `<component><section${text ? '' : ' nullFlavor="NI"'}>` +
+      (section.templateId ? `<templateId root="${section.templateId}"/>` : '') +
+      (section.code
+        ? `<code code="${escapeXml(section.code)}" codeSystem="${LOINC}" codeSystemName="LOINC" displayName="${escapeXml(section.display)}"/>`
+        : '') +
+      `<title>${escapeXml(section.title)}</title>` +
+      `<text>${text || 'No information'}</text>` +
+      '</section></component>';
+  }
+
+  /**
+   * Narrative paragraphs, one per line
+   * @param {Array<Object>} lines - [{ label, text }], e.g. a note section's lines
+   */
+  paragraphs(lines) {
+    return lines
+      .map(({ label, text }) => `<paragraph><content styleCode="Bold">${escapeXml(label)}:</content> ${escapeXml(text)}</paragraph>`)
+      .join('');
+  }
+
+  /**
+   * Build the document for a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @returns {string} ClinicalDocument XML
+   */
+  build(session) {
+    const mer = session.merDocument;
+    const sessionId = session.id;
+    const generatedAt = hl7Timestamp(mer.metadata?.generatedAt || Date.now());
+    const { recordingStartTime, recordingEndTime, createdAt } = session.metadata;
+    const id = (key) => `<id root="${stableId(sessionId, key)}"/>`;
+    const author = `<assignedAuthor>${id('Practitioner')}` +
+      (session.doctor.userId ? `<id root="${ID_ROOTS.user}" extension="${escapeXml(session.doctor.userId)}"/>` : '') +
+      `<assignedPerson>${personName(session.doctor.name || mer.metadata?.doctor)}</assignedPerson></assignedAuthor>`;
+
+    const codes = diagnoses(mer);
+    const medications = prescribed(mer);
+    const allergies = (mer.prescriptions?.allergies || []).filter(Boolean);
+    const addenda = addendumLines(mer);
+    const signed = signature(mer);
+
+    const sections = [
+      ...noteSections(mer).map(({ key, title, code, lines }) =>
+        this.section(NOTE_SECTIONS[key] || { ...code, title }, this.paragraphs(lines))),
+      this.section(SECTIONS.problems, codes.length > 0 && table(
+        ['ICD-10-CM', 'Description', 'Type', 'Confidence'],
+        codes.map(code => [code.code, code.description, code.primary ? 'Primary' : 'Secondary', code.confidence])
+      )),
+      this.section(SECTIONS.medications, medications.length > 0 && table(
+        ['Medication', 'Dosage', 'Instructions', 'Indication'],
+        medications.map(item => [item.medication, dosageText(item), item.instructions, item.indication])
+      )),
+      this.section(SECTIONS.allergies, allergies.length > 0 &&
+        `<list>${allergies.map(allergy => `<item>${escapeXml(allergy)}</item>`).join('')}</list>`)
+    ];
+    if (addenda.length > 0) {
+      sections.push(this.section(ADDENDA_SECTION, this.paragraphs(addenda)));
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      '<realmCode code="US"/>',
+      '<typeId root="2.16.840.1.113883.1.3" extension="POCD_HD000040"/>',
+      '<templateId root="2.16.840.1.113883.10.20.22.1.1" extension="2015-08-01"/>',
+      '<templateId root="2.16.840.1.113883.10.20.22.1.9" extension="2015-08-01"/>',
+      id('Document'),
+      `<code code="11506-3" codeSystem="${LOINC}" codeSystemName="LOINC" displayName="Progress note"/>`,
+      '<title>Medical Encounter Record</title>',
+      `<effectiveTime value="${generatedAt}"/>`,
+      '<confidentialityCode code="N" codeSystem="2.16.840.1.113883.5.25"/>',
+      `<languageCode code="${escapeXml(mer.metadata?.documentationLanguage || 'en')}"/>`,
+      '<recordTarget><patientRole>',
+      id('Patient'),
+      session.patient.userId ? `<id root="${ID_ROOTS.user}" extension="${escapeXml(session.patient.userId)}"/>` : '',
+      `<patient>${personName(session.patient.name || mer.metadata?.patient || 'Patient')}</patient>`,
+      '</patientRole></recordTarget>',
+      `<author><time value="${generatedAt}"/>${author}</author>`,
+      '<custodian><assignedCustodian><representedCustodianOrganization>',
+      id('Custodian'),
+      '<name>AI Voice MER</name>',
+      '</representedCustodianOrganization></assignedCustodian></custodian>',
+      // Whoever signed it is the legal authenticator, not necessarily the session doctor
+      signed
+        ? `<legalAuthenticator><time value="${hl7Timestamp(signed.signedAt)}"/><signatureCode code="S"/>` +
+          `<assignedEntity><id root="${ID_ROOTS.user}" extension="${escapeXml(signed.signedBy.userId)}"/>` +
+          `<assignedPerson>${personName(signed.signedBy.name)}</assignedPerson></assignedEntity></legalAuthenticator>`
+        : '',
+      '<componentOf><encompassingEncounter>',
+      `<id root="${ID_ROOTS.session}" extension="${escapeXml(sessionId)}"/>`,
+      '<effectiveTime>',
+      `<low value="${hl7Timestamp(recordingStartTime || createdAt)}"/>`,
+      recordingEndTime ? `<high value="${hl7Timestamp(recordingEndTime)}"/>` : '',
+      '</effectiveTime>',
+      `<encounterParticipant typeCode="ATND">${author.replace(/assignedAuthor/g, 'assignedEntity')}</encounterParticipant>`,
+      '</encompassingEncounter></componentOf>',
+      `<component><structuredBody>${sections.join('')}</structuredBody></component>`,
+      '</ClinicalDocument>',
+      ''
+    ].filter((line, index, lines) => line !== '' || index === lines.length - 1).join('\n');
+  }
+
+  /**
+   * Check the document has the header and sections a Progress Note needs,
+   * and that all text was escaped (no stray markup or entities)
+   * @param {string} xml - ClinicalDocument XML
+   * @returns {Object} { valid, errors }
+   */
+  validate(xml) {
+    const errors = [];
+    const required = [
+      '<typeId root="2.16.840.1.113883.1.3" extension="POCD_HD000040"/>',
+      '<templateId root="2.16.840.1.113883.10.20.22.1.9" extension="2015-08-01"/>',
+      '<code code="11506-3"',
+      '<recordTarget>',
+      '<author>',
+      '<custodian>',
+      '<structuredBody>'
+    ];
+    required.filter(fragment => !xml.includes(fragment))
+      .forEach(fragment => errors.push(`Missing ${fragment}`));
+
+    Object.values(SECTIONS)
+      .filter(section => !xml.includes(`<templateId root="${section.templateId}"/>`))
+      .forEach(section => errors.push(`Missing ${section.title} section`));
+    if (/&(?!(amp|lt|gt|quot|apos);)/.test(xml)) {
+      errors.push('Unescaped ampersand');
+    }
+
+    // Every element that opens must close, in order
+    const open = [];
+    for (const [tag, closing, name, selfClosing] of xml.matchAll(/<(\/?)([A-Za-z][\w:]*)[^>]*?(\/?)>/g)) {
+      if (selfClosing) continue;
+      if (!closing) {
+        open.push(name);
+      } else if (open.pop() !== name) {
+        errors.push(`Unexpected ${tag}`);
+        break;
+      }
+    }
+    if (open.length > 0 && errors.every(error => !error.startsWith('Unexpected'))) {
+      errors.push(`Unclosed <${open[open.length - 1]}>`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = new CCDAExporter();
@@ -0,0 +1,184 @@
+const { v5: uuidv5 } = require('uuid');
+const { DEFAULT_TEMPLATE_ID, BUILT_IN_TEMPLATES } = require('../noteTemplates');
+
+/**
+ * Helpers shared by the MER exporters
+ */
+
+// Namespace for document and resource IDs, so exporting a session twice yields the same IDs
+const ID_NAMESPACE = '6f1c2b5e-8d4a-4e7b-9c3f-2a1d0e5b7c9a';
+const IDENTIFIER_SYSTEM = 'urn:ai-voice-mer';
+
+// LOINC codes of the MER sections, used by every format
+const SECTION_CODES = {
+  subjective: { code: '61150-9', display: 'Subjective Narrative' },
+  objective: { code: '61149-1', display: 'Objective Narrative' },
+  assessment: { code: '51848-0', display: 'Evaluation note' },
+  plan: { code: '18776-5', display: 'Plan of care note' },
+  allergies: { code: '48765-2', display: 'Allergies and adverse reactions Document' },
+  addenda: { code: '55107-7', display: 'Addendum Document' }
+};
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+/**
+ * Stable ID for a part of a session's export
+ * @param {string} sessionId - Session identifier
+ * @param {string} key - What the ID is for, e.g. 'Patient' or 'Condition/0'
+ * @returns {string} UUID
+ */
+function stableId(sessionId, key) {
+  return uuidv5(`${sessionId}/${key}`, ID_NAMESPACE);
+}
+
+/**
+ * Human-readable label for a camelCase MER field, e.g. chiefComplaint -> Chief complaint
+ */
+function fieldLabel(key) {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Populated fields of a SOAP section as label/text pairs, lists joined with "; "
+ * @param {Object} fields - e.g. soapNotes.subjective
+ * @param {Object} labels - Labels by field key; other fields are labelled from their key
+ * @returns {Array<Object>} [{ label, text }]
+ */
+function fieldLines(fields, labels = {}) {
+  return Object.entries(fields || {})
+    .filter(([key, value]) => key !== 'evidence' && (Array.isArray(value) ? value.length > 0 : value))
+    .map(([key, value]) => ({
+      label: labels[key] || fieldLabel(key),
+      text: Array.isArray(value) ? value.join('; ') : String(value)
+    }));
+}
+
+/**
+ * Sections of a MER's clinical notes in the order of the note template it was
+ * written with. MERs from before note templates use the default template.
+ * The SOAP sections carry their LOINC code; other sections carry the code
+ * their template gave them, if any.
+ * @param {Object} mer - MER document
+ * @returns {Array<Object>} [{ key, title, code, lines: [{ label, text }] }]
+ */
+function noteSections(mer) {
+  const { sections } = mer.metadata?.template || BUILT_IN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID);
+  return sections.map(({ key, title, code, fields }) => {
+    const notes = mer.soapNotes?.[key] || {};
+    return {
+      key,
+      title,
+      code: SOAP_SECTIONS.includes(key) ? SECTION_CODES[key] : code || null,
+      lines: fieldLines(
+        Object.fromEntries(fields.map(field => [field.key, notes[field.key]])),
+        Object.fromEntries(fields.filter(field => field.label).map(field => [field.key, field.label]))
+      )
+    };
+  });
+}
+
+/**
+ * Date and time as printed, e.g. "2026-10-19 14:05 UTC"
+ */
+function formatDate(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * HL7 timestamp (YYYYMMDDHHMMSS+0000), as used by HL7 v2 and CDA
+ */
+function hl7Timestamp(date) {
+  return `${new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14)}+0000`;
+}
+
+/**
+ * Escape text for XML and XHTML
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * ICD-10 codes of a MER, primary first
+ * @returns {Array<Object>} [{ code, description, confidence, primary }]
+ */
+function diagnoses(mer) {
+  const { primary, secondary = [] } = mer.icdCodes || {};
+  return [
+    ...(primary?.code ? [{ ...primary, primary: true }] : []),
+    ...secondary.filter(code => code?.code).map(code => ({ ...code, primary: false }))
+  ];
+}
+
+/**
+ * Prescribed medications that name a medication
+ */
+function prescribed(mer) {
+  return (mer.prescriptions?.prescribed || []).filter(item => item?.medication);
+}
+
+/**
+ * Dosage of a prescription as one line, e.g. "20mg capsule, Once daily, for 4 weeks"
+ */
+function dosageText(item) {
+  return [item.dosage, item.frequency, item.duration && `for ${item.duration}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Review status of a MER: draft, under_review, signed or amended
+ */
+function reviewStatus(mer) {
+  return mer.review?.status || 'draft';
+}
+
+/**
+ * Signature of a signed MER, or null
+ * @returns {Object|null} { signedBy: { userId, name }, signedAt, fingerprint }
+ */
+function signature(mer) {
+  return mer.review?.signature || null;
+}
+
+/**
+ * Addenda of a signed MER as label/text pairs, oldest first
+ * @returns {Array<Object>} [{ label, text, author, createdAt }]
+ */
+function addendumLines(mer) {
+  return (mer.addenda || []).map(addendum => ({
+    label: `Addendum by ${addendum.author?.name || 'Doctor'}, ${formatDate(addendum.createdAt)}`,
+    text: addendum.text,
+    author: addendum.author,
+    createdAt: addendum.createdAt
+  }));
+}
+
+/**
+ * Whether an allergy entry says there are none, e.g. "NKDA"
+ */
+function isNoKnownAllergy(allergy) {
+  return /^(nkda|nka|no known)/i.test(allergy);
+}
+
+module.exports = {
+  IDENTIFIER_SYSTEM,
+  SECTION_CODES,
+  stableId,
+  fieldLabel,
+  fieldLines,
+  noteSections,
+  formatDate,
+  hl7Timestamp,
+  escapeXml,
+  diagnoses,
+  prescribed,
+  dosageText,
+  reviewStatus,
+  signature,
+  addendumLines,
+  isNoKnownAllergy
+};
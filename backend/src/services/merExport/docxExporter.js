@@ -0,0 +1,222 @@
+const {
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Tab,
+  TabStopType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { printLayout } = require('./printLayout');
+
+const FONT = 'Arial';
+const MUTED = '555555';
+const RULE = '999999';
+
+/**
+ * Image type docx needs for a logo, from its file signature
+ */
+function imageType(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpg';
+  return null;
+}
+
+/**
+ * DOCX Exporter
+ * Renders a session's MER as an editable Word document with the same layout
+ * as the PDF: the letterhead as the page header, encounter details, the SOAP
+ * sections, ICD-10 codes, a prescription table, allergies and the doctor's
+ * signature block and any addenda, with "Page n of m" in the footer.
+ */
+class DOCXExporter {
+  /**
+   * Build the DOCX for a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @returns {Promise<Buffer>} DOCX file
+   */
+  async build(session) {
+    const layout = await printLayout(session);
+    const patient = layout.details[0][1];
+
+    const document = new Document({
+      creator: layout.signature.signer,
+      title: `${layout.title} - ${patient}`,
+      ...(layout.signature.fingerprint && { keywords: `sha256:${layout.signature.fingerprint}` }),
+      styles: { default: { document: { run: { font: FONT, size: 20 } } } },
+      sections: [{
+        properties: {
+          page: { margin: { top: 1000, bottom: 1000, left: 1000, right: 1000, header: 500, footer: 500 } }
+        },
+        headers: { default: this.letterhead(layout.letterhead) },
+        footers: { default: this.footer(`${layout.title} - ${patient}`) },
+        children: [
+          new Paragraph({ text: layout.title, heading: HeadingLevel.TITLE }),
+          ...layout.details.map(([label, value]) => new Paragraph({
+            children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+          })),
+          ...layout.sections.flatMap(section => this.section(section)),
+          this.heading('Diagnoses (ICD-10)'),
+          this.table(layout.diagnoses, [15, 55, 15, 15]),
+          this.heading('Prescriptions'),
+          this.table(layout.prescriptions, [22, 14, 18, 14, 32]),
+          this.heading('Allergies'),
+          new Paragraph(layout.allergies.join('; ') || 'None recorded'),
+          ...this.signature(layout.signature),
+          ...this.addenda(layout.addenda)
+        ]
+      }]
+    });
+
+    return Packer.toBuffer(document);
+  }
+
+  /**
+   * Page header: logo, clinic name and contact lines over a rule
+   */
+  letterhead({ name, lines, logo }) {
+    const type = logo && imageType(logo);
+    if (logo && !type) {
+      console.warn('⚠️ Clinic logo is not a PNG or JPEG and is left out of the DOCX');
+    }
+
+    return new Header({
+      children: [
+        new Paragraph({
+          children: [
+            ...(type ? [new ImageRun({ type, data: logo, transformation: { width: 48, height: 48 } }), new TextRun('  ')] : []),
+            new TextRun({ text: name, bold: true, size: 32 })
+          ]
+        }),
+        ...lines.map((line, index) => new Paragraph({
+          children: [new TextRun({ text: line, size: 18, color: MUTED })],
+          ...(index === lines.length - 1 && { border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: RULE, space: 4 } } })
+        }))
+      ]
+    });
+  }
+
+  /**
+   * Page footer: the document title on the left and "Page n of m" on the right
+   */
+  footer(text) {
+    return new Footer({
+      children: [new Paragraph({
+        tabStops: [{ type: TabStopType.RIGHT, position: 9900 }],
+        children: [
+          new TextRun({ text, size: 16, color: MUTED }),
+          new TextRun({ children: [new Tab(), 'Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 16, color: MUTED })
+        ]
+      })]
+    });
+  }
+
+  /**
+   * Section heading
+   */
+  heading(text) {
+    return new Paragraph({ text, heading: HeadingLevel.HEADING_2, spacing: { before: 240, after: 80 } });
+  }
+
+  /**
+   * SOAP section, one "Label: text" paragraph per populated field
+   */
+  section({ title, lines }) {
+    return [
+      this.heading(title),
+      ...(lines.length === 0
+        ? [new Paragraph('Not discussed')]
+        : lines.map(({ label, text }) => new Paragraph({
+          spacing: { after: 60 },
+          children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(text)]
+        })))
+    ];
+  }
+
+  /**
+   * Table with a shaded header row that repeats on every page
+   * @param {Object} table - { headers, rows }
+   * @param {Array<number>} widths - Column widths in percent
+   */
+  table({ headers, rows }, widths) {
+    if (rows.length === 0) {
+      return new Paragraph('None recorded');
+    }
+
+    const row = (cells, header = false) => new TableRow({
+      tableHeader: header,
+      cantSplit: true,
+      children: cells.map((text, index) => new TableCell({
+        width: { size: widths[index], type: WidthType.PERCENTAGE },
+        ...(header && { shading: { type: ShadingType.CLEAR, fill: 'EEEEEE', color: 'auto' } }),
+        children: [new Paragraph({ children: [new TextRun({ text: String(text), bold: header, size: 18 })] })]
+      }))
+    });
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [row(headers, true), ...rows.map(cells => row(cells))]
+    });
+  }
+
+  /**
+   * Signature line for the doctor, kept together on one page
+   */
+  signature({ signer, signedAt, fingerprint, status }) {
+    const muted = text => new TextRun({ text, size: 18, color: MUTED });
+    return [
+      new Paragraph({
+        spacing: { before: 720 },
+        keepNext: true,
+        border: { top: { style: BorderStyle.SINGLE, size: 4, color: '000000', space: 4 } },
+        indent: { right: 5400 },
+        children: [new TextRun({ text: signer, bold: true })]
+      }),
+      ...(signedAt
+        ? [
+          new Paragraph({ keepNext: true, children: [muted(`Electronically signed ${signedAt}`)] }),
+          new Paragraph({ children: [muted(`Document SHA-256: ${fingerprint}`)] })
+        ]
+        : [new Paragraph({ children: [muted(status)] })])
+    ];
+  }
+
+  /**
+   * Addenda the doctor appended after signing, oldest first
+   */
+  addenda(addenda) {
+    if (addenda.length === 0) {
+      return [];
+    }
+    return [
+      this.heading('Addenda'),
+      ...addenda.flatMap(({ label, text }) => [
+        new Paragraph({ keepNext: true, children: [new TextRun({ text: label, bold: true })] }),
+        new Paragraph({ spacing: { after: 120 }, text })
+      ])
+    ];
+  }
+
+  /**
+   * Check the output is a DOCX (ZIP) file
+   * @param {Buffer} docx - DOCX file
+   * @returns {Object} { valid, errors }
+   */
+  validate(docx) {
+    const valid = docx.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))
+      && docx.includes('word/document.xml');
+    return { valid, errors: valid ? [] : ['Not a DOCX package'] };
+  }
+}
+
+module.exports = new DOCXExporter();
@@ -0,0 +1,325 @@
+const Ajv = require('ajv');
+const {
+  IDENTIFIER_SYSTEM,
+  SECTION_CODES,
+  stableId,
+  fieldLines,
+  noteSections,
+  escapeXml,
+  diagnoses,
+  prescribed,
+  dosageText,
+  reviewStatus,
+  signature,
+  addendumLines,
+  isNoKnownAllergy
+} = require('./common');
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10';
+
+// Review status of the MER as the Composition status; only a signed MER is final
+const COMPOSITION_STATUS = {
+  draft: 'preliminary',
+  under_review: 'preliminary',
+  signed: 'final',
+  amended: 'amended'
+};
+
+const reference = { type: 'object', required: ['reference'], properties: { reference: { type: 'string' } } };
+const codeableConcept = {
+  type: 'object',
+  anyOf: [{ required: ['coding'] }, { required: ['text'] }],
+  properties: {
+    coding: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['system', 'code'], properties: { system: { type: 'string' }, code: { type: 'string' } } }
+    },
+    text: { type: 'string' }
+  }
+};
+
+/**
+ * Required elements of each resource in the R4 base specification (those with
+ * a minimum cardinality of 1), plus the references this export always sets
+ */
+const RESOURCE_SCHEMAS = {
+  Patient: { required: [] },
+  Practitioner: { required: [] },
+  Encounter: {
+    required: ['status', 'class', 'subject'],
+    properties: {
+      status: { enum: ['planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'] },
+      class: { type: 'object', required: ['system', 'code'] },
+      subject: reference
+    }
+  },
+  Composition: {
+    required: ['status', 'type', 'date', 'author', 'title', 'subject', 'encounter'],
+    properties: {
+      status: { enum: ['preliminary', 'final', 'amended', 'entered-in-error'] },
+      type: codeableConcept,
+      date: { type: 'string' },
+      author: { type: 'array', minItems: 1, items: reference },
+      title: { type: 'string', minLength: 1 },
+      subject: reference,
+      encounter: reference,
+      section: {
+        type: 'array',
+        items: {
+          type: 'object',
+          // Note template sections without a LOINC code have no code
+          required: ['title', 'text'],
+          properties: {
+            code: codeableConcept,
+            text: { type: 'object', required: ['status', 'div'] },
+            entry: { type: 'array', items: reference }
+          }
+        }
+      }
+    }
+  },
+  Condition: {
+    required: ['subject', 'code'],
+    properties: { subject: reference, encounter: reference, code: codeableConcept }
+  },
+  MedicationRequest: {
+    required: ['status', 'intent', 'subject', 'medicationCodeableConcept'],
+    properties: {
+      status: { enum: ['active', 'on-hold', 'cancelled', 'completed', 'entered-in-error', 'stopped', 'draft', 'unknown'] },
+      intent: { enum: ['proposal', 'plan', 'order', 'original-order', 'reflex-order', 'filler-order', 'instance-order', 'option'] },
+      subject: reference,
+      medicationCodeableConcept: codeableConcept
+    }
+  },
+  AllergyIntolerance: {
+    required: ['patient', 'code'],
+    properties: { patient: reference, code: codeableConcept }
+  }
+};
+
+const BUNDLE_SCHEMA = {
+  type: 'object',
+  required: ['resourceType', 'type', 'timestamp', 'identifier', 'entry'],
+  properties: {
+    resourceType: { const: 'Bundle' },
+    type: { const: 'document' },
+    entry: {
+      type: 'array',
+      minItems: 1,
+      // A document Bundle starts with its Composition
+      items: [{ type: 'object', properties: { resource: { type: 'object', properties: { resourceType: { const: 'Composition' } } } } }],
+      additionalItems: true,
+      allOf: [{
+        items: {
+          type: 'object',
+          required: ['fullUrl', 'resource'],
+          properties: {
+            fullUrl: { type: 'string', pattern: '^urn:uuid:' },
+            resource: {
+              type: 'object',
+              required: ['resourceType', 'id'],
+              properties: { resourceType: { enum: Object.keys(RESOURCE_SCHEMAS) } },
+              allOf: Object.entries(RESOURCE_SCHEMAS).map(([resourceType, schema]) => ({
+                if: { properties: { resourceType: { const: resourceType } } },
+                then: { type: 'object', ...schema }
+              }))
+            }
+          }
+        }
+      }]
+    }
+  }
+};
+
+const validateStructure = new Ajv({ allErrors: true, strictTuples: false }).compile(BUNDLE_SCHEMA);
+
+/**
+ * FHIR Exporter
+ * Turns a session's MER into a FHIR R4 document Bundle: a Composition with
+ * the note template's sections, the Patient, Practitioner and Encounter it refers to,
+ * Conditions from the ICD-10 codes, MedicationRequests from the prescribed
+ * medications and AllergyIntolerances from the allergies. Everything comes
+ * from an AI-generated record, so Conditions are provisional and
+ * allergies unconfirmed until a clinician reviews them.
+ */
+class FHIRExporter {
+  /**
+   * Narrative for a section, one paragraph per line
+   * @param {Array<Object>} lines - [{ label, text }], e.g. from fieldLines
+   * @returns {Object} FHIR Narrative
+   */
+  narrative(lines) {
+    const paragraphs = lines
+      .map(({ label, text }) => `<p><b>${escapeXml(label)}:</b> ${escapeXml(text)}</p>`);
+
+    return {
+      status: 'generated',
+      div: `<div xmlns="http://www.w3.org/1999/xhtml">${paragraphs.join('') || '<p>Not discussed</p>'}</div>`
+    };
+  }
+
+  /**
+   * Build the Bundle for a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @returns {Object} FHIR R4 Bundle of type document
+   */
+  build(session) {
+    const mer = session.merDocument;
+    const sessionId = session.id;
+    const generatedAt = new Date(mer.metadata?.generatedAt || Date.now()).toISOString();
+    const entries = [];
+
+    const add = (key, resource) => {
+      const id = stableId(sessionId, key);
+      entries.push({ fullUrl: `urn:uuid:${id}`, resource: { id, ...resource } });
+      return { reference: `urn:uuid:${id}` };
+    };
+
+    const patient = add('Patient', {
+      resourceType: 'Patient',
+      ...(session.patient.userId && { identifier: [{ system: `${IDENTIFIER_SYSTEM}:user`, value: session.patient.userId }] }),
+      name: [{ text: session.patient.name || mer.metadata?.patient || 'Patient' }]
+    });
+
+    const practitioner = add('Practitioner', {
+      resourceType: 'Practitioner',
+      ...(session.doctor.userId && { identifier: [{ system: `${IDENTIFIER_SYSTEM}:user`, value: session.doctor.userId }] }),
+      name: [{ text: session.doctor.name || mer.metadata?.doctor || 'Doctor' }]
+    });
+
+    const { recordingStartTime, recordingEndTime, createdAt } = session.metadata;
+    const encounter = add('Encounter', {
+      resourceType: 'Encounter',
+      identifier: [{ system: `${IDENTIFIER_SYSTEM}:session`, value: sessionId }],
+      status: recordingEndTime || session.status === 'ended' ? 'finished' : 'in-progress',
+      class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'VR', display: 'virtual' },
+      subject: patient,
+      participant: [{ individual: practitioner }],
+      period: {
+        start: new Date(recordingStartTime || createdAt).toISOString(),
+        ...(recordingEndTime && { end: new Date(recordingEndTime).toISOString() })
+      }
+    });
+
+    const conditions = diagnoses(mer).map((code, index) => add(`Condition/${index}`, {
+      resourceType: 'Condition',
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+      verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'provisional' }] },
+      category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }] }],
+      code: { coding: [{ system: ICD10, code: code.code, display: code.description }], text: code.description },
+      subject: patient,
+      encounter,
+      recordedDate: generatedAt,
+      recorder: practitioner,
+      ...(code.primary && { note: [{ text: 'Primary diagnosis' }] })
+    }));
+
+    const medications = prescribed(mer).map((item, index) => {
+      const dosage = dosageText(item);
+      return add(`MedicationRequest/${index}`, {
+        resourceType: 'MedicationRequest',
+        status: 'active',
+        intent: 'order',
+        medicationCodeableConcept: { text: item.medication },
+        subject: patient,
+        encounter,
+        authoredOn: generatedAt,
+        requester: practitioner,
+        ...(item.indication && { reasonCode: [{ text: item.indication }] }),
+        dosageInstruction: [{
+          text: dosage || item.medication,
+          ...(item.instructions && { patientInstruction: item.instructions })
+        }]
+      });
+    });
+
+    const allergies = (mer.prescriptions?.allergies || []).filter(Boolean).map((allergy, index) => add(`AllergyIntolerance/${index}`, {
+      resourceType: 'AllergyIntolerance',
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }] },
+      verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification', code: 'unconfirmed' }] },
+      // "NKDA" and the like are recorded with the SNOMED CT code for no known allergy
+      code: isNoKnownAllergy(allergy)
+        ? { coding: [{ system: SNOMED, code: '716186003', display: 'No known allergy' }], text: allergy }
+        : { text: allergy },
+      patient,
+      encounter,
+      recordedDate: generatedAt
+    }));
+
+    const section = ({ title, code, lines }, sectionEntries = []) => ({
+      title,
+      ...(code && { code: { coding: [{ system: LOINC, ...code }] } }),
+      text: this.narrative(lines),
+      ...(sectionEntries.length > 0 && { entry: sectionEntries })
+    });
+    // Diagnoses and prescriptions belong to the Assessment and Plan of the note template
+    const sectionEntries = { assessment: conditions, plan: medications };
+
+    const signed = signature(mer);
+    // The attester is whoever signed, who need not be the session doctor
+    const signer = signed && (signed.signedBy.userId === session.doctor.userId
+      ? practitioner
+      : add('Practitioner/signer', {
+        resourceType: 'Practitioner',
+        identifier: [{ system: `${IDENTIFIER_SYSTEM}:user`, value: signed.signedBy.userId }],
+        name: [{ text: signed.signedBy.name }]
+      }));
+    const addenda = addendumLines(mer);
+    const compositionId = stableId(sessionId, 'Composition');
+    entries.unshift({
+      fullUrl: `urn:uuid:${compositionId}`,
+      resource: {
+        resourceType: 'Composition',
+        id: compositionId,
+        status: COMPOSITION_STATUS[reviewStatus(mer)],
+        type: { coding: [{ system: LOINC, code: '11488-4', display: 'Consult note' }] },
+        subject: patient,
+        encounter,
+        date: generatedAt,
+        author: [practitioner],
+        ...(signed && { attester: [{ mode: 'legal', time: signed.signedAt, party: signer }] }),
+        title: 'Medical Encounter Record',
+        ...(mer.metadata?.documentationLanguage && { language: mer.metadata.documentationLanguage }),
+        section: [
+          ...noteSections(mer).map(note => section(note, sectionEntries[note.key])),
+          section({
+            title: SECTION_CODES.allergies.display,
+            code: SECTION_CODES.allergies,
+            lines: fieldLines({ allergies: mer.prescriptions?.allergies })
+          }, allergies),
+          ...(addenda.length > 0
+            ? [section({ title: SECTION_CODES.addenda.display, code: SECTION_CODES.addenda, lines: addenda })]
+            : [])
+        ]
+      }
+    });
+
+    return {
+      resourceType: 'Bundle',
+      identifier: { system: `${IDENTIFIER_SYSTEM}:mer`, value: stableId(sessionId, 'Bundle') },
+      type: 'document',
+      timestamp: new Date().toISOString(),
+      entry: entries
+    };
+  }
+
+  /**
+   * Check a Bundle against the required structure of its resources
+   * @param {Object} bundle - FHIR Bundle
+   * @returns {Object} { valid, errors }
+   */
+  validate(bundle) {
+    const valid = validateStructure(bundle);
+    return {
+      valid,
+      errors: valid ? [] : validateStructure.errors
+        .filter(error => error.keyword !== 'if')
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+    };
+  }
+}
+
+module.exports = new FHIRExporter();
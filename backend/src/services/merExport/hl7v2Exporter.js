@@ -0,0 +1,178 @@
+const {
+  SECTION_CODES,
+  stableId,
+  noteSections,
+  hl7Timestamp,
+  diagnoses,
+  prescribed,
+  dosageText,
+  reviewStatus,
+  addendumLines
+} = require('./common');
+
+const SENDING_APPLICATION = 'AI_VOICE_MER';
+const SEGMENT_SEPARATOR = '\r';
+
+// OBX codes for the coded parts of the record
+const DIAGNOSIS_CODE = { code: '29308-4', display: 'Diagnosis' };
+const MEDICATIONS_CODE = { code: '10160-0', display: 'History of Medication use Narrative' };
+
+/**
+ * Escape text for an HL7 v2 field. The escape character goes first so the
+ * escapes added for the other delimiters aren't escaped again; line breaks
+ * become the \.br\ formatting command.
+ * @param {*} value - Field text
+ * @returns {string} Escaped text
+ */
+function escapeHL7(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\E\\')
+    .replace(/\|/g, '\\F\\')
+    .replace(/\^/g, '\\S\\')
+    .replace(/&/g, '\\T\\')
+    .replace(/~/g, '\\R\\')
+    .replace(/\r\n|\r|\n/g, '\\.br\\');
+}
+
+/**
+ * Person name as XPN/XCN components: family^given, from a single display name
+ */
+function personName(name) {
+  const parts = String(name || '').trim().split(/\s+/);
+  const family = parts.pop();
+  return `${escapeHL7(family)}^${escapeHL7(parts.join(' '))}`;
+}
+
+/**
+ * Build a segment from its fields keyed by position, e.g. { 1: '1', 5: 'Doe^Jane' }.
+ * Positions left out are sent empty.
+ */
+function segment(id, fields) {
+  const last = Math.max(...Object.keys(fields).map(Number));
+  const values = Array.from({ length: last }, (_, index) => fields[index + 1] ?? '');
+  return [id, ...values].join('|');
+}
+
+/**
+ * HL7 v2 Exporter
+ * Turns a session's MER into an HL7 v2.5 MDM^T02 (original document
+ * notification and content) message. The note sections, diagnoses,
+ * medications and allergies are sent as OBX segments coded with LOINC, one
+ * per field, so receivers that only display OBX-5 still get readable text.
+ */
+class HL7v2Exporter {
+  /**
+   * Build the message for a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @returns {string} MDM^T02 message, segments separated by carriage returns
+   */
+  build(session) {
+    const mer = session.merDocument;
+    const generatedAt = hl7Timestamp(mer.metadata?.generatedAt || Date.now());
+    const now = hl7Timestamp(Date.now());
+    const doctor = `${escapeHL7(session.doctor.userId || '')}^${personName(session.doctor.name || mer.metadata?.doctor)}`;
+    const { recordingStartTime, recordingEndTime, createdAt } = session.metadata;
+    const authenticated = ['signed', 'amended'].includes(reviewStatus(mer));
+
+    const segments = [
+      // MSH-1 is the field separator itself, so MSH positions are one lower than the field numbers
+      segment('MSH', {
+        1: '^~\\&',
+        2: SENDING_APPLICATION,
+        6: now,
+        8: 'MDM^T02^MDM_T02',
+        9: stableId(session.id, `Message/${now}`).replace(/-/g, '').slice(0, 20),
+        10: 'P',
+        11: '2.5'
+      }),
+      segment('EVN', { 1: 'T02', 2: now }),
+      segment('PID', {
+        1: '1',
+        3: `${escapeHL7(session.patient.userId || stableId(session.id, 'Patient'))}^^^${SENDING_APPLICATION}`,
+        5: personName(session.patient.name || mer.metadata?.patient || 'Patient')
+      }),
+      segment('PV1', {
+        1: '1',
+        2: 'O',
+        7: doctor,
+        19: `${escapeHL7(session.id)}^^^${SENDING_APPLICATION}`,
+        44: hl7Timestamp(recordingStartTime || createdAt),
+        45: recordingEndTime ? hl7Timestamp(recordingEndTime) : ''
+      }),
+      segment('TXA', {
+        1: '1',
+        2: 'CN^Consultation Note',
+        3: 'TX',
+        4: generatedAt,
+        5: doctor,
+        6: generatedAt,
+        9: doctor,
+        12: `${stableId(session.id, 'Document')}^${SENDING_APPLICATION}`,
+        // Authenticated once the doctor signed it, documented until then
+        17: authenticated ? 'AU' : 'DO',
+        19: 'AV'
+      })
+    ];
+
+    let setId = 0;
+    const observation = (valueType, code, subId, value) => segment('OBX', {
+      1: String(++setId),
+      2: valueType,
+      3: `${escapeHL7(code.code)}^${escapeHL7(code.display)}^${code.system || 'LN'}`,
+      4: String(subId),
+      5: value,
+      11: 'P',
+      14: generatedAt
+    });
+    const textLines = (code, lines) => lines.forEach(({ label, text }, index) => {
+      segments.push(observation('TX', code, index + 1, `${escapeHL7(label)}: ${escapeHL7(text)}`));
+    });
+
+    // Note template sections without a LOINC code are sent with their key as a local code
+    noteSections(mer).forEach(({ key, title, code, lines }) => {
+      textLines(code || { code: key, display: title, system: 'L' }, lines);
+    });
+    diagnoses(mer).forEach((code, index) => {
+      segments.push(observation('CE', DIAGNOSIS_CODE, index + 1, `${escapeHL7(code.code)}^${escapeHL7(code.description)}^I10`));
+    });
+    textLines(MEDICATIONS_CODE, prescribed(mer).map(item => ({
+      label: item.medication,
+      text: [dosageText(item), item.instructions, item.indication && `for ${item.indication}`].filter(Boolean).join('. ') || 'As directed'
+    })));
+    textLines(SECTION_CODES.allergies, (mer.prescriptions?.allergies || []).filter(Boolean).map(allergy => ({ label: 'Allergy', text: allergy })));
+    textLines(SECTION_CODES.addenda, addendumLines(mer));
+
+    return segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+  }
+
+  /**
+   * Check the message structure: MDM^T02 segment order, and no delimiters or
+   * line breaks left unescaped inside a segment
+   * @param {string} message - HL7 v2 message
+   * @returns {Object} { valid, errors }
+   */
+  validate(message) {
+    const segments = message.split(SEGMENT_SEPARATOR).filter(Boolean);
+    const ids = segments.map(line => line.slice(0, 3));
+    const errors = [];
+
+    if (ids.slice(0, 5).join(',') !== 'MSH,EVN,PID,PV1,TXA') {
+      errors.push(`Segments must start MSH, EVN, PID, PV1, TXA (got ${ids.slice(0, 5).join(', ')})`);
+    }
+    ids.slice(5).forEach((id, index) => {
+      if (id !== 'OBX') errors.push(`Segment ${index + 6} must be OBX (got ${id})`);
+    });
+    segments.forEach((line, index) => {
+      if (!/^[A-Z][A-Z0-9]{2}\|/.test(line)) errors.push(`Segment ${index + 1} has no segment ID`);
+      if (/\n/.test(line)) errors.push(`Segment ${index + 1} contains a line break`);
+    });
+    if (segments[0]?.split('|')[8] !== 'MDM^T02^MDM_T02') {
+      errors.push('MSH-9 must be MDM^T02^MDM_T02');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = new HL7v2Exporter();
+module.exports.escapeHL7 = escapeHL7;
@@ -0,0 +1,104 @@
+const FHIRExporter = require('./fhirExporter');
+const HL7v2Exporter = require('./hl7v2Exporter');
+const CCDAExporter = require('./ccdaExporter');
+const PDFExporter = require('./pdfExporter');
+const DOCXExporter = require('./docxExporter');
+
+/**
+ * Raised when a MER can't be exported
+ */
+class MERExportError extends Error {
+  constructor(message, code = 'EXPORT_FAILED', status = 500, validationErrors = []) {
+    super(message);
+    this.name = 'MERExportError';
+    this.code = code;
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * Export formats. Each exporter has build(session), returning the document
+ * (or a promise of it), and may have validate(document) -> { valid, errors }.
+ */
+const FORMATS = {
+  fhir: {
+    exporter: FHIRExporter,
+    contentType: 'application/fhir+json',
+    extension: 'json',
+    serialize: bundle => JSON.stringify(bundle, null, 2)
+  },
+  hl7v2: {
+    exporter: HL7v2Exporter,
+    contentType: 'x-application/hl7-v2+er7',
+    extension: 'hl7'
+  },
+  ccda: {
+    exporter: CCDAExporter,
+    contentType: 'application/xml',
+    extension: 'xml'
+  },
+  pdf: {
+    exporter: PDFExporter,
+    contentType: 'application/pdf',
+    extension: 'pdf'
+  },
+  docx: {
+    exporter: DOCXExporter,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  }
+};
+
+/**
+ * MER Export Service
+ * Builds a session's MER in one of the export formats and checks the result
+ * before it leaves the server.
+ */
+class MERExportService {
+  /**
+   * Names of the supported formats
+   */
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @param {string} format - One of the supported formats
+   * @returns {Promise<Object>} { document, body, contentType, filename }
+   */
+  async export(session, format) {
+    const definition = FORMATS[format];
+    if (!definition) {
+      throw new MERExportError(
+        `Unsupported export format; use one of: ${this.formats.join(', ')}`, 'UNSUPPORTED_FORMAT', 400
+      );
+    }
+    if (!session.merDocument) {
+      throw new MERExportError('No MER document has been generated for this session', 'MER_NOT_FOUND', 404);
+    }
+
+    const { exporter, contentType, extension, serialize } = definition;
+    const document = await exporter.build(session);
+
+    if (exporter.validate) {
+      const { valid, errors } = exporter.validate(document);
+      if (!valid) {
+        console.error(`Generated ${format} export is invalid:`, errors);
+        throw new MERExportError(`Failed to build a valid ${format} export`, 'EXPORT_INVALID', 500, errors);
+      }
+    }
+
+    return {
+      document,
+      body: serialize ? serialize(document) : document,
+      contentType,
+      filename: `mer-${session.id}.${extension}`
+    };
+  }
+}
+
+module.exports = new MERExportService();
+module.exports.MERExportError = MERExportError;
@@ -0,0 +1,213 @@
+const PDFDocument = require('pdfkit');
+const { printLayout } = require('./printLayout');
+
+const FONT = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+const MUTED = '#555555';
+const RULE = '#999999';
+
+/**
+ * PDF Exporter
+ * Renders a session's MER as a printable A4 PDF: clinic letterhead, encounter
+ * details, the SOAP sections, ICD-10 codes, a prescription table, allergies
+ * the doctor's signature block and any addenda, with "Page n of m" on every page.
+ */
+class PDFExporter {
+  /**
+   * Build the PDF for a session's MER
+   * @param {Object} session - Session with its merDocument
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async build(session) {
+    const layout = await printLayout(session);
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 60, left: 50, right: 50 },
+      bufferPages: true,
+      info: {
+        Title: `${layout.title} - ${layout.details[0][1]}`,
+        Author: layout.signature.signer,
+        Creator: layout.letterhead.name,
+        ...(layout.signature.fingerprint && { Keywords: `sha256:${layout.signature.fingerprint}` })
+      }
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this.letterhead(doc, layout);
+    this.details(doc, layout.details);
+    layout.sections.forEach(section => this.section(doc, section));
+    this.heading(doc, 'Diagnoses (ICD-10)');
+    this.table(doc, layout.diagnoses, [60, '*', 70, 70]);
+    this.heading(doc, 'Prescriptions');
+    this.table(doc, layout.prescriptions, [100, 70, 80, 60, '*']);
+    this.heading(doc, 'Allergies');
+    this.body(doc, layout.allergies.join('; ') || 'None recorded');
+    this.signature(doc, layout.signature);
+    this.addenda(doc, layout.addenda);
+    this.pageNumbers(doc, layout);
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Clinic name and contact lines, with the logo to their left, over a rule
+   */
+  letterhead(doc, { letterhead, title }) {
+    const { left, right } = doc.page.margins;
+    const top = doc.y;
+    let textLeft = left;
+
+    if (letterhead.logo) {
+      try {
+        doc.image(letterhead.logo, left, top, { fit: [60, 60] });
+        textLeft = left + 70;
+      } catch (error) {
+        console.warn(`⚠️ Clinic logo could not be drawn: ${error.message}`);
+      }
+    }
+
+    doc.font(BOLD).fontSize(16).fillColor('black').text(letterhead.name, textLeft, top);
+    doc.font(FONT).fontSize(9).fillColor(MUTED);
+    letterhead.lines.forEach(line => doc.text(line, textLeft));
+
+    const ruleY = Math.max(doc.y, letterhead.logo ? top + 60 : 0) + 8;
+    doc.moveTo(left, ruleY).lineTo(doc.page.width - right, ruleY).strokeColor(RULE).lineWidth(1).stroke();
+    doc.font(BOLD).fontSize(14).fillColor('black').text(title, left, ruleY + 12);
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * Patient, doctor, encounter date and session as "Label: value" lines
+   */
+  details(doc, details) {
+    details.forEach(([label, value]) => {
+      doc.font(BOLD).fontSize(10).text(`${label}: `, { continued: true }).font(FONT).text(value);
+    });
+  }
+
+  /**
+   * Section heading at the left margin
+   */
+  heading(doc, title) {
+    doc.moveDown(0.8);
+    doc.font(BOLD).fontSize(12).fillColor('black').text(title, doc.page.margins.left);
+    doc.moveDown(0.3);
+  }
+
+  /**
+   * Plain paragraph at the left margin
+   */
+  body(doc, text) {
+    doc.font(FONT).fontSize(10).fillColor('black').text(text, doc.page.margins.left);
+  }
+
+  /**
+   * SOAP section, one "Label: text" paragraph per populated field
+   */
+  section(doc, { title, lines }) {
+    this.heading(doc, title);
+    if (lines.length === 0) {
+      return this.body(doc, 'Not discussed');
+    }
+    lines.forEach(({ label, text }) => {
+      doc.font(BOLD).fontSize(10).text(`${label}: `, doc.page.margins.left, undefined, { continued: true })
+        .font(FONT).text(text);
+      doc.moveDown(0.2);
+    });
+  }
+
+  /**
+   * Table with a shaded header row; rows that don't fit continue on a new page
+   */
+  table(doc, { headers, rows }, widths) {
+    if (rows.length === 0) {
+      return this.body(doc, 'None recorded');
+    }
+    doc.font(FONT).fontSize(9).fillColor('black');
+    doc.table({
+      columnStyles: widths.map(width => ({ width })),
+      rowStyles: index => (index === 0 ? { backgroundColor: '#eeeeee', font: { src: BOLD } } : {}),
+      defaultStyle: { borderColor: RULE, padding: 4 },
+      data: [headers, ...rows]
+    });
+    doc.x = doc.page.margins.left;
+  }
+
+  /**
+   * Signature line for the doctor, kept together on one page
+   */
+  signature(doc, { signer, signedAt, fingerprint, status }) {
+    const { left } = doc.page.margins;
+    if (doc.y + 90 > doc.page.maxY()) {
+      doc.addPage();
+    }
+
+    doc.moveDown(2);
+    const lineY = doc.y + 20;
+    doc.moveTo(left, lineY).lineTo(left + 220, lineY).strokeColor('black').lineWidth(0.5).stroke();
+    doc.font(BOLD).fontSize(10).fillColor('black').text(signer, left, lineY + 5);
+    doc.font(FONT).fontSize(9).fillColor(MUTED);
+    if (!signedAt) {
+      return doc.text(status, left);
+    }
+    doc.text(`Electronically signed ${signedAt}`, left)
+      .text(`Document SHA-256: ${fingerprint}`, left);
+  }
+
+  /**
+   * Addenda the doctor appended after signing, oldest first
+   */
+  addenda(doc, addenda) {
+    if (addenda.length === 0) {
+      return;
+    }
+    doc.moveDown(1);
+    this.heading(doc, 'Addenda');
+    addenda.forEach(({ label, text }) => {
+      doc.font(BOLD).fontSize(10).fillColor('black').text(label, doc.page.margins.left);
+      this.body(doc, text);
+      doc.moveDown(0.4);
+    });
+  }
+
+  /**
+   * "Page n of m" and the patient's name at the foot of every page
+   */
+  pageNumbers(doc, layout) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      const { left, right, bottom } = doc.page.margins;
+      const width = doc.page.width - left - right;
+      const y = doc.page.height - bottom + 20;
+
+      // Writing inside the bottom margin would otherwise add a page
+      doc.page.margins.bottom = 0;
+      doc.font(FONT).fontSize(8).fillColor(MUTED)
+        .text(`${layout.title} - ${layout.details[0][1]}`, left, y, { width, align: 'left', lineBreak: false })
+        .text(`Page ${index - start + 1} of ${count}`, left, y, { width, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  /**
+   * Check the output is a complete PDF file
+   * @param {Buffer} pdf - PDF file
+   * @returns {Object} { valid, errors }
+   */
+  validate(pdf) {
+    const errors = [];
+    if (pdf.subarray(0, 5).toString('latin1') !== '%PDF-') errors.push('Missing %PDF- header');
+    if (!pdf.subarray(-32).toString('latin1').includes('%%EOF')) errors.push('Missing %%EOF trailer');
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+module.exports = new PDFExporter();
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const config = require('../../config/config');
+const {
+  noteSections,
+  formatDate,
+  diagnoses,
+  prescribed,
+  reviewStatus,
+  signature,
+  addendumLines
+} = require('./common');
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  under_review: 'Under review',
+  signed: 'Signed',
+  amended: 'Signed, amended'
+};
+
+/**
+ * Printable MER layout
+ * Everything the PDF and DOCX exports print, in print order, so both
+ * renderers lay out the same letterhead, sections and tables.
+ */
+
+/**
+ * Clinic letterhead from config; the logo is left out if it can't be read
+ */
+async function letterhead() {
+  const { name, address, phone, email, logoPath } = config.clinic;
+  let logo = null;
+  if (logoPath) {
+    try {
+      logo = await fs.readFile(logoPath);
+    } catch (error) {
+      console.warn(`⚠️ Clinic logo ${logoPath} could not be read: ${error.message}`);
+    }
+  }
+
+  return {
+    name,
+    lines: [address, [phone, email].filter(Boolean).join(' · ')].filter(Boolean),
+    logo
+  };
+}
+
+/**
+ * Build the printable layout of a session's MER
+ * @param {Object} session - Session with its merDocument
+ * @returns {Promise<Object>} { letterhead, title, details, sections, diagnoses,
+ *   prescriptions, allergies, signature, addenda }
+ */
+async function printLayout(session) {
+  const mer = session.merDocument;
+  const doctor = session.doctor.name || mer.metadata?.doctor || 'Doctor';
+  const { recordingStartTime, createdAt } = session.metadata;
+  const signed = signature(mer);
+
+  return {
+    letterhead: await letterhead(),
+    title: 'Medical Encounter Record',
+    details: [
+      ['Patient', session.patient.name || mer.metadata?.patient || 'Patient'],
+      ['Doctor', doctor],
+      ['Encounter', formatDate(recordingStartTime || createdAt)],
+      ['Session', session.id],
+      ['Status', `${STATUS_LABELS[reviewStatus(mer)]} (version ${mer.review?.version || 1})`]
+    ],
+    sections: noteSections(mer).map(({ title, lines }) => ({ title, lines })),
+    diagnoses: {
+      headers: ['ICD-10', 'Description', 'Type', 'Confidence'],
+      rows: diagnoses(mer).map(code => [code.code, code.description || '', code.primary ? 'Primary' : 'Secondary', code.confidence || ''])
+    },
+    prescriptions: {
+      headers: ['Medication', 'Dosage', 'Frequency', 'Duration', 'Instructions'],
+      rows: prescribed(mer).map(item => [
+        item.medication,
+        item.dosage || '',
+        item.frequency || '',
+        item.duration || '',
+        [item.instructions, item.indication && `For ${item.indication}`].filter(Boolean).join('. ')
+      ])
+    },
+    allergies: (mer.prescriptions?.allergies || []).filter(Boolean),
+    // Only a MER the doctor signed carries a signature; anything else prints as an unsigned draft
+    signature: signed
+      ? { signer: signed.signedBy.name, signedAt: formatDate(signed.signedAt), fingerprint: signed.fingerprint }
+      : {
+        signer: doctor,
+        signedAt: null,
+        fingerprint: null,
+        status: reviewStatus(mer) === 'draft' ? 'Unsigned draft' : `Unsigned draft - ${STATUS_LABELS[reviewStatus(mer)]}`
+      },
+    addenda: addendumLines(mer)
+  };
+}
+
+module.exports = { printLayout };
@@ -1,6 +1,46 @@
 const OpenAI = require('openai');
 const config = require('../config/config');
 const MockAIService = require('./mockAIService');
+const { normalizeLanguage, languageName } = require('./languages');
+const { SECTION_SCHEMAS, MER_DOCUMENT_SCHEMA, validate } = require('./merSchemas');
+const MERTemplateService = require('./merTemplateService');
+const { DEFAULT_TEMPLATE_ID } = require('./noteTemplates');
+
+const SECTIONS = ['summary', 'soapNotes', 'icdCodes', 'prescriptions'];
+// Fields grounded as a whole rather than property by property (array items of objects are too)
+const WHOLE_FIELDS = new Set(['icdCodes.primary']);
+// Values that mean a field was left empty
+const UNPOPULATED = /^(not (discussed|mentioned|available)|n\/a)?\.?$/i;
+
+/**
+ * Lowercase and strip punctuation so quotes match regardless of formatting
+ */
+const normalizeQuote = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Raised when a MER or one of its sections can't be generated. Nothing is
+ * filled in instead, so placeholder content never ends up in a record.
+ */
+class MERGenerationError extends Error {
+  constructor(message, { section = null, code = 'MER_GENERATION_FAILED', status = 502 } = {}) {
+    super(message);
+    this.name = 'MERGenerationError';
+    this.code = code;
+    this.status = status;
+    this.section = section;
+  }
+}
+
+/**
+ * Raised when model output still doesn't match its schema after re-asking
+ */
+class MERValidationError extends MERGenerationError {
+  constructor(message, section, errors = []) {
+    super(message, { section, code: 'MER_SCHEMA_INVALID' });
+    this.name = 'MERValidationError';
+    this.errors = errors;
+  }
+}
 
 class MERGeneratorService {
   constructor() {
@@ -13,21 +53,31 @@ class MERGeneratorService {
   
   /**
    * Generate Medical Encounter Record from transcript
-   * @param {Object} data - Session data with transcript
+   * @param {Object} data - Session data with transcript, and optionally the
+   *   documentationLanguage to write it in (defaults to DOCUMENTATION_LANGUAGE)
+   *   and the note template to follow (defaults to the general SOAP template)
    * @returns {Promise<Object>} Generated MER document
    */
   async generateMER(data) {
     try {
       const { transcript, doctor, patient, sessionId, customInstructions } = data;
+      const language = normalizeLanguage(data.documentationLanguage) || config.languages.documentation;
+      const template = data.template || MERTemplateService.getDefault();
       
       if (!transcript || transcript.length === 0) {
-        throw new Error('No transcript available for MER generation');
+        throw new MERGenerationError('No transcript available for MER generation', { code: 'NO_TRANSCRIPT', status: 422 });
       }
 
       // Check if we should use mock mode
       if (MockAIService.shouldUseMockOpenAI()) {
         console.log('🎭 Using Mock AI Service for MER generation');
-        return await MockAIService.generateMockMER(transcript);
+        const mockDocument = await MockAIService.generateMockMER(transcript);
+        const document = {
+          ...mockDocument,
+          metadata: { ...mockDocument.metadata, template: MERTemplateService.layout(template) },
+          soapNotes: MERTemplateService.fitNotes(template, mockDocument.soapNotes)
+        };
+        return this.checkDocument({ ...document, evidence: this.groundSections(document, transcript).evidence }, template);
       }
       
       // Prepare the transcript text
@@ -35,30 +85,21 @@ class MERGeneratorService {
       
       // Generate different sections of MER
       const [soapNotes, icdCodes, prescriptions, summary] = await Promise.all([
-        this.generateSOAPNotes(transcriptText, { doctor, patient }),
-        this.generateICDCodes(transcriptText),
-        this.generatePrescriptions(transcriptText),
-        this.generateSummary(transcriptText, { doctor, patient })
+        this.generateSOAPNotes(transcriptText, { doctor, patient }, language, template),
+        this.generateICDCodes(transcriptText, language),
+        this.generatePrescriptions(transcriptText, language),
+        this.generateSummary(transcriptText, { doctor, patient }, language)
       ]);
       
       // Compile the complete MER document
-      const merDocument = {
-        metadata: {
-          sessionId,
-          doctor,
-          patient,
-          generatedAt: new Date(),
-          transcript: transcript
-        },
-        summary,
-        soapNotes,
-        icdCodes,
-        prescriptions,
-        customInstructions
-      };
+      const merDocument = this.buildDocument(
+        { transcript, doctor, patient, sessionId, customInstructions, template },
+        { summary, soapNotes, icdCodes, prescriptions },
+        language
+      );
       
-      console.log(`📋 Generated MER for session ${sessionId}`);
-      return merDocument;
+      console.log(`📋 Generated MER for session ${sessionId} (${template.name} template)`);
+      return this.checkDocument(merDocument, template);
       
     } catch (error) {
       console.error('Error generating MER:', error);
@@ -67,25 +108,401 @@ class MERGeneratorService {
   }
   
   /**
-   * Format transcript for LLM analysis
+   * Ask the model for JSON matching a schema. Output that doesn't parse or
+   * match is sent back with the validation errors, up to
+   * MER_SCHEMA_RETRIES more times.
+   * @param {Object} schema - Schema from merSchemas
+   * @param {string} prompt - Prompt describing the expected JSON
+   * @param {Object} options - { max_tokens, temperature }
+   * @returns {Promise<Object>} Parsed, valid output
+   */
+  async requestJSON(schema, prompt, options) {
+    const messages = [{ role: 'user', content: prompt }];
+    let errors = [];
+    
+    for (let attempt = 0; attempt <= config.mer.schemaRetries; attempt++) {
+      const response = await this.openai.chat.completions.create({
+        model: config.openai.model,
+        messages,
+        ...options,
+        response_format: { type: 'json_object' }
+      });
+      const content = response.choices[0].message.content;
+      
+      let output;
+      try {
+        output = JSON.parse(content);
+        ({ errors } = validate(schema, output));
+      } catch (parseError) {
+        errors = [`/ is not valid JSON: ${parseError.message}`];
+      }
+      if (errors.length === 0) {
+        return output;
+      }
+      
+      console.warn(`⚠️ ${schema.title} output failed schema validation (attempt ${attempt + 1}):`, errors);
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `That JSON does not match the required format:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+            'Return the complete corrected JSON object and nothing else.'
+        }
+      );
+    }
+    
+    throw new MERValidationError(`${schema.title} did not match its schema`, schema.title, errors);
+  }
+  
+  /**
+   * Error for a section that couldn't be generated. Schema failures keep
+   * their validation errors; anything else (the model API failing, say)
+   * becomes a MERGenerationError.
+   * @param {Error} error - What went wrong
+   * @param {string} section - Section being generated
+   * @param {string} message - Message for the client
+   * @returns {MERGenerationError}
+   */
+  sectionError(error, section, message) {
+    if (error instanceof MERGenerationError) {
+      return error;
+    }
+    console.error(`${message}:`, error);
+    return new MERGenerationError(message, { section });
+  }
+  
+  /**
+   * Check a complete MER document against the document schema, and its
+   * clinical notes against the note template they were written with
+   * @param {Object} merDocument - MER document
+   * @param {Object} template - Note template
+   * @returns {Object} The document, if valid
+   */
+  checkDocument(merDocument, template = MERTemplateService.getDefault()) {
+    const { errors } = validate(MER_DOCUMENT_SCHEMA, merDocument);
+    if (errors.length > 0) {
+      throw new MERValidationError('MER document did not match its schema', MER_DOCUMENT_SCHEMA.title, errors);
+    }
+    
+    const notesSchema = MERTemplateService.schemasFor(template).soapNotes;
+    const notes = validate(notesSchema, merDocument.soapNotes);
+    if (notes.errors.length > 0) {
+      throw new MERValidationError('MER notes did not match their template', notesSchema.title, notes.errors);
+    }
+    return merDocument;
+  }
+  
+  /**
+   * Compile a MER document from its generated sections
+   * @param {Object} data - { transcript, doctor, patient, sessionId, customInstructions, template }
+   * @param {Object} sections - { summary, soapNotes, icdCodes, prescriptions }
+   * @param {string} language - Documentation language
+   * @returns {Object} MER document
+   */
+  buildDocument(data, sections, language) {
+    const { transcript, doctor, patient, sessionId, customInstructions } = data;
+    const template = data.template || MERTemplateService.getDefault();
+    const grounded = this.groundSections(sections, transcript);
+    return {
+      metadata: {
+        sessionId,
+        doctor,
+        patient,
+        generatedAt: new Date(),
+        documentationLanguage: language,
+        spokenLanguages: [...new Set(transcript.map(entry => entry.language).filter(Boolean))],
+        template: MERTemplateService.layout(template),
+        transcript: transcript
+      },
+      summary: grounded.sections.summary,
+      soapNotes: grounded.sections.soapNotes,
+      icdCodes: grounded.sections.icdCodes,
+      prescriptions: grounded.sections.prescriptions,
+      evidence: grounded.evidence,
+      customInstructions
+    };
+  }
+  
+  /**
+   * Short references the prompts use for transcript entries: the first 8
+   * characters of the entry ID, or E1, E2... for entries without one
+   * @param {Array} transcript - Transcript entries
+   * @returns {Map} Reference -> entry
+   */
+  entryRefs(transcript) {
+    const refs = new Map();
+    transcript.forEach((entry, index) => {
+      const ref = entry.id ? String(entry.id).slice(0, 8) : `E${index + 1}`;
+      refs.set(refs.has(ref) ? String(entry.id) : ref, entry);
+    });
+    return refs;
+  }
+  
+  /**
+   * Paths of the populated fields of a section, e.g. "soapNotes.plan.medications[0]"
+   * @param {*} value - Section or part of one
+   * @param {string} path - Path of value
+   * @returns {Array<string>} Field paths
+   */
+  listFields(value, path) {
+    if (WHOLE_FIELDS.has(path)) {
+      return value ? [path] : [];
+    }
+    if (typeof value === 'string') {
+      return UNPOPULATED.test(value.trim()) ? [] : [path];
+    }
+    if (Array.isArray(value)) {
+      return value.flatMap((item, index) => item && typeof item === 'object'
+        ? [`${path}[${index}]`]
+        : this.listFields(item, `${path}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      return Object.entries(value)
+        .filter(([key]) => key !== 'evidence' && key !== 'error')
+        .flatMap(([key, child]) => this.listFields(child, `${path}.${key}`));
+    }
+    return [];
+  }
+  
+  /**
+   * Check the evidence the model cited for each populated field against the
+   * transcript. A field is grounded when at least one cited quote really
+   * appears in the cited entry (or its translation); every other field is
+   * flagged as unverified.
+   * @param {Object} sections - { summary, soapNotes, icdCodes, prescriptions }, each with the evidence it cited
+   * @param {Array} transcript - Transcript entries
+   * @returns {Object} { sections without the cited evidence, evidence: { fieldPath: { status, sources } } }
+   */
+  groundSections(sections, transcript) {
+    const refs = this.entryRefs(transcript);
+    const cleanSections = {};
+    const cited = [];
+    
+    for (const name of SECTIONS) {
+      const { evidence: sectionEvidence, ...content } = sections[name] || {};
+      cleanSections[name] = sections[name] && content;
+      for (const [path, sources] of Object.entries(sectionEvidence || {})) {
+        const relative = path.startsWith(`${name}.`) ? path.slice(name.length + 1) : path;
+        cited.push({ path: `${name}.${relative}`, sources: Array.isArray(sources) ? sources : [] });
+      }
+    }
+    
+    const evidence = {};
+    for (const name of SECTIONS) {
+      for (const field of this.listFields(cleanSections[name], name)) {
+        // Citations may name the field, a part of it, or the whole list it is in
+        const sources = cited
+          .filter(({ path }) => path === field || path.startsWith(`${field}.`) ||
+            path.startsWith(`${field}[`) || field.startsWith(`${path}[`))
+          .flatMap(({ sources: list }) => list)
+          .map(source => ({ ref: String(source?.entryId), quote: source?.quote }))
+          .filter(({ ref, quote }) => {
+            const entry = refs.get(ref);
+            return entry && normalizeQuote(quote) && [entry.text, entry.translation?.text]
+              .some(text => normalizeQuote(text).includes(normalizeQuote(quote)));
+          })
+          .map(({ ref, quote }) => ({ entryId: String(refs.get(ref).id ?? ref), quote }));
+        
+        evidence[field] = { status: sources.length > 0 ? 'grounded' : 'unverified', sources };
+      }
+    }
+    
+    return { sections: cleanSections, evidence };
+  }
+  
+  /**
+   * Grounding quality of a MER document
+   * @param {Object} evidence - Document evidence keyed by field path
+   * @returns {Object} { totalFields, groundedFields, groundedShare, unverifiedFields }
+   */
+  groundingReport(evidence) {
+    const fields = Object.entries(evidence || {});
+    const unverifiedFields = fields.filter(([, field]) => field.status !== 'grounded').map(([path]) => path);
+    const groundedFields = fields.length - unverifiedFields.length;
+    return {
+      totalFields: fields.length,
+      groundedFields,
+      groundedShare: fields.length > 0 ? Math.round((groundedFields / fields.length) * 1000) / 1000 : null,
+      unverifiedFields
+    };
+  }
+  
+  /**
+   * Bring a live draft up to date with the transcript entries added since it
+   * was written. Only the previous draft and the new entries are sent, so each
+   * update costs the same however long the consultation runs.
+   * @param {Object|null} previousDraft - { summary, soapNotes, icdCodes, prescriptions }, null for the first draft
+   * @param {Array} entries - Transcript entries added or corrected since the previous draft
+   * @param {Object} participants - Doctor and patient names
+   * @param {string} language - Documentation language
+   * @param {Object} template - Note template for the clinical notes
+   * @returns {Promise<Object>} Updated { summary, soapNotes, icdCodes, prescriptions }
+   */
+  async updateDraft(previousDraft, entries, participants, language = config.languages.documentation,
+    template = MERTemplateService.getDefault()) {
+    if (MockAIService.shouldUseMockOpenAI()) {
+      const { summary, soapNotes, icdCodes, prescriptions } = await MockAIService.generateMockMER(entries);
+      return { summary, soapNotes: MERTemplateService.fitNotes(template, soapNotes), icdCodes, prescriptions };
+    }
+    
+    const prompt = `
+You are a medical AI assistant keeping a running Medical Encounter Record while a doctor-patient consultation is still in progress.
+
+CURRENT DRAFT:
+${previousDraft ? JSON.stringify(previousDraft, null, 2) : 'None yet - the consultation has just started.'}
+
+NEW TRANSCRIPT LINES SINCE THE DRAFT:
+${this.formatTranscriptForAnalysis(entries)}
+
+PARTICIPANTS:
+Doctor: ${participants.doctor}
+Patient: ${participants.patient}
+
+Update the draft with the new lines and return the complete record in the following JSON format:
+{
+  "summary": {
+    "executiveSummary": "2-3 sentence overview of the consultation so far",
+    "keyFindings": ["Most important findings or topics discussed"],
+    "actionItems": ["Next steps or follow-up actions"],
+    "clinicalDecisionMaking": "The doctor's clinical reasoning",
+    "patientConcerns": ["Concerns or questions raised by the patient"],
+    "consultationOutcome": "Outcome and next steps"
+  },
+  "soapNotes": ${JSON.stringify(this.notesFormat(template))},
+  "icdCodes": {
+    "primary": { "code": "ICD-10 code", "description": "", "confidence": "high|medium|low" },
+    "secondary": [],
+    "notes": ""
+  },
+  "prescriptions": {
+    "prescribed": [{ "medication": "", "dosage": "", "frequency": "", "duration": "", "instructions": "", "indication": "" }],
+    "discontinued": [{ "medication": "", "reason": "" }],
+    "allergies": [],
+    "interactions": [],
+    "notes": ""
+  }
+}
+
+Keep everything in the draft that the new lines don't change, including its evidence. A new line may repeat an earlier one with corrections; the new version is authoritative. Only record information that was actually discussed, and mark fields as "Not discussed" if not mentioned yet.
+${this.templateInstructions(template)}${this.evidenceInstructions(true)}${this.languageInstructions(language)}`;
+
+    const { summary, soapNotes, icdCodes, prescriptions } = await this.requestJSON(MERTemplateService.schemasFor(template).draft, prompt, {
+      max_tokens: config.openai.maxTokens,
+      temperature: 0.2
+    });
+    return { summary, soapNotes, icdCodes, prescriptions };
+  }
+  
+  /**
+   * Format transcript for LLM analysis. Entries with a recording offset are
+   * prefixed with [mm:ss] so findings can point back to the moment they came from.
+   * Entries in another language keep their original text, tagged with the
+   * language, followed by their translation. Every line starts with the
+   * entry's reference in braces for the model to cite as evidence.
    * @param {Array} transcript - Raw transcript entries
    * @returns {string} Formatted transcript text
    */
   formatTranscriptForAnalysis(transcript) {
+    const refs = new Map([...this.entryRefs(transcript)].map(([ref, entry]) => [entry, ref]));
     return transcript
-      .map(entry => `[${entry.speaker}] ${entry.text}`)
+      .map(entry => {
+        const at = typeof entry.offsetMs === 'number' ? `[${this.formatOffset(entry.offsetMs)}] ` : '';
+        const line = `{${refs.get(entry)}} ${at}[${entry.speaker}] ${entry.text}`;
+        if (!entry.translation?.text) {
+          return line;
+        }
+        return `${line} [${languageName(entry.language || 'unknown')}] ` +
+          `(${languageName(entry.translation.language)}: ${entry.translation.text})`;
+      })
       .join('\n');
   }
   
   /**
-   * Generate SOAP notes from transcript
+   * Prompt instructions for writing the record in the documentation language
+   * @param {string} language - ISO 639-1 code
+   * @returns {string} Instructions
+   */
+  languageInstructions(language) {
+    const name = languageName(language);
+    return `
+LANGUAGE:
+Write every value in ${name}, whatever language the consultation was held in. Lines spoken in another language are tagged with that language and followed by a translation in parentheses; use the translation to understand them. When you quote what the patient or doctor said, keep the quote in the language it was spoken and follow it with a ${name} rendering in parentheses.
+`;
+  }
+  
+  /**
+   * Prompt instructions for citing the transcript lines behind each field
+   * @param {boolean} perSection - Whether the JSON holds several sections, each with its own evidence
+   * @returns {string} Instructions
+   */
+  evidenceInstructions(perSection = false) {
+    return `
+EVIDENCE:
+Every transcript line starts with its reference in braces, e.g. {3f2a9c1d}. Add an "evidence" object to ${perSection ? 'each section' : 'the JSON'} that maps the path of every field you filled in${perSection ? ' (relative to the section)' : ''}, e.g. "subjective.chiefComplaint" or "plan.medications[0]", to the lines supporting it: [{ "entryId": "3f2a9c1d", "quote": "exact words from that line" }]. Quote the transcript word for word, in the language it was spoken or from its translation. If nothing in the transcript supports a field, write "Not discussed" rather than inferring a value.
+`;
+  }
+  
+  /**
+   * Format a recording offset as mm:ss
+   * @param {number} offsetMs - Milliseconds from the recording start
+   * @returns {string} Formatted offset
+   */
+  formatOffset(offsetMs) {
+    const totalSeconds = Math.floor(offsetMs / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+  
+  /**
+   * JSON skeleton of a note template's sections for the prompt, each field
+   * holding its guidance
+   * @param {Object} template - Note template
+   * @returns {Object} e.g. { subjective: { chiefComplaint: "Patient's main concern..." } }
+   */
+  notesFormat(template) {
+    return Object.fromEntries(template.sections.map(section => [
+      section.key,
+      Object.fromEntries(section.fields.map(field => {
+        const description = field.guidance || field.label;
+        return [field.key, field.type === 'list' ? [description] : description];
+      }))
+    ]));
+  }
+  
+  /**
+   * Prompt instructions from a note template's own guidance, if it has any
+   * @param {Object} template - Note template
+   * @returns {string} Instructions
+   */
+  templateInstructions(template) {
+    const lines = [
+      template.guidance,
+      ...template.sections.filter(section => section.guidance).map(section => `${section.title}: ${section.guidance}`)
+    ].filter(Boolean);
+    if (lines.length === 0) {
+      return '';
+    }
+    return `
+TEMPLATE (${template.name}):
+${lines.join('\n')}
+`;
+  }
+  
+  /**
+   * Generate clinical notes from transcript, in the sections of a note
+   * template (SOAP unless the session chose another)
    * @param {string} transcriptText - Formatted transcript
    * @param {Object} participants - Doctor and patient info
-   * @returns {Promise<Object>} SOAP notes structure
+   * @param {string} language - Documentation language
+   * @param {Object} template - Note template
+   * @returns {Promise<Object>} Notes structure
    */
-  async generateSOAPNotes(transcriptText, participants) {
+  async generateSOAPNotes(transcriptText, participants, language = config.languages.documentation,
+    template = MERTemplateService.getDefault()) {
+    const notes = template.id === DEFAULT_TEMPLATE_ID ? 'SOAP notes' : `${template.name} notes`;
     const prompt = `
-You are a medical AI assistant. Analyze the following doctor-patient consultation transcript and generate structured SOAP notes.
+You are a medical AI assistant. Analyze the following doctor-patient consultation transcript and generate structured ${notes}.
 
 TRANSCRIPT:
 ${transcriptText}
@@ -94,67 +511,29 @@ PARTICIPANTS:
 Doctor: ${participants.doctor}
 Patient: ${participants.patient}
 
-Please generate SOAP notes in the following JSON format:
-{
-  "subjective": {
-    "chiefComplaint": "Patient's main concern or reason for visit",
-    "historyOfPresentIllness": "Detailed description of current symptoms",
-    "reviewOfSystems": "Relevant positive and negative findings",
-    "pastMedicalHistory": "Previous conditions, surgeries, medications",
-    "socialHistory": "Relevant lifestyle factors",
-    "familyHistory": "Relevant family medical history"
-  },
-  "objective": {
-    "vitalSigns": "Any mentioned vital signs or measurements",
-    "physicalExam": "Physical examination findings mentioned",
-    "labResults": "Any lab or diagnostic results discussed",
-    "imaging": "Imaging results if mentioned"
-  },
-  "assessment": {
-    "primaryDiagnosis": "Most likely diagnosis based on findings",
-    "differentialDiagnoses": ["Alternative diagnoses to consider"],
-    "clinicalImpression": "Doctor's overall assessment"
-  },
-  "plan": {
-    "medications": ["Prescribed medications with dosages"],
-    "procedures": ["Recommended procedures or tests"],
-    "followUp": "Follow-up instructions",
-    "patientEducation": "Education provided to patient",
-    "referrals": ["Referrals to specialists if mentioned"]
-  }
-}
+Please generate ${notes} in the following JSON format:
+${JSON.stringify(this.notesFormat(template), null, 2)}
 
 Focus on extracting only information that was actually discussed in the consultation. Mark fields as "Not discussed" if not mentioned.
-`;
+${this.templateInstructions(template)}${this.evidenceInstructions()}${this.languageInstructions(language)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ role: 'user', content: prompt }],
+      return await this.requestJSON(MERTemplateService.schemasFor(template).soapNotes, prompt, {
         max_tokens: config.openai.maxTokens,
-        temperature: config.openai.temperature,
-        response_format: { type: 'json_object' }
+        temperature: config.openai.temperature
       });
-      
-      return JSON.parse(response.choices[0].message.content);
     } catch (error) {
-      console.error('Error generating SOAP notes:', error);
-      return {
-        error: 'Failed to generate SOAP notes',
-        subjective: { chiefComplaint: "Error in processing" },
-        objective: { vitalSigns: "Not available" },
-        assessment: { primaryDiagnosis: "Unable to determine" },
-        plan: { medications: ["Review required"] }
-      };
+      throw this.sectionError(error, 'soapNotes', 'Failed to generate SOAP notes');
     }
   }
   
   /**
    * Generate ICD-10 codes from transcript
    * @param {string} transcriptText - Formatted transcript
+   * @param {string} language - Documentation language
    * @returns {Promise<Array>} Array of ICD-10 codes with descriptions
    */
-  async generateICDCodes(transcriptText) {
+  async generateICDCodes(transcriptText, language = config.languages.documentation) {
     const prompt = `
 You are a medical coding specialist. Analyze the following doctor-patient consultation transcript and suggest appropriate ICD-10 codes.
 
@@ -179,34 +558,25 @@ Please provide ICD-10 codes in the following JSON format:
 }
 
 Only suggest codes for conditions that are clearly mentioned or strongly implied in the consultation. Use standard ICD-10 codes and be conservative in your suggestions.
-`;
+${this.evidenceInstructions()}${this.languageInstructions(language)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ role: 'user', content: prompt }],
+      return await this.requestJSON(SECTION_SCHEMAS.icdCodes, prompt, {
         max_tokens: 1000,
-        temperature: 0.1, // Lower temperature for more consistent coding
-        response_format: { type: 'json_object' }
+        temperature: 0.1 // Lower temperature for more consistent coding
       });
-      
-      return JSON.parse(response.choices[0].message.content);
     } catch (error) {
-      console.error('Error generating ICD codes:', error);
-      return {
-        primary: { code: "Z00.00", description: "Encounter for general adult medical examination without abnormal findings", confidence: "low" },
-        secondary: [],
-        notes: "Error in automated coding - manual review required"
-      };
+      throw this.sectionError(error, 'icdCodes', 'Failed to generate ICD codes');
     }
   }
   
   /**
    * Generate prescription information from transcript
    * @param {string} transcriptText - Formatted transcript
+   * @param {string} language - Documentation language
    * @returns {Promise<Array>} Array of prescription details
    */
-  async generatePrescriptions(transcriptText) {
+  async generatePrescriptions(transcriptText, language = config.languages.documentation) {
     const prompt = `
 You are a clinical pharmacist. Analyze the following doctor-patient consultation transcript and extract any medications prescribed or discussed.
 
@@ -237,27 +607,15 @@ Please provide prescription information in the following JSON format:
 }
 
 Only include medications that were explicitly prescribed or discussed during this consultation. Do not add medications that might typically be used but weren't mentioned.
-`;
+${this.evidenceInstructions()}${this.languageInstructions(language)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ role: 'user', content: prompt }],
+      return await this.requestJSON(SECTION_SCHEMAS.prescriptions, prompt, {
         max_tokens: 1500,
-        temperature: 0.1,
-        response_format: { type: 'json_object' }
+        temperature: 0.1
       });
-      
-      return JSON.parse(response.choices[0].message.content);
     } catch (error) {
-      console.error('Error generating prescriptions:', error);
-      return {
-        prescribed: [],
-        discontinued: [],
-        allergies: [],
-        interactions: [],
-        notes: "Error in prescription extraction - manual review required"
-      };
+      throw this.sectionError(error, 'prescriptions', 'Failed to generate prescriptions');
     }
   }
   
@@ -265,9 +623,10 @@ Only include medications that were explicitly prescribed or discussed during thi
    * Generate executive summary of the consultation
    * @param {string} transcriptText - Formatted transcript
    * @param {Object} participants - Doctor and patient info
+   * @param {string} language - Documentation language
    * @returns {Promise<Object>} Summary object
    */
-  async generateSummary(transcriptText, participants) {
+  async generateSummary(transcriptText, participants, language = config.languages.documentation) {
     const prompt = `
 You are a medical documentation specialist. Create a concise executive summary of the following doctor-patient consultation.
 
@@ -289,37 +648,25 @@ Please provide a summary in the following JSON format:
 }
 
 Keep the summary professional, concise, and focused on the most clinically relevant information.
-`;
+${this.evidenceInstructions()}${this.languageInstructions(language)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ role: 'user', content: prompt }],
+      return await this.requestJSON(SECTION_SCHEMAS.summary, prompt, {
         max_tokens: 1000,
-        temperature: 0.2,
-        response_format: { type: 'json_object' }
+        temperature: 0.2
       });
-      
-      return JSON.parse(response.choices[0].message.content);
     } catch (error) {
-      console.error('Error generating summary:', error);
-      return {
-        executiveSummary: "Unable to generate summary due to processing error",
-        keyFindings: ["Manual review required"],
-        actionItems: ["Review transcript and generate summary manually"],
-        clinicalDecisionMaking: "Not available",
-        patientConcerns: ["Not processed"],
-        consultationOutcome: "Requires manual documentation"
-      };
+      throw this.sectionError(error, 'summary', 'Failed to generate summary');
     }
   }
   
   /**
    * Generate a quick note during consultation
    * @param {string} transcriptSegment - Recent transcript segment
+   * @param {string} language - Documentation language
    * @returns {Promise<string>} Quick clinical note
    */
-  async generateQuickNote(transcriptSegment) {
+  async generateQuickNote(transcriptSegment, language = config.languages.documentation) {
     const prompt = `
 Based on this recent conversation segment from a doctor-patient consultation, generate a brief clinical note (1-2 sentences):
 
@@ -327,7 +674,7 @@ RECENT CONVERSATION:
 ${transcriptSegment}
 
 Provide a concise clinical note that captures the key medical information discussed.
-`;
+${this.languageInstructions(language)}`;
 
     try {
       const response = await this.openai.chat.completions.create({
@@ -339,8 +686,7 @@ Provide a concise clinical note that captures the key medical information discus
       
       return response.choices[0].message.content.trim();
     } catch (error) {
-      console.error('Error generating quick note:', error);
-      return "Unable to generate note - manual entry required";
+      throw this.sectionError(error, 'quickNote', 'Failed to generate quick note');
     }
   }
   
@@ -372,6 +718,18 @@ Provide a concise clinical note that captures the key medical information discus
       validatedMER.validationStatus.warnings.push("No primary diagnosis code identified");
     }
     
+    // Share of populated fields backed by a quote from the transcript
+    validatedMER.evidence = merDocument.evidence ||
+      this.groundSections(merDocument, merDocument.metadata?.transcript || []).evidence;
+    const grounding = this.groundingReport(validatedMER.evidence);
+    validatedMER.validationStatus.grounding = grounding;
+    
+    if (grounding.unverifiedFields.length > 0) {
+      validatedMER.validationStatus.suggestions.push(
+        `Verify ${grounding.unverifiedFields.length} field(s) with no supporting transcript quote: ${grounding.unverifiedFields.join(', ')}`
+      );
+    }
+    
     if (validatedMER.validationStatus.warnings.length > 0) {
       validatedMER.validationStatus.isValid = false;
     }
@@ -381,3 +739,5 @@ Provide a concise clinical note that captures the key medical information discus
 }
 
 module.exports = new MERGeneratorService();
+module.exports.MERGenerationError = MERGenerationError;
+module.exports.MERValidationError = MERValidationError;
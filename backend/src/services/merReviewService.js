@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const SessionManager = require('./sessionManager');
+const { MER_DOCUMENT_SCHEMA, validate } = require('./merSchemas');
+
+// Parts of the MER a doctor may edit
+const EDITABLE_SECTIONS = ['summary', 'soapNotes', 'icdCodes', 'prescriptions'];
+// Statuses in which the content can still change
+const OPEN_STATUSES = ['draft', 'under_review'];
+
+/**
+ * Raised when a MER review action is invalid
+ */
+class MERReviewError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400, validationErrors = []) {
+    super(message);
+    this.name = 'MERReviewError';
+    this.code = code;
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * Split a field path such as "prescriptions.prescribed[0].dosage" into keys
+ * @param {string} path - Field path, as used in MER evidence
+ * @returns {Array<string|number>} Keys, with array indexes as numbers
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || !/^[A-Za-z]\w*(\.[A-Za-z]\w*|\[\d+\])*$/.test(path)) {
+    throw new MERReviewError(`Invalid field path: ${path}`);
+  }
+  return path.match(/[A-Za-z]\w*|\[\d+\]/g)
+    .map(key => (key.startsWith('[') ? Number(key.slice(1, -1)) : key));
+}
+
+/**
+ * Leaf values of a MER's content keyed by field path. Empty lists and
+ * objects count as values, so emptying a list shows up in a diff.
+ */
+function flatten(value, path, fields = {}) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, fields));
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    Object.entries(value)
+      .filter(([key]) => key !== 'evidence')
+      .forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, fields));
+  } else {
+    fields[path] = value ?? null;
+  }
+  return fields;
+}
+
+/**
+ * MER Review Service
+ * Takes a MER from AI draft to signed record: draft -> under_review ->
+ * signed -> amended. Doctors edit individual fields while the MER is open;
+ * once signed the content is frozen and only addenda can be added. Every
+ * step is stored as a new version holding the whole document and the
+ * field-level changes it made, so the doctor's edits can be compared with
+ * what the AI wrote.
+ */
+class MERReviewService {
+  /**
+   * Review status of a MER document; documents from before reviews existed are drafts
+   */
+  statusOf(document) {
+    return document?.review?.status || 'draft';
+  }
+
+  /**
+   * Whether a MER has been signed, so its content can no longer change
+   */
+  isSigned(document) {
+    return Boolean(document) && !OPEN_STATUSES.includes(this.statusOf(document));
+  }
+
+  /**
+   * Content fingerprint the signature covers
+   */
+  fingerprint(document) {
+    const content = Object.fromEntries(EDITABLE_SECTIONS.map(name => [name, document[name] ?? null]));
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Field-level differences between two MER documents
+   * @returns {Array<Object>} [{ path, type: added|removed|changed, before, after }]
+   */
+  diff(before, after) {
+    const content = document => Object.fromEntries(
+      [...EDITABLE_SECTIONS, 'addenda'].filter(name => document?.[name] !== undefined).map(name => [name, document[name]])
+    );
+    const beforeFields = flatten(content(before), '');
+    const afterFields = flatten(content(after), '');
+
+    return [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])]
+      .filter(path => path && JSON.stringify(beforeFields[path]) !== JSON.stringify(afterFields[path]))
+      .map(path => ({
+        path,
+        type: !(path in beforeFields) ? 'added' : !(path in afterFields) ? 'removed' : 'changed',
+        before: beforeFields[path] ?? null,
+        after: afterFields[path] ?? null
+      }));
+  }
+
+  /**
+   * Load the session's current MER
+   */
+  async loadDocument(sessionId) {
+    const document = await getStorage().getMERDocument(sessionId);
+    if (!document) {
+      throw new MERReviewError('No MER document has been generated for this session', 'MER_NOT_FOUND', 404);
+    }
+    return document;
+  }
+
+  /**
+   * Reject changes made against an outdated version
+   */
+  checkBaseVersion(document, baseVersion) {
+    const current = document.review?.version || 0;
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== current) {
+      throw new MERReviewError(
+        `The MER changed since version ${baseVersion} (now version ${current}), reload and try again`,
+        'VERSION_CONFLICT',
+        409
+      );
+    }
+  }
+
+  /**
+   * Store the next version of a session's MER and make it the current document
+   * @returns {Promise<Object>} { version, document }
+   */
+  async commit(sessionId, previous, document, { action, status, actor, changes }) {
+    const number = (previous?.review?.version || 0) + 1;
+    const next = {
+      ...document,
+      review: {
+        status,
+        version: number,
+        signature: status === 'draft' || status === 'under_review' ? null : document.review?.signature || null
+      }
+    };
+
+    const { errors } = validate(MER_DOCUMENT_SCHEMA, next);
+    if (errors.length > 0) {
+      throw new MERReviewError('The edited MER does not match the MER schema', 'MER_SCHEMA_INVALID', 400, errors);
+    }
+
+    const version = await SessionManager.saveMERVersion({
+      id: uuidv4(),
+      sessionId,
+      version: number,
+      action,
+      status,
+      actorId: actor?.id || null,
+      actorRole: actor?.role || null,
+      changes: changes ?? this.diff(previous, next),
+      document: next,
+      createdAt: new Date()
+    });
+    if (!version) {
+      throw new MERReviewError('The MER changed while saving, reload and try again', 'VERSION_CONFLICT', 409);
+    }
+
+    console.log(`🗂️ MER v${number} (${action}, ${status}) for session ${sessionId} by ${actor?.id || 'system'}`);
+    return { version: this.summarize(version), document: next };
+  }
+
+  /**
+   * Version without its document, for listings and events
+   */
+  summarize({ document, ...version }) {
+    return version;
+  }
+
+  /**
+   * Store a generated MER as a new draft version. Regenerating replaces the
+   * draft (the earlier versions stay in the history) but a signed MER is final.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} document - MER document from the generator
+   * @param {Object} actor - User who triggered generation, if any
+   * @returns {Promise<Object>} { version, document }
+   */
+  async recordGenerated(sessionId, document, actor = null) {
+    const previous = await getStorage().getMERDocument(sessionId);
+    if (this.isSigned(previous)) {
+      throw new MERReviewError('The MER is signed; add an addendum instead of regenerating it', 'MER_SIGNED', 409);
+    }
+
+    const { review, addenda, ...generated } = document;
+    return this.commit(sessionId, previous, generated, { action: 'generate', status: 'draft', actor });
+  }
+
+  /**
+   * Open a draft for review
+   * @returns {Promise<Object>} { version, document }
+   */
+  async startReview(sessionId, actor) {
+    const document = await this.loadDocument(sessionId);
+    if (this.statusOf(document) !== 'draft') {
+      throw new MERReviewError(`The MER is already ${this.statusOf(document).replace('_', ' ')}`, 'INVALID_STATUS', 409);
+    }
+    return this.commit(sessionId, document, document, { action: 'review', status: 'under_review', actor, changes: [] });
+  }
+
+  /**
+   * Apply field-level edits. Editing a draft puts it under review. Edited
+   * fields lose the transcript evidence the AI cited, since it no longer
+   * describes what the doctor wrote.
+   * @param {string} sessionId - Session identifier
+   * @param {Array<Object>} edits - [{ path, value }] to set a field or [{ path, remove: true }] to drop a list item
+   * @param {Object} actor - Doctor making the edits
+   * @param {number} baseVersion - Version the edits were made against (optional)
+   * @returns {Promise<Object>} { version, document }
+   */
+  async editFields(sessionId, edits, actor, baseVersion) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new MERReviewError('edits must be a non-empty array of { path, value }');
+    }
+
+    const document = await this.loadDocument(sessionId);
+    if (this.isSigned(document)) {
+      throw new MERReviewError('The MER is signed; add an addendum instead', 'MER_SIGNED', 409);
+    }
+    this.checkBaseVersion(document, baseVersion);
+
+    const edited = structuredClone(document);
+    let evidence = { ...(edited.evidence || {}) };
+    for (const edit of edits) {
+      const keys = parsePath(edit?.path);
+      if (!EDITABLE_SECTIONS.includes(keys[0]) || keys.length < 2 || keys.includes('evidence')) {
+        throw new MERReviewError(`${edit.path} is not an editable MER field`);
+      }
+      if (!edit.remove && !('value' in edit)) {
+        throw new MERReviewError(`No value given for ${edit.path}`);
+      }
+
+      const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], edited);
+      const key = keys[keys.length - 1];
+      const isIndex = typeof key === 'number';
+      if (!parent || typeof parent !== 'object' || Array.isArray(parent) !== isIndex ||
+        (isIndex ? key > parent.length || (edit.remove && key === parent.length) : edit.remove || !(key in parent))) {
+        throw new MERReviewError(`${edit.path} does not exist in the MER`, 'FIELD_NOT_FOUND', 404);
+      }
+
+      // Removing a list item shifts the ones after it, so the whole list loses its evidence
+      const stale = edit.remove ? edit.path.replace(/\[\d+\]$/, '') : edit.path;
+      evidence = Object.fromEntries(Object.entries(evidence).filter(([path]) =>
+        !(path === stale || path.startsWith(`${stale}.`) || path.startsWith(`${stale}[`) || stale.startsWith(`${path}.`) || stale.startsWith(`${path}[`))));
+
+      if (edit.remove) {
+        parent.splice(key, 1);
+      } else {
+        parent[key] = edit.value;
+      }
+    }
+    if (edited.evidence) {
+      edited.evidence = evidence;
+    }
+
+    const changes = this.diff(document, edited);
+    if (changes.length === 0) {
+      throw new MERReviewError('The edits do not change the MER', 'NO_CHANGES');
+    }
+    return this.commit(sessionId, document, edited, { action: 'edit', status: 'under_review', actor, changes });
+  }
+
+  /**
+   * Sign the MER under review as the authenticated doctor. The signature
+   * covers a fingerprint of the content, which is frozen from then on.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} actor - Doctor signing
+   * @param {number} baseVersion - Version the doctor reviewed (optional)
+   * @returns {Promise<Object>} { version, document }
+   */
+  async sign(sessionId, actor, baseVersion) {
+    const document = await this.loadDocument(sessionId);
+    const status = this.statusOf(document);
+    if (this.isSigned(document)) {
+      throw new MERReviewError('The MER is already signed', 'MER_SIGNED', 409);
+    }
+    if (status !== 'under_review') {
+      throw new MERReviewError('Review the MER before signing it', 'INVALID_STATUS', 409);
+    }
+    this.checkBaseVersion(document, baseVersion);
+
+    const signed = {
+      ...document,
+      review: {
+        ...document.review,
+        signature: {
+          signedBy: { userId: actor.id, name: actor.name || document.metadata?.doctor || 'Doctor' },
+          signedAt: new Date().toISOString(),
+          fingerprint: this.fingerprint(document)
+        }
+      }
+    };
+    return this.commit(sessionId, document, signed, { action: 'sign', status: 'signed', actor, changes: [] });
+  }
+
+  /**
+   * Add an addendum to a signed MER
+   * @param {string} sessionId - Session identifier
+   * @param {string} text - Addendum text
+   * @param {Object} actor - Doctor adding it
+   * @returns {Promise<Object>} { version, document }
+   */
+  async addAddendum(sessionId, text, actor) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new MERReviewError('text must be a non-empty string');
+    }
+
+    const document = await this.loadDocument(sessionId);
+    if (!this.isSigned(document)) {
+      throw new MERReviewError('Only signed MERs take addenda; edit the draft instead', 'INVALID_STATUS', 409);
+    }
+
+    const addendum = {
+      id: uuidv4(),
+      text: text.trim(),
+      author: { userId: actor.id, name: actor.name || document.metadata?.doctor || 'Doctor' },
+      createdAt: new Date().toISOString()
+    };
+    const amended = { ...document, addenda: [...(document.addenda || []), addendum] };
+    return this.commit(sessionId, document, amended, { action: 'addendum', status: 'amended', actor });
+  }
+
+  /**
+   * Version history of a session's MER, oldest first, without the documents
+   * @returns {Promise<Object>} { status, version, versions }
+   */
+  async getVersions(sessionId) {
+    const [document, versions] = await Promise.all([
+      getStorage().getMERDocument(sessionId),
+      getStorage().getMERVersions(sessionId)
+    ]);
+    return {
+      status: document ? this.statusOf(document) : null,
+      version: document?.review?.version || null,
+      versions: versions.map(version => this.summarize(version))
+    };
+  }
+
+  /**
+   * One version, including the document as it was
+   */
+  async getVersion(sessionId, number) {
+    const version = await getStorage().getMERVersion(sessionId, Number(number));
+    if (!version) {
+      throw new MERReviewError(`MER version ${number} not found`, 'VERSION_NOT_FOUND', 404);
+    }
+    return version;
+  }
+
+  /**
+   * Field-level diff between two versions. By default compares the latest AI
+   * output with the current version, i.e. shows what the doctor changed.
+   * @param {string} sessionId - Session identifier
+   * @param {number} from - Version to compare from (default: latest generated)
+   * @param {number} to - Version to compare to (default: current)
+   * @returns {Promise<Object>} { from, to, changes }
+   */
+  async diffVersions(sessionId, from, to) {
+    const versions = await getStorage().getMERVersions(sessionId);
+    if (versions.length === 0) {
+      throw new MERReviewError('No MER document has been generated for this session', 'MER_NOT_FOUND', 404);
+    }
+
+    const find = (number, fallback) => {
+      const version = number === undefined ? fallback : versions.find(existing => existing.version === Number(number));
+      if (!version) {
+        throw new MERReviewError(`MER version ${number} not found`, 'VERSION_NOT_FOUND', 404);
+      }
+      return version;
+    };
+    const fromVersion = find(from, versions.filter(version => version.action === 'generate').pop() || versions[0]);
+    const toVersion = find(to, versions[versions.length - 1]);
+
+    return {
+      from: this.summarize(fromVersion),
+      to: this.summarize(toVersion),
+      changes: this.diff(fromVersion.document, toVersion.document)
+    };
+  }
+}
+
+module.exports = new MERReviewService();
+module.exports.MERReviewError = MERReviewError;
@@ -0,0 +1,347 @@
+const Ajv = require('ajv');
+const { DEFAULT_TEMPLATE_ID, BUILT_IN_TEMPLATES } = require('./noteTemplates');
+
+/**
+ * MER JSON Schemas
+ * Formal shape of every MER section the LLM writes and of the complete MER
+ * document. Generation validates against these, and they are published at
+ * GET /api/mer/schema for clients. SOAP notes follow the session's note
+ * template; the published soapNotes schema is the default template's. Extra properties are allowed so models can
+ * add detail, but every documented field must be there with the right type.
+ */
+const BASE_URI = 'https://ai-voice-mer.local/schemas';
+const TEMPLATES_URI = `${BASE_URI}/templates`;
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: text };
+const confidence = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+/**
+ * Object schema where every listed property is required
+ */
+const requiredObject = (properties) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties
+});
+
+// Transcript lines supporting each field, keyed by field path, e.g.
+// { "subjective.chiefComplaint": [{ "entryId": "3f2a9c1d", "quote": "chest pain" }] }
+const evidence = {
+  type: 'object',
+  additionalProperties: {
+    type: 'array',
+    items: requiredObject({ entryId: text, quote: text })
+  }
+};
+
+/**
+ * Section schema: all listed fields required, plus the optional evidence the model cites
+ */
+const section = (properties) => {
+  const schema = requiredObject(properties);
+  return { ...schema, properties: { ...schema.properties, evidence } };
+};
+
+/**
+ * Clinical notes schema for a note template: one object per section with
+ * every field of the template required, as text or a list of text
+ * @param {Object} template - Note template
+ * @returns {Object} Section schema
+ */
+const notesSchema = (template) => section(Object.fromEntries(template.sections.map(({ key, fields }) => [
+  key,
+  requiredObject(Object.fromEntries(fields.map(field => [field.key, field.type === 'list' ? textList : text])))
+])));
+
+const icdCode = requiredObject({
+  // Any letter: U codes are assigned for emergency use (e.g. U07.1 COVID-19)
+  code: { type: 'string', pattern: '^[A-Z][0-9][0-9A-Z](\\.[0-9A-Z]{1,4})?$' },
+  description: text,
+  confidence
+});
+
+const SECTION_SCHEMAS = {
+  soapNotes: {
+    $id: `${BASE_URI}/soap-notes.json`,
+    title: 'SOAP notes',
+    ...notesSchema(BUILT_IN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID))
+  },
+
+  icdCodes: {
+    $id: `${BASE_URI}/icd-codes.json`,
+    title: 'ICD-10 codes',
+    ...section({
+      // null when no condition was clear enough to code
+      primary: { anyOf: [icdCode, { type: 'null' }] },
+      secondary: { type: 'array', items: icdCode },
+      notes: text
+    })
+  },
+
+  prescriptions: {
+    $id: `${BASE_URI}/prescriptions.json`,
+    title: 'Prescriptions',
+    ...section({
+      prescribed: {
+        type: 'array',
+        items: requiredObject({
+          medication: text,
+          dosage: text,
+          frequency: text,
+          duration: text,
+          instructions: text,
+          indication: text
+        })
+      },
+      discontinued: {
+        type: 'array',
+        items: requiredObject({
+          medication: text,
+          reason: text
+        })
+      },
+      allergies: textList,
+      interactions: textList,
+      notes: text
+    })
+  },
+
+  summary: {
+    $id: `${BASE_URI}/summary.json`,
+    title: 'Consultation summary',
+    ...section({
+      executiveSummary: text,
+      keyFindings: textList,
+      actionItems: textList,
+      clinicalDecisionMaking: text,
+      patientConcerns: textList,
+      consultationOutcome: text
+    })
+  }
+};
+
+const sectionRefs = {
+  summary: { $ref: SECTION_SCHEMAS.summary.$id },
+  soapNotes: { $ref: SECTION_SCHEMAS.soapNotes.$id },
+  icdCodes: { $ref: SECTION_SCHEMAS.icdCodes.$id },
+  prescriptions: { $ref: SECTION_SCHEMAS.prescriptions.$id }
+};
+
+// The four sections together, as the live drafter asks for them
+const DRAFT_SCHEMA = {
+  $id: `${BASE_URI}/mer-draft.json`,
+  title: 'MER draft sections',
+  ...requiredObject(sectionRefs)
+};
+
+// Grounding of every populated field of a MER document, keyed by full field
+// path, e.g. "soapNotes.subjective.chiefComplaint"
+const documentEvidence = {
+  type: 'object',
+  additionalProperties: requiredObject({
+    status: { type: 'string', enum: ['grounded', 'unverified'] },
+    sources: {
+      type: 'array',
+      items: requiredObject({ entryId: text, quote: text })
+    }
+  })
+};
+
+// Clinical notes of any note template: sections of text and list fields. The
+// generator checks them against the template's own schema as well.
+const templatedNotes = {
+  type: 'object',
+  properties: { evidence, error: text },
+  additionalProperties: {
+    type: 'object',
+    additionalProperties: { anyOf: [text, textList] }
+  }
+};
+
+const sectionCode = requiredObject({ code: text, display: text });
+const templateField = requiredObject({ key: text, label: text, type: { type: 'string', enum: ['text', 'list'] } });
+const templateSection = requiredObject({ key: text, title: text, fields: { type: 'array', items: templateField } });
+
+// Layout of the note template a MER was written with, kept so the MER can be
+// shown and exported after the template changes
+const templateLayout = requiredObject({
+  id: text,
+  name: text,
+  sections: {
+    type: 'array',
+    items: { ...templateSection, properties: { ...templateSection.properties, code: sectionCode } }
+  }
+});
+
+const documentSchema = requiredObject({
+  metadata: {
+    type: 'object',
+    required: ['sessionId', 'doctor', 'patient', 'generatedAt', 'transcript'],
+    properties: {
+      sessionId: text,
+      doctor: text,
+      patient: text,
+      generatedAt: text,
+      documentationLanguage: text,
+      spokenLanguages: textList,
+      template: templateLayout,
+      transcript: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['speaker', 'text'],
+          properties: { speaker: text, text }
+        }
+      }
+    }
+  },
+  ...sectionRefs,
+  soapNotes: templatedNotes
+});
+
+// Review state: where the MER is in draft -> under_review -> signed -> amended
+const review = requiredObject({
+  status: { type: 'string', enum: ['draft', 'under_review', 'signed', 'amended'] },
+  version: { type: 'integer', minimum: 1 },
+  signature: {
+    anyOf: [
+      { type: 'null' },
+      requiredObject({
+        signedBy: requiredObject({ userId: text, name: text }),
+        signedAt: text,
+        fingerprint: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+      })
+    ]
+  }
+});
+
+// Notes added after signing; the signed content itself never changes
+const addenda = {
+  type: 'array',
+  items: requiredObject({
+    id: text,
+    text,
+    author: requiredObject({ userId: text, name: text }),
+    createdAt: text
+  })
+};
+
+const MER_DOCUMENT_SCHEMA = {
+  $id: `${BASE_URI}/mer-document.json`,
+  title: 'Medical Encounter Record',
+  ...documentSchema,
+  properties: { ...documentSchema.properties, evidence: documentEvidence, review, addenda }
+};
+
+// Note template definitions as clinics send them. Keys become field paths
+// such as soapNotes.mentalStatusExam.mood, so they are camelCase identifiers.
+const templateKey = { type: 'string', pattern: '^[a-z][A-Za-z0-9]{0,49}$' };
+const guidance = { type: 'string', maxLength: 2000 };
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+
+const NOTE_TEMPLATE_SCHEMA = {
+  $id: `${BASE_URI}/note-template.json`,
+  title: 'Note template',
+  type: 'object',
+  required: ['name', 'sections'],
+  properties: {
+    name,
+    // null, as templates are returned without them, or left out
+    specialty: { type: ['string', 'null'], maxLength: 100 },
+    description: { type: ['string', 'null'], maxLength: 500 },
+    guidance: { ...guidance, type: ['string', 'null'] },
+    sections: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['key', 'title', 'fields'],
+        properties: {
+          key: { ...templateKey, not: { enum: ['evidence', 'error'] } },
+          title: name,
+          guidance,
+          code: { ...sectionCode, properties: { code: { type: 'string', pattern: '^[0-9]{1,7}-[0-9]$' }, display: text } },
+          fields: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 40,
+            items: {
+              type: 'object',
+              required: ['key'],
+              properties: {
+                key: templateKey,
+                label: name,
+                type: { type: 'string', enum: ['text', 'list'] },
+                guidance
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({
+  allErrors: true,
+  schemas: [...Object.values(SECTION_SCHEMAS), DRAFT_SCHEMA, MER_DOCUMENT_SCHEMA, NOTE_TEMPLATE_SCHEMA]
+});
+
+/**
+ * Schemas for generating against a note template: its clinical notes and
+ * the live draft holding them. The default template has the published
+ * schemas; the others are built here, with ids naming the template revision,
+ * and compiled on first use. Callers should keep them for that revision and
+ * release them with releaseTemplateSchemas once the template changes.
+ * @param {Object} template - Note template
+ * @returns {Object} { soapNotes, draft }
+ */
+function templateSchemas(template) {
+  if (template.id === DEFAULT_TEMPLATE_ID) {
+    return { soapNotes: SECTION_SCHEMAS.soapNotes, draft: DRAFT_SCHEMA };
+  }
+  const base = `${TEMPLATES_URI}/${template.id}/${template.revision || 1}`;
+  const soapNotes = { title: `${template.name} notes`, ...notesSchema(template) };
+  return {
+    soapNotes: { $id: `${base}/soap-notes.json`, ...soapNotes },
+    draft: { $id: `${base}/mer-draft.json`, title: DRAFT_SCHEMA.title, ...requiredObject({ ...sectionRefs, soapNotes }) }
+  };
+}
+
+/**
+ * Drop the compiled validators of schemas from templateSchemas. The published
+ * schemas are left alone.
+ * @param {Object} schemas - { soapNotes, draft }
+ */
+function releaseTemplateSchemas(schemas) {
+  Object.values(schemas)
+    .filter(schema => schema.$id?.startsWith(`${TEMPLATES_URI}/`))
+    .forEach(schema => ajv.removeSchema(schema.$id));
+}
+
+/**
+ * Validate a value against one of the schemas above
+ * @param {Object} schema - e.g. SECTION_SCHEMAS.soapNotes, MER_DOCUMENT_SCHEMA or one from templateSchemas
+ * @param {*} value - Value to check; checked as JSON, so Dates count as strings
+ * @returns {Object} { valid, errors } with errors as readable strings
+ */
+function validate(schema, value) {
+  const check = (schema.$id && ajv.getSchema(schema.$id)) || ajv.compile(schema);
+  const valid = check(JSON.parse(JSON.stringify(value ?? null)));
+  return {
+    valid,
+    errors: valid ? [] : check.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+module.exports = {
+  SECTION_SCHEMAS,
+  DRAFT_SCHEMA,
+  MER_DOCUMENT_SCHEMA,
+  NOTE_TEMPLATE_SCHEMA,
+  templateSchemas,
+  releaseTemplateSchemas,
+  validate
+};
@@ -0,0 +1,278 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { DEFAULT_TEMPLATE_ID, BUILT_IN_TEMPLATES } = require('./noteTemplates');
+const { NOTE_TEMPLATE_SCHEMA, templateSchemas, releaseTemplateSchemas, validate } = require('./merSchemas');
+const { fieldLabel } = require('./merExport/common');
+
+/**
+ * Raised when a note template is invalid or can't be changed
+ */
+class MERTemplateError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400, validationErrors = []) {
+    super(message);
+    this.name = 'MERTemplateError';
+    this.code = code;
+    this.status = status;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * Keys that appear more than once in a list of { key }
+ */
+const duplicateKeys = (items) => [...new Set(items.map(item => item.key)
+  .filter((key, index, keys) => keys.indexOf(key) !== index))];
+
+/**
+ * MER Template Service
+ * Note templates decide which sections and fields a MER's clinical notes
+ * have and what guidance the model gets for them, so a psychiatry session
+ * gets a mental status exam and a dermatology one a lesion description.
+ * The built-in templates are shared by everyone; each clinic can add its
+ * own. A session picks one in its settings (noteTemplate), and every MER
+ * keeps the layout of the template it was written with.
+ */
+class MERTemplateService {
+  constructor() {
+    this.builtIn = new Map(BUILT_IN_TEMPLATES.map(template => [
+      template.id,
+      { ...this.normalize(template), id: template.id, clinicId: null, builtIn: true }
+    ]));
+    this.schemaCache = new Map(); // template id -> { revision, schemas }
+  }
+
+  /**
+   * Fill in defaults: a label for every field and text as the field type
+   * @param {Object} input - Template definition
+   * @returns {Object} { name, specialty, description, guidance, sections }
+   */
+  normalize(input) {
+    return {
+      name: input.name.trim(),
+      specialty: input.specialty?.trim() || null,
+      description: input.description?.trim() || null,
+      guidance: input.guidance?.trim() || null,
+      sections: input.sections.map(section => ({
+        key: section.key,
+        title: section.title.trim(),
+        ...(section.guidance?.trim() && { guidance: section.guidance.trim() }),
+        ...(section.code && { code: { code: section.code.code, display: section.code.display } }),
+        fields: section.fields.map(field => ({
+          key: field.key,
+          label: field.label?.trim() || fieldLabel(field.key),
+          type: field.type || 'text',
+          ...(field.guidance?.trim() && { guidance: field.guidance.trim() })
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Validate a template definition from the API
+   * @param {Object} input - { name, specialty, description, guidance, sections }
+   * @returns {Object} Normalized definition
+   */
+  validateTemplate(input) {
+    const { errors } = validate(NOTE_TEMPLATE_SCHEMA, input);
+    if (errors.length === 0) {
+      const sections = duplicateKeys(input.sections);
+      if (sections.length > 0) {
+        errors.push(`/sections has duplicate keys: ${sections.join(', ')}`);
+      }
+      input.sections.forEach((section, index) => {
+        const fields = duplicateKeys(section.fields);
+        if (fields.length > 0) {
+          errors.push(`/sections/${index}/fields has duplicate keys: ${fields.join(', ')}`);
+        }
+      });
+    }
+    if (errors.length > 0) {
+      throw new MERTemplateError('Invalid note template', 'VALIDATION_ERROR', 400, errors);
+    }
+    return this.normalize(input);
+  }
+
+  /**
+   * The template MERs are written with unless a session chooses another
+   */
+  getDefault() {
+    return this.builtIn.get(DEFAULT_TEMPLATE_ID);
+  }
+
+  /**
+   * Built-in templates followed by the clinic's own
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Array>} Templates
+   */
+  async list(clinicId) {
+    const own = await getStorage().listMERTemplates(clinicId);
+    return [...this.builtIn.values(), ...own.map(template => ({ ...template, builtIn: false }))];
+  }
+
+  /**
+   * Get a built-in template or one of the clinic's
+   * @param {string} templateId - Template identifier
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Object>} Template
+   */
+  async get(templateId, clinicId) {
+    if (this.builtIn.has(templateId)) {
+      return this.builtIn.get(templateId);
+    }
+    const template = typeof templateId === 'string' ? await getStorage().getMERTemplate(templateId) : null;
+    if (!template || template.clinicId !== clinicId) {
+      throw new MERTemplateError('Note template not found', 'TEMPLATE_NOT_FOUND', 404);
+    }
+    return { ...template, builtIn: false };
+  }
+
+  /**
+   * Add a template to a clinic
+   * @param {string} clinicId - Clinic identifier
+   * @param {Object} input - Template definition
+   * @param {Object} actor - Doctor creating it
+   * @returns {Promise<Object>} Stored template
+   */
+  async create(clinicId, input, actor) {
+    const template = await getStorage().saveMERTemplate({
+      ...this.validateTemplate(input),
+      id: uuidv4(),
+      clinicId,
+      revision: 1,
+      createdBy: actor?.id || null
+    });
+    console.log(`🗂️ Note template "${template.name}" added for clinic ${clinicId}`);
+    return { ...template, builtIn: false };
+  }
+
+  /**
+   * Replace the definition of one of the clinic's templates as its next
+   * revision. MERs already written with it keep the layout they were written with.
+   * @param {string} templateId - Template identifier
+   * @param {string} clinicId - Clinic identifier
+   * @param {Object} input - Template definition
+   * @returns {Promise<Object>} Stored template
+   */
+  async update(templateId, clinicId, input) {
+    const existing = await this.get(templateId, clinicId);
+    if (existing.builtIn) {
+      throw new MERTemplateError('Built-in templates cannot be changed; create your own instead', 'TEMPLATE_READ_ONLY', 403);
+    }
+
+    const { builtIn, ...stored } = existing;
+    const template = await getStorage().saveMERTemplate({
+      ...stored,
+      ...this.validateTemplate(input),
+      id: templateId,
+      revision: (stored.revision || 1) + 1
+    });
+    this.releaseSchemas(templateId);
+    console.log(`🗂️ Note template "${template.name}" updated for clinic ${clinicId}`);
+    return { ...template, builtIn: false };
+  }
+
+  /**
+   * Delete one of the clinic's templates. Sessions that chose it fall back
+   * to the default template for MERs generated afterwards.
+   * @param {string} templateId - Template identifier
+   * @param {string} clinicId - Clinic identifier
+   */
+  async remove(templateId, clinicId) {
+    const existing = await this.get(templateId, clinicId);
+    if (existing.builtIn) {
+      throw new MERTemplateError('Built-in templates cannot be deleted', 'TEMPLATE_READ_ONLY', 403);
+    }
+    await getStorage().deleteMERTemplate(templateId);
+    this.releaseSchemas(templateId);
+    console.log(`🗂️ Note template "${existing.name}" deleted from clinic ${clinicId}`);
+  }
+
+  /**
+   * Template a session's MER is generated with
+   * @param {Object} session - Session
+   * @returns {Promise<Object>} The session's chosen template, or the default
+   */
+  async forSession(session) {
+    const templateId = session.metadata.settings?.noteTemplate;
+    if (!templateId || this.builtIn.has(templateId)) {
+      return this.builtIn.get(templateId) || this.getDefault();
+    }
+
+    const template = await getStorage().getMERTemplate(templateId);
+    if (!template) {
+      console.warn(`⚠️ Note template ${templateId} of session ${session.id} no longer exists, using the default`);
+      return this.getDefault();
+    }
+    return { ...template, builtIn: false };
+  }
+
+  /**
+   * Schemas to generate against a template, built once per template revision.
+   * A newer revision, say one saved by another instance, replaces the cached one.
+   * @param {Object} template - Note template
+   * @returns {Object} { soapNotes, draft }
+   */
+  schemasFor(template) {
+    const revision = template.revision || 1;
+    const cached = this.schemaCache.get(template.id);
+    if (cached?.revision !== revision) {
+      this.releaseSchemas(template.id);
+      this.schemaCache.set(template.id, { revision, schemas: templateSchemas(template) });
+    }
+    return this.schemaCache.get(template.id).schemas;
+  }
+
+  /**
+   * Forget the cached schemas of a template and their compiled validators
+   * @param {string} templateId - Template identifier
+   */
+  releaseSchemas(templateId) {
+    const cached = this.schemaCache.get(templateId);
+    if (cached) {
+      releaseTemplateSchemas(cached.schemas);
+      this.schemaCache.delete(templateId);
+    }
+  }
+
+  /**
+   * Layout a MER keeps of the template it was written with
+   * @param {Object} template - Note template
+   * @returns {Object} { id, name, sections: [{ key, title, code, fields: [{ key, label, type }] }] }
+   */
+  layout(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      sections: template.sections.map(({ key, title, code, fields }) => ({
+        key,
+        title,
+        ...(code && { code }),
+        fields: fields.map(field => ({ key: field.key, label: field.label, type: field.type }))
+      }))
+    };
+  }
+
+  /**
+   * Clinical notes with exactly the template's sections and fields, taking
+   * values from notes where their type fits and a placeholder elsewhere
+   * @param {Object} template - Note template
+   * @param {Object} notes - Notes in any shape, e.g. written for another template
+   * @param {string} placeholder - Text for missing text fields
+   * @returns {Object} Notes matching the template
+   */
+  fitNotes(template, notes = {}, placeholder = 'Not discussed') {
+    return Object.fromEntries(template.sections.map(section => [
+      section.key,
+      Object.fromEntries(section.fields.map(field => {
+        const value = notes?.[section.key]?.[field.key];
+        if (field.type === 'list') {
+          return [field.key, Array.isArray(value) ? value.filter(item => typeof item === 'string') : []];
+        }
+        return [field.key, typeof value === 'string' ? value : placeholder];
+      }))
+    ]));
+  }
+}
+
+module.exports = new MERTemplateService();
+module.exports.MERTemplateError = MERTemplateError;
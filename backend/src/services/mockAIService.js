@@ -3,6 +3,21 @@
  * Simulates OpenAI responses for development and demos
  */
 
+const MOCK_TRANSCRIPTIONS = [
+  "Hello, what brings you in today?",
+  "I've been having chest pain for about three days now.",
+  "Can you describe the pain? Is it sharp or dull?",
+  "It's more of a burning sensation, especially after I eat.",
+  "Any radiation to your arms or jaw?",
+  "No, it stays right in the center of my chest.",
+  "Have you had any shortness of breath?",
+  "No, just the burning pain.",
+  "Let me examine you. Your heart sounds normal.",
+  "That's reassuring to hear.",
+  "I think this might be acid reflux. I'll prescribe something for that.",
+  "Thank you, doctor. When should I follow up?"
+];
+
 class MockAIService {
   /**
    * Mock MER generation
@@ -102,22 +117,7 @@ class MockAIService {
    * Mock transcription
    */
   static generateMockTranscription(audioChunk, options = {}) {
-    const mockTranscriptions = [
-      "Hello, what brings you in today?",
-      "I've been having chest pain for about three days now.",
-      "Can you describe the pain? Is it sharp or dull?",
-      "It's more of a burning sensation, especially after I eat.",
-      "Any radiation to your arms or jaw?",
-      "No, it stays right in the center of my chest.",
-      "Have you had any shortness of breath?",
-      "No, just the burning pain.",
-      "Let me examine you. Your heart sounds normal.",
-      "That's reassuring to hear.",
-      "I think this might be acid reflux. I'll prescribe something for that.",
-      "Thank you, doctor. When should I follow up?"
-    ];
-
-    const randomTranscription = mockTranscriptions[Math.floor(Math.random() * mockTranscriptions.length)];
+    const randomTranscription = MOCK_TRANSCRIPTIONS[Math.floor(Math.random() * MOCK_TRANSCRIPTIONS.length)];
     
     return Promise.resolve({
       text: randomTranscription,
@@ -128,6 +128,16 @@ class MockAIService {
     });
   }
 
+  /**
+   * Mock translation - tags the text instead of translating it
+   */
+  static generateMockTranslation(text, from, to) {
+    return Promise.resolve({
+      sourceLanguage: from,
+      text: `[${from || 'auto'} → ${to}] ${text}`
+    });
+  }
+
   /**
    * Check if we should use mock mode (for backward compatibility)
    */
@@ -155,3 +165,4 @@ class MockAIService {
 }
 
 module.exports = MockAIService;
+module.exports.MOCK_TRANSCRIPTIONS = MOCK_TRANSCRIPTIONS;
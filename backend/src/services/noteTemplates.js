@@ -0,0 +1,252 @@
+/**
+ * Built-in note templates
+ * A note template defines the sections of a MER's clinical notes
+ * (soapNotes), the fields in each and the guidance the model gets for them.
+ * Fields are free text or lists of text. Clinics add their own templates
+ * through the template API; these are always available and can't be changed.
+ *
+ * Template shape: { id, name, specialty, description, guidance, sections:
+ *   [{ key, title, guidance, code: { code, display }, fields: [{ key, label, type, guidance }] }] }
+ * where code is the LOINC section code exports use, if the section has one.
+ */
+const DEFAULT_TEMPLATE_ID = 'soap';
+
+const text = (key, guidance, label) => ({ key, type: 'text', guidance, ...(label && { label }) });
+const list = (key, guidance, label) => ({ key, type: 'list', guidance, ...(label && { label }) });
+
+// Assessment is the same for every specialty
+const assessment = {
+  key: 'assessment',
+  title: 'Assessment',
+  fields: [
+    text('primaryDiagnosis', 'Most likely diagnosis based on findings'),
+    list('differentialDiagnoses', 'Alternative diagnoses to consider'),
+    text('clinicalImpression', "Doctor's overall assessment")
+  ]
+};
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'General SOAP',
+    specialty: 'general',
+    description: 'Subjective, Objective, Assessment and Plan for any consultation',
+    sections: [
+      {
+        key: 'subjective',
+        title: 'Subjective',
+        fields: [
+          text('chiefComplaint', "Patient's main concern or reason for visit"),
+          text('historyOfPresentIllness', 'Detailed description of current symptoms'),
+          text('reviewOfSystems', 'Relevant positive and negative findings'),
+          text('pastMedicalHistory', 'Previous conditions, surgeries, medications'),
+          text('socialHistory', 'Relevant lifestyle factors'),
+          text('familyHistory', 'Relevant family medical history')
+        ]
+      },
+      {
+        key: 'objective',
+        title: 'Objective',
+        fields: [
+          text('vitalSigns', 'Any mentioned vital signs or measurements'),
+          text('physicalExam', 'Physical examination findings mentioned'),
+          text('labResults', 'Any lab or diagnostic results discussed'),
+          text('imaging', 'Imaging results if mentioned')
+        ]
+      },
+      assessment,
+      {
+        key: 'plan',
+        title: 'Plan',
+        fields: [
+          list('medications', 'Prescribed medications with dosages'),
+          list('procedures', 'Recommended procedures or tests'),
+          text('followUp', 'Follow-up instructions'),
+          text('patientEducation', 'Education provided to patient'),
+          list('referrals', 'Referrals to specialists if mentioned')
+        ]
+      }
+    ]
+  },
+  {
+    id: 'pediatrics',
+    name: 'Pediatrics',
+    specialty: 'pediatrics',
+    description: 'Well-child and sick visits with growth measurements, development and immunizations',
+    guidance: 'The patient is a child; history often comes from a parent or caregiver, so note who reported it. Give ages in months below two years.',
+    sections: [
+      {
+        key: 'subjective',
+        title: 'Subjective',
+        fields: [
+          text('chiefComplaint', 'Main concern or reason for the visit'),
+          text('historyOfPresentIllness', 'Detailed description of current symptoms and who reported them'),
+          text('birthHistory', 'Gestational age, birth weight and perinatal problems if mentioned'),
+          text('feedingAndNutrition', 'Breastfeeding, formula, diet and appetite'),
+          text('developmentalMilestones', 'Motor, language and social milestones, and any concerns'),
+          text('immunizations', 'Vaccines given, due or missed'),
+          text('familyHistory', 'Relevant family medical history'),
+          text('socialHistory', 'Home, school or daycare, and caregivers')
+        ]
+      },
+      {
+        key: 'growth',
+        title: 'Growth',
+        guidance: 'Record measurements exactly as stated, with units, and percentiles or z-scores only if they were given.',
+        code: { code: '8716-3', display: 'Vital signs' },
+        fields: [
+          text('weight', 'Weight with units, and percentile if stated'),
+          text('height', 'Length or height with units, and percentile if stated', 'Length/height'),
+          text('headCircumference', 'Head circumference with units, and percentile if stated'),
+          text('bmi', 'Body mass index and percentile if stated', 'BMI'),
+          text('growthTrend', 'How growth compares with previous visits')
+        ]
+      },
+      {
+        key: 'objective',
+        title: 'Objective',
+        fields: [
+          text('vitalSigns', 'Temperature, heart rate, respiratory rate, oxygen saturation'),
+          text('physicalExam', 'Physical examination findings mentioned'),
+          text('labResults', 'Any lab or diagnostic results discussed')
+        ]
+      },
+      assessment,
+      {
+        key: 'plan',
+        title: 'Plan',
+        fields: [
+          list('medications', 'Prescribed medications with weight-based dosages'),
+          list('procedures', 'Recommended procedures, tests or vaccines'),
+          text('followUp', 'Follow-up or next well-child visit'),
+          text('caregiverEducation', 'Advice given to the parent or caregiver'),
+          list('referrals', 'Referrals to specialists if mentioned')
+        ]
+      }
+    ]
+  },
+  {
+    id: 'psychiatry',
+    name: 'Psychiatry',
+    specialty: 'psychiatry',
+    description: 'Psychiatric evaluation with mental status exam and risk assessment',
+    guidance: "Use the patient's own words for mood and symptoms where possible. Never leave out anything said about suicide, self-harm or harming others.",
+    sections: [
+      {
+        key: 'subjective',
+        title: 'Subjective',
+        fields: [
+          text('chiefComplaint', "Patient's main concern or reason for visit"),
+          text('historyOfPresentIllness', 'Course of current symptoms, stressors and triggers'),
+          text('psychiatricHistory', 'Previous diagnoses, admissions, treatments and their effect'),
+          text('substanceUse', 'Alcohol, tobacco, cannabis and other drugs'),
+          text('medicalHistory', 'Relevant medical conditions and current medications'),
+          text('socialHistory', 'Living situation, relationships, work and support'),
+          text('familyHistory', 'Psychiatric illness and suicide in the family')
+        ]
+      },
+      {
+        key: 'mentalStatusExam',
+        title: 'Mental Status Exam',
+        guidance: 'Only describe what the doctor observed or stated; do not infer findings from the conversation alone.',
+        code: { code: '10190-7', display: 'Mental status Narrative' },
+        fields: [
+          text('appearance', 'Dress, grooming and apparent age'),
+          text('behavior', 'Eye contact, psychomotor activity and rapport'),
+          text('speech', 'Rate, volume and articulation'),
+          text('mood', "Mood in the patient's words"),
+          text('affect', 'Range, congruence and stability of affect'),
+          text('thoughtProcess', 'Organization and flow of thought'),
+          text('thoughtContent', 'Preoccupations, obsessions and delusions'),
+          text('perception', 'Hallucinations or other perceptual disturbances'),
+          text('cognition', 'Orientation, attention and memory'),
+          text('insight', 'Awareness of illness and need for treatment'),
+          text('judgment', 'Decision making and impulse control')
+        ]
+      },
+      {
+        key: 'riskAssessment',
+        title: 'Risk Assessment',
+        fields: [
+          text('suicidalIdeation', 'Thoughts, plans, intent and means'),
+          text('selfHarm', 'Recent or past self-harm'),
+          text('harmToOthers', 'Thoughts or intent to harm others'),
+          text('protectiveFactors', 'Supports, reasons for living and engagement with care'),
+          text('riskLevel', 'Overall risk as judged by the doctor'),
+          text('safetyPlan', 'Safety plan agreed with the patient')
+        ]
+      },
+      assessment,
+      {
+        key: 'plan',
+        title: 'Plan',
+        fields: [
+          list('medications', 'Prescribed or adjusted psychiatric medications with dosages'),
+          list('therapy', 'Psychotherapy or other non-drug treatment'),
+          text('followUp', 'Follow-up interval'),
+          text('patientEducation', 'Education and crisis contacts provided'),
+          list('referrals', 'Referrals to other services if mentioned')
+        ]
+      }
+    ]
+  },
+  {
+    id: 'dermatology',
+    name: 'Dermatology',
+    specialty: 'dermatology',
+    description: 'Skin consultations with a structured description of each lesion',
+    guidance: 'Use standard dermatological terms for morphology (macule, papule, plaque, vesicle, nodule, ...).',
+    sections: [
+      {
+        key: 'subjective',
+        title: 'Subjective',
+        fields: [
+          text('chiefComplaint', "Patient's main concern or reason for visit"),
+          text('historyOfPresentIllness', 'Onset, duration, evolution, itch or pain, and triggers'),
+          text('previousTreatments', 'Treatments tried and their effect'),
+          text('pastMedicalHistory', 'Skin conditions, atopy, skin cancer and relevant medications'),
+          text('exposures', 'Sun exposure, occupation, contacts, new products'),
+          text('familyHistory', 'Skin disease or skin cancer in the family')
+        ]
+      },
+      {
+        key: 'skinExam',
+        title: 'Skin Exam',
+        guidance: 'Describe each lesion separately, in the order the doctor examined them.',
+        code: { code: '29545-1', display: 'Physical findings Narrative' },
+        fields: [
+          list('lesions', 'One entry per lesion: site, morphology, size, colour, border and surface'),
+          text('distribution', 'Distribution and configuration of the lesions'),
+          text('skinType', 'Fitzpatrick skin type if stated'),
+          text('dermoscopy', 'Dermoscopy findings if performed'),
+          text('otherFindings', 'Hair, nails, mucosa and lymph nodes')
+        ]
+      },
+      {
+        key: 'objective',
+        title: 'Objective',
+        fields: [
+          text('vitalSigns', 'Any mentioned vital signs or measurements'),
+          text('labResults', 'Biopsy, culture or other results discussed')
+        ]
+      },
+      assessment,
+      {
+        key: 'plan',
+        title: 'Plan',
+        fields: [
+          list('medications', 'Topical and systemic treatments with strength and application'),
+          list('procedures', 'Biopsy, excision, cryotherapy or other procedures'),
+          text('followUp', 'Follow-up instructions'),
+          text('patientEducation', 'Skin care and sun protection advice'),
+          list('referrals', 'Referrals to specialists if mentioned')
+        ]
+      }
+    ]
+  }
+];
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  BUILT_IN_TEMPLATES
+};
@@ -1,32 +1,67 @@
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { getStorage, setStorage } = require('./storage');
+const AudioArchive = require('./audioArchive');
+const TranslationService = require('./translationService');
+const TranscriptEditService = require('./transcriptEditService');
+const { DEFAULT_TEMPLATE_ID } = require('./noteTemplates');
 
-// In-memory session store (use Redis in production)
-const activeSessions = new Map();
+// Per-session settings the session doctor may change, with their defaults
+const DEFAULT_SETTINGS = {
+  archiveAudio: false,
+  language: config.languages.transcription, // ISO 639-1 code or 'auto'
+  noteTemplate: DEFAULT_TEMPLATE_ID // Note template the MER is written with
+};
+
+// Socket membership is connection state and stays in memory:
+// socketId -> { sessionId, role } recorded when the socket joins
 const sessionUsers = new Map();
 
 /**
  * Session Manager Service
- * Handles session creation, management, and cleanup
+ * Handles session creation, management, and cleanup.
+ * Session data lives in a pluggable storage adapter (memory or PostgreSQL).
  */
 class SessionManager {
+  get store() {
+    return getStorage();
+  }
+
   /**
-   * Create a new session
+   * Initialize the underlying store (connects and syncs the schema for PostgreSQL)
    */
-  createSession(doctorName, patientName = null) {
-    const sessionId = uuidv4();
-    const session = {
+  async init() {
+    await this.store.init();
+  }
+
+  /**
+   * Replace the storage adapter (e.g. with a fresh MemoryAdapter in tests)
+   * @param {Object} store - Storage adapter
+   */
+  setStore(store) {
+    setStorage(store);
+    sessionUsers.clear();
+  }
+
+  /**
+   * Build a new session record
+   */
+  buildSession(sessionId, doctorName, patientName, owners = {}) {
+    return {
       id: sessionId,
       doctor: {
         name: doctorName,
+        userId: owners.doctorUserId || null,
         socketId: null,
         joinedAt: null
       },
       patient: {
         name: patientName,
+        userId: owners.patientUserId || null,
         socketId: null,
         joinedAt: null
       },
-      status: 'waiting', // waiting, active, ended
+      status: 'waiting', // waiting, active, recording, completed, inactive, ended
       transcript: [],
       isRecording: false,
       merDocument: null,
@@ -34,11 +69,19 @@ class SessionManager {
         createdAt: new Date(),
         lastActivity: new Date(),
         recordingStartTime: null,
-        recordingEndTime: null
+        recordingEndTime: null,
+        totalMessages: 0,
+        settings: { ...DEFAULT_SETTINGS }
       }
     };
-    
-    activeSessions.set(sessionId, session);
+  }
+
+  /**
+   * Create a new session
+   */
+  async createSession(doctorName, patientName = null, doctorUserId = null) {
+    const sessionId = uuidv4();
+    const session = await this.store.createSession(this.buildSession(sessionId, doctorName, patientName, { doctorUserId }));
     console.log(`📝 Session created: ${sessionId} for Dr. ${doctorName}`);
     return session;
   }
@@ -46,291 +89,604 @@ class SessionManager {
   /**
    * Get a session by ID
    */
-  getSession(sessionId) {
-    return activeSessions.get(sessionId) || null;
+  async getSession(sessionId) {
+    return this.store.getSession(sessionId);
   }
 
   /**
-   * Get all active sessions
+   * Check whether an authenticated user is the doctor or patient bound to a session
+   * @param {Object} session - Session
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @returns {boolean}
    */
-  getAllSessions() {
-    return Array.from(activeSessions.entries()).map(([id, session]) => ({
-      id,
-      ...session
-    }));
+  isParticipant(session, user) {
+    if (!session || !user || !['doctor', 'patient'].includes(user.role)) {
+      return false;
+    }
+    return session[user.role]?.userId === user.id;
   }
 
   /**
-   * Get the raw activeSessions Map for internal operations
+   * What a patient may see of a session - the same as the socket layer sends
+   * them on join: no MER, socket or user IDs, or speaker map
+   * @param {Object} session - Session
+   * @returns {Object} Session view
    */
-  getActiveSessionsMap() {
-    return activeSessions;
+  toPatientView(session) {
+    const participant = ({ name, socketId }) => ({ name, isConnected: !!socketId });
+    return {
+      id: session.id,
+      doctor: participant(session.doctor),
+      patient: participant(session.patient),
+      status: session.status,
+      isRecording: session.isRecording,
+      transcript: session.transcript,
+      settings: this.getSettings(session)
+    };
+  }
+
+  /**
+   * Get sessions, optionally only those of one doctor
+   * @param {Object} filter - { doctorId }
+   */
+  async getAllSessions(filter = {}) {
+    return this.store.listSessions(filter);
+  }
+
+  /**
+   * Apply changes, set metadata keys and bump lastActivity. The store merges
+   * the metadata itself, so concurrent updates don't overwrite each other.
+   * @returns {Promise<Object|null>} Updated session or null if it doesn't exist
+   */
+  async touchSession(sessionId, changes = {}, metadataChanges = {}) {
+    const updated = await this.store.updateSessionMetadata(sessionId, { set: metadataChanges }, changes);
+    return updated ? this.store.getSession(sessionId) : null;
   }
 
   /**
-   * Cleanup inactive sessions
+   * End sessions that have had no activity for a while
    */
-  cleanupInactiveSessions(maxInactiveHours = 4) {
-    const now = new Date();
-    const maxInactiveTime = maxInactiveHours * 60 * 60 * 1000;
+  async cleanupInactiveSessions(maxInactiveHours = config.session.inactiveHours) {
+    const cutoff = new Date(Date.now() - maxInactiveHours * 60 * 60 * 1000);
+    const sessionIds = await this.store.findSessionIds({ lastActivityBefore: cutoff });
     let cleanedCount = 0;
 
-    for (const [sessionId, session] of activeSessions.entries()) {
-      const timeSinceLastActivity = now - session.metadata.lastActivity;
-      
-      if (timeSinceLastActivity > maxInactiveTime) {
-        activeSessions.delete(sessionId);
-        console.log(`🗑️ Cleaned up inactive session: ${sessionId}`);
-        cleanedCount++;
+    for (const sessionId of sessionIds) {
+      const session = await this.store.getSessionRecord(sessionId);
+      if (!session || session.status === 'ended') {
+        continue;
       }
+
+      await this.endSession(sessionId);
+      console.log(`🗑️ Cleaned up inactive session: ${sessionId}`);
+      cleanedCount++;
     }
 
     if (cleanedCount > 0) {
       console.log(`🧹 Cleaned up ${cleanedCount} inactive sessions`);
     }
-    
+
     return cleanedCount;
   }
 
   /**
    * Add user to session
+   * @param {Object} user - Authenticated user ({ id, name }) to bind to the role
    */
-  addUserToSession(sessionId, userRole, socketId) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      // Validate userRole
-      if (!['doctor', 'patient'].includes(userRole)) {
-        console.warn(`Invalid userRole: ${userRole}, defaulting to 'patient'`);
-        userRole = 'patient';
-      }
-      
-      // Ensure the role object exists
-      if (!session[userRole]) {
-        session[userRole] = { name: 'Unknown', socketId: null, joinedAt: null };
-      }
-      
-      session[userRole].socketId = socketId;
-      session[userRole].joinedAt = new Date();
-      sessionUsers.set(socketId, sessionId);
-      session.metadata.lastActivity = new Date();
-      
-      // Update session status
-      if (session.doctor.socketId && session.patient.socketId) {
-        session.status = 'active';
-      }
-      
-      console.log(`👤 User joined session ${sessionId}: ${userRole} (${socketId})`);
-      return session;
+  async addUserToSession(sessionId, userRole, socketId, user = {}) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    // Validate userRole
+    if (!['doctor', 'patient'].includes(userRole)) {
+      console.warn(`Invalid userRole: ${userRole}, defaulting to 'patient'`);
+      userRole = 'patient';
     }
-    return null;
+
+    const participant = {
+      ...(session[userRole] || { name: 'Unknown' }),
+      socketId,
+      joinedAt: new Date()
+    };
+    if (user.name && !participant.name) {
+      participant.name = user.name;
+    }
+    if (user.id && !participant.userId) {
+      participant.userId = user.id;
+    }
+
+    const changes = { [userRole]: participant };
+    const otherRole = userRole === 'doctor' ? 'patient' : 'doctor';
+
+    // Update session status
+    if (session[otherRole].socketId && !['recording', 'completed'].includes(session.status)) {
+      changes.status = 'active';
+    } else if (session.status === 'inactive') {
+      changes.status = 'waiting';
+    }
+
+    sessionUsers.set(socketId, { sessionId, role: userRole });
+    const updatedSession = await this.touchSession(sessionId, changes);
+
+    console.log(`👤 User joined session ${sessionId}: ${userRole} (${socketId})`);
+    return updatedSession;
+  }
+
+  /**
+   * Bind a role in the session to a specific user, replacing any previous holder
+   * (used when a patient joins through a fresh invite)
+   * @param {Object} user - Authenticated user ({ id, name })
+   */
+  async bindParticipant(sessionId, userRole, user) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    return this.touchSession(sessionId, {
+      [userRole]: {
+        ...session[userRole],
+        userId: user.id,
+        name: user.name || session[userRole].name
+      }
+    });
   }
 
   /**
    * Remove user from session
    */
-  removeUserFromSession(socketId) {
-    const sessionId = sessionUsers.get(socketId);
-    if (sessionId) {
-      const session = activeSessions.get(sessionId);
-      if (session) {
-        // Find and remove user from session
-        ['doctor', 'patient'].forEach(role => {
-          if (session[role].socketId === socketId) {
-            session[role].socketId = null;
-            session[role].joinedAt = null;
-            console.log(`👤 User left session ${sessionId}: ${role} (${socketId})`);
-          }
-        });
-        
-        session.metadata.lastActivity = new Date();
-        sessionUsers.delete(socketId);
-        
-        // Update session status
-        if (!session.doctor.socketId && !session.patient.socketId) {
-          session.status = 'ended';
-        }
-        
-        return { sessionId, session };
+  async removeUserFromSession(socketId) {
+    const sessionId = sessionUsers.get(socketId)?.sessionId;
+    if (!sessionId) {
+      return null;
+    }
+
+    sessionUsers.delete(socketId);
+
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const changes = {};
+    let role = null;
+
+    // Find and remove user from session
+    ['doctor', 'patient'].forEach(candidate => {
+      if (session[candidate].socketId === socketId) {
+        changes[candidate] = { ...session[candidate], socketId: null, joinedAt: null };
+        role = candidate;
+        console.log(`👤 User left session ${sessionId}: ${candidate} (${socketId})`);
       }
+    });
+
+    const doctorConnected = role === 'doctor' ? false : !!session.doctor.socketId;
+    const patientConnected = role === 'patient' ? false : !!session.patient.socketId;
+
+    // Sessions nobody is connected to become inactive until someone rejoins
+    if (!doctorConnected && !patientConnected && session.status !== 'ended') {
+      changes.status = 'inactive';
     }
-    return null;
+
+    const updatedSession = await this.touchSession(sessionId, changes);
+    return { sessionId, session: updatedSession, role };
   }
 
   /**
    * Get session ID by socket ID
    */
   getSessionIdBySocketId(socketId) {
-    return sessionUsers.get(socketId);
+    return sessionUsers.get(socketId)?.sessionId;
+  }
+
+  /**
+   * Get the session and role a socket was admitted with at join time
+   * @param {string} socketId - Socket identifier
+   * @returns {Object|null} { sessionId, role } or null if the socket hasn't joined
+   */
+  getSocketMembership(socketId) {
+    const membership = sessionUsers.get(socketId);
+    return membership ? { ...membership } : null;
+  }
+
+  /**
+   * Get the session a socket is currently joined to
+   * @param {string} socketId - Socket identifier
+   * @returns {Promise<Object|null>} { sessionId, session } or null
+   */
+  async getSessionBySocketId(socketId) {
+    const sessionId = sessionUsers.get(socketId)?.sessionId;
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await this.store.getSession(sessionId);
+    return session ? { sessionId, session } : null;
   }
 
   /**
    * Add transcript entry to session
+   * @returns {Promise<Object|null>} The stored entry or null if the session doesn't exist
+   */
+  async addTranscriptEntry(sessionId, entry) {
+    const storedEntry = await this.store.addTranscriptEntry(sessionId, {
+      ...entry,
+      id: uuidv4(),
+      timestamp: entry.timestamp || new Date()
+    });
+    if (!storedEntry) {
+      return null;
+    }
+
+    await this.store.updateSessionMetadata(sessionId, { increment: { totalMessages: 1 } });
+    return storedEntry;
+  }
+
+  /**
+   * Persist a settled transcription result as transcript entries.
+   * Diarized results become one entry per utterance, each mapped to a role;
+   * otherwise the whole result is attributed to the microphone it came from.
+   * Entries carry offsetMs/endOffsetMs and word timings relative to the
+   * recording start so they can be matched to the recorded audio, and the
+   * spoken language with a translation when it isn't the translation language.
+   * @param {string} sessionId - Session identifier
+   * @param {string} source - Role whose microphone captured the audio
+   * @param {string} sourceName - Display name of that participant
+   * @param {Object} result - Transcription result (see transcriptionProviders)
+   * @param {Object} options - { recordingId, recordingStartTime } to override the session's current recording
+   * @returns {Promise<Array>} Saved entries
    */
-  addTranscriptEntry(sessionId, entry) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      session.transcript.push({
-        id: Date.now(),
-        ...entry,
-        timestamp: new Date()
+  async saveTranscriptionResult(sessionId, source, sourceName, result, options = {}) {
+    const segments = result.utterances?.length
+      ? result.utterances
+      : [{
+        text: result.text,
+        confidence: result.confidence,
+        speakerLabel: result.speakerLabel ?? null,
+        start: result.start,
+        end: result.end
+      }];
+    const diarized = segments.some(segment => segment.speakerLabel !== null && segment.speakerLabel !== undefined);
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return [];
+    }
+
+    const recordingStartTime = options.recordingStartTime || session.metadata.recordingStartTime;
+    // Late results after the recording stopped belong to the last one
+    const recordingId = options.recordingId || session.metadata.currentRecordingId ||
+      (await this.store.getRecordings(sessionId)).at(-1)?.id || null;
+    const audioStartedAt = result.audioStartedAt || new Date();
+    const baseMs = recordingStartTime ? new Date(audioStartedAt) - new Date(recordingStartTime) : 0;
+    // Provider timings are seconds from the start of the transcribed audio
+    const toOffsetMs = (seconds) => Math.max(0, Math.round(baseMs + seconds * 1000));
+    const words = result.words || [];
+    const savedEntries = [];
+
+    for (const segment of segments) {
+      if (!segment.text) continue;
+
+      const segmentWords = result.utterances?.length
+        ? words.filter(word => word.start >= segment.start && word.end <= segment.end)
+        : words;
+      const start = segment.start ?? segmentWords[0]?.start ?? 0;
+      const end = segment.end ?? segmentWords[segmentWords.length - 1]?.end;
+
+      let speaker = source;
+      let speakerLabel = null;
+      if (diarized && segment.speakerLabel !== null && segment.speakerLabel !== undefined) {
+        const resolved = await this.resolveSpeaker(sessionId, source, segment.speakerLabel);
+        speaker = resolved.role;
+        speakerLabel = resolved.speakerLabel;
+      }
+
+      const translation = await TranslationService.translate(segment.text, result.language || null);
+
+      const transcriptEntry = await this.addTranscriptEntry(sessionId, {
+        speaker,
+        speakerName: speaker === source ? sourceName : (session[speaker]?.name || speaker),
+        speakerLabel,
+        source,
+        text: segment.text,
+        language: translation?.sourceLanguage || result.language || null,
+        translation: translation && { language: translation.language, text: translation.text },
+        timestamp: new Date(),
+        confidence: segment.confidence ?? result.confidence ?? 0.9,
+        recordingId,
+        offsetMs: toOffsetMs(start),
+        endOffsetMs: end !== undefined ? toOffsetMs(end) : null,
+        words: segmentWords.map(word => ({
+          word: word.word,
+          offsetMs: toOffsetMs(word.start),
+          endOffsetMs: toOffsetMs(word.end),
+          confidence: word.confidence ?? null
+        })),
+        ...(result.utteranceId && { utteranceId: result.utteranceId })
       });
-      session.metadata.lastActivity = new Date();
-      return true;
+
+      if (!transcriptEntry) {
+        break;
+      }
+
+      console.log(`📝 [${sessionId}] ${speaker}: ${segment.text.substring(0, 100)}...`);
+      savedEntries.push(transcriptEntry);
     }
-    return false;
+
+    return savedEntries;
+  }
+
+  /**
+   * Key for a diarized speaker label. Labels are only unique within one
+   * audio source, so "A" from the doctor's microphone and "A" from the
+   * patient's are different speakers.
+   */
+  speakerKey(source, label) {
+    return `${source}:${label}`;
+  }
+
+  /**
+   * Map a diarized speaker label onto a session role.
+   * The first label heard on a microphone is assumed to be its owner;
+   * any other voice on it is taken to be the other participant. A label
+   * keeps the role it was first stored with, so concurrent results agree.
+   * @param {string} sessionId - Session identifier
+   * @param {string} source - Role whose microphone captured the audio
+   * @param {string|number} label - Provider speaker label
+   * @returns {Promise<Object>} { speakerLabel, role }
+   */
+  async resolveSpeaker(sessionId, source, label) {
+    const speakerLabel = this.speakerKey(source, label);
+    const session = await this.store.getSessionRecord(sessionId);
+    const speakerMap = session?.metadata.speakerMap || {};
+
+    if (speakerMap[speakerLabel]) {
+      return { speakerLabel, role: speakerMap[speakerLabel] };
+    }
+
+    const sourceHasOwner = Object.keys(speakerMap).some(key => key.startsWith(`${source}:`));
+    const role = sourceHasOwner ? (source === 'doctor' ? 'patient' : 'doctor') : source;
+    const updated = session && await this.store.updateSessionMetadata(sessionId, {
+      mergeMissing: { speakerMap: { [speakerLabel]: role } }
+    });
+
+    return { speakerLabel, role: updated?.metadata.speakerMap[speakerLabel] || role };
+  }
+
+  /**
+   * Reassign a diarized speaker to a different role and relabel their
+   * transcript entries. Each relabelled entry is a speaker change like one
+   * made in the transcript editor: marked as edited and recorded as a revision.
+   * @param {string} sessionId - Session identifier
+   * @param {string} speakerLabel - Speaker key as stored on transcript entries
+   * @param {string} role - 'doctor' or 'patient'
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array|null>} Updated entries, or null if the session or speaker is unknown
+   */
+  async reassignSpeaker(sessionId, speakerLabel, role, actor) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session || !(session.metadata.speakerMap || {})[speakerLabel]) {
+      return null;
+    }
+
+    await this.store.updateSessionMetadata(sessionId, {
+      merge: { speakerMap: { [speakerLabel]: role } }
+    });
+
+    const updatedEntries = [];
+    for (const entry of await this.store.getTranscript(sessionId)) {
+      if (entry.speakerLabel === speakerLabel && entry.speaker !== role) {
+        const { entries: [updated] } = await TranscriptEditService.commit(sessionId, 'change-speaker', actor, [entry], [
+          TranscriptEditService.revised(entry, actor, { speaker: role, speakerName: session[role].name || role })
+        ]);
+        updatedEntries.push(updated);
+      }
+    }
+
+    console.log(`🗣️ Speaker ${speakerLabel} reassigned to ${role} in session ${sessionId} (${updatedEntries.length} entries)`);
+    return updatedEntries;
+  }
+
+  /**
+   * Get a session's settings, filling in defaults for older sessions
+   * @param {Object} session - Session
+   * @returns {Object} Settings
+   */
+  getSettings(session) {
+    return { ...DEFAULT_SETTINGS, ...session.metadata.settings };
+  }
+
+  /**
+   * Update per-session settings. Unknown keys are ignored.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object|null>} Updated settings or null if the session doesn't exist
+   */
+  async updateSettings(sessionId, changes) {
+    const known = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (changes[key] !== undefined) {
+        known[key] = changes[key];
+      }
+    }
+
+    const updated = await this.store.updateSessionMetadata(sessionId, { merge: { settings: known } });
+    if (!updated) {
+      return null;
+    }
+
+    const settings = this.getSettings(updated);
+    console.log(`⚙️ Settings updated for session ${sessionId}:`, settings);
+    return settings;
   }
 
   /**
    * Start recording for a session
+   * @returns {Promise<Object|null>} Updated session
    */
-  startRecording(sessionId) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      session.isRecording = true;
-      session.metadata.recordingStartTime = new Date();
-      console.log(`🔴 Recording started for session ${sessionId}`);
-      return true;
+  async startRecording(sessionId, startedBy = null) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
     }
-    return false;
+
+    const recordingStartTime = new Date();
+    const recordingId = uuidv4();
+
+    await this.store.saveRecording({
+      id: recordingId,
+      sessionId,
+      startedAt: recordingStartTime,
+      endedAt: null,
+      durationMs: null,
+      startedBy,
+      metadata: {}
+    });
+
+    const updatedSession = await this.touchSession(sessionId, {
+      isRecording: true,
+      status: 'recording'
+    }, {
+      recordingStartTime,
+      recordingEndTime: null,
+      currentRecordingId: recordingId
+    });
+
+    console.log(`🔴 Recording started for session ${sessionId}`);
+    return updatedSession;
   }
 
   /**
    * Stop recording for a session
+   * @returns {Promise<Object|null>} Updated session
    */
-  stopRecording(sessionId) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      session.isRecording = false;
-      session.metadata.recordingEndTime = new Date();
-      console.log(`⏹️ Recording stopped for session ${sessionId}`);
-      return true;
+  async stopRecording(sessionId) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const recordingEndTime = new Date();
+    const { currentRecordingId, recordingStartTime } = session.metadata;
+
+    if (currentRecordingId) {
+      await this.store.saveRecording({
+        id: currentRecordingId,
+        sessionId,
+        endedAt: recordingEndTime,
+        durationMs: recordingStartTime ? recordingEndTime - new Date(recordingStartTime) : null
+      });
     }
-    return false;
+
+    const updatedSession = await this.touchSession(sessionId, {
+      isRecording: false,
+      status: 'completed'
+    }, {
+      recordingEndTime,
+      currentRecordingId: null
+    });
+
+    console.log(`⏹️ Recording stopped for session ${sessionId}`);
+    return updatedSession;
   }
 
   /**
-   * Save MER document to session
+   * Store a new MER version together with the session's current MER document
+   * @param {Object} version - MER version record including its document
+   * @returns {Promise<Object|null>} Stored version, or null if it doesn't follow the session's latest version
    */
-  saveMERDocument(sessionId, merDocument) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      session.merDocument = merDocument;
-      session.metadata.lastActivity = new Date();
-      return true;
+  async saveMERVersion(version) {
+    const saved = await this.store.saveMERVersion(version);
+    if (saved) {
+      await this.store.updateSessionMetadata(version.sessionId);
     }
-    return false;
+    return saved;
   }
 
   /**
    * End a session
    */
-  endSession(sessionId) {
-    const session = activeSessions.get(sessionId);
-    if (session) {
-      // Remove all users from session tracking
-      ['doctor', 'patient'].forEach(role => {
-        if (session[role].socketId) {
-          sessionUsers.delete(session[role].socketId);
-        }
-      });
-      
-      session.status = 'ended';
-      session.metadata.endedAt = new Date();
-      
-      // For now, keep sessions in memory for retrieval
-      // In production, move to permanent storage and remove from active sessions
-      console.log(`🔚 Session ended: ${sessionId}`);
-      return session;
+  async endSession(sessionId) {
+    const session = await this.store.getSessionRecord(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    // Remove all users from session tracking
+    const changes = { status: 'ended', isRecording: false };
+    ['doctor', 'patient'].forEach(role => {
+      if (session[role].socketId) {
+        sessionUsers.delete(session[role].socketId);
+        changes[role] = { ...session[role], socketId: null };
+      }
+    });
+
+    if (session.isRecording) {
+      await this.stopRecording(sessionId);
     }
-    return null;
+
+    const endedSession = await this.touchSession(sessionId, changes, { endedAt: new Date() });
+    console.log(`🔚 Session ended: ${sessionId}`);
+    return endedSession;
   }
 
   /**
-   * Cleanup old sessions (call periodically)
+   * Delete ended sessions past the retention period (call periodically)
    */
-  cleanupOldSessions(maxAgeHours = 24) {
-    const now = new Date();
-    const maxAge = maxAgeHours * 60 * 60 * 1000;
+  async cleanupOldSessions(maxAgeHours = config.session.retentionHours) {
+    if (!maxAgeHours) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+    const sessionIds = await this.store.findSessionIds({ status: 'ended', createdBefore: cutoff });
     let cleaned = 0;
-    
-    for (const [sessionId, session] of activeSessions.entries()) {
-      const age = now - session.metadata.createdAt;
-      if (age > maxAge && session.status === 'ended') {
-        activeSessions.delete(sessionId);
+
+    for (const sessionId of sessionIds) {
+      if (await this.store.deleteSession(sessionId)) {
+        await AudioArchive.deleteSession(sessionId);
         cleaned++;
       }
     }
-    
+
     if (cleaned > 0) {
       console.log(`🗑️ Cleaned up ${cleaned} old sessions`);
     }
-    
-    return cleaned;
-  }
 
-  /**
-   * Update session ID (for custom session IDs)
-   */
-  updateSessionId(oldId, newId) {
-    const session = activeSessions.get(oldId);
-    if (session) {
-      session.id = newId;
-      activeSessions.delete(oldId);
-      activeSessions.set(newId, session);
-      console.log(`📝 Session ID updated: ${oldId} → ${newId}`);
-      return session;
-    }
-    return null;
+    return cleaned;
   }
 
   /**
    * Create or get session with custom ID
    */
-  createOrGetSession(sessionId, userName = 'Unknown', userRole = 'doctor') {
-    let session = activeSessions.get(sessionId);
+  async createOrGetSession(sessionId, userName = 'Unknown', userRole = 'doctor', userId = null) {
+    let session = await this.store.getSession(sessionId);
     if (!session) {
-      session = {
-        id: sessionId,
-        doctor: {
-          name: userRole === 'doctor' ? userName : 'Doctor',
-          socketId: null,
-          joinedAt: null
-        },
-        patient: {
-          name: userRole === 'patient' ? userName : 'Patient',
-          socketId: null,
-          joinedAt: null
-        },
-        status: 'waiting', // waiting, active, ended
-        transcript: [],
-        isRecording: false,
-        merDocument: null,
-        metadata: {
-          createdAt: new Date(),
-          lastActivity: new Date(),
-          recordingStartTime: null,
-          recordingEndTime: null
-        }
-      };
-      
-      activeSessions.set(sessionId, session);
+      session = await this.store.createSession(this.buildSession(
+        sessionId,
+        userRole === 'doctor' ? userName : 'Doctor',
+        userRole === 'patient' ? userName : 'Patient',
+        userRole === 'doctor' ? { doctorUserId: userId } : { patientUserId: userId }
+      ));
       console.log(`📝 Session created/retrieved: ${sessionId} by ${userRole}: ${userName}`);
     }
     return session;
   }
 
   /**
-   * Get session statistics
+   * Get session statistics, counted by the store without loading sessions
+   * @param {Object} filter - { doctorId } to count only one doctor's sessions
    */
-  getSessionStats() {
-    const sessions = Array.from(activeSessions.values());
-    return {
-      total: sessions.length,
-      active: sessions.filter(s => s.status === 'active').length,
-      waiting: sessions.filter(s => s.status === 'waiting').length,
-      ended: sessions.filter(s => s.status === 'ended').length,
-      recording: sessions.filter(s => s.isRecording).length
-    };
+  async getSessionStats(filter = {}) {
+    const [total, active, waiting, ended, recording] = await Promise.all([
+      this.store.countSessions(filter),
+      this.store.countSessions({ ...filter, status: 'active' }),
+      this.store.countSessions({ ...filter, status: 'waiting' }),
+      this.store.countSessions({ ...filter, status: 'ended' }),
+      this.store.countSessions({ ...filter, isRecording: true })
+    ]);
+    return { total, active, waiting, ended, recording };
   }
 }
 
@@ -339,7 +695,9 @@ const sessionManager = new SessionManager();
 
 // Cleanup old sessions every hour
 setInterval(() => {
-  sessionManager.cleanupOldSessions();
-}, 60 * 60 * 1000);
+  sessionManager.cleanupOldSessions().catch(error => {
+    console.error('Error cleaning up old sessions:', error);
+  });
+}, 60 * 60 * 1000).unref();
 
 module.exports = sessionManager;
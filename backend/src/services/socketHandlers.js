@@ -1,40 +1,214 @@
 const TranscriptionService = require('./transcriptionService');
+const { TranscriptionUnavailableError } = TranscriptionService;
+const { AudioFormatError } = require('./audioNormalizer');
+const AudioArchive = require('./audioArchive');
+const TranscriptionJobService = require('./transcriptionJobService');
+const GlossaryService = require('./glossaryService');
+const TranscriptEditService = require('./transcriptEditService');
+const { TranscriptEditError } = TranscriptEditService;
 const MERGeneratorService = require('./merGeneratorService');
+const MERDraftService = require('./merDraftService');
+const { MERGenerationError, MERValidationError } = MERGeneratorService;
+const MERReviewService = require('./merReviewService');
+const { MERReviewError } = MERReviewService;
+const MERTemplateService = require('./merTemplateService');
+const ClinicSettingsService = require('./clinicSettingsService');
 const SessionManager = require('./sessionManager');
+const config = require('../config/config');
+const AuditLogger = require('./auditLogger');
+const AuthService = require('./authService');
+const InviteService = require('./inviteService');
+const { authenticateSocket } = require('../middleware/auth');
+
+// Structured error codes sent with rejected socket events
+const SOCKET_ERRORS = {
+  NOT_IN_SESSION: 'NOT_IN_SESSION',
+  FORBIDDEN_ROLE: 'FORBIDDEN_ROLE',
+  ROLE_TAKEN: 'ROLE_TAKEN',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  WRONG_SESSION: 'WRONG_SESSION'
+};
+
+// Roles allowed to emit each event, checked against the role recorded at join-session
+const EVENT_PERMISSIONS = {
+  'webrtc-offer': { roles: ['doctor', 'patient'] },
+  'webrtc-answer': { roles: ['doctor', 'patient'] },
+  'webrtc-ice-candidate': { roles: ['doctor', 'patient'] },
+  'audio-stream': { roles: ['doctor', 'patient'] },
+  'send-message': { roles: ['doctor', 'patient'] },
+  'start-recording': { roles: ['doctor'], deniedMessage: 'Only doctors can start recording' },
+  'stop-recording': { roles: ['doctor'], deniedMessage: 'Only doctors can stop recording' },
+  'generate-mer': { roles: ['doctor'], deniedMessage: 'Only doctors can generate MER documents' },
+  'reassign-speaker': { roles: ['doctor'], deniedMessage: 'Only doctors can reassign speakers' },
+  'edit-transcript': { roles: ['doctor'], deniedMessage: 'Only doctors can correct the transcript' }
+};
 
 module.exports = (io) => {
   console.log('🔌 Initializing Socket.IO handlers...');
   
+  // Every connection must present a valid access token
+  io.use(authenticateSocket);
+  
   io.on('connection', (socket) => {
-    console.log(`👤 User connected: ${socket.id}`);
+    // Identity comes from the verified token, never from event payloads
+    const user = socket.data.user;
+    const userRole = user.role;
+    const userName = user.name;
+    
+    console.log(`👤 User connected: ${socket.id} (${userRole} ${user.id})`);
+    
+    // Personal room for notifications addressed to this user
+    socket.join(`user:${user.id}`);
+    
+    /**
+     * Reject an event with a structured error and record it in the audit log
+     */
+    const reject = (event, code, message, sessionId = null) => {
+      socket.emit('error', { code, event, message });
+      AuditLogger.denied(`socket:${event}`, {
+        actor: user,
+        sessionId,
+        code,
+        socketId: socket.id
+      });
+    };
+    
+    /**
+     * Authorize an event against the session and role this socket joined with
+     * @param {string} event - Event name (must be listed in EVENT_PERMISSIONS)
+     * @returns {Object|null} { sessionId, role } when allowed, null when rejected
+     */
+    const authorize = (event) => {
+      const membership = SessionManager.getSocketMembership(socket.id);
+      if (!membership) {
+        reject(event, SOCKET_ERRORS.NOT_IN_SESSION, 'Join a session before sending this event');
+        return null;
+      }
+      
+      const permission = EVENT_PERMISSIONS[event];
+      if (!permission || !permission.roles.includes(membership.role)) {
+        reject(
+          event,
+          SOCKET_ERRORS.FORBIDDEN_ROLE,
+          permission?.deniedMessage || `Role ${membership.role} cannot send ${event}`,
+          membership.sessionId
+        );
+        return null;
+      }
+      
+      return membership;
+    };
+    
+    /**
+     * Persist a settled transcription and broadcast each saved entry to the session
+     */
+    const saveTranscription = async (sessionId, source, sourceName, result) => {
+      const savedEntries = await SessionManager.saveTranscriptionResult(sessionId, source, sourceName, result);
+      
+      for (const transcriptEntry of savedEntries) {
+        console.log('📤 Broadcasting transcription to session:', sessionId);
+        io.to(sessionId).emit('transcription-final', transcriptEntry);
+        // Kept for clients that only understand the original event
+        io.to(sessionId).emit('live-transcription', transcriptEntry);
+      }
+      
+      return savedEntries;
+    };
+    
+    /**
+     * Open a streaming transcription for this socket's audio.
+     * Handlers broadcast to the session room so they keep working if the socket reconnects.
+     */
+    const openTranscriptionStream = (sessionId, speaker, speakerName, { glossary, language }) => {
+      return TranscriptionService.startStream(sessionId, speaker, {
+        onInterim: (result) => {
+          io.to(sessionId).emit('transcription-interim', {
+            utteranceId: result.utteranceId,
+            speaker,
+            speakerName,
+            text: result.text,
+            confidence: result.confidence,
+            timestamp: new Date(),
+            isFinal: false
+          });
+        },
+        onFinal: (result) => saveTranscription(sessionId, speaker, speakerName, result),
+        onError: (error) => {
+          io.to(sessionId).emit('transcription-degraded', {
+            code: 'TRANSCRIPTION_DEGRADED',
+            message: 'Live transcription is temporarily unavailable',
+            attempts: [{ provider: config.transcription.streaming.provider, error: error.message }],
+            timestamp: new Date()
+          });
+        }
+      }, { glossary, language });
+    };
     
     // Handle user joining a session
     socket.on('join-session', async (data) => {
       try {
-        const { sessionId, userRole, userName } = data;
+        const { sessionId } = data || {};
         
-        if (!sessionId || !userRole || !userName) {
+        if (!sessionId) {
           socket.emit('error', { message: 'Missing required fields' });
           return;
         }
         
         console.log(`🏥 ${userRole} "${userName}" attempting to join session: ${sessionId}`);
         
-        // Join the socket room
-        socket.join(sessionId);
+        // Session-scoped tokens (guest patients) only work for their own session
+        if (user.sessionId && user.sessionId !== sessionId) {
+          reject('join-session', SOCKET_ERRORS.WRONG_SESSION, 'This token is not valid for that session', sessionId);
+          return;
+        }
         
-        // Create or get session - this ensures the session always exists
-        const session = SessionManager.createOrGetSession(sessionId, userName, userRole);
+        let accessToken = null;
         
-        // Update user name in session if not already set
-        if (userRole === 'doctor' && !session.doctor.name) {
-          session.doctor.name = userName;
-        } else if (userRole === 'patient' && !session.patient.name) {
-          session.patient.name = userName;
+        if (userRole === 'doctor') {
+          // Doctors may open a session by ID; patients can only join existing ones
+          const session = await SessionManager.createOrGetSession(sessionId, userName, userRole, user.id);
+          
+          // The doctor role in a session is bound to the first doctor who claims it
+          if (session.doctor.userId && session.doctor.userId !== user.id) {
+            console.warn(`🔒 ${userRole} ${user.id} denied access to session ${sessionId}`);
+            reject('join-session', SOCKET_ERRORS.ROLE_TAKEN, 'This session already has a different doctor', sessionId);
+            return;
+          }
+        } else {
+          const session = await SessionManager.getSession(sessionId);
+          if (!session) {
+            reject('join-session', SOCKET_ERRORS.SESSION_NOT_FOUND, 'Session not found', sessionId);
+            return;
+          }
+          
+          // Patients need a valid invite unless they already redeemed one for this session
+          if (session.patient.userId !== user.id) {
+            try {
+              const invite = await InviteService.redeemInvite(
+                data.inviteToken || socket.data.inviteToken,
+                sessionId,
+                user.id
+              );
+              await SessionManager.bindParticipant(sessionId, 'patient', user);
+              AuditLogger.log('invite:redeem', { actor: user, sessionId, inviteId: invite.id });
+            } catch (inviteError) {
+              if (!inviteError.code) throw inviteError;
+              reject('join-session', inviteError.code, inviteError.message, sessionId);
+              return;
+            }
+            
+            // Guests get a session-scoped token so they can reconnect without the invite
+            if (user.guest) {
+              accessToken = AuthService.issueToken(user, { sessionId, guest: true });
+            }
+          }
         }
         
-        // Add user to session management
-        const updatedSession = SessionManager.addUserToSession(sessionId, userRole, socket.id);
+        // Join the socket room
+        socket.join(sessionId);
+        
+        // Add user to session management (fills in the user name if not already set)
+        const updatedSession = await SessionManager.addUserToSession(sessionId, userRole, socket.id, user);
         
         if (!updatedSession) {
           socket.emit('error', { message: 'Failed to join session' });
@@ -76,6 +250,7 @@ module.exports = (io) => {
         socket.emit('session-joined', {
           sessionId,
           userRole,
+          accessToken,
           otherUsers, // Include other connected users
           session: {
             doctor: {
@@ -88,7 +263,8 @@ module.exports = (io) => {
             },
             transcript: updatedSession.transcript.slice(-20), // Send last 20 messages
             isRecording: updatedSession.isRecording,
-            status: updatedSession.status
+            status: updatedSession.status,
+            settings: SessionManager.getSettings(updatedSession)
           }
         });
         
@@ -109,23 +285,32 @@ module.exports = (io) => {
     
     // Handle WebRTC signaling
     socket.on('webrtc-offer', (data) => {
+      const membership = authorize('webrtc-offer');
+      if (!membership) return;
+      
       console.log(`📡 WebRTC offer from ${socket.id}`);
-      socket.to(data.sessionId).emit('webrtc-offer', {
+      socket.to(membership.sessionId).emit('webrtc-offer', {
         offer: data.offer,
         from: socket.id
       });
     });
     
     socket.on('webrtc-answer', (data) => {
+      const membership = authorize('webrtc-answer');
+      if (!membership) return;
+      
       console.log(`📡 WebRTC answer from ${socket.id}`);
-      socket.to(data.sessionId).emit('webrtc-answer', {
+      socket.to(membership.sessionId).emit('webrtc-answer', {
         answer: data.answer,
         from: socket.id
       });
     });
     
     socket.on('webrtc-ice-candidate', (data) => {
-      socket.to(data.sessionId).emit('webrtc-ice-candidate', {
+      const membership = authorize('webrtc-ice-candidate');
+      if (!membership) return;
+      
+      socket.to(membership.sessionId).emit('webrtc-ice-candidate', {
         candidate: data.candidate,
         from: socket.id
       });
@@ -136,19 +321,18 @@ module.exports = (io) => {
       try {
         console.log('🎵 Received audio-stream event from:', socket.id);
         console.log('🎵 Audio data size:', data.audioData?.length || 0, 'bytes');
-        console.log('🎵 User:', data.userRole, '-', data.userName);
-        console.log('🎵 Session ID:', data.sessionId);
+        console.log('🎵 User:', userRole, '-', userName);
+        
+        const membership = authorize('audio-stream');
+        if (!membership) return;
         
-        const userSession = SessionManager.removeUserFromSession(socket.id);
-        if (!userSession) {
-          console.log('❌ No user session found for socket:', socket.id);
+        const { sessionId } = membership;
+        const session = await SessionManager.getSession(sessionId);
+        if (!session) {
+          console.log('❌ No session found for socket:', socket.id);
           return;
         }
         
-        const { sessionId, session } = userSession;
-        // Re-add user (removeUserFromSession was used just to get session info)
-        SessionManager.addUserToSession(sessionId, data.userRole || 'unknown', socket.id);
-        
         if (!session.isRecording) {
           console.log('⚠️ Session not recording, ignoring audio for session:', sessionId);
           return; // Not recording, ignore audio
@@ -156,55 +340,65 @@ module.exports = (io) => {
         
         console.log('🎵 Processing audio for session:', sessionId, '- Recording:', session.isRecording);
         
+        const audioChunk = Buffer.from(data.audioData, 'base64');
+        
+        // Sessions that opted in keep the raw audio; archiving never holds up transcription
+        if (session.metadata.settings?.archiveAudio) {
+          AudioArchive.appendChunk(session, membership.role, audioChunk).catch(error => {
+            console.error(`❌ Failed to archive audio for session ${sessionId}:`, error.message);
+          });
+        }
+        
+        // Streaming providers report interim text per chunk and finals per utterance
+        if (TranscriptionService.isStreamingEnabled()) {
+          if (!TranscriptionService.getStream(sessionId, membership.role)) {
+            openTranscriptionStream(sessionId, membership.role, userName, {
+              glossary: await GlossaryService.getTermsForSession(sessionId),
+              language: SessionManager.getSettings(session).language
+            });
+          }
+          TranscriptionService.writeStream(sessionId, membership.role, audioChunk);
+          return;
+        }
+        
         // Process audio chunk through transcription service with proper error handling
         let transcriptionResult = null;
         try {
           transcriptionResult = await TranscriptionService.processAudioChunk(
-            Buffer.from(data.audioData, 'base64'),
+            audioChunk,
             {
-              speaker: data.userRole || 'unknown',
-              speakerName: data.userName || 'Unknown',
+              speaker: membership.role,
+              speakerName: userName,
               sessionId: sessionId,
-              timestamp: new Date()
+              timestamp: new Date(),
+              language: SessionManager.getSettings(session).language
             }
           );
         } catch (transcriptionError) {
-          console.error('❌ Transcription service failed:', transcriptionError.message);
-          
-          // Force fallback to mock transcription if all providers fail
-          console.log('🎭 Forcing fallback to mock transcription');
-          const mockAIService = require('./mockAIService');
-          transcriptionResult = await mockAIService.generateMockTranscription(
-            Buffer.from(data.audioData, 'base64'),
-            {
-              speaker: data.userRole || 'unknown',
-              speakerName: data.userName || 'Unknown'
-            }
-          );
+          if (transcriptionError instanceof TranscriptionUnavailableError) {
+            // Tell the session rather than inventing text for it
+            io.to(sessionId).emit('transcription-degraded', {
+              code: transcriptionError.code,
+              message: 'Live transcription is temporarily unavailable',
+              attempts: transcriptionError.attempts,
+              timestamp: new Date()
+            });
+            return;
+          }
+          if (transcriptionError instanceof AudioFormatError) {
+            socket.emit('transcription-error', {
+              code: transcriptionError.code,
+              message: transcriptionError.message
+            });
+            return;
+          }
+          throw transcriptionError;
         }
         
         console.log('📝 Transcription result:', transcriptionResult);
         
         if (transcriptionResult && transcriptionResult.text) {
-          // Add to session transcript
-          const transcriptEntry = {
-            id: Date.now(),
-            speaker: data.userRole || 'unknown',
-            speakerName: data.userName || 'Unknown',
-            text: transcriptionResult.text,
-            timestamp: new Date(),
-            confidence: transcriptionResult.confidence || 0.9
-          };
-          
-          session.transcript.push(transcriptEntry);
-          session.metadata.totalMessages++;
-          session.metadata.lastActivity = new Date();
-          
-          console.log('📤 Broadcasting transcription to session:', sessionId);
-          // Broadcast live transcription to all users in session
-          io.to(sessionId).emit('live-transcription', transcriptEntry);
-          
-          console.log(`📝 [${sessionId}] ${data.userRole}: ${transcriptionResult.text.substring(0, 100)}...`);
+          await saveTranscription(sessionId, membership.role, userName, transcriptionResult);
         } else {
           console.log('⚠️ No transcription text received');
         }
@@ -218,29 +412,24 @@ module.exports = (io) => {
     // Start recording
     socket.on('start-recording', async (data) => {
       try {
-        const userSession = SessionManager.removeUserFromSession(socket.id);
-        if (!userSession) return;
+        // Only doctors can start recording
+        const membership = authorize('start-recording');
+        if (!membership) return;
         
-        const { sessionId, session } = userSession;
-        // Re-add user
-        SessionManager.addUserToSession(sessionId, data.userRole || 'doctor', socket.id);
+        const { sessionId } = membership;
         
-        // Only doctors can start recording
-        if (data.userRole !== 'doctor') {
-          socket.emit('error', { message: 'Only doctors can start recording' });
-          return;
+        const session = await SessionManager.startRecording(sessionId, userName);
+        // A signed MER is final, so there is nothing to draft
+        if (!MERReviewService.isSigned(session.merDocument)) {
+          MERDraftService.start(sessionId);
         }
         
-        session.isRecording = true;
-        session.status = 'recording';
-        session.recordingStartTime = new Date();
-        
         io.to(sessionId).emit('recording-started', {
-          startedBy: data.userName || 'Doctor',
-          timestamp: session.recordingStartTime
+          startedBy: userName,
+          timestamp: session.metadata.recordingStartTime
         });
         
-        console.log(`🔴 Recording started for session ${sessionId} by ${data.userName}`);
+        console.log(`🔴 Recording started for session ${sessionId} by ${userName}`);
         
       } catch (error) {
         console.error('Error starting recording:', error);
@@ -251,42 +440,53 @@ module.exports = (io) => {
     // Stop recording
     socket.on('stop-recording', async (data) => {
       try {
-        const userSession = SessionManager.removeUserFromSession(socket.id);
-        if (!userSession) return;
+        const membership = authorize('stop-recording');
+        if (!membership) return;
         
-        const { sessionId, session } = userSession;
-        // Re-add user
-        SessionManager.addUserToSession(sessionId, data.userRole || 'doctor', socket.id);
+        const { sessionId } = membership;
+        const currentSession = await SessionManager.getSession(sessionId);
         
-        if (data.userRole !== 'doctor') {
-          socket.emit('error', { message: 'Only doctors can stop recording' });
-          return;
-        }
-        
-        if (!session.isRecording) {
+        if (!currentSession?.isRecording) {
           socket.emit('error', { message: 'Session is not currently recording' });
           return;
         }
         
-        session.isRecording = false;
-        session.status = 'completed';
-        session.recordingEndTime = new Date();
+        const stoppedSession = await SessionManager.stopRecording(sessionId);
+        const { recordingStartTime, recordingEndTime } = stoppedSession.metadata;
         
-        // Generate MER document if transcript is available
-        if (session.transcript.length > 0) {
+        // Flush streaming utterances and buffered audio so the MER sees everything that was said
+        await TranscriptionService.endStreams(sessionId);
+        for (const { speaker, result } of await TranscriptionService.flushBuffers(sessionId)) {
+          await saveTranscription(sessionId, speaker, stoppedSession[speaker]?.name || speaker, result);
+        }
+        const session = await SessionManager.getSession(sessionId);
+        
+        // Generate MER document if transcript is available and the MER isn't signed yet
+        if (session.transcript.length > 0 && MERReviewService.isSigned(session.merDocument)) {
+          console.log(`🔏 MER for session ${sessionId} is signed, not regenerating it`);
+          if (session.doctor.socketId) {
+            io.to(session.doctor.socketId).emit('mer-generation-error', {
+              message: 'The MER is signed; add an addendum for anything recorded since',
+              code: 'MER_SIGNED'
+            });
+          }
+        } else if (session.transcript.length > 0) {
           try {
             console.log(`📋 Generating MER for session ${sessionId}...`);
             
-            const merDocument = await MERGeneratorService.generateMER({
+            // The live draft already covers most of the consultation; only without one start from scratch
+            const generated = await MERDraftService.finalize(sessionId) || await MERGeneratorService.generateMER({
               transcript: session.transcript,
-              sessionDuration: session.recordingEndTime - session.recordingStartTime,
+              sessionDuration: recordingEndTime - recordingStartTime,
               doctor: session.doctor.name,
               patient: session.patient.name || 'Patient',
-              sessionId: sessionId
+              sessionId: sessionId,
+              documentationLanguage: await ClinicSettingsService.getDocumentationLanguageForSession(sessionId),
+              template: await MERTemplateService.forSession(session)
             });
             
-            // Store MER in session for later retrieval
-            session.merDocument = merDocument;
+            // Store MER in session for later retrieval, as a new draft version
+            const { document: merDocument } = await MERReviewService.recordGenerated(sessionId, generated, user);
             
             // Send MER to doctor only
             if (session.doctor.socketId) {
@@ -301,15 +501,17 @@ module.exports = (io) => {
           } catch (merError) {
             console.error('Error generating MER:', merError);
             socket.emit('mer-generation-error', { 
-              message: 'Failed to generate MER document automatically' 
+              message: 'Failed to generate MER document automatically',
+              ...((merError instanceof MERGenerationError || merError instanceof MERReviewError) && { code: merError.code, status: merError.status }),
+              ...(merError instanceof MERValidationError && { validationErrors: merError.errors })
             });
           }
         }
         
         io.to(sessionId).emit('recording-stopped', {
-          stoppedBy: data.userName || 'Doctor',
-          timestamp: session.recordingEndTime,
-          duration: session.recordingEndTime - session.recordingStartTime,
+          stoppedBy: userName,
+          timestamp: recordingEndTime,
+          duration: recordingEndTime - recordingStartTime,
           transcriptLength: session.transcript.length
         });
         
@@ -324,35 +526,39 @@ module.exports = (io) => {
     // Manual MER generation request
     socket.on('generate-mer', async (data) => {
       try {
-        const userSession = SessionManager.removeUserFromSession(socket.id);
-        if (!userSession) return;
+        const membership = authorize('generate-mer');
+        if (!membership) return;
         
-        const { sessionId, session } = userSession;
-        // Re-add user
-        SessionManager.addUserToSession(sessionId, data.userRole || 'doctor', socket.id);
+        const { sessionId } = membership;
+        const session = await SessionManager.getSession(sessionId);
         
-        if (data.userRole !== 'doctor') {
-          socket.emit('error', { message: 'Only doctors can generate MER documents' });
+        if (!session || session.transcript.length === 0) {
+          socket.emit('error', { message: 'No transcript available for MER generation' });
           return;
         }
         
-        if (session.transcript.length === 0) {
-          socket.emit('error', { message: 'No transcript available for MER generation' });
+        if (MERReviewService.isSigned(session.merDocument)) {
+          socket.emit('mer-generation-error', {
+            message: 'The MER is signed; add an addendum instead of regenerating it',
+            code: 'MER_SIGNED'
+          });
           return;
         }
         
         console.log(`📋 Manual MER generation requested for session ${sessionId}`);
         
-        const merDocument = await MERGeneratorService.generateMER({
+        const generated = await MERGeneratorService.generateMER({
           transcript: session.transcript,
           doctor: session.doctor.name,
           patient: session.patient.name || 'Patient',
           sessionId: sessionId,
-          customInstructions: data.customInstructions
+          customInstructions: data.customInstructions,
+          documentationLanguage: await ClinicSettingsService.getDocumentationLanguageForSession(sessionId),
+          template: await MERTemplateService.forSession(session)
         });
         
-        // Store in session
-        session.merDocument = merDocument;
+        // Store in session as a new draft version
+        const { document: merDocument } = await MERReviewService.recordGenerated(sessionId, generated, user);
         
         socket.emit('mer-generated', {
           document: merDocument,
@@ -363,24 +569,101 @@ module.exports = (io) => {
         
       } catch (error) {
         console.error('Error generating MER manually:', error);
-        socket.emit('mer-generation-error', { message: 'Failed to generate MER document' });
+        socket.emit('mer-generation-error', {
+          message: 'Failed to generate MER document',
+          ...((error instanceof MERGenerationError || error instanceof MERReviewError) && { code: error.code, status: error.status }),
+          ...(error instanceof MERValidationError && { validationErrors: error.errors })
+        });
+      }
+    });
+    
+    // Doctor corrects a mislabelled diarized speaker
+    socket.on('reassign-speaker', async (data) => {
+      try {
+        const membership = authorize('reassign-speaker');
+        if (!membership) return;
+        
+        const { sessionId } = membership;
+        const { speakerLabel, role } = data || {};
+        
+        if (!speakerLabel || !['doctor', 'patient'].includes(role)) {
+          socket.emit('error', { event: 'reassign-speaker', message: 'speakerLabel and a role of doctor or patient are required' });
+          return;
+        }
+        
+        const updatedEntries = await SessionManager.reassignSpeaker(sessionId, speakerLabel, role, user);
+        if (!updatedEntries) {
+          socket.emit('error', { event: 'reassign-speaker', message: 'Speaker not found in this session' });
+          return;
+        }
+        
+        AuditLogger.log('session:reassign-speaker', { actor: user, sessionId, speakerLabel, role });
+        io.to(sessionId).emit('speaker-reassigned', {
+          speakerLabel,
+          role,
+          entries: updatedEntries
+        });
+        
+      } catch (error) {
+        console.error('Error reassigning speaker:', error);
+        socket.emit('error', { message: 'Failed to reassign speaker' });
+      }
+    });
+    
+    // Handle transcript corrections, same operations as the /transcript REST routes:
+    // { action: 'edit', entryId, text } | { action: 'delete', entryId }
+    // | { action: 'change-speaker', entryId, speaker } | { action: 'split', entryId, at, speaker }
+    // | { action: 'merge', entryIds }
+    socket.on('edit-transcript', async (data) => {
+      try {
+        const membership = authorize('edit-transcript');
+        if (!membership) return;
+        
+        const { sessionId } = membership;
+        const { action, entryId, entryIds, text, speaker, at } = data || {};
+        const edits = {
+          edit: () => TranscriptEditService.editEntry(sessionId, entryId, { text }, user),
+          delete: () => TranscriptEditService.deleteEntry(sessionId, entryId, user),
+          'change-speaker': () => TranscriptEditService.changeSpeaker(sessionId, entryId, { speaker }, user),
+          split: () => TranscriptEditService.splitEntry(sessionId, entryId, { at, speaker }, user),
+          merge: () => TranscriptEditService.mergeEntries(sessionId, entryIds, user)
+        };
+        
+        if (!edits[action]) {
+          socket.emit('error', {
+            event: 'edit-transcript',
+            code: 'VALIDATION_ERROR',
+            message: `action must be one of: ${Object.keys(edits).join(', ')}`
+          });
+          return;
+        }
+        
+        const { revision, entries, removedIds } = await edits[action]();
+        
+        AuditLogger.log('session:edit-transcript', { actor: user, sessionId, action, revisionId: revision.id });
+        io.to(sessionId).emit('transcript-updated', { action, revision, entries, removedIds });
+        
+      } catch (error) {
+        if (error instanceof TranscriptEditError) {
+          socket.emit('error', { event: 'edit-transcript', code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error editing transcript:', error);
+        socket.emit('error', { event: 'edit-transcript', message: 'Failed to edit transcript' });
       }
     });
     
     // Handle real-time text messages/notes
     socket.on('send-message', (data) => {
       try {
-        const userSession = SessionManager.removeUserFromSession(socket.id);
-        if (!userSession) return;
-        
-        const { sessionId } = userSession;
-        // Re-add user
-        SessionManager.addUserToSession(sessionId, data.userRole || 'unknown', socket.id);
+        const membership = authorize('send-message');
+        if (!membership) return;
         
+        const { sessionId } = membership;
         const messageData = {
           id: Date.now(),
-          sender: data.userName || 'Unknown',
-          senderRole: data.userRole || 'unknown',
+          sender: userName,
+          senderRole: membership.role,
           message: data.message,
           timestamp: new Date(),
           type: 'chat'
@@ -396,23 +679,15 @@ module.exports = (io) => {
     });
     
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       try {
-        const userSession = SessionManager.removeUserFromSession(socket.id);
+        const userSession = await SessionManager.removeUserFromSession(socket.id);
         if (userSession) {
-          const { sessionId, session } = userSession;
+          const { sessionId, session, role } = userSession;
           
           // Determine which role disconnected
-          let disconnectedRole = 'unknown';
-          let disconnectedName = 'Unknown User';
-          
-          if (!session.doctor.socketId && session.doctor.name) {
-            disconnectedRole = 'doctor';
-            disconnectedName = session.doctor.name;
-          } else if (!session.patient.socketId && session.patient.name) {
-            disconnectedRole = 'patient';
-            disconnectedName = session.patient.name;
-          }
+          const disconnectedRole = role || 'unknown';
+          const disconnectedName = (role && session[role].name) || 'Unknown User';
           
           console.log(`👤 ${disconnectedRole} "${disconnectedName}" disconnected from session ${sessionId}`);
           
@@ -423,10 +698,10 @@ module.exports = (io) => {
             timestamp: new Date()
           });
           
-          // If both users left, mark session as inactive
-          if (!session.doctor.socketId && !session.patient.socketId) {
-            session.status = 'inactive';
-            console.log(`� Session ${sessionId} is now inactive (no users connected)`);
+          // If both users left, the session is now inactive
+          if (session.status === 'inactive') {
+            console.log(`💤 Session ${sessionId} is now inactive (no users connected)`);
+            await TranscriptionService.endStreams(sessionId);
           }
         }
         
@@ -443,10 +718,29 @@ module.exports = (io) => {
     });
   });
   
+  // Background transcription jobs report to the doctor who uploaded the recording
+  TranscriptionJobService.on('progress', job => io.to(`user:${job.createdBy}`).emit('transcription-job-progress', job));
+  TranscriptionJobService.on('completed', job => io.to(`user:${job.createdBy}`).emit('transcription-job-completed', job));
+  TranscriptionJobService.on('failed', job => io.to(`user:${job.createdBy}`).emit('transcription-job-failed', job));
+  
+  // Live MER drafts go to the session doctor only
+  MERDraftService.on('updated', async (draft) => {
+    try {
+      const session = await SessionManager.getSession(draft.sessionId);
+      if (session?.doctor.socketId) {
+        io.to(session.doctor.socketId).emit('mer-draft-updated', { ...draft, timestamp: new Date() });
+      }
+    } catch (error) {
+      console.error('Error sending MER draft:', error);
+    }
+  });
+  
   // Periodic cleanup of inactive sessions
   setInterval(() => {
-    SessionManager.cleanupInactiveSessions(4); // Clean sessions inactive for 4+ hours
-  }, 30 * 60 * 1000); // Check every 30 minutes
+    SessionManager.cleanupInactiveSessions().catch(error => {
+      console.error('Error cleaning up inactive sessions:', error);
+    });
+  }, config.session.cleanupInterval).unref();
   
   console.log('✅ Socket.IO handlers initialized');
 };
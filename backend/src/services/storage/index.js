@@ -0,0 +1,47 @@
+const config = require('../../config/config');
+const MemoryAdapter = require('./memoryAdapter');
+
+/**
+ * Create the storage adapter selected by config.storage.driver
+ * @param {string} driver - 'memory' or 'postgres'
+ * @returns {Object} Storage adapter instance
+ */
+function createStorageAdapter(driver = config.storage.driver) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryAdapter();
+
+    case 'postgres': {
+      // Loaded lazily so the memory store works without a database driver
+      const PostgresAdapter = require('./postgresAdapter');
+      return new PostgresAdapter();
+    }
+
+    default:
+      throw new Error(`Unsupported session store: ${driver}`);
+  }
+}
+
+// Shared adapter used by all services
+let storage = null;
+
+/**
+ * Get the shared storage adapter, creating it on first use
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorageAdapter();
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage adapter (e.g. with a fresh MemoryAdapter in tests)
+ * @param {Object} adapter - Storage adapter
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = { createStorageAdapter, getStorage, setStorage, MemoryAdapter };
@@ -0,0 +1,572 @@
+/**
+ * In-memory storage adapter
+ * Keeps everything in Maps - used for tests and local development.
+ * Records are cloned on the way in and out so callers can't mutate
+ * stored state without going through the adapter.
+ */
+class MemoryAdapter {
+  constructor() {
+    this.sessions = new Map();
+    this.transcripts = new Map();
+    this.transcriptRevisions = new Map();
+    this.merDocuments = new Map();
+    this.merVersions = new Map();
+    this.recordings = new Map();
+    this.users = new Map();
+    this.auditEvents = [];
+    this.invites = new Map();
+    this.transcriptionJobs = new Map();
+    this.glossaries = new Map();
+    this.clinicSettings = new Map();
+    this.merTemplates = new Map();
+  }
+
+  async init() {
+    console.log('💾 Using in-memory session store');
+  }
+
+  async close() {}
+
+  /**
+   * Persist a new session (transcript and MER are stored separately)
+   * @param {Object} session - Session record
+   * @returns {Promise<Object>} Stored session
+   */
+  async createSession(session) {
+    const { transcript, merDocument, recordings, ...record } = session;
+    this.sessions.set(record.id, structuredClone(record));
+    this.transcripts.set(record.id, []);
+    return this.getSession(record.id);
+  }
+
+  /**
+   * Load a session together with its transcript, MER and recordings
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async getSession(sessionId) {
+    const record = this.sessions.get(sessionId);
+    if (!record) {
+      return null;
+    }
+
+    return structuredClone({
+      ...record,
+      transcript: this.transcripts.get(sessionId) || [],
+      merDocument: this.merDocuments.get(sessionId) || null,
+      recordings: this.recordings.get(sessionId) || []
+    });
+  }
+
+  /**
+   * Load a session without its transcript, MER and recordings
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Session record or null
+   */
+  async getSessionRecord(sessionId) {
+    const record = this.sessions.get(sessionId);
+    return record ? structuredClone(record) : null;
+  }
+
+  /**
+   * Whether a session record matches simple filters
+   * @param {Object} record - Session record
+   * @param {Object} filter - { doctorId, status, isRecording, lastActivityBefore, createdBefore }
+   * @returns {boolean}
+   */
+  matchesFilter(record, filter) {
+    if (filter.doctorId && record.doctor.userId !== filter.doctorId) return false;
+    if (filter.status && record.status !== filter.status) return false;
+    if (filter.isRecording !== undefined && record.isRecording !== filter.isRecording) return false;
+    if (filter.lastActivityBefore && !(record.metadata.lastActivity < filter.lastActivityBefore)) return false;
+    if (filter.createdBefore && !(record.metadata.createdAt < filter.createdBefore)) return false;
+    return true;
+  }
+
+  /**
+   * List sessions, oldest first
+   * @param {Object} filter - See matchesFilter
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(filter = {}) {
+    const sessions = [];
+    for (const [sessionId, record] of this.sessions.entries()) {
+      if (this.matchesFilter(record, filter)) {
+        sessions.push(await this.getSession(sessionId));
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Count sessions without loading them
+   * @param {Object} filter - See matchesFilter
+   * @returns {Promise<number>} Number of matching sessions
+   */
+  async countSessions(filter = {}) {
+    let count = 0;
+    for (const record of this.sessions.values()) {
+      if (this.matchesFilter(record, filter)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Apply a metadata patch and top-level changes to a session in one step,
+   * so concurrent callers never overwrite each other's metadata.
+   * lastActivity is always bumped.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} patch - { set, increment, merge, mergeMissing }: metadata keys to
+   *   overwrite, numeric keys to add to, and object keys to merge into (new values
+   *   winning, or only filling in keys that aren't there yet)
+   * @param {Object} changes - Top-level fields to overwrite
+   * @returns {Promise<Object|null>} Updated session record (see getSessionRecord) or null
+   */
+  async updateSessionMetadata(sessionId, patch = {}, changes = {}) {
+    const record = this.sessions.get(sessionId);
+    if (!record) {
+      return null;
+    }
+
+    const metadata = { ...record.metadata };
+    for (const [key, by] of Object.entries(patch.increment || {})) {
+      metadata[key] = (metadata[key] || 0) + by;
+    }
+    for (const [key, values] of Object.entries(patch.merge || {})) {
+      metadata[key] = { ...metadata[key], ...structuredClone(values) };
+    }
+    for (const [key, values] of Object.entries(patch.mergeMissing || {})) {
+      metadata[key] = { ...structuredClone(values), ...metadata[key] };
+    }
+    Object.assign(metadata, structuredClone(patch.set || {}), { lastActivity: new Date() });
+
+    this.sessions.set(sessionId, { ...record, ...structuredClone(changes), metadata });
+    return this.getSessionRecord(sessionId);
+  }
+
+  /**
+   * Delete a session and everything attached to it
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} Whether a session was deleted
+   */
+  async deleteSession(sessionId) {
+    for (const [inviteId, invite] of this.invites.entries()) {
+      if (invite.sessionId === sessionId) {
+        this.invites.delete(inviteId);
+      }
+    }
+    this.transcripts.delete(sessionId);
+    this.transcriptRevisions.delete(sessionId);
+    this.merDocuments.delete(sessionId);
+    this.merVersions.delete(sessionId);
+    this.recordings.delete(sessionId);
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Find session IDs matching simple filters
+   * @param {Object} filter - See matchesFilter
+   * @returns {Promise<Array<string>>} Matching session IDs
+   */
+  async findSessionIds(filter = {}) {
+    return Array.from(this.sessions.entries())
+      .filter(([, record]) => this.matchesFilter(record, filter))
+      .map(([sessionId]) => sessionId);
+  }
+
+  /**
+   * Append a transcript entry
+   * @param {string} sessionId - Session identifier
+   * @param {Object} entry - Transcript entry
+   * @returns {Promise<Object|null>} Stored entry or null
+   */
+  async addTranscriptEntry(sessionId, entry) {
+    const transcript = this.transcripts.get(sessionId);
+    if (!transcript) {
+      return null;
+    }
+
+    transcript.push(structuredClone(entry));
+    return structuredClone(entry);
+  }
+
+  /**
+   * Apply changes to a transcript entry
+   * @param {string} sessionId - Session identifier
+   * @param {string} entryId - Transcript entry identifier
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated entry or null
+   */
+  async updateTranscriptEntry(sessionId, entryId, changes) {
+    const transcript = this.transcripts.get(sessionId) || [];
+    const index = transcript.findIndex(entry => entry.id === entryId);
+    if (index === -1) {
+      return null;
+    }
+
+    transcript[index] = { ...transcript[index], ...structuredClone(changes) };
+    return structuredClone(transcript[index]);
+  }
+
+  /**
+   * Replace consecutive transcript entries with new ones in the same place
+   * (none to delete, several to split, one to merge)
+   * @param {string} sessionId - Session identifier
+   * @param {Array<string>} entryIds - Entries to remove, in transcript order
+   * @param {Array<Object>} entries - Entries to insert where the first one was
+   * @returns {Promise<Object|null>} { entries, position } with the inserted entries and
+   *   the index they start at, or null if the entries aren't there in that order
+   */
+  async replaceTranscriptEntries(sessionId, entryIds, entries) {
+    const transcript = this.transcripts.get(sessionId) || [];
+    const index = transcript.findIndex(entry => entry.id === entryIds[0]);
+    if (index === -1 || entryIds.some((entryId, offset) => transcript[index + offset]?.id !== entryId)) {
+      return null;
+    }
+
+    transcript.splice(index, entryIds.length, ...structuredClone(entries));
+    return { entries: structuredClone(entries), position: index };
+  }
+
+  /**
+   * Get a session's transcript in order
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Transcript entries
+   */
+  async getTranscript(sessionId) {
+    return structuredClone(this.transcripts.get(sessionId) || []);
+  }
+
+  /**
+   * Record a transcript revision
+   * @param {Object} revision - { id, sessionId, action, actorId, actorRole, before, after }
+   * @returns {Promise<Object>} Stored revision
+   */
+  async addTranscriptRevision(revision) {
+    const stored = { ...structuredClone(revision), createdAt: revision.createdAt || new Date() };
+    if (!this.transcriptRevisions.has(revision.sessionId)) {
+      this.transcriptRevisions.set(revision.sessionId, []);
+    }
+    this.transcriptRevisions.get(revision.sessionId).push(stored);
+    return structuredClone(stored);
+  }
+
+  /**
+   * Get a session's transcript revisions, oldest first
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Revisions
+   */
+  async getTranscriptRevisions(sessionId) {
+    return structuredClone(this.transcriptRevisions.get(sessionId) || []);
+  }
+
+  /**
+   * Get the MER document for a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} MER document or null
+   */
+  async getMERDocument(sessionId) {
+    const merDocument = this.merDocuments.get(sessionId);
+    return merDocument ? structuredClone(merDocument) : null;
+  }
+
+  /**
+   * Record a MER version and make its document the session's current MER
+   * @param {Object} version - { id, sessionId, version, action, status, actorId, actorRole, changes, document }
+   * @returns {Promise<Object|null>} Stored version, or null if the session doesn't
+   *   exist or the version doesn't directly follow the session's latest one
+   */
+  async saveMERVersion(version) {
+    const versions = this.merVersions.get(version.sessionId) || [];
+    const latest = versions.length > 0 ? versions[versions.length - 1].version : 0;
+    if (!this.sessions.has(version.sessionId) || version.version !== latest + 1) {
+      return null;
+    }
+
+    const stored = { ...structuredClone(version), createdAt: version.createdAt || new Date() };
+    versions.push(stored);
+    this.merVersions.set(version.sessionId, versions);
+    this.merDocuments.set(version.sessionId, structuredClone(version.document));
+    return structuredClone(stored);
+  }
+
+  /**
+   * Get a session's MER versions, oldest first
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Versions
+   */
+  async getMERVersions(sessionId) {
+    return structuredClone(this.merVersions.get(sessionId) || []);
+  }
+
+  /**
+   * Get one MER version
+   * @param {string} sessionId - Session identifier
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version or null
+   */
+  async getMERVersion(sessionId, version) {
+    const found = (this.merVersions.get(sessionId) || []).find(existing => existing.version === version);
+    return found ? structuredClone(found) : null;
+  }
+
+  /**
+   * Insert or update recording metadata
+   * @param {Object} recording - Recording record with id and sessionId
+   * @returns {Promise<Object>} Stored recording
+   */
+  async saveRecording(recording) {
+    const recordings = this.recordings.get(recording.sessionId) || [];
+    const index = recordings.findIndex(existing => existing.id === recording.id);
+
+    if (index === -1) {
+      recordings.push(structuredClone(recording));
+    } else {
+      recordings[index] = { ...recordings[index], ...structuredClone(recording) };
+    }
+
+    this.recordings.set(recording.sessionId, recordings);
+    return structuredClone(recordings[index === -1 ? recordings.length - 1 : index]);
+  }
+
+  /**
+   * Get recording metadata for a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Recordings in start order
+   */
+  async getRecordings(sessionId) {
+    return structuredClone(this.recordings.get(sessionId) || []);
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} user - User record including passwordHash
+   * @returns {Promise<Object>} Stored user
+   */
+  async createUser(user) {
+    if (await this.getUserByEmail(user.email)) {
+      throw new Error(`User already exists: ${user.email}`);
+    }
+
+    this.users.set(user.id, structuredClone(user));
+    return structuredClone(user);
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object|null>} User or null
+   */
+  async getUserById(userId) {
+    const user = this.users.get(userId);
+    return user ? structuredClone(user) : null;
+  }
+
+  /**
+   * Find a user by email (case-insensitive)
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User or null
+   */
+  async getUserByEmail(email) {
+    const normalized = email.toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.email.toLowerCase() === normalized) {
+        return structuredClone(user);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Append an audit event
+   * @param {Object} event - Audit event
+   * @returns {Promise<Object>} Stored event
+   */
+  async addAuditEvent(event) {
+    this.auditEvents.push(structuredClone(event));
+    return structuredClone(event);
+  }
+
+  /**
+   * Get audit events, newest last
+   * @param {Object} filter - { sessionId, actorId }
+   * @returns {Promise<Array>} Audit events
+   */
+  async getAuditEvents(filter = {}) {
+    return structuredClone(this.auditEvents.filter(event =>
+      (!filter.sessionId || event.sessionId === filter.sessionId) &&
+      (!filter.actorId || event.actorId === filter.actorId)
+    ));
+  }
+
+  /**
+   * Insert or update an invite
+   * @param {Object} invite - Invite record
+   * @returns {Promise<Object>} Stored invite
+   */
+  async saveInvite(invite) {
+    const existing = this.invites.get(invite.id) || {};
+    this.invites.set(invite.id, { ...existing, ...structuredClone(invite) });
+    return structuredClone(this.invites.get(invite.id));
+  }
+
+  /**
+   * Find an invite by ID
+   * @param {string} inviteId - Invite identifier
+   * @returns {Promise<Object|null>} Invite or null
+   */
+  async getInvite(inviteId) {
+    const invite = this.invites.get(inviteId);
+    return invite ? structuredClone(invite) : null;
+  }
+
+  /**
+   * List invites for a session, oldest first
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} Invites
+   */
+  async listInvites(sessionId) {
+    return structuredClone(Array.from(this.invites.values())
+      .filter(invite => invite.sessionId === sessionId)
+      .sort((a, b) => a.createdAt - b.createdAt));
+  }
+
+  /**
+   * Mark an invite used if it is still unused and not revoked
+   * @param {string} inviteId - Invite identifier
+   * @param {string} usedBy - User the invite was redeemed by
+   * @returns {Promise<boolean>} Whether this call claimed the invite
+   */
+  async markInviteUsed(inviteId, usedBy) {
+    const invite = this.invites.get(inviteId);
+    if (!invite || invite.usedAt || invite.revokedAt) {
+      return false;
+    }
+
+    invite.usedAt = new Date();
+    invite.usedBy = usedBy;
+    return true;
+  }
+
+  /**
+   * Insert or update a transcription job
+   * @param {Object} job - Job record
+   * @returns {Promise<Object>} Stored job
+   */
+  async saveTranscriptionJob(job) {
+    const existing = this.transcriptionJobs.get(job.id) || {};
+    this.transcriptionJobs.set(job.id, { ...existing, ...structuredClone(job) });
+    return structuredClone(this.transcriptionJobs.get(job.id));
+  }
+
+  /**
+   * Find a transcription job by ID
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getTranscriptionJob(jobId) {
+    const job = this.transcriptionJobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  /**
+   * List transcription jobs, oldest first
+   * @param {Object} filter - { createdBy, status }
+   * @returns {Promise<Array>} Jobs
+   */
+  async listTranscriptionJobs(filter = {}) {
+    return structuredClone(Array.from(this.transcriptionJobs.values())
+      .filter(job =>
+        (!filter.createdBy || job.createdBy === filter.createdBy) &&
+        (!filter.status || [].concat(filter.status).includes(job.status))
+      )
+      .sort((a, b) => a.createdAt - b.createdAt));
+  }
+
+  /**
+   * Get a clinic's transcription glossary
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Object|null>} { clinicId, terms, updatedAt } or null
+   */
+  async getGlossary(clinicId) {
+    const glossary = this.glossaries.get(clinicId);
+    return glossary ? structuredClone(glossary) : null;
+  }
+
+  /**
+   * Insert or replace a clinic's glossary
+   * @param {Object} glossary - { clinicId, terms }
+   * @returns {Promise<Object>} Stored glossary
+   */
+  async saveGlossary(glossary) {
+    this.glossaries.set(glossary.clinicId, { ...structuredClone(glossary), updatedAt: new Date() });
+    return structuredClone(this.glossaries.get(glossary.clinicId));
+  }
+
+  /**
+   * Get a clinic's settings
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Object|null>} { clinicId, documentationLanguage, updatedAt } or null
+   */
+  async getClinicSettings(clinicId) {
+    const settings = this.clinicSettings.get(clinicId);
+    return settings ? structuredClone(settings) : null;
+  }
+
+  /**
+   * Insert or replace a clinic's settings
+   * @param {Object} settings - { clinicId, documentationLanguage }
+   * @returns {Promise<Object>} Stored settings
+   */
+  async saveClinicSettings(settings) {
+    this.clinicSettings.set(settings.clinicId, { ...structuredClone(settings), updatedAt: new Date() });
+    return structuredClone(this.clinicSettings.get(settings.clinicId));
+  }
+
+  /**
+   * Insert or update a clinic's note template
+   * @param {Object} template - Template record
+   * @returns {Promise<Object>} Stored template
+   */
+  async saveMERTemplate(template) {
+    const existing = this.merTemplates.get(template.id);
+    this.merTemplates.set(template.id, {
+      ...structuredClone(template),
+      createdAt: existing?.createdAt || new Date(),
+      updatedAt: new Date()
+    });
+    return structuredClone(this.merTemplates.get(template.id));
+  }
+
+  /**
+   * Find a note template by ID
+   * @param {string} templateId - Template identifier
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async getMERTemplate(templateId) {
+    const template = this.merTemplates.get(templateId);
+    return template ? structuredClone(template) : null;
+  }
+
+  /**
+   * List a clinic's note templates, oldest first
+   * @param {string} clinicId - Clinic identifier
+   * @returns {Promise<Array>} Templates
+   */
+  async listMERTemplates(clinicId) {
+    return structuredClone(Array.from(this.merTemplates.values())
+      .filter(template => template.clinicId === clinicId)
+      .sort((a, b) => a.createdAt - b.createdAt));
+  }
+
+  /**
+   * Delete a note template
+   * @param {string} templateId - Template identifier
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async deleteMERTemplate(templateId) {
+    return this.merTemplates.delete(templateId);
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,497 @@
+const { Op } = require('sequelize');
+const config = require('../../config/config');
+const { initModels } = require('../../models');
+const { runMigrations } = require('../../migrations');
+
+/**
+ * PostgreSQL storage adapter
+ * Persists sessions, transcripts and their revisions, MER documents and versions, recordings, users,
+ * invites, audit events, transcription jobs, clinic glossaries, clinic settings and note templates via Sequelize
+ */
+class PostgresAdapter {
+  constructor(dbConfig = config.database) {
+    const { sequelize, models } = initModels(dbConfig);
+    this.sequelize = sequelize;
+    this.models = models;
+  }
+
+  async init() {
+    await this.sequelize.authenticate();
+    await runMigrations(this.sequelize);
+    console.log(`💾 Connected to PostgreSQL session store: ${config.database.host}/${config.database.database}`);
+  }
+
+  async close() {
+    await this.sequelize.close();
+  }
+
+  /**
+   * Convert a session row to the session shape used by the rest of the app
+   */
+  toSession(row, transcript = [], merDocument = null, recordings = []) {
+    return {
+      ...this.toSessionRecord(row),
+      transcript,
+      merDocument,
+      recordings
+    };
+  }
+
+  /**
+   * Convert a session row without its transcript, MER and recordings
+   */
+  toSessionRecord(row) {
+    return {
+      id: row.id,
+      doctor: row.doctor,
+      patient: row.patient,
+      status: row.status,
+      isRecording: row.isRecording,
+      metadata: this.reviveMetadata(row.metadata)
+    };
+  }
+
+  /**
+   * SQL expression applying a metadata patch (see updateSessionMetadata)
+   * to the row's current metadata, so the update reads and writes in one statement
+   */
+  metadataExpression(patch) {
+    const key = (name) => this.sequelize.escape(name);
+    const json = (value) => `CAST(${this.sequelize.escape(JSON.stringify(value))} AS jsonb)`;
+    let expression = 'metadata';
+
+    for (const [name, by] of Object.entries(patch.increment || {})) {
+      expression = `jsonb_set(${expression}, ARRAY[${key(name)}], to_jsonb(COALESCE((metadata->>${key(name)})::numeric, 0) + ${Number(by)}))`;
+    }
+    for (const [name, values] of Object.entries(patch.merge || {})) {
+      expression = `jsonb_set(${expression}, ARRAY[${key(name)}], COALESCE(metadata->${key(name)}, '{}'::jsonb) || ${json(values)})`;
+    }
+    for (const [name, values] of Object.entries(patch.mergeMissing || {})) {
+      expression = `jsonb_set(${expression}, ARRAY[${key(name)}], ${json(values)} || COALESCE(metadata->${key(name)}, '{}'::jsonb))`;
+    }
+
+    return `${expression} || ${json(patch.set)}`;
+  }
+
+  /**
+   * JSONB columns come back with ISO strings - restore Date objects
+   */
+  reviveMetadata(metadata = {}) {
+    const revived = { ...metadata };
+    for (const [key, value] of Object.entries(revived)) {
+      if (typeof value === 'string' && /(At|Time|Activity)$/.test(key)) {
+        revived[key] = new Date(value);
+      }
+    }
+    return revived;
+  }
+
+  toEntry(row) {
+    return {
+      ...row.entry,
+      timestamp: new Date(row.entry.timestamp)
+    };
+  }
+
+  toRecording(row) {
+    return {
+      id: row.id,
+      sessionId: row.sessionId,
+      startedAt: row.startedAt,
+      endedAt: row.endedAt,
+      durationMs: row.durationMs,
+      startedBy: row.startedBy,
+      metadata: row.metadata
+    };
+  }
+
+  async createSession(session) {
+    await this.models.Session.create({
+      id: session.id,
+      status: session.status,
+      isRecording: session.isRecording,
+      doctor: session.doctor,
+      patient: session.patient,
+      metadata: session.metadata,
+      lastActivityAt: session.metadata.lastActivity
+    });
+    return this.getSession(session.id);
+  }
+
+  async getSession(sessionId) {
+    const row = await this.models.Session.findByPk(sessionId);
+    if (!row) {
+      return null;
+    }
+
+    const [transcript, merDocument, recordings] = await Promise.all([
+      this.getTranscript(sessionId),
+      this.getMERDocument(sessionId),
+      this.getRecordings(sessionId)
+    ]);
+
+    return this.toSession(row, transcript, merDocument, recordings);
+  }
+
+  async getSessionRecord(sessionId) {
+    const row = await this.models.Session.findByPk(sessionId);
+    return row ? this.toSessionRecord(row) : null;
+  }
+
+  /**
+   * Sequelize where clause for session filters (see MemoryAdapter#matchesFilter)
+   */
+  sessionWhere(filter = {}) {
+    const where = {};
+    if (filter.doctorId) {
+      where.doctor = { userId: filter.doctorId };
+    }
+    if (filter.status) {
+      where.status = filter.status;
+    }
+    if (filter.isRecording !== undefined) {
+      where.isRecording = filter.isRecording;
+    }
+    if (filter.lastActivityBefore) {
+      where.lastActivityAt = { [Op.lt]: filter.lastActivityBefore };
+    }
+    if (filter.createdBefore) {
+      where.createdAt = { [Op.lt]: filter.createdBefore };
+    }
+    return where;
+  }
+
+  async listSessions(filter = {}) {
+    // One query per table rather than one per session
+    const rows = await this.models.Session.findAll({
+      where: this.sessionWhere(filter),
+      order: [['createdAt', 'ASC']],
+      include: [
+        { model: this.models.TranscriptEntry, separate: true, order: [['position', 'ASC']] },
+        { model: this.models.MERDocument },
+        { model: this.models.Recording, separate: true, order: [['startedAt', 'ASC']] }
+      ]
+    });
+
+    return rows.map(row => this.toSession(
+      row,
+      row.TranscriptEntries.map(entry => this.toEntry(entry)),
+      row.MERDocument ? row.MERDocument.document : null,
+      row.Recordings.map(recording => this.toRecording(recording))
+    ));
+  }
+
+  async countSessions(filter = {}) {
+    return this.models.Session.count({ where: this.sessionWhere(filter) });
+  }
+
+  async updateSessionMetadata(sessionId, patch = {}, changes = {}) {
+    const lastActivity = new Date();
+    const [updated] = await this.models.Session.update({
+      ...changes,
+      lastActivityAt: lastActivity,
+      metadata: this.sequelize.literal(this.metadataExpression({
+        ...patch,
+        set: { ...patch.set, lastActivity }
+      }))
+    }, { where: { id: sessionId } });
+
+    return updated > 0 ? this.getSessionRecord(sessionId) : null;
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = await this.models.Session.destroy({ where: { id: sessionId } });
+    return deleted > 0;
+  }
+
+  async findSessionIds(filter = {}) {
+    const rows = await this.models.Session.findAll({ where: this.sessionWhere(filter), attributes: ['id'] });
+    return rows.map(row => row.id);
+  }
+
+  async addTranscriptEntry(sessionId, entry) {
+    return this.sequelize.transaction(async (transaction) => {
+      const session = await this.models.Session.findByPk(sessionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!session) {
+        return null;
+      }
+
+      const position = await this.models.TranscriptEntry.count({ where: { sessionId }, transaction });
+      const row = await this.models.TranscriptEntry.create({
+        id: String(entry.id),
+        sessionId,
+        position,
+        timestamp: entry.timestamp,
+        entry
+      }, { transaction });
+
+      return this.toEntry(row);
+    });
+  }
+
+  async updateTranscriptEntry(sessionId, entryId, changes) {
+    const row = await this.models.TranscriptEntry.findOne({ where: { id: String(entryId), sessionId } });
+    if (!row) {
+      return null;
+    }
+
+    await row.update({ entry: { ...row.entry, ...changes } });
+    return this.toEntry(row);
+  }
+
+  async replaceTranscriptEntries(sessionId, entryIds, entries) {
+    return this.sequelize.transaction(async (transaction) => {
+      const session = await this.models.Session.findByPk(sessionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!session) {
+        return null;
+      }
+
+      const rows = await this.models.TranscriptEntry.findAll({
+        where: { sessionId },
+        order: [['position', 'ASC']],
+        transaction
+      });
+      const index = rows.findIndex(row => row.id === String(entryIds[0]));
+      if (index === -1 || entryIds.some((entryId, offset) => rows[index + offset]?.id !== String(entryId))) {
+        return null;
+      }
+
+      await this.models.TranscriptEntry.destroy({ where: { sessionId, id: entryIds.map(String) }, transaction });
+
+      // Keep positions contiguous so appends can keep using the row count
+      const shift = entries.length - entryIds.length;
+      if (shift !== 0) {
+        await this.models.TranscriptEntry.increment('position', {
+          by: shift,
+          where: { sessionId, position: { [Op.gt]: rows[index + entryIds.length - 1].position } },
+          transaction
+        });
+      }
+
+      const created = await this.models.TranscriptEntry.bulkCreate(entries.map((entry, offset) => ({
+        id: String(entry.id),
+        sessionId,
+        position: rows[index].position + offset,
+        timestamp: entry.timestamp,
+        entry
+      })), { transaction });
+
+      return { entries: created.map(row => this.toEntry(row)), position: index };
+    });
+  }
+
+  async getTranscript(sessionId) {
+    const rows = await this.models.TranscriptEntry.findAll({
+      where: { sessionId },
+      order: [['position', 'ASC']]
+    });
+    return rows.map(row => this.toEntry(row));
+  }
+
+  async addTranscriptRevision(revision) {
+    const row = await this.models.TranscriptRevision.create(revision);
+    return row.get({ plain: true });
+  }
+
+  async getTranscriptRevisions(sessionId) {
+    const rows = await this.models.TranscriptRevision.findAll({
+      where: { sessionId },
+      order: [['createdAt', 'ASC']]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async getMERDocument(sessionId) {
+    const row = await this.models.MERDocument.findByPk(sessionId);
+    return row ? row.document : null;
+  }
+
+  async saveMERVersion(version) {
+    try {
+      return await this.sequelize.transaction(async (transaction) => {
+        // Locking the session row makes concurrent writers, in any process, take turns
+        const session = await this.models.Session.findByPk(version.sessionId, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+        if (!session) {
+          return null;
+        }
+
+        const latest = await this.models.MERVersion.max('version', { where: { sessionId: version.sessionId }, transaction });
+        if (version.version !== (latest || 0) + 1) {
+          return null;
+        }
+
+        const row = await this.models.MERVersion.create(version, { transaction });
+        await this.models.MERDocument.upsert({ sessionId: version.sessionId, document: version.document }, { transaction });
+        return row.get({ plain: true });
+      });
+    } catch (error) {
+      // Another writer took this version number first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getMERVersions(sessionId) {
+    const rows = await this.models.MERVersion.findAll({
+      where: { sessionId },
+      order: [['version', 'ASC']]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async getMERVersion(sessionId, version) {
+    const row = await this.models.MERVersion.findOne({ where: { sessionId, version } });
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async saveRecording(recording) {
+    const existing = await this.models.Recording.findByPk(recording.id);
+    const row = existing
+      ? await existing.update(recording)
+      : await this.models.Recording.create(recording);
+    return this.toRecording(row);
+  }
+
+  async getRecordings(sessionId) {
+    const rows = await this.models.Recording.findAll({
+      where: { sessionId },
+      order: [['startedAt', 'ASC']]
+    });
+    return rows.map(row => this.toRecording(row));
+  }
+
+  async createUser(user) {
+    const row = await this.models.User.create({ ...user, email: user.email.toLowerCase() });
+    return row.get({ plain: true });
+  }
+
+  async getUserById(userId) {
+    const row = await this.models.User.findByPk(userId);
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async getUserByEmail(email) {
+    const row = await this.models.User.findOne({ where: { email: email.toLowerCase() } });
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async addAuditEvent(event) {
+    const row = await this.models.AuditEvent.create(event);
+    return row.get({ plain: true });
+  }
+
+  async getAuditEvents(filter = {}) {
+    const where = {};
+    if (filter.sessionId) {
+      where.sessionId = filter.sessionId;
+    }
+    if (filter.actorId) {
+      where.actorId = filter.actorId;
+    }
+
+    const rows = await this.models.AuditEvent.findAll({ where, order: [['createdAt', 'ASC']] });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async saveInvite(invite) {
+    await this.models.Invite.upsert(invite);
+    return this.getInvite(invite.id);
+  }
+
+  async getInvite(inviteId) {
+    const row = await this.models.Invite.findByPk(inviteId);
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async listInvites(sessionId) {
+    const rows = await this.models.Invite.findAll({
+      where: { sessionId },
+      order: [['createdAt', 'ASC']]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async markInviteUsed(inviteId, usedBy) {
+    // Single conditional UPDATE so two sockets can't redeem the same invite
+    const [updated] = await this.models.Invite.update(
+      { usedAt: new Date(), usedBy },
+      { where: { id: inviteId, usedAt: null, revokedAt: null } }
+    );
+    return updated > 0;
+  }
+
+  async saveTranscriptionJob(job) {
+    await this.models.TranscriptionJob.upsert(job);
+    return this.getTranscriptionJob(job.id);
+  }
+
+  async getTranscriptionJob(jobId) {
+    const row = await this.models.TranscriptionJob.findByPk(jobId);
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async listTranscriptionJobs(filter = {}) {
+    const where = {};
+    if (filter.createdBy) {
+      where.createdBy = filter.createdBy;
+    }
+    if (filter.status) {
+      where.status = filter.status;
+    }
+
+    const rows = await this.models.TranscriptionJob.findAll({ where, order: [['createdAt', 'ASC']] });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async getGlossary(clinicId) {
+    const row = await this.models.Glossary.findByPk(clinicId);
+    return row ? { clinicId: row.clinicId, terms: row.terms, updatedAt: row.updatedAt } : null;
+  }
+
+  async saveGlossary(glossary) {
+    await this.models.Glossary.upsert({ clinicId: glossary.clinicId, terms: glossary.terms });
+    return this.getGlossary(glossary.clinicId);
+  }
+
+  async getClinicSettings(clinicId) {
+    const row = await this.models.ClinicSettings.findByPk(clinicId);
+    return row
+      ? { clinicId: row.clinicId, documentationLanguage: row.documentationLanguage, updatedAt: row.updatedAt }
+      : null;
+  }
+
+  async saveClinicSettings(settings) {
+    await this.models.ClinicSettings.upsert({
+      clinicId: settings.clinicId,
+      documentationLanguage: settings.documentationLanguage
+    });
+    return this.getClinicSettings(settings.clinicId);
+  }
+
+  async saveMERTemplate(template) {
+    await this.models.MERTemplate.upsert(template);
+    return this.getMERTemplate(template.id);
+  }
+
+  async getMERTemplate(templateId) {
+    const row = await this.models.MERTemplate.findByPk(templateId);
+    return row ? row.get({ plain: true }) : null;
+  }
+
+  async listMERTemplates(clinicId) {
+    const rows = await this.models.MERTemplate.findAll({
+      where: { clinicId },
+      order: [['createdAt', 'ASC']]
+    });
+    return rows.map(row => row.get({ plain: true }));
+  }
+
+  async deleteMERTemplate(templateId) {
+    const deleted = await this.models.MERTemplate.destroy({ where: { id: templateId } });
+    return deleted > 0;
+  }
+}
+
+module.exports = PostgresAdapter;
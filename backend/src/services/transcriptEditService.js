@@ -0,0 +1,269 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const TranslationService = require('./translationService');
+
+const ROLES = ['doctor', 'patient'];
+
+/**
+ * Raised when a transcript correction is invalid
+ */
+class TranscriptEditError extends Error {
+  constructor(message, code = 'VALIDATION_ERROR', status = 400) {
+    super(message);
+    this.name = 'TranscriptEditError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Transcript Edit Service
+ * Lets the session doctor correct the transcript before the MER is generated:
+ * edit text, delete, split and merge entries, and change an entry's speaker.
+ * The stored transcript is the corrected one, so everything that reads it
+ * (MER generation included) sees the corrections. Every change is recorded
+ * as a revision holding the entries before and after it, which is enough to
+ * rebuild the original transcript for audit.
+ */
+class TranscriptEditService {
+  /**
+   * Load the session and the entries a change applies to
+   */
+  async loadEntries(sessionId, entryIds) {
+    const session = await getStorage().getSession(sessionId);
+    if (!session) {
+      throw new TranscriptEditError('Session not found', 'SESSION_NOT_FOUND', 404);
+    }
+
+    const entries = entryIds.map(entryId => session.transcript.find(entry => entry.id === entryId));
+    if (entries.some(entry => !entry)) {
+      throw new TranscriptEditError('Transcript entry not found', 'ENTRY_NOT_FOUND', 404);
+    }
+
+    return { session, entries };
+  }
+
+  /**
+   * Text must be a non-empty string
+   */
+  validateText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new TranscriptEditError('text must be a non-empty string');
+    }
+    return text.trim();
+  }
+
+  /**
+   * Translation for corrected text, reusing the language the entry was spoken in
+   */
+  async translateFor(entry, text) {
+    if (!entry.translation && !TranslationService.needsTranslation(entry.language || null)) {
+      return null;
+    }
+    const translation = await TranslationService.translate(text, entry.language || null);
+    return translation && { language: translation.language, text: translation.text };
+  }
+
+  /**
+   * Store a revision and swap the entries it replaces
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async commit(sessionId, action, actor, before, after) {
+    const replaced = await getStorage().replaceTranscriptEntries(sessionId, before.map(entry => entry.id), after);
+    if (!replaced) {
+      throw new TranscriptEditError('Transcript changed while editing, reload and try again', 'TRANSCRIPT_CONFLICT', 409);
+    }
+
+    const revision = await getStorage().addTranscriptRevision({
+      id: uuidv4(),
+      sessionId,
+      action,
+      actorId: actor?.id || null,
+      actorRole: actor?.role || null,
+      position: replaced.position,
+      before,
+      after: replaced.entries,
+      createdAt: new Date()
+    });
+
+    const { entries } = replaced;
+    const keptIds = new Set(entries.map(entry => entry.id));
+    console.log(`✏️ Transcript ${action} in session ${sessionId} by ${actor?.id || 'unknown'} (revision ${revision.id})`);
+    return {
+      revision,
+      entries,
+      removedIds: before.map(entry => entry.id).filter(entryId => !keptIds.has(entryId))
+    };
+  }
+
+  /**
+   * Mark an entry as corrected
+   */
+  revised(entry, actor, changes) {
+    return {
+      ...entry,
+      ...changes,
+      editedAt: new Date(),
+      editedBy: actor?.id || null
+    };
+  }
+
+  /**
+   * Replace an entry's text. Word timings no longer match the new text and are dropped.
+   * @param {string} sessionId - Session identifier
+   * @param {string} entryId - Entry to edit
+   * @param {Object} changes - { text }
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async editEntry(sessionId, entryId, { text } = {}, actor) {
+    const newText = this.validateText(text);
+    const { entries: [entry] } = await this.loadEntries(sessionId, [entryId]);
+
+    return this.commit(sessionId, 'edit', actor, [entry], [this.revised(entry, actor, {
+      text: newText,
+      words: [],
+      translation: await this.translateFor(entry, newText)
+    })]);
+  }
+
+  /**
+   * Remove an entry from the transcript
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async deleteEntry(sessionId, entryId, actor) {
+    const { entries: [entry] } = await this.loadEntries(sessionId, [entryId]);
+    return this.commit(sessionId, 'delete', actor, [entry], []);
+  }
+
+  /**
+   * Change who an entry is attributed to
+   * @param {Object} changes - { speaker: 'doctor' | 'patient' }
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async changeSpeaker(sessionId, entryId, { speaker } = {}, actor) {
+    if (!ROLES.includes(speaker)) {
+      throw new TranscriptEditError('speaker must be doctor or patient');
+    }
+
+    const { session, entries: [entry] } = await this.loadEntries(sessionId, [entryId]);
+    return this.commit(sessionId, 'change-speaker', actor, [entry], [this.revised(entry, actor, {
+      speaker,
+      speakerName: session[speaker]?.name || speaker
+    })]);
+  }
+
+  /**
+   * Split an entry in two at a character position, e.g. where a second voice
+   * starts. Words and offsets are divided between the parts; without word
+   * timings the split offset is estimated from the character position.
+   * @param {Object} changes - { at, speaker } where at is the character index
+   *   the second part starts at and speaker optionally reassigns that part
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async splitEntry(sessionId, entryId, { at, speaker } = {}, actor) {
+    if (speaker !== undefined && !ROLES.includes(speaker)) {
+      throw new TranscriptEditError('speaker must be doctor or patient');
+    }
+
+    const { session, entries: [entry] } = await this.loadEntries(sessionId, [entryId]);
+    const firstText = Number.isInteger(at) ? entry.text.slice(0, at).trim() : '';
+    const secondText = Number.isInteger(at) ? entry.text.slice(at).trim() : '';
+    if (!firstText || !secondText) {
+      throw new TranscriptEditError('at must be a character position inside the entry text');
+    }
+
+    const words = entry.words || [];
+    const firstWordCount = firstText.split(/\s+/).length;
+    const hasTimings = words.length > 0 && typeof entry.offsetMs === 'number';
+    const estimatedOffset = typeof entry.offsetMs === 'number' && typeof entry.endOffsetMs === 'number'
+      ? Math.round(entry.offsetMs + (entry.endOffsetMs - entry.offsetMs) * (at / entry.text.length))
+      : entry.offsetMs ?? null;
+    const splitOffset = hasTimings && words[firstWordCount] ? words[firstWordCount].offsetMs : estimatedOffset;
+    const secondSpeaker = speaker || entry.speaker;
+
+    const first = this.revised(entry, actor, {
+      text: firstText,
+      words: words.slice(0, firstWordCount),
+      endOffsetMs: splitOffset,
+      translation: await this.translateFor(entry, firstText)
+    });
+    const second = this.revised(entry, actor, {
+      id: uuidv4(),
+      text: secondText,
+      speaker: secondSpeaker,
+      speakerName: secondSpeaker === entry.speaker ? entry.speakerName : (session[secondSpeaker]?.name || secondSpeaker),
+      words: words.slice(firstWordCount),
+      offsetMs: splitOffset,
+      translation: await this.translateFor(entry, secondText)
+    });
+
+    return this.commit(sessionId, 'split', actor, [entry], [first, second]);
+  }
+
+  /**
+   * Merge consecutive entries of the same speaker into the first one
+   * @param {Array<string>} entryIds - Entries in transcript order
+   * @returns {Promise<Object>} { revision, entries, removedIds }
+   */
+  async mergeEntries(sessionId, entryIds, actor) {
+    if (!Array.isArray(entryIds) || entryIds.length < 2) {
+      throw new TranscriptEditError('entryIds must list at least two entries');
+    }
+
+    const { session, entries } = await this.loadEntries(sessionId, entryIds);
+    const start = session.transcript.findIndex(entry => entry.id === entryIds[0]);
+    if (entryIds.some((entryId, offset) => session.transcript[start + offset]?.id !== entryId)) {
+      throw new TranscriptEditError('Only consecutive entries, in transcript order, can be merged', 'NOT_CONSECUTIVE');
+    }
+    if (entries.some(entry => entry.speaker !== entries[0].speaker)) {
+      throw new TranscriptEditError('Only entries of the same speaker can be merged; change the speaker first', 'SPEAKER_MISMATCH');
+    }
+
+    const [first] = entries;
+    const last = entries[entries.length - 1];
+    const text = entries.map(entry => entry.text).join(' ');
+    const translation = entries.every(entry => entry.translation)
+      ? { language: first.translation.language, text: entries.map(entry => entry.translation.text).join(' ') }
+      : await this.translateFor(first, text);
+
+    return this.commit(sessionId, 'merge', actor, entries, [this.revised(first, actor, {
+      text,
+      confidence: Math.min(...entries.map(entry => entry.confidence ?? 1)),
+      endOffsetMs: last.endOffsetMs ?? first.endOffsetMs ?? null,
+      words: entries.flatMap(entry => entry.words || []),
+      translation
+    })]);
+  }
+
+  /**
+   * A session's revisions, oldest first
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRevisions(sessionId) {
+    return getStorage().getTranscriptRevisions(sessionId);
+  }
+
+  /**
+   * Rebuild the transcript as it was before any corrections by undoing
+   * revisions newest first
+   * @returns {Promise<Array|null>} Original transcript, or null if the session doesn't exist
+   */
+  async getOriginalTranscript(sessionId) {
+    const session = await getStorage().getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const transcript = session.transcript;
+    const revisions = await getStorage().getTranscriptRevisions(sessionId);
+    for (const revision of revisions.reverse()) {
+      transcript.splice(revision.position, revision.after.length, ...revision.before);
+    }
+
+    return transcript;
+  }
+}
+
+module.exports = new TranscriptEditService();
+module.exports.TranscriptEditError = TranscriptEditError;
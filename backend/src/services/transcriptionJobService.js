@@ -0,0 +1,288 @@
+const fs = require('fs/promises');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { getStorage } = require('./storage');
+const SessionManager = require('./sessionManager');
+const TranscriptionService = require('./transcriptionService');
+const AudioNormalizer = require('./audioNormalizer');
+const VoiceActivityDetector = require('./voiceActivityDetector');
+
+/**
+ * Raised when a job can't be created or looked up
+ */
+class TranscriptionJobError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'TranscriptionJobError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Transcription Job Service
+ * Transcribes uploaded recordings of in-person visits in the background.
+ * Jobs run one at a time: the recording is decoded, cut at pauses into
+ * provider-sized pieces, transcribed with diarizing providers first, and
+ * saved to the job's session as a recording of its own.
+ *
+ * Events: progress, completed, failed - each with the public job.
+ */
+class TranscriptionJobService extends EventEmitter {
+  constructor() {
+    super();
+    this.queue = [];
+    this.running = false;
+  }
+
+  /**
+   * Job as returned by the API (without the server-side file path)
+   */
+  toPublicJob(job) {
+    const { filePath, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Create a job for an uploaded recording and queue it
+   * @param {Object} file - Uploaded file from multer ({ path, originalname, mimetype, size })
+   * @param {Object} user - Authenticated doctor
+   * @param {Object} options - { sessionId, patientName }; without sessionId a new session is created
+   * @returns {Promise<Object>} Public job
+   */
+  async createJob(file, user, options = {}) {
+    let session;
+    if (options.sessionId) {
+      session = await SessionManager.getSession(options.sessionId);
+      if (!session) {
+        throw new TranscriptionJobError('Session not found', 'SESSION_NOT_FOUND', 404);
+      }
+      if (!SessionManager.isParticipant(session, user)) {
+        throw new TranscriptionJobError('Only the session doctor can add recordings to it', 'FORBIDDEN', 403);
+      }
+    } else {
+      session = await SessionManager.createSession(user.name, options.patientName || null, user.id);
+    }
+
+    const job = await getStorage().saveTranscriptionJob({
+      id: uuidv4(),
+      status: 'queued',
+      createdBy: user.id,
+      sessionId: session.id,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      filePath: file.path,
+      progress: { chunksDone: 0, chunksTotal: null },
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null
+    });
+
+    console.log(`📼 Transcription job ${job.id} queued for session ${session.id} (${file.originalname}, ${file.size} bytes)`);
+    this.enqueue(job.id);
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Get a job owned by a user
+   * @returns {Promise<Object>} Public job
+   */
+  async getJob(jobId, user) {
+    const job = await getStorage().getTranscriptionJob(jobId);
+    if (!job || job.createdBy !== user.id) {
+      throw new TranscriptionJobError('Transcription job not found', 'JOB_NOT_FOUND', 404);
+    }
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * List a user's jobs, oldest first
+   */
+  async listJobs(user) {
+    const jobs = await getStorage().listTranscriptionJobs({ createdBy: user.id });
+    return jobs.map(job => this.toPublicJob(job));
+  }
+
+  /**
+   * Requeue jobs that were waiting or running when the server last stopped
+   */
+  async resumePendingJobs() {
+    const jobs = await getStorage().listTranscriptionJobs({ status: ['queued', 'processing'] });
+    for (const job of jobs) {
+      await getStorage().saveTranscriptionJob({ ...job, status: 'queued' });
+      this.enqueue(job.id);
+    }
+
+    if (jobs.length > 0) {
+      console.log(`📼 Resumed ${jobs.length} transcription job(s)`);
+    }
+  }
+
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    this.processQueue();
+  }
+
+  /**
+   * Run queued jobs one after another
+   */
+  async processQueue() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        await this.runJob(jobId).catch(error => {
+          console.error(`❌ Error running transcription job ${jobId}:`, error);
+        });
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Save changes to a job and return the stored job
+   */
+  async updateJob(job, changes) {
+    return getStorage().saveTranscriptionJob({ ...job, ...changes });
+  }
+
+  async runJob(jobId) {
+    let job = await getStorage().getTranscriptionJob(jobId);
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    try {
+      job = await this.updateJob(job, { status: 'processing', startedAt: new Date() });
+      console.log(`📼 Processing transcription job ${job.id}`);
+
+      const session = await SessionManager.getSession(job.sessionId);
+      if (!session) {
+        throw new Error('Session no longer exists');
+      }
+
+      const { decodeTimeoutMs, providerTimeoutMs } = config.transcription.jobs;
+      const audio = await AudioNormalizer.normalize(await fs.readFile(job.filePath), { decodeTimeoutMs });
+      const { chunks, durationMs } = this.splitAudio(audio);
+
+      // The upload becomes its own recording; entry offsets are relative to its start
+      const recordingStartTime = new Date();
+      const recording = await getStorage().saveRecording({
+        id: uuidv4(),
+        sessionId: session.id,
+        startedAt: recordingStartTime,
+        endedAt: durationMs !== null ? new Date(recordingStartTime.getTime() + durationMs) : null,
+        durationMs,
+        startedBy: job.createdBy,
+        metadata: { source: 'upload', jobId: job.id, filename: job.filename }
+      });
+
+      job = await this.updateJob(job, { progress: { chunksDone: 0, chunksTotal: chunks.length } });
+      this.emit('progress', this.toPublicJob(job));
+
+      let entryCount = 0;
+      for (const [index, chunk] of chunks.entries()) {
+        const result = await TranscriptionService.transcribeAudio(chunk.audio, {
+          sessionId: session.id,
+          speaker: 'doctor',
+          startedAt: recordingStartTime.getTime() + chunk.offsetMs,
+          prefer: 'diarization',
+          language: SessionManager.getSettings(session).language,
+          // Long pieces need longer requests, and a failing job must not open
+          // the circuits live consultations depend on
+          timeoutMs: providerTimeoutMs,
+          breakerGroup: 'jobs'
+        });
+
+        // One room microphone: the first voice is taken to be the doctor (see resolveSpeaker)
+        const entries = await SessionManager.saveTranscriptionResult(
+          session.id,
+          'doctor',
+          session.doctor.name,
+          result,
+          { recordingId: recording.id, recordingStartTime }
+        );
+        entryCount += entries.length;
+
+        job = await this.updateJob(job, { progress: { chunksDone: index + 1, chunksTotal: chunks.length } });
+        this.emit('progress', this.toPublicJob(job));
+      }
+
+      job = await this.updateJob(job, {
+        status: 'completed',
+        completedAt: new Date(),
+        result: { recordingId: recording.id, entryCount, durationMs }
+      });
+      console.log(`✅ Transcription job ${job.id} completed: ${entryCount} entries`);
+      this.emit('completed', this.toPublicJob(job));
+
+    } catch (error) {
+      console.error(`❌ Transcription job ${jobId} failed:`, error.message);
+      job = await this.updateJob(job, {
+        status: 'failed',
+        completedAt: new Date(),
+        error: error.message,
+        ...(error.attempts && { result: { attempts: error.attempts } })
+      });
+      this.emit('failed', this.toPublicJob(job));
+
+    } finally {
+      await fs.rm(job.filePath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Cut decoded audio into pieces of about chunkSeconds, ending each at the
+   * middle of its last pause so words aren't split. Pieces without speech
+   * are skipped. Audio that couldn't be decoded is sent whole.
+   * @param {Object} audio - Output of AudioNormalizer.normalize
+   * @returns {Object} { chunks: [{ audio, offsetMs }], durationMs } (durationMs null if unknown)
+   */
+  splitAudio(audio) {
+    if (!audio.pcm) {
+      return { chunks: [{ audio, offsetMs: 0 }], durationMs: null };
+    }
+
+    const format = { sampleRate: audio.sampleRate, channels: audio.channels };
+    const sampleBytes = 2 * format.channels;
+    const bytesPerMs = (format.sampleRate * sampleBytes) / 1000;
+    const chunkBytes = Math.floor(config.transcription.jobs.chunkSeconds * 1000 * bytesPerMs / sampleBytes) * sampleBytes;
+    const chunks = [];
+
+    for (let start = 0; start < audio.pcm.length;) {
+      let end = Math.min(audio.pcm.length, start + chunkBytes);
+      const piece = audio.pcm.subarray(start, end);
+      const analysis = VoiceActivityDetector.analyze(piece, format);
+
+      if (end < audio.pcm.length) {
+        const pause = analysis.pauses.filter(candidate => candidate.start > piece.length / 2).pop();
+        if (pause) {
+          end = start + Math.floor((pause.start + pause.end) / 2 / sampleBytes) * sampleBytes;
+        }
+      }
+
+      const pcm = audio.pcm.subarray(start, end);
+      if (VoiceActivityDetector.analyze(pcm, format).hasSpeech) {
+        chunks.push({
+          audio: AudioNormalizer.fromPcm(pcm, format.sampleRate, format.channels),
+          offsetMs: start / bytesPerMs
+        });
+      }
+      start = end;
+    }
+
+    return { chunks, durationMs: Math.round(audio.pcm.length / bytesPerMs) };
+  }
+}
+
+module.exports = new TranscriptionJobService();
+module.exports.TranscriptionJobError = TranscriptionJobError;
@@ -0,0 +1,129 @@
+const axios = require('axios');
+const config = require('../../config/config');
+const ProviderError = require('./providerError');
+
+/**
+ * AssemblyAI transcription provider
+ */
+module.exports = {
+  name: 'assemblyai',
+  displayName: 'AssemblyAI',
+  features: ['Speaker labels', 'Punctuation', 'High accuracy'],
+  capabilities: {
+    batch: true,
+    streaming: false,
+    diarization: true,
+    wordTimestamps: true,
+    vocabularyBoost: true
+  },
+  configKeys: ['ASSEMBLYAI_API_KEY'],
+  isConfigured: () => !!config.assemblyai.apiKey,
+
+  /**
+   * Transcribe using AssemblyAI
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Options ({ speaker, glossary, language, timeoutMs })
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioBuffer, options = {}) {
+    try {
+      if (!config.assemblyai.apiKey) {
+        throw new Error('AssemblyAI API key not configured');
+      }
+      
+      // Upload audio file first
+      const uploadResponse = await axios.post(
+        'https://api.assemblyai.com/v2/upload',
+        audioBuffer,
+        {
+          headers: {
+            'Authorization': config.assemblyai.apiKey,
+            'Content-Type': 'application/octet-stream'
+          }
+        }
+      );
+      
+      const audioUrl = uploadResponse.data.upload_url;
+      
+      // Create transcription job
+      const transcriptResponse = await axios.post(
+        'https://api.assemblyai.com/v2/transcript',
+        {
+          audio_url: audioUrl,
+          speaker_labels: true,
+          punctuate: true,
+          format_text: true,
+          ...(options.language === 'auto'
+            ? { language_detection: true }
+            : { language_code: options.language || config.assemblyai.language }),
+          ...(options.glossary?.length && {
+            word_boost: options.glossary.slice(0, 1000),
+            boost_param: 'high'
+          })
+        },
+        {
+          headers: {
+            'Authorization': config.assemblyai.apiKey,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      
+      const transcriptId = transcriptResponse.data.id;
+      
+      // Poll for completion (simplified for hackathon), once a second until timeoutMs
+      let attempts = 0;
+      const maxAttempts = Math.ceil((options.timeoutMs || 30000) / 1000);
+      
+      while (attempts < maxAttempts) {
+        const statusResponse = await axios.get(
+          `https://api.assemblyai.com/v2/transcript/${transcriptId}`,
+          {
+            headers: {
+              'Authorization': config.assemblyai.apiKey
+            }
+          }
+        );
+        
+        if (statusResponse.data.status === 'completed') {
+          return {
+            text: statusResponse.data.text.trim(),
+            confidence: statusResponse.data.confidence,
+            speaker: options.speaker,
+            provider: 'assemblyai',
+            language: statusResponse.data.language_code,
+            // AssemblyAI reports milliseconds
+            words: (statusResponse.data.words || []).map(word => ({
+              word: word.text,
+              start: word.start / 1000,
+              end: word.end / 1000,
+              confidence: word.confidence,
+              speakerLabel: word.speaker ?? null
+            })),
+            utterances: (statusResponse.data.utterances || []).map(utterance => ({
+              speakerLabel: utterance.speaker,
+              start: utterance.start / 1000,
+              end: utterance.end / 1000,
+              confidence: utterance.confidence,
+              text: utterance.text
+            }))
+          };
+        }
+        
+        if (statusResponse.data.status === 'error') {
+          throw new Error('AssemblyAI transcription failed');
+        }
+        
+        // Wait 1 second before next poll
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        attempts++;
+      }
+      
+      throw new Error('AssemblyAI transcription timeout');
+    
+    } catch (error) {
+      console.error('AssemblyAI transcription error:', error);
+      throw new ProviderError(`AssemblyAI transcription failed: ${error.message}`, error);
+    }
+  }
+};
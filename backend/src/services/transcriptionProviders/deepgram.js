@@ -0,0 +1,261 @@
+const axios = require('axios');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const ProviderError = require('./providerError');
+const TranscriptionStream = require('./transcriptionStream');
+
+const isConfigured = () => !!config.deepgram.apiKey;
+
+/**
+ * Query string shared by the prerecorded and live endpoints. Glossary terms
+ * are sent as keyterm prompts on Nova-3 and as boosted keywords on older models.
+ * Language 'auto' is detected on prerecorded audio and transcribed as
+ * multilingual ('multi') on live streams. The configured regional variant
+ * (e.g. en-US) is kept when it matches the requested language.
+ */
+const buildQuery = (extra = {}, { glossary = [], language, live = false } = {}) => {
+  let languageParams = { language: config.deepgram.language };
+  if (language === 'auto') {
+    languageParams = live ? { language: 'multi' } : { detect_language: 'true' };
+  } else if (language && !config.deepgram.language.startsWith(language)) {
+    languageParams = { language };
+  }
+
+  const query = new URLSearchParams({
+    model: config.deepgram.model,
+    ...languageParams,
+    diarize: 'true',
+    punctuate: 'true',
+    smart_format: 'true',
+    ...extra
+  });
+
+  const keyterms = config.deepgram.model.startsWith('nova-3');
+  glossary.forEach(term => {
+    query.append(keyterms ? 'keyterm' : 'keywords', keyterms ? term : `${term}:2`);
+  });
+
+  return query.toString();
+};
+
+/**
+ * Normalize Deepgram word objects
+ */
+const toWords = (words = []) => words.map(word => ({
+  word: word.punctuated_word || word.word,
+  start: word.start,
+  end: word.end,
+  confidence: word.confidence,
+  speakerLabel: word.speaker ?? null
+}));
+
+/**
+ * Normalize Deepgram utterances (prerecorded with utterances=true)
+ */
+const toUtterances = (utterances = []) => utterances.map(utterance => ({
+  speakerLabel: utterance.speaker ?? null,
+  start: utterance.start,
+  end: utterance.end,
+  confidence: utterance.confidence,
+  text: utterance.transcript
+}));
+
+/**
+ * Live transcription over Deepgram's streaming websocket
+ */
+class DeepgramTranscriptionStream extends TranscriptionStream {
+  constructor(options = {}) {
+    super(options);
+    this.pendingAudio = [];
+    this.utteranceId = uuidv4();
+
+    const query = buildQuery({ interim_results: 'true' }, {
+      glossary: options.glossary,
+      language: options.language,
+      live: true
+    });
+    this.socket = new WebSocket(`${config.deepgram.streamUrl}/listen?${query}`, {
+      headers: { 'Authorization': `Token ${config.deepgram.apiKey}` }
+    });
+
+    this.socket.on('open', () => {
+      this.pendingAudio.forEach(chunk => this.socket.send(chunk));
+      this.pendingAudio = [];
+      this.keepAlive = setInterval(() => {
+        this.sendControl('KeepAlive');
+      }, config.deepgram.keepAliveInterval);
+    });
+
+    this.socket.on('message', (data) => this.handleMessage(data));
+
+    this.socket.on('error', (error) => {
+      this.emit('error', new Error(`Deepgram stream error: ${error.message}`));
+    });
+
+    this.socket.on('close', () => {
+      clearInterval(this.keepAlive);
+      this.close();
+    });
+  }
+
+  sendControl(type) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type }));
+    }
+  }
+
+  sendAudio(chunk) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(chunk);
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.pendingAudio.push(chunk);
+    } else {
+      throw new Error('Deepgram stream is not open');
+    }
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.emit('error', new Error('Deepgram sent an unreadable message'));
+      return;
+    }
+
+    if (message.type !== 'Results') {
+      return;
+    }
+
+    const alternative = message.channel?.alternatives?.[0];
+    if (!alternative?.transcript) {
+      return;
+    }
+
+    const words = toWords(alternative.words);
+    const result = {
+      utteranceId: this.utteranceId,
+      text: alternative.transcript,
+      confidence: alternative.confidence,
+      provider: 'deepgram',
+      start: message.start,
+      end: message.start + message.duration,
+      words,
+      speakerLabel: words[0]?.speakerLabel ?? null,
+      // Multilingual streams tag each word with its language
+      language: alternative.languages?.[0] || alternative.words?.[0]?.language || this.options.language
+    };
+
+    if (message.is_final) {
+      this.emitFinal(result);
+      this.utteranceId = uuidv4();
+    } else {
+      this.emitInterim(result);
+    }
+  }
+
+  async finish() {
+    if (this.socket.readyState === WebSocket.CONNECTING) {
+      await new Promise((resolve) => {
+        this.socket.once('open', resolve);
+        this.socket.once('close', resolve);
+      });
+    }
+    if (this.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    // Deepgram flushes remaining results and then closes the socket
+    this.sendControl('CloseStream');
+    await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this.socket.terminate();
+        resolve();
+      }, 5000);
+      this.socket.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Deepgram transcription provider (prerecorded and live)
+ */
+module.exports = {
+  name: 'deepgram',
+  displayName: 'Deepgram',
+  features: ['Real-time', 'Speaker diarization', 'Fast processing'],
+  capabilities: {
+    batch: true,
+    streaming: true,
+    diarization: true,
+    wordTimestamps: true,
+    vocabularyBoost: true
+  },
+  configKeys: ['DEEPGRAM_API_KEY'],
+  isConfigured,
+
+  /**
+   * Transcribe using Deepgram's prerecorded endpoint
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Options ({ speaker, mimeType, glossary, language, timeoutMs })
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioBuffer, options = {}) {
+    try {
+      if (!isConfigured()) {
+        throw new Error('Deepgram API key not configured');
+      }
+
+      console.log('🔊 Deepgram transcription request - Audio size:', audioBuffer.length, 'bytes');
+
+      const response = await axios.post(
+        `${config.deepgram.apiUrl}/listen?${buildQuery({ utterances: 'true' }, options)}`,
+        audioBuffer,
+        {
+          headers: {
+            'Authorization': `Token ${config.deepgram.apiKey}`,
+            'Content-Type': options.mimeType || 'audio/wav'
+          },
+          timeout: options.timeoutMs || 30000,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        }
+      );
+
+      console.log('✅ Deepgram response received:', response.status);
+      const channel = response.data.results?.channels?.[0];
+      const alternative = channel?.alternatives?.[0] || {};
+
+      return {
+        text: alternative.transcript?.trim() || '',
+        confidence: alternative.confidence ?? 0,
+        speaker: options.speaker,
+        provider: 'deepgram',
+        language: channel?.detected_language || options.language || config.deepgram.language,
+        words: toWords(alternative.words),
+        utterances: toUtterances(response.data.results?.utterances)
+      };
+
+    } catch (error) {
+      console.error('Deepgram transcription error:', error.message);
+
+      if (error.response?.status === 401) {
+        throw new ProviderError('Invalid Deepgram API key', error);
+      } else if (error.response?.status === 429) {
+        throw new ProviderError('Deepgram rate limit exceeded', error);
+      } else if (error.response?.status === 400) {
+        throw new ProviderError('Deepgram bad request - check audio format or parameters', error);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new ProviderError('Deepgram request timeout', error);
+      }
+
+      throw new ProviderError(`Deepgram transcription failed: ${error.message}`, error);
+    }
+  },
+
+  createStream: (options) => new DeepgramTranscriptionStream(options)
+};
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config/config');
+const ProviderError = require('./providerError');
+
+/**
+ * Normalize ElevenLabs words, skipping spacing and audio event tokens
+ */
+const toWords = (words = []) => words
+  .filter(word => word.type === 'word')
+  .map(word => ({
+    word: word.text,
+    start: word.start,
+    end: word.end,
+    confidence: typeof word.logprob === 'number' ? Math.exp(word.logprob) : null,
+    speakerLabel: word.speaker_id ?? null
+  }));
+
+/**
+ * Group diarized words into utterances - a new one starts whenever the speaker changes
+ */
+const toUtterances = (words = []) => {
+  const utterances = [];
+  for (const word of words) {
+    if (word.type === 'audio_event') {
+      continue;
+    }
+
+    let current = utterances[utterances.length - 1];
+    if (word.type === 'word' && (!current || current.speakerLabel !== word.speaker_id)) {
+      current = { speakerLabel: word.speaker_id, start: word.start, end: word.end, text: '', logprobs: [] };
+      utterances.push(current);
+    }
+    if (!current) {
+      continue;
+    }
+
+    current.text += word.text;
+    current.end = word.end ?? current.end;
+    if (word.type === 'word' && typeof word.logprob === 'number') {
+      current.logprobs.push(word.logprob);
+    }
+  }
+
+  return utterances.map(({ logprobs, ...utterance }) => ({
+    ...utterance,
+    text: utterance.text.trim(),
+    confidence: logprobs.length
+      ? logprobs.reduce((sum, logprob) => sum + Math.exp(logprob), 0) / logprobs.length
+      : null
+  }));
+};
+
+/**
+ * ElevenLabs Speech-to-Text provider
+ */
+module.exports = {
+  name: 'elevenlabs',
+  displayName: 'ElevenLabs Scribe',
+  features: ['Multiple languages', 'Language detection', 'Speaker labels'],
+  capabilities: {
+    batch: true,
+    streaming: false,
+    diarization: true,
+    wordTimestamps: true,
+    vocabularyBoost: false
+  },
+  configKeys: ['ELEVENLABS_API_KEY'],
+  isConfigured: () => !!config.elevenlabs.apiKey,
+
+  /**
+   * Transcribe using ElevenLabs Speech-to-Text
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Options ({ speaker, mimeType, filename, language, timeoutMs })
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioBuffer, options = {}) {
+    try {
+      if (!config.elevenlabs.apiKey) {
+        throw new Error('ElevenLabs API key not configured');
+      }
+      
+      console.log('🔊 ElevenLabs transcription request - Audio size:', audioBuffer.length, 'bytes');
+      
+      // Create FormData for multipart/form-data request
+      const form = new FormData();
+      
+      // Add audio file to form - ElevenLabs expects 'file' field (not 'audio')
+      form.append('file', audioBuffer, {
+        filename: options.filename || 'audio.wav',
+        contentType: options.mimeType || 'audio/wav'
+      });
+      
+      // ElevenLabs specific parameters - use model from config
+      form.append('model_id', config.elevenlabs.modelId || 'scribe_v1'); // Use configured model ID
+      form.append('diarize', 'true');
+      if (options.language !== 'auto') {
+        form.append('language_code', options.language || config.elevenlabs.language);
+      }
+      
+      const response = await axios.post(
+        'https://api.elevenlabs.io/v1/speech-to-text',
+        form,
+        {
+          headers: {
+            'xi-api-key': config.elevenlabs.apiKey,
+            ...form.getHeaders()
+          },
+          timeout: options.timeoutMs || 30000,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        }
+      );
+      
+      console.log('✅ ElevenLabs response received:', response.status);
+      const result = response.data;
+      
+      // ElevenLabs returns different format, adapt to our standard
+      return {
+        text: result.text?.trim() || '',
+        confidence: result.confidence || 0.9,
+        speaker: options.speaker,
+        provider: 'elevenlabs',
+        language: result.language_code || result.detected_language || 'en',
+        words: toWords(result.words),
+        utterances: toUtterances(result.words)
+      };
+    
+    } catch (error) {
+      console.error('ElevenLabs transcription error:', error);
+      
+      // Log response details for debugging
+      if (error.response) {
+        console.error('ElevenLabs API Error Details:');
+        console.error('Status:', error.response.status);
+        console.error('Headers:', error.response.headers);
+        console.error('Data:', error.response.data);
+      }
+      
+      if (error.response?.status === 401) {
+        throw new ProviderError('Invalid ElevenLabs API key', error);
+      } else if (error.response?.status === 429) {
+        throw new ProviderError('ElevenLabs rate limit exceeded', error);
+      } else if (error.response?.status === 400) {
+        throw new ProviderError('ElevenLabs bad request - check audio format or parameters', error);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new ProviderError('ElevenLabs request timeout', error);
+      }
+      
+      throw new ProviderError(`ElevenLabs transcription failed: ${error.message}`, error);
+    }
+  }
+};
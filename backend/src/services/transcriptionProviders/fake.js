@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const MockAIService = require('../mockAIService');
+const { MOCK_TRANSCRIPTIONS } = MockAIService;
+const TranscriptionStream = require('./transcriptionStream');
+
+/**
+ * Offline stream
+ * Ignores the audio content and walks through a scripted consultation,
+ * revealing a few words per chunk as interim results and finalizing each
+ * line once it is complete. Output is deterministic so the interim/final
+ * pipeline can be exercised without API keys.
+ */
+class FakeTranscriptionStream extends TranscriptionStream {
+  constructor(options = {}) {
+    super(options);
+    this.script = options.script || MOCK_TRANSCRIPTIONS;
+    this.wordsPerChunk = options.wordsPerChunk || config.transcription.streaming.fakeWordsPerChunk;
+    this.lineIndex = 0;
+    this.startUtterance();
+  }
+
+  startUtterance() {
+    this.utteranceId = uuidv4();
+    this.words = this.script[this.lineIndex % this.script.length].split(' ');
+    this.revealed = 0;
+  }
+
+  sendAudio(chunk) {
+    if (!chunk || chunk.length === 0) {
+      return;
+    }
+
+    this.revealed = Math.min(this.words.length, this.revealed + this.wordsPerChunk);
+    const complete = this.revealed === this.words.length;
+    // Taken now, so chunks arriving back to back each get their own result
+    const result = this.currentResult(complete ? 0.95 : 0.6);
+    if (complete) {
+      this.lineIndex++;
+      this.startUtterance();
+    }
+
+    // Deliver asynchronously like a network provider would
+    setImmediate(() => (complete ? this.emitFinal(result) : this.emitInterim(result)));
+  }
+
+  async finish() {
+    // Let queued chunk callbacks run, then settle whatever was heard so far
+    await new Promise(resolve => setImmediate(resolve));
+    if (this.revealed > 0) {
+      this.emitFinal(this.currentResult(0.9));
+      this.revealed = 0;
+    }
+  }
+
+  currentResult(confidence) {
+    return {
+      utteranceId: this.utteranceId,
+      text: this.words.slice(0, this.revealed).join(' '),
+      confidence,
+      provider: 'fake'
+    };
+  }
+}
+
+/**
+ * Offline provider for development and demos - no API key needed
+ */
+module.exports = {
+  name: 'fake',
+  displayName: 'Offline fake provider',
+  features: ['No API key', 'Scripted consultation', 'Interim results'],
+  capabilities: {
+    batch: true,
+    streaming: true,
+    diarization: false,
+    wordTimestamps: false,
+    vocabularyBoost: false
+  },
+  configKeys: [],
+  isConfigured: () => true,
+
+  async transcribe(audioBuffer, options = {}) {
+    const result = await MockAIService.generateMockTranscription(audioBuffer, options);
+    return { ...result, provider: 'fake' };
+  },
+
+  createStream: (options) => new FakeTranscriptionStream(options)
+};
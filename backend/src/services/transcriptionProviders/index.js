@@ -0,0 +1,106 @@
+/**
+ * Transcription provider registry
+ *
+ * Each provider module exports:
+ *   name          - identifier used in config and the API
+ *   displayName   - human readable name
+ *   features      - short feature list for the UI
+ *   capabilities  - { batch, streaming, diarization, wordTimestamps, vocabularyBoost }
+ *                   (vocabularyBoost: accepts options.glossary, a list of terms to favour)
+ *   configKeys    - environment variables the provider needs
+ *   isConfigured  - () => boolean, whether those keys are set
+ *   transcribe    - (audioBuffer, options) => Promise<result>   (batch providers)
+ *                   options.language is an ISO 639-1 code, 'auto' to detect it,
+ *                   or unset for the provider's configured default
+ *                   result: { text, confidence, provider, language?, words?, utterances? } where
+ *                   words are [{ word, start, end, confidence, speakerLabel }] and
+ *                   diarizing providers return utterances as
+ *                   [{ speakerLabel, start, end, confidence, text }], all in
+ *                   seconds from the start of the submitted audio
+ *   createStream  - (options) => TranscriptionStream            (streaming providers)
+ *
+ * Everything that lists or dispatches to providers reads from here.
+ */
+const config = require('../../config/config');
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry
+ * @param {Object} provider - Provider definition
+ */
+function registerProvider(provider) {
+  if (!provider.name || !provider.capabilities) {
+    throw new Error('Transcription providers need a name and capabilities');
+  }
+  if (provider.capabilities.batch && typeof provider.transcribe !== 'function') {
+    throw new Error(`Provider ${provider.name} declares batch support but has no transcribe()`);
+  }
+  if (provider.capabilities.streaming && typeof provider.createStream !== 'function') {
+    throw new Error(`Provider ${provider.name} declares streaming support but has no createStream()`);
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Names of registered providers, optionally filtered by capability
+ * @param {string} capability - e.g. 'batch' or 'streaming'
+ * @returns {Array<string>} Provider names
+ */
+function getProviderNames(capability) {
+  return Array.from(providers.values())
+    .filter(provider => !capability || provider.capabilities[capability])
+    .map(provider => provider.name);
+}
+
+/**
+ * Look up a provider, optionally requiring a capability
+ * @param {string} name - Provider name
+ * @param {string} capability - Required capability
+ * @returns {Object} Provider
+ */
+function getProvider(name, capability) {
+  const provider = providers.get(name);
+  if (!provider || (capability && !provider.capabilities[capability])) {
+    const supported = getProviderNames(capability);
+    throw new Error(`Unsupported ${capability ? `${capability} ` : ''}provider: ${name}. Supported: ${supported.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Public description of every provider for status endpoints
+ * @returns {Array<Object>} Provider summaries
+ */
+function describeProviders() {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName,
+    features: provider.features || [],
+    capabilities: provider.capabilities,
+    configKeys: provider.configKeys || [],
+    available: provider.isConfigured()
+  }));
+}
+
+[
+  require('./openai'),
+  require('./elevenlabs'),
+  require('./assemblyai'),
+  require('./deepgram')
+].forEach(registerProvider);
+
+// The offline provider replays a scripted consultation, so it only exists in
+// development; elsewhere it can't be configured, switched to or streamed from
+if (config.nodeEnv === 'development') {
+  registerProvider(require('./fake'));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderNames,
+  describeProviders,
+  ProviderError: require('./providerError')
+};
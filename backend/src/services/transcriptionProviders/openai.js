@@ -0,0 +1,122 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config/config');
+const ProviderError = require('./providerError');
+
+const isConfigured = () =>
+  !!config.openai.apiKey && !config.openai.apiKey.includes('PASTE_YOUR_ACTUAL_OPENAI_API_KEY_HERE');
+
+/**
+ * OpenAI Whisper transcription provider
+ */
+module.exports = {
+  name: 'openai',
+  displayName: 'OpenAI Whisper',
+  features: ['High accuracy', 'Multiple languages', 'Word timestamps'],
+  capabilities: {
+    batch: true,
+    streaming: false,
+    diarization: false,
+    wordTimestamps: true,
+    vocabularyBoost: true
+  },
+  configKeys: ['OPENAI_API_KEY'],
+  isConfigured,
+
+  /**
+   * Transcribe using OpenAI Whisper
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Options ({ speaker, mimeType, filename, glossary, language, timeoutMs })
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioBuffer, options = {}) {
+    try {
+      if (!isConfigured()) {
+        throw new Error('OpenAI API key not configured');
+      }
+      
+      console.log('🔊 OpenAI Whisper transcription request - Audio size:', audioBuffer.length, 'bytes');
+      
+      // Create FormData for OpenAI API
+      const form = new FormData();
+      
+      // Add audio file to form - OpenAI expects 'file' field
+      form.append('file', audioBuffer, {
+        filename: options.filename || 'audio.wav',
+        contentType: options.mimeType || 'audio/wav'
+      });
+      
+      // Add parameters
+      form.append('model', 'whisper-1');
+      // Whisper detects the language when none is given
+      if (options.language !== 'auto') {
+        form.append('language', options.language || 'en');
+      }
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'word');
+      form.append('timestamp_granularities[]', 'segment');
+
+      // Whisper only reads the last ~224 tokens of the prompt
+      const prompt = (options.glossary || []).join(', ').slice(0, 800);
+      if (prompt) {
+        form.append('prompt', prompt);
+      }
+      
+      const response = await axios.post(
+        'https://api.openai.com/v1/audio/transcriptions',
+        form,
+        {
+          headers: {
+            'Authorization': `Bearer ${config.openai.apiKey}`,
+            ...form.getHeaders()
+          },
+          timeout: options.timeoutMs || 30000,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        }
+      );
+      
+      console.log('✅ OpenAI Whisper response received:', response.status);
+      const result = response.data;
+      
+      return {
+        text: result.text?.trim() || '',
+        confidence: 0.9, // OpenAI doesn't provide confidence scores
+        speaker: options.speaker,
+        provider: 'openai',
+        language: result.language || options.language || 'en',
+        words: (result.words || []).map(word => ({
+          word: word.word,
+          start: word.start,
+          end: word.end,
+          confidence: null,
+          speakerLabel: null
+        })),
+        segments: result.segments || []
+      };
+    
+    } catch (error) {
+      console.error('OpenAI Whisper transcription error:', error);
+      
+      // Log response details for debugging
+      if (error.response) {
+        console.error('OpenAI API Error Details:');
+        console.error('Status:', error.response.status);
+        console.error('Headers:', error.response.headers);
+        console.error('Data:', error.response.data);
+      }
+      
+      if (error.response?.status === 401) {
+        throw new ProviderError('Invalid OpenAI API key', error);
+      } else if (error.response?.status === 429) {
+        throw new ProviderError('OpenAI rate limit exceeded', error);
+      } else if (error.response?.status === 400) {
+        throw new ProviderError('OpenAI bad request - check audio format or parameters', error);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new ProviderError('OpenAI request timeout', error);
+      }
+      
+      throw new ProviderError(`OpenAI transcription failed: ${error.message}`, error);
+    }
+  }
+};
@@ -0,0 +1,30 @@
+// Network error codes worth retrying - the request may succeed a moment later
+const TRANSIENT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+/**
+ * Error thrown by transcription providers.
+ * Keeps the HTTP status and network code of the underlying request so the
+ * caller can decide whether to retry, fall back or give up.
+ */
+class ProviderError extends Error {
+  constructor(message, cause = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = cause.response?.status ?? cause.status ?? null;
+    this.code = cause.code ?? null;
+
+    const retryAfter = parseInt(cause.response?.headers?.['retry-after']);
+    this.retryAfterMs = Number.isNaN(retryAfter) ? null : retryAfter * 1000;
+  }
+
+  /**
+   * Rate limits, server errors and timeouts are transient
+   */
+  get retryable() {
+    return this.status === 429 ||
+      (this.status !== null && this.status >= 500) ||
+      TRANSIENT_CODES.includes(this.code);
+  }
+}
+
+module.exports = ProviderError;
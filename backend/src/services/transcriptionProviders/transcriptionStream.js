@@ -0,0 +1,86 @@
+const EventEmitter = require('events');
+
+/**
+ * Base class for streaming transcription sessions.
+ *
+ * Providers subclass this and implement `sendAudio(chunk)` and `finish()`.
+ * Consumers write audio with `write()` and listen for:
+ *   - 'interim' { utteranceId, text, confidence }      partial text, may change
+ *   - 'final'   { utteranceId, text, confidence, ... } settled text for an utterance
+ *   - 'error'   Error
+ *   - 'close'   stream finished, no more events
+ */
+class TranscriptionStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.closed = false;
+    this.ending = false;
+  }
+
+  /**
+   * Send an audio chunk to the provider
+   * @param {Buffer} chunk - Audio data
+   */
+  write(chunk) {
+    if (this.ending || this.closed) {
+      return false;
+    }
+
+    try {
+      this.sendAudio(chunk);
+      return true;
+    } catch (error) {
+      this.emit('error', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop accepting audio and flush any pending utterance
+   * @returns {Promise<void>} Resolves once the stream has closed
+   */
+  end() {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+
+    const closed = new Promise(resolve => this.once('close', resolve));
+    if (!this.ending) {
+      this.ending = true;
+      Promise.resolve()
+        .then(() => this.finish())
+        .catch(error => this.emit('error', error))
+        .finally(() => this.close());
+    }
+    return closed;
+  }
+
+  /**
+   * Mark the stream closed and notify listeners (idempotent)
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+
+  emitInterim(result) {
+    this.emit('interim', { ...result, isFinal: false });
+  }
+
+  emitFinal(result) {
+    this.emit('final', { ...result, isFinal: true });
+  }
+
+  // Provider hooks
+  sendAudio() {
+    throw new Error('sendAudio() must be implemented by the streaming provider');
+  }
+
+  async finish() {}
+}
+
+module.exports = TranscriptionStream;
@@ -1,19 +1,34 @@
-const OpenAI = require('openai');
-const axios = require('axios');
 const config = require('../config/config');
 const MockAIService = require('./mockAIService');
+const CircuitBreaker = require('./circuitBreaker');
+const AudioNormalizer = require('./audioNormalizer');
+const VoiceActivityDetector = require('./voiceActivityDetector');
+const GlossaryService = require('./glossaryService');
+const { AUTO, normalizeLanguage } = require('./languages');
+const { getProvider, getProviderNames, describeProviders } = require('./transcriptionProviders');
+
+/**
+ * Raised when every provider in the fallback chain failed or was skipped
+ */
+class TranscriptionUnavailableError extends Error {
+  constructor(attempts) {
+    super('All transcription providers are unavailable');
+    this.name = 'TranscriptionUnavailableError';
+    this.code = 'TRANSCRIPTION_DEGRADED';
+    this.attempts = attempts;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class TranscriptionService {
   constructor() {
-    // Initialize OpenAI client
-    if (config.openai.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: config.openai.apiKey
-      });
-    }
-    
-    this.activeProvider = config.transcription.provider;
-    this.audioBuffer = new Map(); // Store audio chunks per session
+    this.activeProvider = config.transcription.provider; // Server default
+    this.clinicProviders = new Map(); // clinicId -> provider chosen by the clinic
+    this.audioBuffer = new Map(); // Store audio chunks per session speaker
+    this.decodeQueues = new Map(); // Session speaker -> chunk being decoded and appended (VAD only)
+    this.streams = new Map(); // Open streaming transcriptions per session speaker
+    this.breakers = new Map(); // Circuit breaker per provider (and per breaker group)
     
     console.log(`🎤 TranscriptionService initialized with provider: ${this.activeProvider}`);
     
@@ -26,38 +41,38 @@ class TranscriptionService {
    */
   startPeriodicProcessing() {
     setInterval(async () => {
-      for (const [sessionId, buffer] of this.audioBuffer.entries()) {
-        // Process buffers that have been waiting too long (more than 8 seconds)
+      for (const [bufferKey, buffer] of this.audioBuffer.entries()) {
+        // Process buffers that have been waiting too long (more than 8 seconds).
+        // Decoded speech waiting for a pause is left to the VAD (which cuts it at
+        // maxSegmentMs) or to the flush when recording stops.
         if (buffer.chunks.length > 0 && 
             (Date.now() - buffer.lastProcessed) > 8000) {
-          console.log(`🔔 Periodic processing for session ${sessionId} - ${buffer.chunks.length} chunks waiting`);
+          console.log(`🔔 Periodic processing for ${bufferKey} - ${buffer.chunks.length} chunks waiting`);
           try {
-            const result = await this.transcribeBufferedAudio(sessionId);
+            const result = await this.transcribeBufferedAudio(bufferKey);
             if (result) {
               console.log('📢 Periodic transcription result:', result.text);
             }
-            
-            // Reset buffer
-            buffer.chunks = [];
-            buffer.lastProcessed = Date.now();
-            buffer.totalSize = 0;
           } catch (error) {
-            console.error('❌ Error in periodic processing:', error);
+            console.error('❌ Error in periodic processing:', error.message);
+          } finally {
+            this.resetBuffer(buffer);
           }
         }
       }
-    }, 4000); // Check every 4 seconds
+    }, 4000).unref(); // Check every 4 seconds
   }
   
   /**
    * Process audio chunk and return transcription
    * @param {Buffer} audioChunk - Raw audio data
-   * @param {Object} options - Session and speaker info
+   * @param {Object} options - Session and speaker info, the session's language,
+   *   and optionally a provider to try before the clinic's chain
    * @returns {Promise<Object>} Transcription result
    */
   async processAudioChunk(audioChunk, options = {}) {
     try {
-      const { speaker, sessionId, timestamp } = options;
+      const { speaker, sessionId, timestamp, language } = options;
 
       // Check if we should use mock mode for transcription specifically
       if (MockAIService.shouldUseMockTranscription()) {
@@ -65,16 +80,46 @@ class TranscriptionService {
         return await MockAIService.generateMockTranscription(audioChunk, { speaker, sessionId });
       }
       
-      // Buffer audio chunks to reduce API calls
-      if (!this.audioBuffer.has(sessionId)) {
-        this.audioBuffer.set(sessionId, {
+      // Buffer audio chunks to reduce API calls. Each speaker's recorder produces
+      // its own container stream, so their chunks must never be concatenated.
+      const bufferKey = this.streamKey(sessionId, speaker);
+      AudioNormalizer.captureInitSegment(bufferKey, audioChunk);
+      
+      if (!this.audioBuffer.has(bufferKey)) {
+        this.audioBuffer.set(bufferKey, {
+          sessionId,
+          speaker,
           chunks: [],
           lastProcessed: Date.now(),
-          totalSize: 0
+          totalSize: 0,
+          pcm: null, // Decoded audio awaiting a pause (VAD only)
+          startedAt: null // Wall-clock time the buffered audio begins at
         });
       }
       
-      const sessionBuffer = this.audioBuffer.get(sessionId);
+      const sessionBuffer = this.audioBuffer.get(bufferKey);
+      // Follows the session setting, which may change mid-recording
+      sessionBuffer.language = language;
+      sessionBuffer.provider = options.provider;
+      
+      // With VAD, decode each chunk and cut segments at natural pauses instead.
+      // Decoding takes longer for some chunks than others, so a speaker's chunks
+      // are decoded and appended one at a time, in the order they arrived.
+      if (config.transcription.vad.enabled) {
+        const { decoded, segment } = await this.inArrivalOrder(bufferKey, async () => {
+          const audio = await AudioNormalizer.normalize(audioChunk, { streamKey: bufferKey });
+          return audio.pcm ? { decoded: true, segment: this.appendSpeech(bufferKey, sessionBuffer, audio) } : { decoded: false };
+        });
+        if (decoded) {
+          return segment && await this.transcribeAudio(segment.audio, segment.options);
+        }
+        // Not decodable here (no ffmpeg) - fall back to size/time based buffering
+      }
+      
+      // Chunk length is unknown before decoding, so undecoded audio is dated by arrival
+      if (sessionBuffer.chunks.length === 0) {
+        sessionBuffer.startedAt = Date.now();
+      }
       sessionBuffer.chunks.push({
         data: audioChunk,
         timestamp,
@@ -82,7 +127,7 @@ class TranscriptionService {
       });
       sessionBuffer.totalSize += audioChunk.length;
       
-      console.log(`🎵 Session ${sessionId} buffer status:`, {
+      console.log(`🎵 ${bufferKey} buffer status:`, {
         chunks: sessionBuffer.chunks.length,
         totalSize: sessionBuffer.totalSize,
         maxSize: config.transcription.maxAudioChunkSize,
@@ -99,14 +144,12 @@ class TranscriptionService {
       if (shouldProcess) {
         console.log(`✅ Processing audio for session ${sessionId}: ${sessionBuffer.chunks.length} chunks, ${sessionBuffer.totalSize} bytes`);
         
-        const result = await this.transcribeBufferedAudio(sessionId);
-        
-        // Reset buffer
-        sessionBuffer.chunks = [];
-        sessionBuffer.lastProcessed = Date.now();
-        sessionBuffer.totalSize = 0;
-        
-        return result;
+        try {
+          return await this.transcribeBufferedAudio(bufferKey);
+        } finally {
+          // Audio that could not be transcribed is dropped, not retried forever
+          this.resetBuffer(sessionBuffer);
+        }
       } else {
         console.log(`⏳ Not ready to process yet for session ${sessionId}`);
       }
@@ -120,357 +163,498 @@ class TranscriptionService {
   }
   
   /**
-   * Transcribe buffered audio chunks with fallback providers
-   * @param {string} sessionId - Session identifier
-   * @returns {Promise<Object>} Transcription result
+   * Run a step once the steps queued before it for the same session speaker
+   * have finished, whether or not they succeeded
+   * @param {string} bufferKey - Session speaker buffer
+   * @param {Function} step - Async function to run
+   * @returns {Promise<*>} Result of the step
    */
-  async transcribeBufferedAudio(sessionId) {
-    const sessionBuffer = this.audioBuffer.get(sessionId);
-    if (!sessionBuffer || sessionBuffer.chunks.length === 0) {
+  inArrivalOrder(bufferKey, step) {
+    const run = (this.decodeQueues.get(bufferKey) || Promise.resolve()).then(step);
+    const queued = run.catch(() => {});
+    this.decodeQueues.set(bufferKey, queued);
+    queued.then(() => {
+      if (this.decodeQueues.get(bufferKey) === queued) {
+        this.decodeQueues.delete(bufferKey);
+      }
+    });
+    return run;
+  }
+  
+  /**
+   * Add decoded audio to a speaker's buffer and cut a segment off once the
+   * speaker pauses. Silence is dropped without calling a provider.
+   * @param {string} bufferKey - Session speaker buffer
+   * @param {Object} sessionBuffer - Buffer state
+   * @param {Object} audio - Normalized chunk with pcm
+   * @returns {Object|null} { audio, options } to transcribe, or null while waiting for a pause
+   */
+  appendSpeech(bufferKey, sessionBuffer, audio) {
+    const { maxSegmentMs, silenceDurationMs } = config.transcription.vad;
+    const format = { sampleRate: audio.sampleRate, channels: audio.channels };
+    const bytesPerMs = (format.sampleRate * format.channels * 2) / 1000;
+    
+    if (!sessionBuffer.pcm) {
+      sessionBuffer.startedAt = Date.now() - audio.pcm.length / bytesPerMs;
+    }
+    let pcm = sessionBuffer.pcm ? Buffer.concat([sessionBuffer.pcm, audio.pcm]) : audio.pcm;
+    Object.assign(sessionBuffer, format, { lastProcessed: Date.now() });
+    
+    let analysis = VoiceActivityDetector.analyze(pcm, format);
+    if (analysis.firstSpeechOffset === -1) {
+      console.log(`🔇 Dropped ${Math.round(analysis.durationMs)}ms of silence for ${bufferKey}`);
+      sessionBuffer.pcm = null;
       return null;
     }
     
-    // Combine audio chunks
-    const combinedAudio = Buffer.concat(sessionBuffer.chunks.map(chunk => chunk.data));
-    const latestSpeaker = sessionBuffer.chunks[sessionBuffer.chunks.length - 1].speaker;
+    // Keep a little lead-in before the first word, drop the rest
+    const sampleBytes = 2 * format.channels;
+    const leadIn = Math.floor((silenceDurationMs / 2) * bytesPerMs / sampleBytes) * sampleBytes;
+    if (analysis.firstSpeechOffset > leadIn) {
+      pcm = pcm.subarray(analysis.firstSpeechOffset - leadIn);
+      sessionBuffer.startedAt += (analysis.firstSpeechOffset - leadIn) / bytesPerMs;
+      analysis = VoiceActivityDetector.analyze(pcm, format);
+    }
     
-    // Check if we should use mock transcription first
-    if (mockAIService.shouldUseMockTranscription()) {
-      console.log('🎭 Using Mock transcription service');
-      return await mockAIService.generateMockTranscription(combinedAudio, { speaker: latestSpeaker });
+    let segment = null;
+    const startedAt = sessionBuffer.startedAt;
+    const pause = analysis.pauses[analysis.pauses.length - 1];
+    if (pause) {
+      segment = pcm.subarray(0, pause.start);
+      sessionBuffer.pcm = pause.end < pcm.length ? pcm.subarray(pause.end) : null;
+      sessionBuffer.startedAt += pause.end / bytesPerMs;
+    } else if (analysis.durationMs >= maxSegmentMs) {
+      segment = pcm;
+      sessionBuffer.pcm = null;
+    } else {
+      sessionBuffer.pcm = pcm;
+      console.log(`⏳ Waiting for a pause in ${bufferKey} (${Math.round(analysis.durationMs)}ms buffered)`);
+      return null;
     }
     
-    // Try providers in order with fallback
-    const providers = [this.activeProvider];
+    if (!VoiceActivityDetector.analyze(segment, format).hasSpeech) {
+      console.log(`🔇 Dropped ${Math.round(segment.length / bytesPerMs)}ms segment without enough speech for ${bufferKey}`);
+      return null;
+    }
     
-    // Add fallback providers
-    if (this.activeProvider === 'elevenlabs') {
-      providers.push('openai'); // Fallback to OpenAI Whisper if ElevenLabs fails
-    } else if (this.activeProvider === 'openai') {
-      providers.push('elevenlabs'); // Fallback to ElevenLabs if OpenAI fails
+    console.log(`✅ Speech segment for ${bufferKey}: ${Math.round(segment.length / bytesPerMs)}ms`);
+    return {
+      audio: AudioNormalizer.fromPcm(segment, format.sampleRate, format.channels),
+      options: {
+        sessionId: sessionBuffer.sessionId,
+        speaker: sessionBuffer.speaker,
+        startedAt,
+        language: sessionBuffer.language,
+        provider: sessionBuffer.provider
+      }
+    };
+  }
+  
+  /**
+   * Empty a speaker buffer after it has been processed
+   */
+  resetBuffer(sessionBuffer) {
+    sessionBuffer.chunks = [];
+    sessionBuffer.totalSize = 0;
+    sessionBuffer.pcm = null;
+    sessionBuffer.startedAt = null;
+    sessionBuffer.lastProcessed = Date.now();
+  }
+  
+  /**
+   * Transcribe whatever is buffered for a speaker with fallback providers
+   * @param {string} bufferKey - Session speaker buffer (see streamKey)
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribeBufferedAudio(bufferKey) {
+    const sessionBuffer = this.audioBuffer.get(bufferKey);
+    if (!sessionBuffer) {
+      return null;
     }
     
-    let lastError;
+    const { sessionId, speaker, startedAt, language, provider } = sessionBuffer;
     
-    for (const provider of providers) {
-      try {
-        console.log(`🎯 Trying transcription with ${provider}`);
-        
-        switch (provider) {
-          case 'openai':
-            // Check if OpenAI key is configured
-            if (!config.openai.apiKey || config.openai.apiKey.includes('PASTE_YOUR_ACTUAL_OPENAI_API_KEY_HERE')) {
-              console.log('🎭 OpenAI key not configured, using Mock transcription');
-              return await mockAIService.generateMockTranscription(combinedAudio, { speaker: latestSpeaker });
-            }
-            return await this.transcribeWithOpenAI(combinedAudio, { speaker: latestSpeaker });
-            
-          case 'elevenlabs':
-            return await this.transcribeWithElevenLabs(combinedAudio, { speaker: latestSpeaker });
-            
-          case 'assemblyai':
-            return await this.transcribeWithAssemblyAI(combinedAudio, { speaker: latestSpeaker });
-            
-          default:
-            throw new Error(`Unsupported transcription provider: ${provider}`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ ${provider} transcription failed:`, error.message);
-        lastError = error;
-        
-        // If this is the last provider, fall back to mock
-        if (provider === providers[providers.length - 1]) {
-          console.log('🎭 All providers failed, falling back to Mock transcription');
-          return await mockAIService.generateMockTranscription(combinedAudio, { speaker: latestSpeaker });
-        }
-        
-        continue; // Try next provider
+    // Decoded audio still waiting for a pause
+    if (sessionBuffer.pcm) {
+      const format = { sampleRate: sessionBuffer.sampleRate, channels: sessionBuffer.channels };
+      if (!VoiceActivityDetector.analyze(sessionBuffer.pcm, format).hasSpeech) {
+        return null;
       }
+      const audio = AudioNormalizer.fromPcm(sessionBuffer.pcm, format.sampleRate, format.channels);
+      return this.transcribeAudio(audio, { sessionId, speaker, startedAt, language, provider });
+    }
+    
+    if (sessionBuffer.chunks.length === 0) {
+      return null;
+    }
+    
+    // Consecutive chunks of one recorder form a continuous stream
+    const combinedAudio = Buffer.concat(sessionBuffer.chunks.map(chunk => chunk.data));
+    
+    // Check if we should use mock transcription first
+    if (MockAIService.shouldUseMockTranscription()) {
+      console.log('🎭 Using Mock transcription service');
+      return await MockAIService.generateMockTranscription(combinedAudio, { speaker });
     }
     
-    // If we somehow get here, use mock as final fallback
-    console.log('🎭 Using Mock transcription as final fallback');
-    return await mockAIService.generateMockTranscription(combinedAudio, { speaker: latestSpeaker });
+    // Providers get a decodable, correctly labelled file rather than raw fragments
+    const audio = await AudioNormalizer.normalize(combinedAudio, { streamKey: bufferKey });
+    return this.transcribeAudio(audio, { sessionId, speaker, startedAt, language, provider });
   }
   
   /**
-   * Transcribe using OpenAI Whisper
-   * @param {Buffer} audioBuffer - Audio data
-   * @param {Object} options - Options
-   * @returns {Promise<Object>} Transcription result
+   * Run normalized audio through the provider fallback chain
+   * @param {Object} audio - Output of AudioNormalizer.normalize/fromPcm
+   * @param {Object} options - { sessionId, speaker, startedAt, prefer, language, provider,
+   *   timeoutMs, breakerGroup } where prefer is a capability (e.g. 'diarization')
+   *   whose providers are tried first, language is an ISO 639-1 code or 'auto' to
+   *   detect it, provider replaces the clinic's active provider at the head of the
+   *   chain, timeoutMs replaces the providers' request timeout and breakerGroup
+   *   keeps failures in circuit breakers of their own (e.g. 'jobs'), away from
+   *   the ones live consultations use
+   * @returns {Promise<Object>} Transcription result with audioStartedAt, the
+   *   wall-clock time its start/end/word timings are relative to, and language
+   *   (ISO 639-1 code, or null if it couldn't be determined)
    */
-  async transcribeWithOpenAI(audioBuffer, options = {}) {
-    try {
-      if (!this.openai) {
-        throw new Error('OpenAI API key not configured');
+  async transcribeAudio(audio, { sessionId, speaker, startedAt, prefer, language, provider: first, timeoutMs, breakerGroup }) {
+    // Providers with vocabulary boosting get the clinic glossary up front;
+    // results from the others are corrected against it afterwards
+    const clinicId = await GlossaryService.getClinicForSession(sessionId);
+    const glossary = await GlossaryService.getTerms(clinicId);
+    const providerOptions = {
+      speaker,
+      mimeType: audio.mimeType,
+      filename: audio.filename,
+      glossary: GlossaryService.toProviderTerms(glossary),
+      language,
+      ...(timeoutMs && { timeoutMs })
+    };
+    
+    const audioStartedAt = new Date(startedAt ?? Date.now());
+    const attempts = [];
+    
+    for (const provider of this.getFallbackChain(prefer, clinicId, first)) {
+      const result = await this.tryProvider(provider, audio.buffer, providerOptions, attempts, breakerGroup);
+      if (result) {
+        const corrected = getProvider(provider).capabilities.vocabularyBoost
+          ? result
+          : GlossaryService.applyToResult(result, glossary);
+        return { ...corrected, audioStartedAt, language: this.resolveLanguage(result.language, language) };
       }
-      
-      console.log('🔊 OpenAI Whisper transcription request - Audio size:', audioBuffer.length, 'bytes');
-      
-      // Create FormData for OpenAI API
-      const FormData = require('form-data');
-      const form = new FormData();
-      
-      // Add audio file to form - OpenAI expects 'file' field
-      form.append('file', audioBuffer, {
-        filename: 'audio.wav',
-        contentType: 'audio/wav'
-      });
-      
-      // Add parameters
-      form.append('model', 'whisper-1');
-      form.append('language', 'en');
-      form.append('response_format', 'verbose_json');
-      
-      const response = await axios.post(
-        'https://api.openai.com/v1/audio/transcriptions',
-        form,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.openai.apiKey}`,
-            ...form.getHeaders()
-          },
-          timeout: 30000,
-          maxBodyLength: Infinity,
-          maxContentLength: Infinity
-        }
-      );
-      
-      console.log('✅ OpenAI Whisper response received:', response.status);
-      const result = response.data;
-      
+    }
+    
+    if (config.transcription.fallback.allowMock) {
+      console.log('🎭 All providers failed, falling back to Mock transcription (development only)');
+      const result = await MockAIService.generateMockTranscription(audio.buffer, { speaker });
       return {
-        text: result.text?.trim() || '',
-        confidence: 0.9, // OpenAI doesn't provide confidence scores
-        speaker: options.speaker,
-        provider: 'openai',
-        language: result.language || 'en',
-        words: result.words || [],
-        segments: result.segments || []
+        ...GlossaryService.applyToResult(result, glossary),
+        audioStartedAt,
+        language: this.resolveLanguage(null, language)
       };
-      
-    } catch (error) {
-      console.error('OpenAI Whisper transcription error:', error);
-      
-      // Log response details for debugging
-      if (error.response) {
-        console.error('OpenAI API Error Details:');
-        console.error('Status:', error.response.status);
-        console.error('Headers:', error.response.headers);
-        console.error('Data:', error.response.data);
-      }
-      
-      if (error.response?.status === 401) {
-        throw new Error('Invalid OpenAI API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('OpenAI rate limit exceeded');
-      } else if (error.response?.status === 400) {
-        throw new Error('OpenAI bad request - check audio format or parameters');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('OpenAI request timeout');
-      }
-      
-      throw new Error(`OpenAI transcription failed: ${error.message}`);
     }
+    
+    console.error(`❌ Transcription degraded for session ${sessionId}:`, attempts);
+    throw new TranscriptionUnavailableError(attempts);
   }
   
   /**
-   * Transcribe using ElevenLabs Speech-to-Text
-   * @param {Buffer} audioBuffer - Audio data
-   * @param {Object} options - Options
-   * @returns {Promise<Object>} Transcription result
+   * Language of a result: what the provider reported, otherwise what was requested
+   * @param {string} reported - Language as reported by the provider
+   * @param {string} requested - Session language ('auto' when detecting)
+   * @returns {string|null} ISO 639-1 code, or null if unknown
    */
-  async transcribeWithElevenLabs(audioBuffer, options = {}) {
-    try {
-      if (!config.elevenlabs.apiKey) {
-        throw new Error('ElevenLabs API key not configured');
+  resolveLanguage(reported, requested) {
+    const detected = normalizeLanguage(reported);
+    if (detected && detected !== AUTO) {
+      return detected;
+    }
+    return requested && requested !== AUTO ? normalizeLanguage(requested) : null;
+  }
+  
+  /**
+   * Transcribe everything still buffered for a session (e.g. when recording stops)
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array>} [{ speaker, result }] for each speaker with speech
+   */
+  async flushBuffers(sessionId) {
+    const results = [];
+    
+    for (const [bufferKey, sessionBuffer] of this.audioBuffer.entries()) {
+      if (sessionBuffer.sessionId !== sessionId) {
+        continue;
       }
       
-      console.log('🔊 ElevenLabs transcription request - Audio size:', audioBuffer.length, 'bytes');
-      
-      // Create FormData for multipart/form-data request
-      const FormData = require('form-data');
-      const form = new FormData();
-      
-      // Add audio file to form - ElevenLabs expects 'file' field (not 'audio')
-      form.append('file', audioBuffer, {
-        filename: 'audio.wav',
-        contentType: 'audio/wav'
-      });
-      
-      // ElevenLabs specific parameters - use model from config
-      form.append('model_id', config.elevenlabs.modelId || 'scribe_v1'); // Use configured model ID
-      
-      const response = await axios.post(
-        'https://api.elevenlabs.io/v1/speech-to-text',
-        form,
-        {
-          headers: {
-            'xi-api-key': config.elevenlabs.apiKey,
-            ...form.getHeaders()
-          },
-          timeout: 30000,
-          maxBodyLength: Infinity,
-          maxContentLength: Infinity
+      try {
+        // Chunks still being decoded belong before the flush
+        await this.decodeQueues.get(bufferKey);
+        const result = await this.transcribeBufferedAudio(bufferKey);
+        if (result?.text) {
+          results.push({ speaker: sessionBuffer.speaker, result });
         }
-      );
-      
-      console.log('✅ ElevenLabs response received:', response.status);
-      const result = response.data;
-      
-      // ElevenLabs returns different format, adapt to our standard
-      return {
-        text: result.text?.trim() || '',
-        confidence: result.confidence || 0.9,
-        speaker: options.speaker,
-        provider: 'elevenlabs',
-        language: result.detected_language || 'en',
-        segments: result.segments || [],
-        speakers: result.speakers || []
-      };
-      
-    } catch (error) {
-      console.error('ElevenLabs transcription error:', error);
-      
-      // Log response details for debugging
-      if (error.response) {
-        console.error('ElevenLabs API Error Details:');
-        console.error('Status:', error.response.status);
-        console.error('Headers:', error.response.headers);
-        console.error('Data:', error.response.data);
-      }
-      
-      if (error.response?.status === 401) {
-        throw new Error('Invalid ElevenLabs API key');
-      } else if (error.response?.status === 429) {
-        throw new Error('ElevenLabs rate limit exceeded');
-      } else if (error.response?.status === 400) {
-        throw new Error('ElevenLabs bad request - check audio format or parameters');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('ElevenLabs request timeout');
+      } catch (error) {
+        console.error(`❌ Error flushing audio buffer ${bufferKey}:`, error.message);
+      } finally {
+        this.resetBuffer(sessionBuffer);
       }
-      
-      throw new Error(`ElevenLabs transcription failed: ${error.message}`);
     }
+    
+    return results;
   }
   
   /**
-   * Transcribe using AssemblyAI
+   * Provider a clinic transcribes with: its own choice, or the server default
+   * @param {string} clinicId - Clinic identifier
+   * @returns {string} Provider name
+   */
+  getActiveProvider(clinicId) {
+    return this.clinicProviders.get(clinicId) || this.activeProvider;
+  }
+  
+  /**
+   * Active provider followed by the configured fallbacks, without duplicates
+   * @param {string} prefer - Optional capability; providers that have it move to the front
+   * @param {string} clinicId - Clinic whose active provider leads the chain
+   * @param {string} first - Provider to lead the chain instead
+   * @returns {Array<string>} Provider names in the order they are tried
+   */
+  getFallbackChain(prefer = null, clinicId = null, first = this.getActiveProvider(clinicId)) {
+    const batchProviders = getProviderNames('batch');
+    const chain = [...new Set([first, ...config.transcription.fallback.chain])]
+      .filter(name => batchProviders.includes(name));
+    
+    if (!prefer) {
+      return chain;
+    }
+    const preferred = getProviderNames(prefer);
+    return [
+      ...chain.filter(name => preferred.includes(name)),
+      ...chain.filter(name => !preferred.includes(name))
+    ];
+  }
+  
+  /**
+   * Get (or create) the circuit breaker for a provider
+   * @param {string} provider - Provider name
+   * @param {string} group - Breaker group, e.g. 'jobs'; live transcription has none
+   */
+  getBreaker(provider, group = null) {
+    const name = group ? `${group}:${provider}` : provider;
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, config.transcription.fallback.circuitBreaker));
+    }
+    return this.breakers.get(name);
+  }
+  
+  /**
+   * Try one provider, retrying transient failures with exponential backoff
+   * @param {string} provider - Provider name
    * @param {Buffer} audioBuffer - Audio data
-   * @param {Object} options - Options
-   * @returns {Promise<Object>} Transcription result
+   * @param {Object} options - Options passed to the provider
+   * @param {Array} attempts - Collects { provider, error } for each provider that failed
+   * @param {string} breakerGroup - Circuit breaker group (see getBreaker)
+   * @returns {Promise<Object|null>} Transcription result, or null to move on
    */
-  async transcribeWithAssemblyAI(audioBuffer, options = {}) {
-    try {
-      if (!config.assemblyai.apiKey) {
-        throw new Error('AssemblyAI API key not configured');
-      }
-      
-      // Upload audio file first
-      const uploadResponse = await axios.post(
-        'https://api.assemblyai.com/v2/upload',
-        audioBuffer,
-        {
-          headers: {
-            'Authorization': config.assemblyai.apiKey,
-            'Content-Type': 'application/octet-stream'
-          }
-        }
-      );
-      
-      const audioUrl = uploadResponse.data.upload_url;
-      
-      // Create transcription job
-      const transcriptResponse = await axios.post(
-        'https://api.assemblyai.com/v2/transcript',
-        {
-          audio_url: audioUrl,
-          speaker_labels: true,
-          punctuate: true,
-          format_text: true
-        },
-        {
-          headers: {
-            'Authorization': config.assemblyai.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      const transcriptId = transcriptResponse.data.id;
-      
-      // Poll for completion (simplified for hackathon)
-      let attempts = 0;
-      const maxAttempts = 30;
-      
-      while (attempts < maxAttempts) {
-        const statusResponse = await axios.get(
-          `https://api.assemblyai.com/v2/transcript/${transcriptId}`,
-          {
-            headers: {
-              'Authorization': config.assemblyai.apiKey
-            }
-          }
-        );
+  async tryProvider(provider, audioBuffer, options, attempts, breakerGroup = null) {
+    const { maxRetries, retryBaseDelayMs } = config.transcription.fallback;
+    
+    if (!getProvider(provider).isConfigured()) {
+      attempts.push({ provider, error: 'Not configured' });
+      return null;
+    }
+    
+    const breaker = this.getBreaker(provider, breakerGroup);
+    if (!breaker.canRequest()) {
+      console.log(`⏭️ Skipping ${provider}: circuit open`);
+      attempts.push({ provider, error: 'Circuit open' });
+      return null;
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        console.log(`🎯 Trying transcription with ${provider}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+        const result = await this.transcribeWithProvider(provider, audioBuffer, options);
+        breaker.recordSuccess();
+        return result;
         
-        if (statusResponse.data.status === 'completed') {
-          return {
-            text: statusResponse.data.text.trim(),
-            confidence: statusResponse.data.confidence,
-            speaker: options.speaker,
-            provider: 'assemblyai',
-            words: statusResponse.data.words || [],
-            utterances: statusResponse.data.utterances || []
-          };
-        }
+      } catch (error) {
+        console.error(`❌ ${provider} transcription failed:`, error.message);
         
-        if (statusResponse.data.status === 'error') {
-          throw new Error('AssemblyAI transcription failed');
+        if (error.retryable && attempt < maxRetries && breaker.state === 'closed') {
+          const delay = error.retryAfterMs ?? retryBaseDelayMs * 2 ** attempt;
+          console.log(`⏳ Retrying ${provider} in ${delay}ms`);
+          await sleep(delay);
+          continue;
         }
         
-        // Wait 1 second before next poll
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
+        breaker.recordFailure(error);
+        attempts.push({ provider, error: error.message });
+        return null;
       }
-      
-      throw new Error('AssemblyAI transcription timeout');
-      
-    } catch (error) {
-      console.error('AssemblyAI transcription error:', error);
-      throw new Error(`AssemblyAI transcription failed: ${error.message}`);
     }
   }
   
   /**
-   * Switch transcription provider
-   * @param {string} provider - Provider name
+   * Transcribe audio with a registered batch provider
+   * @param {string} name - Provider name
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Options passed to the provider
+   * @returns {Promise<Object>} Transcription result
    */
-  switchProvider(provider) {
-    const supportedProviders = ['openai', 'elevenlabs', 'assemblyai'];
-    if (!supportedProviders.includes(provider)) {
-      throw new Error(`Unsupported provider: ${provider}. Supported: ${supportedProviders.join(', ')}`);
+  async transcribeWithProvider(name, audioBuffer, options = {}) {
+    const provider = getProvider(name, 'batch');
+    if (!provider.isConfigured()) {
+      throw new Error(`${provider.displayName} is not configured (set ${provider.configKeys.join(', ')})`);
     }
+    return provider.transcribe(audioBuffer, options);
+  }
+  
+  /**
+   * Whether audio should go to a streaming provider instead of the chunk buffer
+   */
+  isStreamingEnabled() {
+    return config.transcription.streaming.enabled;
+  }
+
+  streamKey(sessionId, speaker) {
+    return `${sessionId}:${speaker}`;
+  }
+
+  /**
+   * Get the open stream for a session speaker
+   * @returns {Object|undefined} Stream entry
+   */
+  getStream(sessionId, speaker) {
+    return this.streams.get(this.streamKey(sessionId, speaker));
+  }
+
+  /**
+   * Open a streaming transcription for one speaker in a session.
+   * Final results are handled one at a time, in order, so handlers can
+   * persist them without racing each other.
+   * @param {string} sessionId - Session identifier
+   * @param {string} speaker - Speaker role
+   * @param {Object} handlers - { onInterim, onFinal, onError }
+   * @param {Object} options - { glossary, language } clinic glossary terms and session language
+   * @returns {Object} Stream entry
+   */
+  startStream(sessionId, speaker, handlers = {}, options = {}) {
+    const existing = this.getStream(sessionId, speaker);
+    if (existing) {
+      return existing;
+    }
+
+    const key = this.streamKey(sessionId, speaker);
+    const providerName = config.transcription.streaming.provider;
+    const provider = getProvider(providerName, 'streaming');
+    const glossary = options.glossary || [];
+    const stream = provider.createStream({
+      sessionId,
+      speaker,
+      glossary: GlossaryService.toProviderTerms(glossary),
+      language: options.language
+    });
+    // Finals from providers that can't be boosted are corrected instead
+    const correct = (result) => ({
+      ...(provider.capabilities.vocabularyBoost ? result : GlossaryService.applyToResult(result, glossary)),
+      language: this.resolveLanguage(result.language, options.language)
+    });
+    // Streaming providers time results from when the stream was opened
+    const entry = { stream, speaker, sessionId, openedAt: new Date(), pending: Promise.resolve() };
+
+    stream.on('interim', (result) => {
+      handlers.onInterim?.({ ...result, speaker, audioStartedAt: entry.openedAt });
+    });
+
+    stream.on('final', (result) => {
+      if (!result.text) {
+        return;
+      }
+      entry.pending = entry.pending
+        .then(() => handlers.onFinal?.({ ...correct(result), speaker, audioStartedAt: entry.openedAt }))
+        .catch(error => console.error(`❌ Error handling final transcription for ${key}:`, error));
+    });
+
+    stream.on('error', (error) => {
+      console.error(`❌ Streaming transcription error for ${key}:`, error.message);
+      handlers.onError?.(error);
+    });
+
+    stream.on('close', () => {
+      if (this.streams.get(key) === entry) {
+        this.streams.delete(key);
+      }
+    });
+
+    this.streams.set(key, entry);
+    console.log(`📡 Opened ${providerName} transcription stream for ${key}`);
+    return entry;
+  }
+
+  /**
+   * Write an audio chunk to a session speaker's stream
+   * @returns {boolean} Whether the chunk was accepted
+   */
+  writeStream(sessionId, speaker, audioChunk) {
+    const entry = this.getStream(sessionId, speaker);
+    return entry ? entry.stream.write(audioChunk) : false;
+  }
+
+  /**
+   * Close every stream for a session and wait for their final results to be handled
+   * @param {string} sessionId - Session identifier
+   */
+  async endStreams(sessionId) {
+    const entries = Array.from(this.streams.values()).filter(entry => entry.sessionId === sessionId);
+    await Promise.all(entries.map(async (entry) => {
+      await entry.stream.end();
+      await entry.pending;
+    }));
+
+    if (entries.length > 0) {
+      console.log(`📡 Closed ${entries.length} transcription stream(s) for session ${sessionId}`);
+    }
+  }
+
+  /**
+   * Switch the transcription provider of one clinic; other clinics keep theirs
+   * @param {string} provider - Provider name
+   * @param {string} clinicId - Clinic identifier
+   */
+  switchProvider(provider, clinicId) {
+    getProvider(provider, 'batch');
     
-    this.activeProvider = provider;
-    console.log(`🔄 Switched transcription provider to: ${provider}`);
+    this.clinicProviders.set(clinicId, provider);
+    console.log(`🔄 Switched transcription provider for clinic ${clinicId} to: ${provider}`);
   }
   
   /**
-   * Get provider status
+   * Get provider status as seen by a clinic
+   * @param {string} clinicId - Clinic identifier
    * @returns {Object} Provider status information
    */
-  getProviderStatus() {
+  getProviderStatus(clinicId) {
     return {
-      activeProvider: this.activeProvider,
-      available: {
-        openai: !!config.openai.apiKey,
-        elevenlabs: !!config.elevenlabs.apiKey,
-        assemblyai: !!config.assemblyai.apiKey
+      activeProvider: this.getActiveProvider(clinicId),
+      defaultProvider: this.activeProvider,
+      available: Object.fromEntries(
+        describeProviders().map(provider => [provider.name, provider.available])
+      ),
+      providers: describeProviders(),
+      fallback: {
+        chain: this.getFallbackChain(null, clinicId),
+        allowMock: config.transcription.fallback.allowMock,
+        circuitBreakers: Object.fromEntries(
+          Array.from(this.breakers.entries()).map(([name, breaker]) => [name, breaker.getStatus()])
+        )
       },
       settings: {
         interval: config.transcription.interval,
         maxChunkSize: config.transcription.maxAudioChunkSize
+      },
+      streaming: {
+        enabled: this.isStreamingEnabled(),
+        provider: config.transcription.streaming.provider,
+        openStreams: this.streams.size
       }
     };
   }
@@ -480,11 +664,20 @@ class TranscriptionService {
    * @param {string} sessionId - Session to clean up
    */
   cleanupSession(sessionId) {
-    if (this.audioBuffer.has(sessionId)) {
-      this.audioBuffer.delete(sessionId);
-      console.log(`🗑️ Cleaned up audio buffer for session: ${sessionId}`);
+    this.endStreams(sessionId).catch(error => console.error('❌ Error closing transcription streams:', error));
+
+    AudioNormalizer.forgetSession(sessionId);
+    GlossaryService.forgetSession(sessionId);
+    
+    for (const [bufferKey, buffer] of this.audioBuffer.entries()) {
+      if (buffer.sessionId === sessionId) {
+        this.audioBuffer.delete(bufferKey);
+        this.decodeQueues.delete(bufferKey);
+        console.log(`🗑️ Cleaned up audio buffer for ${bufferKey}`);
+      }
     }
   }
 }
 
 module.exports = new TranscriptionService();
+module.exports.TranscriptionUnavailableError = TranscriptionUnavailableError;
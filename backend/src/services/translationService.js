@@ -0,0 +1,88 @@
+const OpenAI = require('openai');
+const config = require('../config/config');
+const MockAIService = require('./mockAIService');
+const { normalizeLanguage, languageName } = require('./languages');
+
+/**
+ * Translation Service
+ * Translates transcript text for entries spoken in a language other than
+ * the translation language, so MERs and reviewers can work from one
+ * language while the original wording is kept.
+ */
+class TranslationService {
+  constructor() {
+    if (config.openai.apiKey) {
+      this.openai = new OpenAI({
+        apiKey: config.openai.apiKey
+      });
+    }
+  }
+
+  /**
+   * Whether text in a language needs translating
+   * @param {string|null} language - Spoken language, or null if unknown
+   */
+  needsTranslation(language, to = config.languages.translation) {
+    return config.languages.translate && language !== to;
+  }
+
+  /**
+   * Translate text. When the source language is unknown it is detected, and
+   * text that turns out to be in the target language is not translated.
+   * Never throws - a missing translation must not lose the transcript.
+   * @param {string} text - Text to translate
+   * @param {string|null} from - Source language code, or null to detect it
+   * @param {string} to - Target language code
+   * @returns {Promise<Object|null>} { language, text, sourceLanguage } or null
+   */
+  async translate(text, from = null, to = config.languages.translation) {
+    if (!text || !this.needsTranslation(from, to)) {
+      return null;
+    }
+
+    try {
+      const result = MockAIService.shouldUseMockOpenAI()
+        ? await MockAIService.generateMockTranslation(text, from, to)
+        : await this.requestTranslation(text, from, to);
+
+      const sourceLanguage = normalizeLanguage(result.sourceLanguage) || from;
+      if (sourceLanguage === to || !result.text) {
+        return null;
+      }
+
+      return { language: to, text: result.text, sourceLanguage };
+
+    } catch (error) {
+      console.error(`❌ Translation to ${to} failed:`, error.message);
+      return null;
+    }
+  }
+
+  async requestTranslation(text, from, to) {
+    const prompt = `
+Translate the following line from a doctor-patient consultation ${from ? `from ${languageName(from)} ` : ''}into ${languageName(to)}.
+Keep medication names, doses and numbers exactly as spoken. Do not add or explain anything.
+
+TEXT:
+${text}
+
+Respond in the following JSON format:
+{
+  "sourceLanguage": "ISO 639-1 code of the language the text is in",
+  "text": "The translation"
+}
+`;
+
+    const response = await this.openai.chat.completions.create({
+      model: config.openai.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 1000,
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    });
+
+    return JSON.parse(response.choices[0].message.content);
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,84 @@
+const config = require('../config/config');
+
+/**
+ * Voice Activity Detector
+ * Energy-based speech/silence classification of 16-bit PCM. Audio is split
+ * into short frames; a frame is speech when its RMS level is above
+ * `config.transcription.vad.energyThresholdDb`.
+ */
+class VoiceActivityDetector {
+  /**
+   * Level of one frame in dBFS
+   */
+  frameLevelDb(pcm, start, end) {
+    let sumSquares = 0;
+    let samples = 0;
+    for (let offset = start; offset + 1 < end; offset += 2) {
+      const sample = pcm.readInt16LE(offset);
+      sumSquares += sample * sample;
+      samples++;
+    }
+    if (samples === 0 || sumSquares === 0) {
+      return -Infinity;
+    }
+    return 20 * Math.log10(Math.sqrt(sumSquares / samples) / 32768);
+  }
+
+  /**
+   * Classify PCM into speech and silence
+   * @param {Buffer} pcm - s16le PCM
+   * @param {Object} format - { sampleRate, channels }
+   * @returns {Object} {
+   *   durationMs, speechMs, hasSpeech,
+   *   firstSpeechOffset - byte offset of the first speech frame (or -1),
+   *   pauses - silence runs of at least silenceDurationMs after speech started,
+   *            as { start, end, durationMs } byte ranges, in order
+   * }
+   */
+  analyze(pcm, { sampleRate, channels }) {
+    const { frameMs, energyThresholdDb, minSpeechMs, silenceDurationMs } = config.transcription.vad;
+    const bytesPerMs = (sampleRate * channels * 2) / 1000;
+    const frameBytes = Math.max(2 * channels, Math.round(frameMs * bytesPerMs / (2 * channels)) * 2 * channels);
+
+    let speechMs = 0;
+    let firstSpeechOffset = -1;
+    let silenceStart = null;
+    const pauses = [];
+
+    const closeSilence = (end) => {
+      if (silenceStart !== null && firstSpeechOffset !== -1) {
+        const durationMs = (end - silenceStart) / bytesPerMs;
+        if (durationMs >= silenceDurationMs) {
+          pauses.push({ start: silenceStart, end, durationMs });
+        }
+      }
+      silenceStart = null;
+    };
+
+    for (let start = 0; start < pcm.length; start += frameBytes) {
+      const end = Math.min(start + frameBytes, pcm.length);
+      const isSpeech = this.frameLevelDb(pcm, start, end) > energyThresholdDb;
+
+      if (isSpeech) {
+        closeSilence(start);
+        speechMs += (end - start) / bytesPerMs;
+        if (firstSpeechOffset === -1) {
+          firstSpeechOffset = start;
+        }
+      } else if (silenceStart === null) {
+        silenceStart = start;
+      }
+    }
+    closeSilence(pcm.length);
+
+    return {
+      durationMs: pcm.length / bytesPerMs,
+      speechMs,
+      hasSpeech: speechMs >= minSpeechMs,
+      firstSpeechOffset,
+      pauses
+    };
+  }
+}
+
+module.exports = new VoiceActivityDetector();
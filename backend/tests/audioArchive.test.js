@@ -0,0 +1,166 @@
+/**
+ * Audio archive: encrypted chunks decrypt back to the recorded audio, audio
+ * past the retention period is purged, and only the session doctor may
+ * download it
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config/config');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const AuditLogger = require('../src/services/auditLogger');
+const AudioArchive = require('../src/services/audioArchive');
+const sessionRoutes = require('../src/routes/session');
+const { MemoryAdapter } = require('../src/services/storage');
+const { setBlobStore, MemoryBlobStore } = require('../src/services/blobStore');
+const { authenticate } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-1' };
+const patient = { id: 'patient-1', role: 'patient', name: 'Pat Test', email: 'pat@example.com', clinicId: 'default' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('AudioArchive', () => {
+  const encryptionKey = config.archive.encryptionKey;
+  let blobs;
+  let session;
+  let recordingId;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    config.archive.encryptionKey = crypto.randomBytes(32).toString('hex');
+    SessionManager.setStore(new MemoryAdapter());
+    blobs = new MemoryBlobStore();
+    setBlobStore(blobs);
+
+    const { id } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id);
+    await SessionManager.bindParticipant(id, 'patient', patient);
+    await SessionManager.updateSettings(id, { archiveAudio: true });
+    session = await SessionManager.startRecording(id, doctor.id);
+    recordingId = session.metadata.currentRecordingId;
+  });
+
+  afterAll(() => {
+    config.archive.encryptionKey = encryptionKey;
+    jest.restoreAllMocks();
+  });
+
+  const archive = async (speaker, ...chunks) => {
+    for (const chunk of chunks) {
+      await AudioArchive.appendChunk(session, speaker, Buffer.from(chunk));
+    }
+  };
+
+  describe('encryption', () => {
+    test('decrypts the chunks back into the audio as recorded', async () => {
+      await archive('doctor', 'first chunk|', 'second chunk');
+      await archive('patient', 'patient audio');
+
+      expect((await AudioArchive.readAudio(session.id, recordingId, 'doctor')).data.toString()).toBe('first chunk|second chunk');
+      expect((await AudioArchive.readAudio(session.id, recordingId, 'patient')).data.toString()).toBe('patient audio');
+    });
+
+    test('stores only ciphertext', async () => {
+      await archive('doctor', 'my chest hurts');
+
+      const [blob] = await blobs.list(`${session.id}/`);
+      expect(blob.key).toBe(`${session.id}/${recordingId}/doctor.audio.enc`);
+      expect((await blobs.read(blob.key)).includes(Buffer.from('my chest hurts'))).toBe(false);
+    });
+
+    test('refuses audio that was tampered with or encrypted with another key', async () => {
+      await archive('doctor', 'my chest hurts');
+      const key = AudioArchive.blobKey(session.id, recordingId, 'doctor');
+
+      config.archive.encryptionKey = crypto.randomBytes(32).toString('hex');
+      await expect(AudioArchive.readAudio(session.id, recordingId, 'doctor')).rejects.toMatchObject({ code: 'ARCHIVE_CORRUPT', status: 500 });
+
+      const blob = await blobs.read(key);
+      blob[blob.length - 1] ^= 0xff;
+      blobs.blobs.get(key).data = blob;
+      await expect(AudioArchive.readAudio(session.id, recordingId, 'doctor')).rejects.toMatchObject({ code: 'ARCHIVE_CORRUPT' });
+    });
+
+    test('does nothing for sessions that did not opt in, and refuses without a key', async () => {
+      await SessionManager.updateSettings(session.id, { archiveAudio: false });
+      expect(await AudioArchive.appendChunk(await SessionManager.getSession(session.id), 'doctor', Buffer.from('audio'))).toBe(false);
+
+      config.archive.encryptionKey = undefined;
+      await expect(AudioArchive.appendChunk(session, 'doctor', Buffer.from('audio')))
+        .rejects.toMatchObject({ code: 'ARCHIVE_NOT_CONFIGURED', status: 503 });
+    });
+  });
+
+  describe('retention', () => {
+    test('purges audio last written before the retention period and marks it purged', async () => {
+      await archive('doctor', 'old audio');
+      await archive('patient', 'recent audio');
+      blobs.blobs.get(AudioArchive.blobKey(session.id, recordingId, 'doctor')).updatedAt = new Date(Date.now() - 31 * DAY);
+
+      expect(await AudioArchive.purgeExpired(30)).toBe(1);
+
+      await expect(AudioArchive.readAudio(session.id, recordingId, 'doctor')).rejects.toMatchObject({ code: 'ARCHIVE_PURGED', status: 410 });
+      expect((await AudioArchive.readAudio(session.id, recordingId, 'patient')).data.toString()).toBe('recent audio');
+      const [recording] = await SessionManager.store.getRecordings(session.id);
+      expect(recording.metadata.archive.doctor.purgedAt).not.toBeNull();
+    });
+
+    test('keeps everything with a retention of 0', async () => {
+      await archive('doctor', 'old audio');
+      blobs.blobs.get(AudioArchive.blobKey(session.id, recordingId, 'doctor')).updatedAt = new Date(Date.now() - 365 * DAY);
+
+      expect(await AudioArchive.purgeExpired(0)).toBe(0);
+      expect((await AudioArchive.readAudio(session.id, recordingId, 'doctor')).data.toString()).toBe('old audio');
+    });
+  });
+
+  describe('GET /api/session/:sessionId/recordings/:recordingId/audio', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use('/api/session', authenticate, sessionRoutes);
+    });
+
+    beforeEach(async () => {
+      await archive('patient', 'patient audio');
+    });
+
+    const download = (user) => request(app)
+      .get(`/api/session/${session.id}/recordings/${recordingId}/audio?speaker=patient`)
+      .set('Authorization', bearer(user));
+
+    test('sends the session doctor the decrypted audio', async () => {
+      const res = await download(doctor);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(Buffer.from(res.body).toString()).toBe('patient audio');
+    });
+
+    test.each([
+      ['another doctor', otherDoctor],
+      ['the session\'s own patient', patient]
+    ])('refuses %s and audits the attempt', async (_, user) => {
+      const res = await download(user);
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('FORBIDDEN');
+      expect(await AuditLogger.getEvents({ sessionId: session.id, actorId: user.id }))
+        .toEqual([expect.objectContaining({ action: 'session:download-audio', outcome: 'denied' })]);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Accounts and access tokens: self-service signup, operator provisioning,
+ * login, token verification, the REST middleware and the Socket.IO handshake
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const config = require('../src/config/config');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const authRoutes = require('../src/routes/auth');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate, requireRole, authenticateSocket } = require('../src/middleware/auth');
+const { AuthError } = AuthService;
+
+const password = 'correct horse';
+
+describe('authentication', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.get('/doctors-only', authenticate, requireRole('doctor'), (req, res) => res.json({ user: req.user }));
+  });
+
+  beforeEach(() => {
+    SessionManager.setStore(new MemoryAdapter());
+    config.auth.allowSignup = true;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('self-service signup', () => {
+    test('creates a patient in the default clinic', async () => {
+      const res = await request(app).post('/api/auth/register')
+        .send({ email: 'Pat@Example.com', password, name: 'Pat Test' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user).toEqual({ id: expect.any(String), email: 'pat@example.com', name: 'Pat Test', role: 'patient', clinicId: 'default' });
+      expect(AuthService.verifyToken(res.body.data.token)).toMatchObject({ id: res.body.data.user.id, role: 'patient' });
+    });
+
+    test('refuses to create a doctor', async () => {
+      const res = await request(app).post('/api/auth/register')
+        .send({ email: 'dr@example.com', password, name: 'Dr Test', role: 'doctor', clinicId: 'clinic-1' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('FORBIDDEN');
+      expect(await SessionManager.store.getUserByEmail('dr@example.com')).toBeNull();
+    });
+
+    test('ignores a clinic sent by the client', async () => {
+      const res = await request(app).post('/api/auth/register')
+        .send({ email: 'pat@example.com', password, name: 'Pat Test', clinicId: 'clinic-1' });
+
+      expect(res.body.data.user.clinicId).toBe('default');
+    });
+
+    test('is refused when signup is disabled', async () => {
+      config.auth.allowSignup = false;
+
+      const res = await request(app).post('/api/auth/register').send({ email: 'pat@example.com', password, name: 'Pat Test' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('SIGNUP_DISABLED');
+    });
+
+    test.each([
+      [{ email: 'pat@example.com', name: 'Pat Test' }, 'VALIDATION_ERROR'],
+      [{ email: 'pat@example.com', password: 'short', name: 'Pat Test' }, 'VALIDATION_ERROR']
+    ])('validates %p', async (body, code) => {
+      const res = await request(app).post('/api/auth/register').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+    });
+  });
+
+  describe('provisioning', () => {
+    test('creates doctors in their clinic even with signup disabled', async () => {
+      config.auth.allowSignup = false;
+
+      const doctor = await AuthService.createUser({ email: 'dr@example.com', password, name: 'Dr Test', role: 'doctor', clinicId: 'clinic-1' });
+
+      expect(doctor).toMatchObject({ role: 'doctor', clinicId: 'clinic-1' });
+      expect(await AuthService.login('dr@example.com', password)).toEqual(doctor);
+    });
+
+    test('refuses a taken email and an unknown role', async () => {
+      await AuthService.createUser({ email: 'dr@example.com', password, name: 'Dr Test', role: 'doctor' });
+
+      await expect(AuthService.createUser({ email: 'DR@example.com', password, name: 'Dr Two', role: 'doctor' }))
+        .rejects.toMatchObject({ code: 'EMAIL_TAKEN', status: 409 });
+      await expect(AuthService.createUser({ email: 'admin@example.com', password, name: 'Admin', role: 'admin' }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', status: 400 });
+    });
+  });
+
+  describe('login', () => {
+    beforeEach(async () => {
+      await AuthService.createUser({ email: 'dr@example.com', password, name: 'Dr Test', role: 'doctor', clinicId: 'clinic-1' });
+    });
+
+    test('returns a token carrying the role and clinic', async () => {
+      const res = await request(app).post('/api/auth/login').send({ email: 'DR@example.com', password });
+
+      expect(res.status).toBe(200);
+      expect(AuthService.verifyToken(res.body.data.token)).toMatchObject({
+        id: res.body.data.user.id,
+        role: 'doctor',
+        clinicId: 'clinic-1',
+        email: 'dr@example.com'
+      });
+    });
+
+    test.each([
+      ['a wrong password', { email: 'dr@example.com', password: 'wrong password' }],
+      ['an unknown email', { email: 'nobody@example.com', password }]
+    ])('refuses %s the same way', async (_, body) => {
+      const res = await request(app).post('/api/auth/login').send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ success: false, error: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    });
+  });
+
+  describe('token verification', () => {
+    const user = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+
+    test('returns the user and extra claims of a valid token', () => {
+      const token = AuthService.issueToken(user, { sessionId: 'session-1' });
+
+      expect(AuthService.verifyToken(token)).toEqual({ ...user, sessionId: 'session-1' });
+    });
+
+    test.each([
+      ['a missing token', () => undefined, 'AUTH_REQUIRED'],
+      ['an expired token', () => jwt.sign({ role: 'doctor' }, 'test-secret', { subject: 'doctor-1', expiresIn: -10 }), 'TOKEN_EXPIRED'],
+      ['a token signed with another secret', () => jwt.sign({ role: 'doctor' }, 'other-secret', { subject: 'doctor-1' }), 'INVALID_TOKEN'],
+      ['a token with an unknown role', () => jwt.sign({ role: 'admin' }, 'test-secret', { subject: 'admin-1' }), 'INVALID_TOKEN'],
+      ['garbage', () => 'not.a.token', 'INVALID_TOKEN']
+    ])('rejects %s', (_, token, code) => {
+      let error;
+      try {
+        AuthService.verifyToken(token());
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ code, status: 401 });
+    });
+  });
+
+  describe('REST middleware', () => {
+    const doctorToken = () => AuthService.issueToken({ id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' });
+    const patientToken = () => AuthService.issueToken({ id: 'patient-1', role: 'patient', name: 'Pat Test', email: 'pat@example.com', clinicId: 'default' });
+
+    test('attaches the user of a bearer token', async () => {
+      const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${doctorToken()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: 'doctor-1', role: 'doctor' });
+    });
+
+    test.each([
+      ['no header', undefined, 'AUTH_REQUIRED'],
+      ['another scheme', 'Basic abc', 'AUTH_REQUIRED'],
+      ['a bad token', 'Bearer not.a.token', 'INVALID_TOKEN']
+    ])('answers 401 for %s', async (_, header, code) => {
+      const req = request(app).get('/api/auth/me');
+      const res = await (header ? req.set('Authorization', header) : req);
+
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ success: false, code });
+    });
+
+    test('answers 403 when the role is not allowed', async () => {
+      const allowed = await request(app).get('/doctors-only').set('Authorization', `Bearer ${doctorToken()}`);
+      const refused = await request(app).get('/doctors-only').set('Authorization', `Bearer ${patientToken()}`);
+
+      expect(allowed.status).toBe(200);
+      expect(refused.status).toBe(403);
+      expect(refused.body.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('Socket.IO handshake', () => {
+    let io;
+    let url;
+    const clients = [];
+
+    const connectWith = (options) => {
+      const client = connect(url, { transports: ['websocket'], reconnection: false, ...options });
+      clients.push(client);
+      return new Promise(resolve => {
+        client.once('connect', () => resolve({ client }));
+        client.once('connect_error', error => resolve({ error }));
+      });
+    };
+
+    beforeAll(async () => {
+      const server = http.createServer();
+      io = new Server(server);
+      io.use(authenticateSocket);
+      io.on('connection', socket => socket.on('whoami', reply => reply(socket.data.user)));
+      await new Promise(resolve => server.listen(0, resolve));
+      url = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      clients.forEach(client => client.close());
+      // Also closes the HTTP server and any polling connections still open
+      await new Promise(resolve => io.close(resolve));
+    });
+
+    test('binds the user of a valid token to the socket', async () => {
+      const token = AuthService.issueToken({ id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' });
+
+      const { client } = await connectWith({ auth: { token } });
+      const user = await new Promise(resolve => client.emit('whoami', resolve));
+
+      expect(user).toMatchObject({ id: 'doctor-1', role: 'doctor', clinicId: 'clinic-1' });
+    });
+
+    test('accepts the token in an Authorization header', async () => {
+      const token = AuthService.issueToken({ id: 'patient-1', role: 'patient', name: 'Pat Test', email: 'pat@example.com', clinicId: 'default' });
+
+      const { client } = await connectWith({ extraHeaders: { Authorization: `Bearer ${token}` }, transports: ['polling'] });
+      const user = await new Promise(resolve => client.emit('whoami', resolve));
+
+      expect(user).toMatchObject({ id: 'patient-1', role: 'patient' });
+    });
+
+    test.each([
+      ['no token', {}, 'AUTH_REQUIRED'],
+      ['an invalid token', { token: 'not.a.token' }, 'INVALID_TOKEN'],
+      ['an expired token', { token: jwt.sign({ role: 'doctor' }, 'test-secret', { subject: 'doctor-1', expiresIn: -10 }) }, 'TOKEN_EXPIRED']
+    ])('refuses a connection with %s', async (_, auth, code) => {
+      const { error } = await connectWith({ auth });
+
+      expect(error.data).toEqual({ code });
+    });
+  });
+});
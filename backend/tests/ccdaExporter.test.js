@@ -0,0 +1,73 @@
+/**
+ * C-CDA Progress Note for a fixture MER, compared with a golden file
+ */
+const fs = require('fs');
+const path = require('path');
+const CCDAExporter = require('../src/services/merExport/ccdaExporter');
+const signedSession = require('./fixtures/mer/signed-session.json');
+
+const golden = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/mer', name), 'utf8');
+
+describe('CCDAExporter', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  test('builds the ClinicalDocument in the golden file', () => {
+    const xml = CCDAExporter.build(structuredClone(signedSession));
+
+    expect(xml).toBe(golden('signed-session.xml'));
+    expect(CCDAExporter.validate(xml)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('escapes markup and entities in the narrative', () => {
+    const xml = CCDAExporter.build(structuredClone(signedSession));
+
+    expect(xml).toContain('worse lying down &amp; after coffee; rates it 6/10 (pain &lt;5 with antacids &gt; none).');
+    expect(xml).toContain('<family>O&apos;Neill</family>');
+  });
+
+  test('escapes markup in table cells and list items', () => {
+    const session = structuredClone(signedSession);
+    session.merDocument.prescriptions.prescribed[0].instructions = 'Take <1> capsule & water';
+    session.merDocument.prescriptions.allergies = ['Sulfa <severe> & "hives"'];
+
+    const xml = CCDAExporter.build(session);
+
+    expect(xml).toContain('<td>Take &lt;1&gt; capsule &amp; water</td>');
+    expect(xml).toContain('<item>Sulfa &lt;severe&gt; &amp; &quot;hives&quot;</item>');
+    expect(CCDAExporter.validate(xml)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('names the signer as legal authenticator, not the session doctor', () => {
+    const xml = CCDAExporter.build(structuredClone(signedSession));
+    const legalAuthenticator = xml.match(/<legalAuthenticator>.*<\/legalAuthenticator>/)[0];
+
+    expect(legalAuthenticator).toContain('<time value="20261019114200+0000"/>');
+    expect(legalAuthenticator).toContain('extension="doctor-9"');
+    expect(legalAuthenticator).toContain('<name><given>Priya</given><family>Raman</family></name>');
+    expect(legalAuthenticator).not.toContain('doctor-7');
+  });
+
+  test('has no legal authenticator until the MER is signed', () => {
+    const session = structuredClone(signedSession);
+    session.merDocument.review = { status: 'draft', signature: null };
+
+    const xml = CCDAExporter.build(session);
+
+    expect(xml).not.toContain('<legalAuthenticator>');
+    expect(CCDAExporter.validate(xml).valid).toBe(true);
+  });
+
+  test('reports unescaped text and unbalanced elements', () => {
+    const xml = golden('signed-session.xml')
+      .replace('worse lying down &amp; after', 'worse lying down & after')
+      .replace('<title>Problems</title>', '<title>Problems');
+
+    expect(CCDAExporter.validate(xml).errors).toEqual(['Unescaped ampersand', 'Unexpected </section>']);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Clinic settings: the clinic's documentation language and how every MER
+ * generation path picks it up from the doctor's clinic
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config/config');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const ClinicSettingsService = require('../src/services/clinicSettingsService');
+const GlossaryService = require('../src/services/glossaryService');
+const MERGeneratorService = require('../src/services/merGeneratorService');
+const MERDraftService = require('../src/services/merDraftService');
+const merRoutes = require('../src/routes/mer');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate, requireRole } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-2' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+describe('clinic settings', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/mer', authenticate, requireRole('doctor'), merRoutes);
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ClinicSettingsService.cache.clear();
+    await SessionManager.store.createUser({ ...doctor, passwordHash: 'hash' });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ClinicSettingsService', () => {
+    test('falls back to DOCUMENTATION_LANGUAGE until the clinic chooses a language', async () => {
+      expect(await ClinicSettingsService.getDocumentationLanguage('clinic-1')).toBe(config.languages.documentation);
+
+      await ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'Hindi' });
+
+      expect(await ClinicSettingsService.getDocumentationLanguage('clinic-1')).toBe('hi');
+      expect(await ClinicSettingsService.getDocumentationLanguage('clinic-2')).toBe(config.languages.documentation);
+    });
+
+    test('resets to the default with null and refuses unknown languages', async () => {
+      await ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'es' });
+      await ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: null });
+
+      expect(await SessionManager.store.getClinicSettings('clinic-1')).toMatchObject({ documentationLanguage: null });
+      await expect(ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'klingon' }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', status: 400 });
+      await expect(ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'auto' }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('resolves a session\'s language from its doctor\'s clinic', async () => {
+      await ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'hi' });
+      const { id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id);
+      const { id: unknownDoctorSession } = await SessionManager.createSession('Dr Gone', 'Pat Test', 'doctor-gone');
+
+      expect(await ClinicSettingsService.getDocumentationLanguageForSession(sessionId)).toBe('hi');
+      expect(await ClinicSettingsService.getDocumentationLanguageForSession(unknownDoctorSession)).toBe(config.languages.documentation);
+      GlossaryService.forgetSession(sessionId);
+      GlossaryService.forgetSession(unknownDoctorSession);
+    });
+  });
+
+  describe('settings routes', () => {
+    test('read and change only the doctor\'s own clinic', async () => {
+      const updated = await request(app).put('/api/mer/settings').set('Authorization', bearer(doctor)).send({ documentationLanguage: 'es' });
+      const own = await request(app).get('/api/mer/settings').set('Authorization', bearer(doctor));
+      const other = await request(app).get('/api/mer/settings').set('Authorization', bearer(otherDoctor));
+
+      expect(updated.status).toBe(200);
+      expect(own.body.data).toEqual({ clinicId: 'clinic-1', documentationLanguage: 'es', defaultDocumentationLanguage: config.languages.documentation });
+      expect(other.body.data).toMatchObject({ clinicId: 'clinic-2', documentationLanguage: null });
+    });
+
+    test('refuse an unknown language', async () => {
+      const res = await request(app).put('/api/mer/settings').set('Authorization', bearer(doctor)).send({ documentationLanguage: 'klingon' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('generation paths', () => {
+    const transcript = [{ id: 'e1', speaker: 'patient', text: 'My chest hurts.', timestamp: new Date() }];
+
+    beforeEach(async () => {
+      await ClinicSettingsService.updateSettings('clinic-1', { documentationLanguage: 'hi' });
+    });
+
+    test('POST /generate writes in the clinic\'s language unless the request names one', async () => {
+      const generateMER = jest.spyOn(MERGeneratorService, 'generateMER').mockResolvedValue({ summary: {} });
+
+      await request(app).post('/api/mer/generate').set('Authorization', bearer(doctor)).send({ transcript, doctor: 'Dr Test', patient: 'Pat Test' });
+      await request(app).post('/api/mer/generate').set('Authorization', bearer(doctor)).send({ transcript, doctor: 'Dr Test', patient: 'Pat Test', documentationLanguage: 'fr' });
+
+      expect(generateMER.mock.calls.map(([data]) => data.documentationLanguage)).toEqual(['hi', 'fr']);
+      generateMER.mockRestore();
+    });
+
+    test('section routes write in the clinic\'s language', async () => {
+      const generateICDCodes = jest.spyOn(MERGeneratorService, 'generateICDCodes').mockResolvedValue({ primary: [] });
+
+      await request(app).post('/api/mer/icd-codes').set('Authorization', bearer(doctor)).send({ transcript });
+
+      expect(generateICDCodes).toHaveBeenCalledWith(expect.any(String), 'hi');
+      generateICDCodes.mockRestore();
+    });
+
+    test('the live draft is written and finalized in the clinic\'s language', async () => {
+      const { id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id);
+      await SessionManager.addTranscriptEntry(sessionId, { speaker: 'patient', text: 'My chest hurts.' });
+      const updateDraft = jest.spyOn(MERGeneratorService, 'updateDraft').mockResolvedValue({ summary: { executiveSummary: 'Chest pain' } });
+
+      const draft = await MERDraftService.update(sessionId);
+
+      expect(updateDraft).toHaveBeenCalledWith(null, expect.anything(), expect.anything(), 'hi', expect.anything());
+      expect(MERDraftService.toDocument(await SessionManager.getSession(sessionId), draft).metadata.documentationLanguage).toBe('hi');
+      MERDraftService.drafts.delete(sessionId);
+      GlossaryService.forgetSession(sessionId);
+      updateDraft.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Deepgram provider against a local stand-in for the prerecorded and live
+ * endpoints, replaying responses recorded from the real API
+ */
+process.env.NODE_ENV = 'development';
+process.env.DEEPGRAM_API_KEY = 'test-deepgram-key';
+process.env.DEEPGRAM_MODEL = 'nova-2';
+process.env.DEEPGRAM_LANGUAGE = 'en-US';
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const config = require('../src/config/config');
+const deepgram = require('../src/services/transcriptionProviders/deepgram');
+const ProviderError = require('../src/services/transcriptionProviders/providerError');
+const prerecorded = require('./fixtures/deepgram/prerecorded.json');
+const live = require('./fixtures/deepgram/live.json');
+
+describe('Deepgram provider', () => {
+  let server;
+  let wss;
+  let requests;
+  let reply;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = http.createServer((req, res) => {
+      const body = [];
+      req.on('data', chunk => body.push(chunk));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(body) });
+        res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+
+    // Live stand-in: replays one recorded message per audio chunk and closes on CloseStream
+    wss = new WebSocketServer({ server });
+    wss.on('connection', (socket, req) => {
+      const messages = [...live];
+      const connection = { url: req.url, headers: req.headers, audio: [], controls: [] };
+      requests.push(connection);
+      socket.send(JSON.stringify(messages.shift()));
+
+      socket.on('message', (data, isBinary) => {
+        if (!isBinary) {
+          connection.controls.push(JSON.parse(data.toString()).type);
+          if (connection.controls.includes('CloseStream')) {
+            messages.forEach(message => socket.send(JSON.stringify(message)));
+            socket.close(1000);
+          }
+          return;
+        }
+        connection.audio.push(data.toString());
+        if (messages.length > 0) {
+          socket.send(JSON.stringify(messages.shift()));
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    config.deepgram.apiUrl = `http://localhost:${port}/v1`;
+    config.deepgram.streamUrl = `ws://localhost:${port}/v1`;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    reply = { status: 200, body: prerecorded };
+  });
+
+  afterAll(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('prerecorded transcription', () => {
+    test('maps the transcript, words, confidences and speaker labels', async () => {
+      const result = await deepgram.transcribe(Buffer.from('wav audio'), { speaker: 'doctor', mimeType: 'audio/webm' });
+
+      expect(result).toMatchObject({
+        text: 'What brings you in? My chest hurts.',
+        confidence: 0.97,
+        speaker: 'doctor',
+        provider: 'deepgram',
+        language: 'en-US'
+      });
+      expect(result.words).toHaveLength(7);
+      expect(result.words[0]).toEqual({ word: 'What', start: 0.08, end: 0.32, confidence: 0.99, speakerLabel: 0 });
+      expect(result.words[6]).toEqual({ word: 'hurts.', start: 2.62, end: 3.05, confidence: 0.91, speakerLabel: 1 });
+      expect(result.utterances).toEqual([
+        { speakerLabel: 0, start: 0.08, end: 0.94, confidence: 0.98, text: 'What brings you in?' },
+        { speakerLabel: 1, start: 2.1, end: 3.05, confidence: 0.93, text: 'My chest hurts.' }
+      ]);
+    });
+
+    test('sends the audio with the key, diarization and glossary keywords', async () => {
+      await deepgram.transcribe(Buffer.from('wav audio'), { mimeType: 'audio/webm', glossary: ['Metformin'] });
+
+      const [request] = requests;
+      const query = new URL(request.url, 'http://localhost').searchParams;
+      expect(request.method).toBe('POST');
+      expect(request.headers.authorization).toBe('Token test-deepgram-key');
+      expect(request.headers['content-type']).toBe('audio/webm');
+      expect(request.body.toString()).toBe('wav audio');
+      expect(query.get('model')).toBe('nova-2');
+      expect(query.get('language')).toBe('en-US');
+      expect(query.get('diarize')).toBe('true');
+      expect(query.get('utterances')).toBe('true');
+      expect(query.getAll('keywords')).toEqual(['Metformin:2']);
+    });
+
+    test('reports the detected language when asked to detect it', async () => {
+      reply.body = {
+        ...prerecorded,
+        results: {
+          ...prerecorded.results,
+          channels: [{ ...prerecorded.results.channels[0], detected_language: 'es' }]
+        }
+      };
+
+      const result = await deepgram.transcribe(Buffer.from('wav audio'), { language: 'auto' });
+
+      expect(new URL(requests[0].url, 'http://localhost').searchParams.get('detect_language')).toBe('true');
+      expect(result.language).toBe('es');
+    });
+
+    test('returns empty text when nothing was said', async () => {
+      reply.body = { metadata: prerecorded.metadata, results: { channels: [{ alternatives: [{ transcript: '', confidence: 0, words: [] }] }] } };
+
+      const result = await deepgram.transcribe(Buffer.from('wav audio'));
+
+      expect(result).toMatchObject({ text: '', confidence: 0, words: [], utterances: [] });
+    });
+
+    test.each([
+      [401, { err_code: 'INVALID_AUTH', err_msg: 'Invalid credentials.' }, 'Invalid Deepgram API key', false],
+      [400, { err_code: 'Bad Request', err_msg: 'Bad Request: failed to process audio: corrupt or unsupported data' }, 'Deepgram bad request - check audio format or parameters', false],
+      [503, { err_code: 'SERVICE_UNAVAILABLE', err_msg: 'Service Unavailable' }, 'Deepgram transcription failed: Request failed with status code 503', true]
+    ])('maps HTTP %i to a ProviderError', async (status, body, message, retryable) => {
+      reply = { status, body };
+
+      const error = await deepgram.transcribe(Buffer.from('wav audio')).catch(err => err);
+
+      expect(error).toBeInstanceOf(ProviderError);
+      expect(error.message).toBe(message);
+      expect(error.status).toBe(status);
+      expect(error.retryable).toBe(retryable);
+    });
+
+    test('keeps the Retry-After delay of a rate limit', async () => {
+      reply = { status: 429, headers: { 'Retry-After': '3' }, body: { err_code: 'TOO_MANY_REQUESTS', err_msg: 'Too many requests.' } };
+
+      const error = await deepgram.transcribe(Buffer.from('wav audio')).catch(err => err);
+
+      expect(error.message).toBe('Deepgram rate limit exceeded');
+      expect(error.retryable).toBe(true);
+      expect(error.retryAfterMs).toBe(3000);
+    });
+  });
+
+  describe('live transcription', () => {
+    test('emits interim and final results with words and speaker labels', async () => {
+      const stream = deepgram.createStream({ glossary: ['Metformin'] });
+      const interims = [];
+      const finals = [];
+      stream.on('interim', result => interims.push(result));
+      stream.on('final', result => finals.push(result));
+
+      // Written before the socket opens, so these are queued and sent on open
+      ['chunk-1', 'chunk-2'].forEach(chunk => stream.write(Buffer.from(chunk)));
+      await new Promise(resolve => stream.once('final', resolve));
+      await stream.end();
+
+      const [connection] = requests;
+      const query = new URL(connection.url, 'http://localhost').searchParams;
+      expect(connection.headers.authorization).toBe('Token test-deepgram-key');
+      expect(query.get('interim_results')).toBe('true');
+      expect(query.getAll('keywords')).toEqual(['Metformin:2']);
+      expect(connection.audio).toEqual(['chunk-1', 'chunk-2']);
+      expect(connection.controls).toContain('CloseStream');
+
+      expect(interims).toHaveLength(1);
+      expect(interims[0]).toMatchObject({ text: 'my chest', confidence: 0.88, isFinal: false, speakerLabel: 1, start: 0, end: 1.02 });
+
+      // Results without a transcript are skipped; the rest arrive before the stream closes
+      expect(finals.map(result => result.text)).toEqual(['My chest hurts.', 'Since Monday.']);
+      expect(finals[0]).toMatchObject({ confidence: 0.94, provider: 'deepgram', isFinal: true, speakerLabel: 1, start: 0, end: 1.6 });
+      expect(finals[0].words.map(word => [word.word, word.confidence, word.speakerLabel])).toEqual([
+        ['My', 0.97, 1],
+        ['chest', 0.95, 1],
+        ['hurts.', 0.9, 1]
+      ]);
+      expect(finals[1]).toMatchObject({ speakerLabel: 0, start: 2, end: 3.1 });
+
+      // A final closes the utterance its interims belonged to
+      expect(interims[0].utteranceId).toBe(finals[0].utteranceId);
+      expect(finals[1].utteranceId).not.toBe(finals[0].utteranceId);
+      expect(stream.closed).toBe(true);
+    });
+
+    test('reports unreadable messages as errors', () => {
+      const stream = deepgram.createStream();
+      const errors = [];
+      stream.on('error', error => errors.push(error));
+
+      stream.handleMessage(Buffer.from('not json'));
+      stream.socket.terminate();
+
+      expect(errors.map(error => error.message)).toEqual(['Deepgram sent an unreadable message']);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * FHIR R4 document Bundle built from a fixture MER: document structure,
+ * references and the required elements of each resource
+ */
+const FHIRExporter = require('../src/services/merExport/fhirExporter');
+const signedSession = require('./fixtures/mer/signed-session.json');
+
+// Required elements (minimum cardinality 1) of each resource in the R4 base specification
+const REQUIRED_ELEMENTS = {
+  Composition: ['status', 'type', 'date', 'author', 'title'],
+  Encounter: ['status', 'class'],
+  Condition: ['subject'],
+  MedicationRequest: ['status', 'intent', 'subject', 'medicationCodeableConcept'],
+  AllergyIntolerance: ['patient'],
+  Patient: [],
+  Practitioner: []
+};
+
+const draftSession = () => {
+  const session = structuredClone(signedSession);
+  session.merDocument.review = { status: 'draft', signature: null };
+  return session;
+};
+
+/**
+ * Every { reference } in a resource, wherever it is nested
+ */
+const referencesIn = (value) => {
+  if (Array.isArray(value)) return value.flatMap(referencesIn);
+  if (!value || typeof value !== 'object') return [];
+  return [
+    ...(typeof value.reference === 'string' ? [value.reference] : []),
+    ...Object.values(value).flatMap(referencesIn)
+  ];
+};
+
+describe('FHIRExporter', () => {
+  let bundle;
+  const resources = (type) => bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === type);
+
+  beforeAll(() => {
+    bundle = FHIRExporter.build(structuredClone(signedSession));
+  });
+
+  test('builds a document Bundle that starts with its Composition', () => {
+    expect(bundle.resourceType).toBe('Bundle');
+    expect(bundle.type).toBe('document');
+    expect(bundle.identifier).toEqual({ system: 'urn:ai-voice-mer:mer', value: expect.any(String) });
+    expect(new Date(bundle.timestamp).toISOString()).toBe(bundle.timestamp);
+    expect(bundle.entry[0].resource.resourceType).toBe('Composition');
+    expect(resources('Composition')).toHaveLength(1);
+  });
+
+  test('gives every entry a unique urn:uuid fullUrl matching its resource id', () => {
+    const fullUrls = bundle.entry.map(entry => entry.fullUrl);
+
+    expect(new Set(fullUrls).size).toBe(fullUrls.length);
+    bundle.entry.forEach(({ fullUrl, resource }) => {
+      expect(fullUrl).toBe(`urn:uuid:${resource.id}`);
+    });
+  });
+
+  test('resolves every reference within the Bundle', () => {
+    const fullUrls = new Set(bundle.entry.map(entry => entry.fullUrl));
+    const references = bundle.entry.flatMap(entry => referencesIn(entry.resource));
+
+    expect(references.length).toBeGreaterThan(0);
+    expect(references.filter(reference => !fullUrls.has(reference))).toEqual([]);
+  });
+
+  test('includes every resource the MER describes', () => {
+    expect(Object.fromEntries(Object.keys(REQUIRED_ELEMENTS).map(type => [type, resources(type).length]))).toEqual({
+      Composition: 1,
+      Encounter: 1,
+      Condition: 2,
+      MedicationRequest: 1,
+      AllergyIntolerance: 1,
+      Patient: 1,
+      // The session doctor and the colleague who signed
+      Practitioner: 2
+    });
+  });
+
+  test('sets the required elements of each resource', () => {
+    bundle.entry.forEach(({ resource }) => {
+      const missing = REQUIRED_ELEMENTS[resource.resourceType].filter(element => resource[element] === undefined);
+      expect({ resourceType: resource.resourceType, missing }).toEqual({ resourceType: resource.resourceType, missing: [] });
+    });
+
+    const [composition] = resources('Composition');
+    expect(composition.type.coding[0]).toMatchObject({ system: 'http://loinc.org', code: '11488-4' });
+    expect(composition.author).toHaveLength(1);
+    composition.section.forEach(section => {
+      expect(section.title).toEqual(expect.any(String));
+      expect(section.text).toEqual({ status: 'generated', div: expect.stringMatching(/^<div xmlns="http:\/\/www.w3.org\/1999\/xhtml">.*<\/div>$/) });
+    });
+
+    resources('Condition').forEach(condition => {
+      expect(condition.code.coding[0].system).toBe('http://hl7.org/fhir/sid/icd-10');
+    });
+    expect(resources('Condition').map(condition => condition.code.coding[0].code)).toEqual(['K21.9', 'F17.210']);
+    expect(resources('MedicationRequest')[0].medicationCodeableConcept).toEqual({ text: 'Omeprazole' });
+    expect(resources('AllergyIntolerance')[0].code).toEqual({ text: 'Penicillin (rash)' });
+  });
+
+  test('files diagnoses under the Assessment and prescriptions under the Plan', () => {
+    const [composition] = resources('Composition');
+    const entriesOf = (title) => composition.section.find(section => section.title === title).entry;
+    const fullUrlOf = (resource) => `urn:uuid:${resource.id}`;
+
+    expect(composition.section.map(section => section.title)).toEqual([
+      'Subjective', 'Objective', 'Assessment', 'Plan', 'Allergies and adverse reactions Document'
+    ]);
+    expect(entriesOf('Assessment')).toEqual(resources('Condition').map(condition => ({ reference: fullUrlOf(condition) })));
+    expect(entriesOf('Plan')).toEqual(resources('MedicationRequest').map(request => ({ reference: fullUrlOf(request) })));
+    expect(entriesOf('Allergies and adverse reactions Document')).toEqual(
+      resources('AllergyIntolerance').map(allergy => ({ reference: fullUrlOf(allergy) }))
+    );
+  });
+
+  test('escapes narrative text', () => {
+    const [composition] = resources('Composition');
+    const subjective = composition.section.find(section => section.title === 'Subjective').text.div;
+
+    expect(subjective).toContain('worse lying down &amp; after coffee; rates it 6/10 (pain &lt;5 with antacids &gt; none).');
+  });
+
+  test('is final and attested by the signer once signed, preliminary before', () => {
+    const [signed] = resources('Composition');
+    expect(signed.status).toBe('final');
+    expect(signed.attester).toEqual([{ mode: 'legal', time: '2026-10-19T11:42:00.000Z', party: { reference: expect.any(String) } }]);
+
+    const attester = bundle.entry.find(entry => entry.fullUrl === signed.attester[0].party.reference).resource;
+    expect(attester).toMatchObject({
+      resourceType: 'Practitioner',
+      identifier: [{ system: 'urn:ai-voice-mer:user', value: 'doctor-9' }],
+      name: [{ text: 'Priya Raman' }]
+    });
+    expect(signed.author).not.toContainEqual(signed.attester[0].party);
+
+    const draft = FHIRExporter.build(draftSession()).entry[0].resource;
+    expect(draft.status).toBe('preliminary');
+    expect(draft.attester).toBeUndefined();
+  });
+
+  test('attests with the author when the session doctor signed', () => {
+    const session = structuredClone(signedSession);
+    session.merDocument.review.signature.signedBy = { userId: 'doctor-7', name: 'Maria Elena Alvarez' };
+
+    const built = FHIRExporter.build(session);
+    const composition = built.entry[0].resource;
+
+    expect(composition.attester[0].party).toEqual(composition.author[0]);
+    expect(built.entry.filter(entry => entry.resource.resourceType === 'Practitioner')).toHaveLength(1);
+  });
+
+  test('passes its own structure check, which catches missing required elements', () => {
+    expect(FHIRExporter.validate(bundle)).toEqual({ valid: true, errors: [] });
+
+    const broken = structuredClone(bundle);
+    delete broken.entry[0].resource.title;
+    broken.entry.find(entry => entry.resource.resourceType === 'MedicationRequest').resource.intent = 'wish';
+
+    const { valid, errors } = FHIRExporter.validate(broken);
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      "/entry/0/resource must have required property 'title'",
+      expect.stringMatching(/^\/entry\/\d+\/resource\/intent must be equal to one of the allowed values$/)
+    ]));
+  });
+
+  test('gives a session the same resource ids on every export', () => {
+    const again = FHIRExporter.build(structuredClone(signedSession));
+
+    expect(again.entry.map(entry => entry.fullUrl)).toEqual(bundle.entry.map(entry => entry.fullUrl));
+    expect(again.identifier).toEqual(bundle.identifier);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Clinic glossaries: fuzzy correction of transcribed text, and how the terms
+ * reach each provider (Whisper prompt, AssemblyAI word_boost, Deepgram
+ * keywords/keyterms) or are applied afterwards for providers without boosting
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+delete process.env.OPENAI_API_KEY;
+
+const axios = require('axios');
+const config = require('../src/config/config');
+const SessionManager = require('../src/services/sessionManager');
+const GlossaryService = require('../src/services/glossaryService');
+const TranscriptionService = require('../src/services/transcriptionService');
+const openai = require('../src/services/transcriptionProviders/openai');
+const assemblyai = require('../src/services/transcriptionProviders/assemblyai');
+const deepgram = require('../src/services/transcriptionProviders/deepgram');
+const fakeProvider = require('../src/services/transcriptionProviders/fake');
+const { MemoryAdapter } = require('../src/services/storage');
+const { GlossaryError } = GlossaryService;
+
+const glossary = [
+  { term: 'Metformin', category: 'medication' },
+  { term: 'Hydrochlorothiazide', category: 'medication' },
+  { term: 'Dr Okonkwo', category: 'clinician', aliases: ['doctor oh conquer'] }
+];
+
+describe('GlossaryService', () => {
+  let terms;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ terms } = await GlossaryService.replaceTerms('default', glossary));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('correctText', () => {
+    test('corrects a known misspelling of a term', () => {
+      expect(GlossaryService.correctText('Take metforman twice daily.', terms)).toEqual({
+        text: 'Take Metformin twice daily.',
+        corrections: [{ from: 'metforman', to: 'Metformin' }]
+      });
+    });
+
+    test('joins a term that was heard as two words and keeps the punctuation around it', () => {
+      expect(GlossaryService.correctText('Start hydro chlorothiazide (meta forming, 500mg).', terms).text)
+        .toBe('Start Hydrochlorothiazide (Metformin, 500mg).');
+    });
+
+    test('replaces an alias with its term', () => {
+      expect(GlossaryService.correctText('I saw doctor oh conquer yesterday', terms).text).toBe('I saw Dr Okonkwo yesterday');
+    });
+
+    test.each([
+      'Fill in the form in the patient chart.',
+      'We are certain the metric is fine.',
+      'Metformin is already spelled right.'
+    ])('leaves %p alone', (text) => {
+      expect(GlossaryService.correctText(text, terms)).toEqual({ text, corrections: [] });
+    });
+  });
+
+  describe('applyToResult', () => {
+    test('corrects the text, utterances and words and lists the corrections', () => {
+      const result = GlossaryService.applyToResult({
+        text: 'Take metforman daily.',
+        utterances: [{ speakerLabel: 0, text: 'Take metforman daily.' }],
+        words: [{ word: 'Take' }, { word: 'metforman' }, { word: 'daily.' }]
+      }, terms);
+
+      expect(result).toEqual({
+        text: 'Take Metformin daily.',
+        utterances: [{ speakerLabel: 0, text: 'Take Metformin daily.' }],
+        words: [{ word: 'Take' }, { word: 'Metformin' }, { word: 'daily.' }],
+        glossaryCorrections: [{ from: 'metforman', to: 'Metformin' }]
+      });
+    });
+
+    test('returns the result untouched when nothing matches', () => {
+      const result = { text: 'Any chest pain?' };
+
+      expect(GlossaryService.applyToResult(result, terms)).toBe(result);
+    });
+  });
+
+  describe('validation', () => {
+    test.each([
+      [{ term: '' }, 'Each glossary entry needs a term of 1-100 characters'],
+      [{ term: 'Metformin', category: 'food' }, expect.stringContaining('category must be one of')],
+      [{ term: 'Metformin', aliases: 'metforman' }, 'aliases must be an array of strings']
+    ])('refuses %p', async (input, message) => {
+      await expect(GlossaryService.addTerms('default', [input])).rejects.toThrow(GlossaryError);
+      await expect(GlossaryService.addTerms('default', [input])).rejects.toMatchObject({ code: 'VALIDATION_ERROR', message });
+    });
+
+    test('updates a term added again in another case instead of duplicating it', async () => {
+      const { terms: updated } = await GlossaryService.addTerms('default', [{ term: 'metformin', aliases: ['met forming'] }]);
+
+      expect(updated.filter(term => term.term.toLowerCase() === 'metformin')).toEqual([
+        { id: terms[0].id, term: 'metformin', category: 'other', aliases: ['met forming'] }
+      ]);
+    });
+  });
+
+  describe('provider mapping', () => {
+    const keys = {};
+    let post;
+
+    beforeAll(() => {
+      keys.openai = config.openai.apiKey;
+      keys.assemblyai = config.assemblyai.apiKey;
+      keys.deepgram = config.deepgram.apiKey;
+      config.openai.apiKey = 'test-openai-key';
+      config.assemblyai.apiKey = 'test-assemblyai-key';
+      config.deepgram.apiKey = 'test-deepgram-key';
+    });
+
+    beforeEach(() => {
+      post = jest.spyOn(axios, 'post');
+    });
+
+    afterEach(() => {
+      post.mockRestore();
+    });
+
+    afterAll(() => {
+      config.openai.apiKey = keys.openai;
+      config.assemblyai.apiKey = keys.assemblyai;
+      config.deepgram.apiKey = keys.deepgram;
+    });
+
+    test('sends the terms to Whisper as its prompt', async () => {
+      post.mockResolvedValue({ status: 200, data: { text: 'Take Metformin.' } });
+
+      await openai.transcribe(Buffer.from('wav audio'), { glossary: GlossaryService.toProviderTerms(terms) });
+
+      const [url, form] = post.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/audio/transcriptions');
+      expect(form.getBuffer().toString()).toMatch(/name="prompt"\r\n\r\nMetformin, Hydrochlorothiazide, Dr Okonkwo\r\n/);
+    });
+
+    test('sends no Whisper prompt without a glossary', async () => {
+      post.mockResolvedValue({ status: 200, data: { text: 'Hello.' } });
+
+      await openai.transcribe(Buffer.from('wav audio'), { glossary: [] });
+
+      expect(post.mock.calls[0][1].getBuffer().toString()).not.toContain('name="prompt"');
+    });
+
+    test('boosts the terms on AssemblyAI with word_boost', async () => {
+      post
+        .mockResolvedValueOnce({ data: { upload_url: 'https://cdn.example.com/audio' } })
+        .mockResolvedValueOnce({ data: { id: 'transcript-1' } });
+      jest.spyOn(axios, 'get').mockResolvedValueOnce({ data: { status: 'completed', text: 'Take Metformin.' } });
+
+      await assemblyai.transcribe(Buffer.from('wav audio'), { glossary: GlossaryService.toProviderTerms(terms) });
+      axios.get.mockRestore();
+
+      expect(post.mock.calls[1][1]).toMatchObject({
+        audio_url: 'https://cdn.example.com/audio',
+        word_boost: ['Metformin', 'Hydrochlorothiazide', 'Dr Okonkwo'],
+        boost_param: 'high'
+      });
+    });
+
+    test.each([
+      ['nova-2', 'keywords', ['Metformin:2', 'Hydrochlorothiazide:2', 'Dr Okonkwo:2']],
+      ['nova-3', 'keyterm', ['Metformin', 'Hydrochlorothiazide', 'Dr Okonkwo']]
+    ])('sends the terms to Deepgram %s as %s', async (model, param, values) => {
+      const defaultModel = config.deepgram.model;
+      config.deepgram.model = model;
+      post.mockResolvedValue({ status: 200, data: { results: { channels: [{ alternatives: [{ transcript: 'Take Metformin.' }] }] } } });
+
+      await deepgram.transcribe(Buffer.from('wav audio'), { glossary: GlossaryService.toProviderTerms(terms) });
+      config.deepgram.model = defaultModel;
+
+      const query = new URL(post.mock.calls[0][0]).searchParams;
+      expect(query.getAll(param)).toEqual(values);
+    });
+  });
+
+  describe('in transcribeAudio', () => {
+    const audio = { buffer: Buffer.from('wav audio'), mimeType: 'audio/wav', filename: 'audio.wav' };
+    const defaultChain = config.transcription.fallback.chain;
+
+    beforeAll(() => {
+      config.transcription.fallback.chain = [];
+    });
+
+    afterAll(() => {
+      config.transcription.fallback.chain = defaultChain;
+    });
+
+    test('corrects results of providers without vocabulary boosting', async () => {
+      const transcribe = jest.spyOn(fakeProvider, 'transcribe').mockResolvedValue({ text: 'Take metforman daily.', provider: 'fake' });
+
+      const result = await TranscriptionService.transcribeAudio(audio, { sessionId: 'unknown-session', provider: 'fake' });
+      transcribe.mockRestore();
+
+      expect(result).toMatchObject({ text: 'Take Metformin daily.', glossaryCorrections: [{ from: 'metforman', to: 'Metformin' }] });
+    });
+
+    test('hands the terms to providers with vocabulary boosting and trusts their result', async () => {
+      const transcribe = jest.spyOn(openai, 'transcribe').mockResolvedValue({ text: 'Take metforman daily.', provider: 'openai' });
+      const apiKey = config.openai.apiKey;
+      config.openai.apiKey = 'test-openai-key';
+
+      const result = await TranscriptionService.transcribeAudio(audio, { sessionId: 'unknown-session', provider: 'openai' });
+      config.openai.apiKey = apiKey;
+
+      expect(transcribe.mock.calls[0][1].glossary).toEqual(['Metformin', 'Hydrochlorothiazide', 'Dr Okonkwo']);
+      transcribe.mockRestore();
+      expect(result.text).toBe('Take metforman daily.');
+      expect(result.glossaryCorrections).toBeUndefined();
+    });
+  });
+});
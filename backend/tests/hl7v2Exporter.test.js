@@ -0,0 +1,61 @@
+/**
+ * HL7 v2 MDM^T02 message for a fixture MER, compared with a golden file.
+ * The golden file keeps one segment per line; the message separates them with
+ * carriage returns.
+ */
+const fs = require('fs');
+const path = require('path');
+const HL7v2Exporter = require('../src/services/merExport/hl7v2Exporter');
+const { escapeHL7 } = require('../src/services/merExport/hl7v2Exporter');
+const signedSession = require('./fixtures/mer/signed-session.json');
+
+const golden = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/mer', name), 'utf8').replace(/\n/g, '\r');
+
+describe('HL7v2Exporter', () => {
+  beforeAll(() => {
+    // MSH-7, EVN-2 and the message control ID come from the clock
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  test('builds the MDM^T02 message in the golden file', () => {
+    const message = HL7v2Exporter.build(structuredClone(signedSession));
+
+    expect(message).toBe(golden('signed-session.hl7'));
+    expect(HL7v2Exporter.validate(message)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('marks the document authenticated only once it is signed', () => {
+    const session = structuredClone(signedSession);
+    session.merDocument.review = { status: 'under_review', signature: null };
+
+    const txa = HL7v2Exporter.build(session).split('\r').find(line => line.startsWith('TXA|'));
+
+    expect(txa.split('|')[17]).toBe('DO');
+  });
+
+  test.each([
+    ['field separator', 'yes|no', 'yes\\F\\no'],
+    ['component separator', 'ordered ^ pending', 'ordered \\S\\ pending'],
+    ['subcomponent separator', 'lying down & after coffee', 'lying down \\T\\ after coffee'],
+    ['repetition separator', '3~4 coffees', '3\\R\\4 coffees'],
+    ['escape character', 'C:\\notes', 'C:\\E\\notes'],
+    ['escape character before another delimiter', '\\|', '\\E\\\\F\\'],
+    ['line breaks', 'first\r\nsecond\nthird', 'first\\.br\\second\\.br\\third']
+  ])('escapes the %s', (name, text, escaped) => {
+    expect(escapeHL7(text)).toBe(escaped);
+  });
+
+  test('keeps line breaks in notes inside their segment', () => {
+    const session = structuredClone(signedSession);
+    session.merDocument.soapNotes.objective.physicalExam = 'Mild epigastric tenderness\nNo guarding';
+
+    const message = HL7v2Exporter.build(session);
+
+    expect(message).toContain('|Physical exam: Mild epigastric tenderness\\.br\\No guarding|');
+    expect(HL7v2Exporter.validate(message).valid).toBe(true);
+  });
+});
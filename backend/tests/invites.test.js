@@ -0,0 +1,158 @@
+/**
+ * Patient invite links: redeeming, the ways a link stops working (expired,
+ * used, revoked, missing) and reissuing a replacement
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const InviteService = require('../src/services/inviteService');
+const sessionRoutes = require('../src/routes/session');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-1' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+describe('invites', () => {
+  let app;
+  let sessionId;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/session', authenticate, sessionRoutes);
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const redeem = (token, userId = 'patient-1') => InviteService.redeemInvite(token, sessionId, userId);
+
+  describe('redeeming', () => {
+    test('consumes a pending invite once', async () => {
+      const { token, invite } = await InviteService.createInvite(sessionId, doctor, { patientName: 'Pat Test' });
+
+      const redeemed = await redeem(token);
+
+      expect(redeemed).toMatchObject({ id: invite.id, usedBy: 'patient-1', usedAt: expect.anything() });
+      expect((await InviteService.listInvites(sessionId))[0]).toMatchObject({ id: invite.id, status: 'used' });
+      await expect(redeem(token, 'patient-2')).rejects.toMatchObject({ code: 'INVITE_USED', status: 401 });
+    });
+
+    test('refuses a missing token', async () => {
+      await expect(redeem(undefined)).rejects.toMatchObject({ code: 'INVITE_REQUIRED', status: 401 });
+    });
+
+    test('refuses a token whose JWT has expired', async () => {
+      const { invite } = await InviteService.createInvite(sessionId, doctor);
+      const token = jwt.sign({ typ: 'invite', sid: sessionId }, 'test-secret', { jwtid: invite.id, expiresIn: -10 });
+
+      await expect(redeem(token)).rejects.toMatchObject({ code: 'INVITE_EXPIRED', status: 401 });
+    });
+
+    test('refuses an invite past its stored expiry', async () => {
+      const { token, invite } = await InviteService.createInvite(sessionId, doctor);
+      const stored = await SessionManager.store.getInvite(invite.id);
+      await SessionManager.store.saveInvite({ ...stored, expiresAt: new Date(Date.now() - 1000) });
+
+      await expect(redeem(token)).rejects.toMatchObject({ code: 'INVITE_EXPIRED', status: 401 });
+      expect((await InviteService.listInvites(sessionId))[0].status).toBe('expired');
+    });
+
+    test('refuses a revoked invite', async () => {
+      const { token, invite } = await InviteService.createInvite(sessionId, doctor);
+
+      expect(await InviteService.revokeInvite(sessionId, invite.id)).toMatchObject({ status: 'revoked', revokedAt: expect.anything() });
+      await expect(redeem(token)).rejects.toMatchObject({ code: 'INVITE_REVOKED', status: 401 });
+    });
+
+    test.each([
+      ['an unknown invite', (sid) => jwt.sign({ typ: 'invite', sid }, 'test-secret', { jwtid: 'missing-invite' })],
+      ['an access token', () => AuthService.issueToken(doctor)],
+      ['a token signed with another secret', (sid) => jwt.sign({ typ: 'invite', sid }, 'other-secret', { jwtid: 'missing-invite' })]
+    ])('refuses %s', async (_, makeToken) => {
+      await expect(redeem(makeToken(sessionId))).rejects.toMatchObject({ code: 'INVITE_INVALID', status: 401 });
+    });
+
+    test('refuses an invite for another session', async () => {
+      const { id: otherSessionId } = await SessionManager.createSession('Dr Test', 'Someone', doctor.id);
+      const { token } = await InviteService.createInvite(otherSessionId, doctor);
+
+      await expect(redeem(token)).rejects.toMatchObject({ code: 'INVITE_INVALID', status: 403 });
+    });
+  });
+
+  describe('reissuing', () => {
+    test('revokes the old link and issues a working one for the same patient', async () => {
+      const original = await InviteService.createInvite(sessionId, doctor, { patientName: 'Pat Test' });
+
+      const res = await request(app).post(`/api/session/${sessionId}/invites/${original.invite.id}/reissue`)
+        .set('Authorization', bearer(doctor))
+        .send({ expiresInMinutes: 30 });
+
+      expect(res.status).toBe(201);
+      const { invite, token, url } = res.body.data;
+      expect(invite).toMatchObject({ sessionId, patientName: 'Pat Test', status: 'pending' });
+      expect(new Date(invite.expiresAt) - new Date(invite.createdAt)).toBe(30 * 60 * 1000);
+      expect(url).toContain(encodeURIComponent(token));
+
+      const invites = await InviteService.listInvites(sessionId);
+      expect(invites.find(({ id }) => id === original.invite.id)).toMatchObject({ status: 'revoked', replacedBy: invite.id });
+      await expect(redeem(original.token)).rejects.toMatchObject({ code: 'INVITE_REVOKED' });
+      expect(await redeem(token)).toMatchObject({ id: invite.id });
+    });
+
+    test('refuses to replace a used invite', async () => {
+      const { token, invite } = await InviteService.createInvite(sessionId, doctor);
+      await redeem(token);
+
+      const res = await request(app).post(`/api/session/${sessionId}/invites/${invite.id}/reissue`)
+        .set('Authorization', bearer(doctor))
+        .send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('INVITE_USED');
+    });
+
+    test('reports an invite of another session as not found', async () => {
+      const { id: otherSessionId } = await SessionManager.createSession('Dr Test', 'Someone', doctor.id);
+      const { invite } = await InviteService.createInvite(otherSessionId, doctor);
+
+      const res = await request(app).post(`/api/session/${sessionId}/invites/${invite.id}/reissue`)
+        .set('Authorization', bearer(doctor))
+        .send({});
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('INVITE_NOT_FOUND');
+    });
+
+    test('is only allowed to the session doctor', async () => {
+      const { invite } = await InviteService.createInvite(sessionId, doctor);
+
+      const res = await request(app).post(`/api/session/${sessionId}/invites/${invite.id}/reissue`)
+        .set('Authorization', bearer(otherDoctor))
+        .send({});
+
+      expect(res.status).toBe(403);
+      expect((await InviteService.listInvites(sessionId))[0].status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Live MER drafting: new entries are folded into the draft, while corrections
+ * to entries it already covers start it over from the corrected transcript
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const SessionManager = require('../src/services/sessionManager');
+const MERGeneratorService = require('../src/services/merGeneratorService');
+const MERDraftService = require('../src/services/merDraftService');
+const MERTemplateService = require('../src/services/merTemplateService');
+const MockAIService = require('../src/services/mockAIService');
+
+const sessionId = 'draft-session';
+const entry = (id, text, changes = {}) => ({ id, speaker: 'patient', text, timestamp: new Date('2026-10-19T09:00:00Z'), ...changes });
+
+describe('MERDraftService', () => {
+  let transcript;
+  let updateDraft;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SessionManager, 'getSession').mockImplementation(async (id) => ({
+      id,
+      isRecording: true,
+      doctor: { name: 'Dr Test' },
+      patient: { name: 'Pat Test' },
+      metadata: { settings: {} },
+      transcript
+    }));
+  });
+
+  beforeEach(() => {
+    MERDraftService.drafts.delete(sessionId);
+    transcript = [entry('e1', 'My chest hurts.'), entry('e2', 'I take warfarin.')];
+    updateDraft = jest.spyOn(MERGeneratorService, 'updateDraft')
+      .mockImplementation(async (previous, entries) => ({ lines: [...(previous?.lines || []), ...entries.map(e => e.text)] }));
+  });
+
+  afterEach(() => {
+    updateDraft.mockRestore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sentToLLM = (call) => ({
+    previous: updateDraft.mock.calls[call][0],
+    entries: updateDraft.mock.calls[call][1].map(e => e.id)
+  });
+
+  test('folds only new entries into the draft', async () => {
+    await MERDraftService.update(sessionId);
+    transcript.push(entry('e3', 'Since Monday.'));
+    const draft = await MERDraftService.update(sessionId);
+
+    expect(sentToLLM(1)).toEqual({ previous: { lines: ['My chest hurts.', 'I take warfarin.'] }, entries: ['e3'] });
+    expect(draft.sections.lines).toEqual(['My chest hurts.', 'I take warfarin.', 'Since Monday.']);
+    expect(draft.version).toBe(2);
+  });
+
+  test('does nothing when the transcript has not changed', async () => {
+    await MERDraftService.update(sessionId);
+    await MERDraftService.update(sessionId);
+
+    expect(updateDraft).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts over without a deleted entry', async () => {
+    await MERDraftService.update(sessionId);
+    transcript = transcript.filter(e => e.id !== 'e2');
+    const draft = await MERDraftService.update(sessionId);
+
+    expect(sentToLLM(1)).toEqual({ previous: null, entries: ['e1'] });
+    expect(draft.sections.lines).toEqual(['My chest hurts.']);
+  });
+
+  test('starts over when a covered entry is redacted', async () => {
+    await MERDraftService.update(sessionId);
+    transcript[1] = entry('e2', '[redacted]', { editedAt: new Date(Date.now() + 1000) });
+    transcript.push(entry('e3', 'Since Monday.'));
+    const draft = await MERDraftService.update(sessionId);
+
+    expect(sentToLLM(1)).toEqual({ previous: null, entries: ['e1', 'e2', 'e3'] });
+    expect(draft.sections.lines).not.toContain('I take warfarin.');
+  });
+
+  test('drops the draft when every entry it covered was deleted', async () => {
+    await MERDraftService.update(sessionId);
+    transcript = [];
+
+    expect(await MERDraftService.update(sessionId)).toBeNull();
+    expect(MERDraftService.drafts.has(sessionId)).toBe(false);
+    expect(await MERDraftService.finalize(sessionId)).toBeNull();
+  });
+
+  describe('finalize', () => {
+    let validSections;
+
+    beforeAll(async () => {
+      jest.useFakeTimers();
+      const pending = MockAIService.generateMockMER([]);
+      jest.runAllTimers();
+      const { summary, soapNotes, icdCodes, prescriptions } = await pending;
+      jest.useRealTimers();
+      validSections = { summary, soapNotes: MERTemplateService.fitNotes(MERTemplateService.getDefault(), soapNotes), icdCodes, prescriptions };
+    });
+
+    test('returns a draft that passes the MER schema and its template as the final MER', async () => {
+      updateDraft.mockImplementation(async () => validSections);
+      await MERDraftService.update(sessionId);
+      transcript.push(entry('e3', 'Since Monday.'));
+
+      const document = await MERDraftService.finalize(sessionId);
+
+      expect(updateDraft).toHaveBeenCalledTimes(2);
+      expect(document).toMatchObject({ summary: validSections.summary, metadata: { sessionId, draftVersion: 2 } });
+      expect(MERDraftService.drafts.has(sessionId)).toBe(false);
+    });
+
+    test('rejects an invalid draft so the MER is generated from scratch', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await MERDraftService.update(sessionId);
+
+      expect(await MERDraftService.finalize(sessionId)).toBeNull();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('is invalid'), expect.any(Array));
+      expect(MERDraftService.drafts.has(sessionId)).toBe(false);
+      warn.mockRestore();
+    });
+  });
+});
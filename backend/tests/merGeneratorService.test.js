@@ -0,0 +1,204 @@
+/**
+ * MER generation: re-asking the model for output that doesn't match its
+ * schema, failing sections surfacing as typed errors instead of placeholder
+ * clinical content, and checking cited evidence against the transcript
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config/config');
+const AuthService = require('../src/services/authService');
+const MERGeneratorService = require('../src/services/merGeneratorService');
+const merRoutes = require('../src/routes/mer');
+const { authenticate, requireRole } = require('../src/middleware/auth');
+const { MERGenerationError, MERValidationError } = MERGeneratorService;
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const transcript = [{ id: 'e1', speaker: 'patient', text: 'My chest hurts.', timestamp: new Date('2026-10-19T09:00:00Z') }];
+const validCodes = { primary: { code: 'R07.9', description: 'Chest pain, unspecified', confidence: 'medium' }, secondary: [], notes: '' };
+
+/**
+ * Stand-in for the OpenAI client answering with each given reply in turn;
+ * an Error reply is thrown
+ */
+const fakeOpenAI = (...replies) => ({
+  chat: {
+    completions: {
+      create: jest.fn(async () => {
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        if (reply instanceof Error) {
+          throw reply;
+        }
+        return { choices: [{ message: { content: typeof reply === 'string' ? reply : JSON.stringify(reply) } }] };
+      })
+    }
+  }
+});
+
+describe('MERGeneratorService', () => {
+  const schemaRetries = config.mer.schemaRetries;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.mer.schemaRetries = schemaRetries;
+    delete MERGeneratorService.openai;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MER_SCHEMA_RETRIES', () => {
+    const retriesFor = (value) => {
+      let retries;
+      jest.isolateModules(() => {
+        if (value === undefined) {
+          delete process.env.MER_SCHEMA_RETRIES;
+        } else {
+          process.env.MER_SCHEMA_RETRIES = value;
+        }
+        retries = require('../src/config/config').mer.schemaRetries;
+      });
+      delete process.env.MER_SCHEMA_RETRIES;
+      return retries;
+    };
+
+    test.each([
+      [undefined, 2],
+      ['', 2],
+      ['abc', 2],
+      ['-1', 2],
+      ['0', 0],
+      ['5', 5]
+    ])('%p gives %p', (value, expected) => {
+      expect(retriesFor(value)).toBe(expected);
+    });
+  });
+
+  describe('schema retries', () => {
+    test('re-asks the model with the validation errors until the output matches', async () => {
+      MERGeneratorService.openai = fakeOpenAI('not json', { primary: { code: 'chest pain' } }, validCodes);
+
+      expect(await MERGeneratorService.generateICDCodes('[00:00] Patient: My chest hurts.')).toEqual(validCodes);
+
+      const { create } = MERGeneratorService.openai.chat.completions;
+      expect(create).toHaveBeenCalledTimes(3);
+      expect(create.mock.calls[2][0].messages.at(-1).content).toContain('does not match the required format');
+    });
+
+    test('gives up after MER_SCHEMA_RETRIES more attempts', async () => {
+      config.mer.schemaRetries = 1;
+      MERGeneratorService.openai = fakeOpenAI({ primary: { code: 'chest pain' } });
+
+      const error = await MERGeneratorService.generateICDCodes('[00:00] Patient: My chest hurts.').catch(err => err);
+
+      expect(error).toBeInstanceOf(MERValidationError);
+      expect(error).toMatchObject({ code: 'MER_SCHEMA_INVALID', status: 502, section: 'ICD-10 codes' });
+      expect(MERGeneratorService.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('failed sections', () => {
+    test.each([
+      ['soapNotes', () => MERGeneratorService.generateSOAPNotes('text', { doctor: 'Dr Test', patient: 'Pat Test' })],
+      ['icdCodes', () => MERGeneratorService.generateICDCodes('text')],
+      ['prescriptions', () => MERGeneratorService.generatePrescriptions('text')],
+      ['summary', () => MERGeneratorService.generateSummary('text', { doctor: 'Dr Test', patient: 'Pat Test' })],
+      ['quickNote', () => MERGeneratorService.generateQuickNote('text')]
+    ])('%s rejects instead of returning placeholder content', async (section, generate) => {
+      MERGeneratorService.openai = fakeOpenAI(new Error('socket hang up'));
+
+      const error = await generate().catch(err => err);
+
+      expect(error).toBeInstanceOf(MERGenerationError);
+      expect(error).toMatchObject({ code: 'MER_GENERATION_FAILED', status: 502, section });
+    });
+
+    test('a MER without a transcript is unprocessable', async () => {
+      await expect(MERGeneratorService.generateMER({ transcript: [], doctor: 'Dr Test', patient: 'Pat Test' }))
+        .rejects.toMatchObject({ code: 'NO_TRANSCRIPT', status: 422 });
+    });
+
+    test('routes answer 502 with the failing section', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/mer', authenticate, requireRole('doctor'), merRoutes);
+      MERGeneratorService.openai = fakeOpenAI(new Error('socket hang up'));
+
+      const res = await request(app).post('/api/mer/icd-codes')
+        .set('Authorization', `Bearer ${AuthService.issueToken(doctor)}`)
+        .send({ transcript });
+
+      expect(res.status).toBe(502);
+      expect(res.body).toEqual({ success: false, error: 'Failed to generate ICD codes', code: 'MER_GENERATION_FAILED', section: 'icdCodes' });
+    });
+  });
+
+  describe('grounding', () => {
+    const consultation = [
+      { id: 'entry-1-patient', speaker: 'patient', text: 'My chest hurts when I climb stairs.' },
+      { id: 'entry-2-doctor', speaker: 'doctor', text: 'Let\'s start you on aspirin.' }
+    ];
+    const prescription = { medication: 'Atorvastatin', dosage: '20mg', frequency: 'Once daily', duration: '', instructions: '', indication: '' };
+    // The diagnosis is quoted from the transcript; the prescription quote was never said
+    const sections = {
+      icdCodes: {
+        ...validCodes,
+        evidence: { 'icdCodes.primary': [{ entryId: 'entry-1-', quote: 'chest hurts when I climb stairs' }] }
+      },
+      prescriptions: {
+        prescribed: [prescription],
+        discontinued: [],
+        allergies: [],
+        interactions: [],
+        notes: '',
+        evidence: { 'prescriptions.prescribed[0]': [{ entryId: 'entry-2-', quote: 'start you on atorvastatin' }] }
+      }
+    };
+
+    test('flags a field whose quote is not in the transcript as unverified', () => {
+      const document = MERGeneratorService.buildDocument({ transcript: consultation, doctor: 'Dr Test', patient: 'Pat Test' }, sections, 'en');
+
+      expect(document.evidence).toEqual({
+        'icdCodes.primary': { status: 'grounded', sources: [{ entryId: 'entry-1-patient', quote: 'chest hurts when I climb stairs' }] },
+        'prescriptions.prescribed[0]': { status: 'unverified', sources: [] }
+      });
+      expect(document.icdCodes.evidence).toBeUndefined();
+      expect(document.prescriptions.prescribed).toEqual([prescription]);
+    });
+
+    test('reports the share of grounded fields and asks for the rest to be verified', async () => {
+      const document = MERGeneratorService.buildDocument({ transcript: consultation, doctor: 'Dr Test', patient: 'Pat Test' }, sections, 'en');
+
+      const { validationStatus } = await MERGeneratorService.validateAndRefineMER(document);
+
+      expect(validationStatus.grounding).toEqual({
+        totalFields: 2,
+        groundedFields: 1,
+        groundedShare: 0.5,
+        unverifiedFields: ['prescriptions.prescribed[0]']
+      });
+      expect(validationStatus.suggestions).toContain(
+        'Verify 1 field(s) with no supporting transcript quote: prescriptions.prescribed[0]'
+      );
+    });
+
+    test('does not accept a real quote cited from the wrong entry', () => {
+      const { evidence } = MERGeneratorService.groundSections({
+        icdCodes: { ...validCodes, evidence: { 'icdCodes.primary': [{ entryId: 'entry-2-', quote: 'chest hurts' }] } }
+      }, consultation);
+
+      expect(evidence['icdCodes.primary'].status).toBe('unverified');
+    });
+  });
+});
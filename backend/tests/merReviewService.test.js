@@ -0,0 +1,256 @@
+/**
+ * MER review lifecycle: draft -> under_review -> signed -> amended, the
+ * addendum-only rule once a MER is signed, version diffs, and conflicting
+ * writers being refused by the storage adapter
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const SessionManager = require('../src/services/sessionManager');
+const MERReviewService = require('../src/services/merReviewService');
+const { MemoryAdapter } = require('../src/services/storage');
+const signedSession = require('./fixtures/mer/signed-session.json');
+const { MERReviewError } = MERReviewService;
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test' };
+
+/**
+ * The fixture's MER as the generator would hand it over, citing evidence for two fields
+ */
+const generated = () => {
+  const { review, addenda, ...document } = structuredClone(signedSession.merDocument);
+  return {
+    ...document,
+    evidence: {
+      'soapNotes.subjective.chiefComplaint': { status: 'grounded', sources: [{ entryId: 'entry-1', quote: 'Burning in my chest after meals' }] },
+      'prescriptions.prescribed[0]': { status: 'unverified', sources: [] }
+    }
+  };
+};
+
+describe('MERReviewService', () => {
+  let sessionId;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sign = async () => {
+    await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+    await MERReviewService.startReview(sessionId, doctor);
+    return MERReviewService.sign(sessionId, doctor);
+  };
+
+  describe('lifecycle', () => {
+    test('takes a generated MER through review and signing to an amendment', async () => {
+      const draft = await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+      const review = await MERReviewService.startReview(sessionId, doctor);
+      const signed = await MERReviewService.sign(sessionId, doctor, 2);
+      const amended = await MERReviewService.addAddendum(sessionId, '  Patient called: symptoms improving.  ', doctor);
+
+      expect([draft, review, signed, amended].map(({ version }) => [version.version, version.action, version.status])).toEqual([
+        [1, 'generate', 'draft'],
+        [2, 'review', 'under_review'],
+        [3, 'sign', 'signed'],
+        [4, 'addendum', 'amended']
+      ]);
+      expect(signed.document.review.signature).toEqual({
+        signedBy: { userId: 'doctor-1', name: 'Dr Test' },
+        signedAt: expect.any(String),
+        fingerprint: MERReviewService.fingerprint(review.document)
+      });
+      expect(amended.document.review).toEqual({ status: 'amended', version: 4, signature: signed.document.review.signature });
+      expect(amended.document.addenda).toEqual([
+        { id: expect.any(String), text: 'Patient called: symptoms improving.', author: { userId: 'doctor-1', name: 'Dr Test' }, createdAt: expect.any(String) }
+      ]);
+      expect(await MERReviewService.getVersions(sessionId)).toMatchObject({ status: 'amended', version: 4 });
+      expect((await SessionManager.getSession(sessionId)).merDocument).toEqual(amended.document);
+    });
+
+    test('puts a draft under review when it is edited', async () => {
+      await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+
+      const { version, document } = await MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'Checked' }], doctor, 1);
+
+      expect(version).toMatchObject({ version: 2, action: 'edit', status: 'under_review', actorId: 'doctor-1', actorRole: 'doctor' });
+      expect(document.icdCodes.notes).toBe('Checked');
+    });
+
+    test('replaces a draft when the MER is generated again', async () => {
+      await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+      await MERReviewService.startReview(sessionId, doctor);
+
+      const { version } = await MERReviewService.recordGenerated(sessionId, { ...generated(), icdCodes: { ...generated().icdCodes, notes: 'Regenerated' } });
+
+      expect(version).toMatchObject({ version: 3, action: 'generate', status: 'draft', actorId: null });
+      expect(version.changes).toEqual([{ path: 'icdCodes.notes', type: 'changed', before: '', after: 'Regenerated' }]);
+    });
+
+    test.each([
+      ['review a MER under review', async (id) => {
+        await MERReviewService.startReview(id, doctor);
+        return MERReviewService.startReview(id, doctor);
+      }, 'INVALID_STATUS'],
+      ['sign a draft', (id) => MERReviewService.sign(id, doctor), 'INVALID_STATUS'],
+      ['add an addendum to a draft', (id) => MERReviewService.addAddendum(id, 'Too early', doctor), 'INVALID_STATUS']
+    ])('refuses to %s', async (_, action, code) => {
+      await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+
+      await expect(action(sessionId)).rejects.toMatchObject({ code, status: 409 });
+      expect((await MERReviewService.getVersions(sessionId)).version).toBeLessThanOrEqual(2);
+    });
+
+    test('refuses to review a session without a MER', async () => {
+      await expect(MERReviewService.startReview(sessionId, doctor)).rejects.toMatchObject({ code: 'MER_NOT_FOUND', status: 404 });
+    });
+  });
+
+  describe('after signing', () => {
+    test.each([
+      ['edit', (id) => MERReviewService.editFields(id, [{ path: 'icdCodes.notes', value: 'Late change' }], doctor)],
+      ['regenerate', (id) => MERReviewService.recordGenerated(id, generated(), doctor)],
+      ['sign again', (id) => MERReviewService.sign(id, doctor)]
+    ])('refuses to %s and leaves the signed content alone', async (_, action) => {
+      const { document } = await sign();
+
+      await expect(action(sessionId)).rejects.toMatchObject({ code: 'MER_SIGNED', status: 409 });
+      expect(await SessionManager.store.getMERDocument(sessionId)).toEqual(document);
+    });
+
+    test('only adds addenda, which leave the signed content and its fingerprint unchanged', async () => {
+      const { document: signed } = await sign();
+
+      await MERReviewService.addAddendum(sessionId, 'First follow-up', doctor);
+      const { version, document } = await MERReviewService.addAddendum(sessionId, 'Second follow-up', doctor);
+
+      expect(document.addenda.map(({ text }) => text)).toEqual(['First follow-up', 'Second follow-up']);
+      expect(version.changes).toEqual([
+        { path: 'addenda[1].id', type: 'added', before: null, after: document.addenda[1].id },
+        { path: 'addenda[1].text', type: 'added', before: null, after: 'Second follow-up' },
+        { path: 'addenda[1].author.userId', type: 'added', before: null, after: 'doctor-1' },
+        { path: 'addenda[1].author.name', type: 'added', before: null, after: 'Dr Test' },
+        { path: 'addenda[1].createdAt', type: 'added', before: null, after: document.addenda[1].createdAt }
+      ]);
+      expect(MERReviewService.fingerprint(document)).toBe(signed.review.signature.fingerprint);
+      await expect(MERReviewService.editFields(sessionId, [{ path: 'summary.executiveSummary', value: 'Changed' }], doctor))
+        .rejects.toMatchObject({ code: 'MER_SIGNED' });
+    });
+
+    test('refuses an empty addendum', async () => {
+      await sign();
+
+      await expect(MERReviewService.addAddendum(sessionId, '   ', doctor)).rejects.toThrow(MERReviewError);
+      await expect(MERReviewService.addAddendum(sessionId, '   ', doctor)).rejects.toMatchObject({ code: 'VALIDATION_ERROR', status: 400 });
+    });
+  });
+
+  describe('edits', () => {
+    beforeEach(async () => {
+      await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+    });
+
+    test('drops the evidence of edited fields and of a list that lost an item', async () => {
+      const { document } = await MERReviewService.editFields(sessionId, [
+        { path: 'soapNotes.subjective.chiefComplaint', value: 'Heartburn after meals' },
+        { path: 'prescriptions.prescribed[0]', remove: true }
+      ], doctor);
+
+      expect(document.evidence).toEqual({});
+      expect(document.prescriptions.prescribed).toEqual([]);
+    });
+
+    test.each([
+      [[{ path: 'metadata.doctor', value: 'Someone else' }], 'VALIDATION_ERROR', 400],
+      [[{ path: 'evidence.summary', value: [] }], 'VALIDATION_ERROR', 400],
+      [[{ path: 'icdCodes.notes' }], 'VALIDATION_ERROR', 400],
+      [[{ path: 'icdCodes.unknown', value: 'x' }], 'FIELD_NOT_FOUND', 404],
+      [[{ path: 'prescriptions.prescribed[1]', remove: true }], 'FIELD_NOT_FOUND', 404],
+      [[{ path: 'icdCodes.notes', value: '' }], 'NO_CHANGES', 400],
+      [[{ path: 'icdCodes.primary', value: 'K21.9' }], 'MER_SCHEMA_INVALID', 400]
+    ])('refuses %j', async (edits, code, status) => {
+      await expect(MERReviewService.editFields(sessionId, edits, doctor)).rejects.toMatchObject({ code, status });
+      expect((await MERReviewService.getVersions(sessionId)).versions).toHaveLength(1);
+    });
+
+    test('refuses edits made against an outdated version', async () => {
+      await MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'First' }], doctor, 1);
+
+      await expect(MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'Second' }], doctor, 1))
+        .rejects.toMatchObject({ code: 'VERSION_CONFLICT', status: 409 });
+      await expect(MERReviewService.sign(sessionId, doctor, 1)).rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+    });
+
+    test('saves only one of two edits made at the same time and refuses the other', async () => {
+      const results = await Promise.allSettled([
+        MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'Mine' }], doctor),
+        MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'Theirs' }], doctor)
+      ]);
+
+      const [saved, refused] = [results.filter(({ status }) => status === 'fulfilled'), results.filter(({ status }) => status === 'rejected')];
+      expect(saved).toHaveLength(1);
+      expect(refused.map(({ reason }) => reason.code)).toEqual(['VERSION_CONFLICT']);
+      expect((await SessionManager.store.getMERDocument(sessionId)).icdCodes.notes).toBe(saved[0].value.document.icdCodes.notes);
+      expect((await MERReviewService.getVersions(sessionId)).versions.map(({ version }) => version)).toEqual([1, 2]);
+    });
+  });
+
+  describe('version diffs', () => {
+    beforeEach(async () => {
+      await MERReviewService.recordGenerated(sessionId, generated(), doctor);
+      await MERReviewService.editFields(sessionId, [{ path: 'icdCodes.notes', value: 'Checked' }], doctor);
+      await MERReviewService.editFields(sessionId, [
+        { path: 'soapNotes.assessment.differentialDiagnoses[2]', value: 'Oesophagitis' },
+        { path: 'prescriptions.allergies[0]', remove: true }
+      ], doctor);
+    });
+
+    test('compares the latest AI output with the current version by default', async () => {
+      const { from, to, changes } = await MERReviewService.diffVersions(sessionId);
+
+      expect([from.version, to.version]).toEqual([1, 3]);
+      expect(from.document).toBeUndefined();
+      expect(changes).toEqual([
+        { path: 'icdCodes.notes', type: 'changed', before: '', after: 'Checked' },
+        { path: 'prescriptions.allergies[0]', type: 'removed', before: 'Penicillin (rash)', after: null },
+        { path: 'soapNotes.assessment.differentialDiagnoses[2]', type: 'added', before: null, after: 'Oesophagitis' },
+        { path: 'prescriptions.allergies', type: 'added', before: null, after: [] }
+      ]);
+    });
+
+    test('compares any two versions', async () => {
+      const { changes } = await MERReviewService.diffVersions(sessionId, 2, 3);
+
+      expect(changes.map(({ path }) => path)).toEqual([
+        'prescriptions.allergies[0]',
+        'soapNotes.assessment.differentialDiagnoses[2]',
+        'prescriptions.allergies'
+      ]);
+      expect((await MERReviewService.diffVersions(sessionId, 3, 3)).changes).toEqual([]);
+    });
+
+    test('records the same changes on the version that made them', async () => {
+      const version = await MERReviewService.getVersion(sessionId, 2);
+
+      expect(version.changes).toEqual([{ path: 'icdCodes.notes', type: 'changed', before: '', after: 'Checked' }]);
+      expect(version.document.icdCodes.notes).toBe('Checked');
+    });
+
+    test('reports unknown versions and sessions without a MER', async () => {
+      await expect(MERReviewService.diffVersions(sessionId, 1, 9)).rejects.toMatchObject({ code: 'VERSION_NOT_FOUND', status: 404 });
+      await expect(MERReviewService.getVersion(sessionId, 9)).rejects.toMatchObject({ code: 'VERSION_NOT_FOUND', status: 404 });
+      await expect(MERReviewService.diffVersions('missing-session')).rejects.toMatchObject({ code: 'MER_NOT_FOUND', status: 404 });
+    });
+  });
+});
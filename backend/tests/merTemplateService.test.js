@@ -0,0 +1,287 @@
+/**
+ * Clinic note templates: creating, reading, updating and deleting them, the
+ * per-revision schemas generation checks notes against, and generating a
+ * MER with a template
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const Ajv = require('ajv');
+const express = require('express');
+const request = require('supertest');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const MERTemplateService = require('../src/services/merTemplateService');
+const MERGeneratorService = require('../src/services/merGeneratorService');
+const merRoutes = require('../src/routes/mer');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate, requireRole } = require('../src/middleware/auth');
+const { validate } = require('../src/services/merSchemas');
+const { MERTemplateError } = MERTemplateService;
+const { MERValidationError } = MERGeneratorService;
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherClinicDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-2' };
+
+const sleepClinic = {
+  name: 'Sleep clinic',
+  specialty: 'sleep medicine',
+  guidance: 'Focus on sleep patterns',
+  sections: [
+    { key: 'sleepHistory', title: 'Sleep history', fields: [{ key: 'bedtime' }, { key: 'awakenings', type: 'list', guidance: 'Each night-time awakening' }] },
+    { key: 'plan', title: 'Plan', fields: [{ key: 'advice' }] }
+  ]
+};
+const sleepNotes = { sleepHistory: { bedtime: '23:00', awakenings: ['03:00'] }, plan: { advice: 'No screens after 22:00' } };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+/**
+ * Stand-in for the OpenAI client answering with each given reply in turn
+ */
+const fakeOpenAI = (...replies) => ({
+  chat: {
+    completions: {
+      create: jest.fn(async () => {
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        return { choices: [{ message: { content: JSON.stringify(reply) } }] };
+      })
+    }
+  }
+});
+
+describe('MERTemplateService', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/mer', authenticate, requireRole('doctor'), merRoutes);
+  });
+
+  beforeEach(() => {
+    SessionManager.setStore(new MemoryAdapter());
+  });
+
+  afterEach(() => {
+    delete MERGeneratorService.openai;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('CRUD', () => {
+    const create = (user = doctor, body = sleepClinic) => request(app).post('/api/mer/templates')
+      .set('Authorization', bearer(user))
+      .send(body);
+
+    test('adds a template to the clinic as its first revision, filling in defaults', async () => {
+      const res = await create();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        id: expect.any(String),
+        clinicId: 'clinic-1',
+        revision: 1,
+        builtIn: false,
+        createdBy: 'doctor-1',
+        description: null,
+        sections: [
+          {
+            key: 'sleepHistory',
+            title: 'Sleep history',
+            fields: [
+              { key: 'bedtime', label: 'Bedtime', type: 'text' },
+              { key: 'awakenings', label: 'Awakenings', type: 'list', guidance: 'Each night-time awakening' }
+            ]
+          },
+          { key: 'plan', title: 'Plan', fields: [{ key: 'advice', label: 'Advice', type: 'text' }] }
+        ]
+      });
+    });
+
+    test('lists the built-in templates, then the clinic\'s own', async () => {
+      const { body: { data: created } } = await create();
+      await create(otherClinicDoctor, { ...sleepClinic, name: 'Someone else\'s' });
+
+      const res = await request(app).get('/api/mer/templates').set('Authorization', bearer(doctor));
+
+      expect(res.body.data.map(({ id, builtIn }) => [id, builtIn])).toEqual([
+        ['soap', true], ['pediatrics', true], ['psychiatry', true], ['dermatology', true], [created.id, false]
+      ]);
+    });
+
+    test('returns a template with the schema of its current revision', async () => {
+      const { body: { data: created } } = await create();
+
+      const res = await request(app).get(`/api/mer/templates/${created.id}`).set('Authorization', bearer(doctor));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.schema).toMatchObject({
+        $id: `https://ai-voice-mer.local/schemas/templates/${created.id}/1/soap-notes.json`,
+        title: 'Sleep clinic notes',
+        required: ['sleepHistory', 'plan']
+      });
+    });
+
+    test('replaces a template as its next revision', async () => {
+      const { body: { data: created } } = await create();
+      const changed = { ...sleepClinic, sections: [...sleepClinic.sections, { key: 'followUp', title: 'Follow-up', fields: [{ key: 'when' }] }] };
+
+      const res = await request(app).put(`/api/mer/templates/${created.id}`).set('Authorization', bearer(doctor)).send(changed);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: created.id, revision: 2, createdBy: 'doctor-1' });
+      expect(res.body.data.sections.map(({ key }) => key)).toEqual(['sleepHistory', 'plan', 'followUp']);
+
+      const { body: { data: fetched } } = await request(app).get(`/api/mer/templates/${created.id}`).set('Authorization', bearer(doctor));
+      expect(fetched.schema.$id).toBe(`https://ai-voice-mer.local/schemas/templates/${created.id}/2/soap-notes.json`);
+      expect(fetched.schema.required).toEqual(['sleepHistory', 'plan', 'followUp']);
+    });
+
+    test('deletes a template, after which sessions that chose it use the default', async () => {
+      const { body: { data: created } } = await create();
+
+      const res = await request(app).delete(`/api/mer/templates/${created.id}`).set('Authorization', bearer(doctor));
+
+      expect(res.status).toBe(200);
+      const missing = await request(app).get(`/api/mer/templates/${created.id}`).set('Authorization', bearer(doctor));
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('TEMPLATE_NOT_FOUND');
+      expect(await MERTemplateService.forSession({ id: 'session-1', metadata: { settings: { noteTemplate: created.id } } }))
+        .toBe(MERTemplateService.getDefault());
+    });
+
+    test('refuses an invalid definition with its validation errors', async () => {
+      const res = await create(doctor, {
+        name: 'Broken',
+        sections: [{ key: 'plan', title: 'Plan', fields: [{ key: 'advice' }, { key: 'advice' }] }, { key: 'Bad Key', title: 'x', fields: [] }]
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(res.body.validationErrors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^\/sections\/1\/key must match pattern/),
+        '/sections/1/fields must NOT have fewer than 1 items'
+      ]));
+      await expect(MERTemplateService.create('clinic-1', {
+        name: 'Duplicates', sections: [{ key: 'plan', title: 'Plan', fields: [{ key: 'advice' }, { key: 'advice' }] }]
+      })).rejects.toMatchObject({ validationErrors: ['/sections/0/fields has duplicate keys: advice'] });
+    });
+
+    test.each([
+      ['change', (id) => request(app).put(`/api/mer/templates/${id}`).set('Authorization', bearer(doctor)).send(sleepClinic)],
+      ['delete', (id) => request(app).delete(`/api/mer/templates/${id}`).set('Authorization', bearer(doctor))]
+    ])('refuses to %s a built-in template', async (_, send) => {
+      const res = await send('soap');
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('TEMPLATE_READ_ONLY');
+    });
+
+    test('hides the templates of other clinics', async () => {
+      const { body: { data: created } } = await create();
+
+      const res = await request(app).put(`/api/mer/templates/${created.id}`).set('Authorization', bearer(otherClinicDoctor)).send(sleepClinic);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('TEMPLATE_NOT_FOUND');
+      await expect(MERTemplateService.get(created.id, 'clinic-2')).rejects.toThrow(MERTemplateError);
+    });
+  });
+
+  describe('schemas', () => {
+    test('compiles a revision\'s schemas once and drops them when the template changes', async () => {
+      const compile = jest.spyOn(Ajv.prototype, 'compile');
+      const removeSchema = jest.spyOn(Ajv.prototype, 'removeSchema');
+      const template = await MERTemplateService.create('clinic-1', sleepClinic, doctor);
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        expect(validate(MERTemplateService.schemasFor(template).soapNotes, sleepNotes).valid).toBe(true);
+      }
+      const compiled = compile.mock.calls.length;
+      const { soapNotes, draft } = MERTemplateService.schemasFor(template);
+      await MERTemplateService.update(template.id, 'clinic-1', sleepClinic);
+      const removed = removeSchema.mock.calls.map(([id]) => id);
+      compile.mockRestore();
+      removeSchema.mockRestore();
+
+      expect(compiled).toBe(1);
+      expect(removed).toEqual([soapNotes.$id, draft.$id]);
+      expect(soapNotes.$id).toBe(`https://ai-voice-mer.local/schemas/templates/${template.id}/1/soap-notes.json`);
+      expect(draft.$id).toBe(`https://ai-voice-mer.local/schemas/templates/${template.id}/1/mer-draft.json`);
+    });
+
+    test('picks up a revision saved elsewhere and leaves the published schemas alone', async () => {
+      const template = await MERTemplateService.create('clinic-1', sleepClinic, doctor);
+      const before = MERTemplateService.schemasFor(template);
+      const removeSchema = jest.spyOn(Ajv.prototype, 'removeSchema');
+
+      const after = MERTemplateService.schemasFor({ ...template, revision: 2 });
+      const soap = MERTemplateService.schemasFor(MERTemplateService.getDefault());
+      MERTemplateService.releaseSchemas(MERTemplateService.getDefault().id);
+      const removed = removeSchema.mock.calls.map(([id]) => id);
+      removeSchema.mockRestore();
+
+      expect(after.soapNotes.$id).toMatch(/\/2\/soap-notes\.json$/);
+      expect(removed).toEqual([before.soapNotes.$id, before.draft.$id]);
+      expect(validate(soap.soapNotes, {}).valid).toBe(false);
+    });
+  });
+
+  describe('generation', () => {
+    test('asks for the template\'s notes and re-asks until they match its schema', async () => {
+      const template = await MERTemplateService.create('clinic-1', sleepClinic, doctor);
+      const { plan, ...withoutPlan } = sleepNotes;
+      MERGeneratorService.openai = fakeOpenAI(withoutPlan, sleepNotes);
+
+      const notes = await MERGeneratorService.generateSOAPNotes('[00:00] Patient: I wake up at 3am.', { doctor: 'Dr Test', patient: 'Pat Test' }, 'en', template);
+
+      expect(notes).toEqual(sleepNotes);
+      const { create } = MERGeneratorService.openai.chat.completions;
+      expect(create.mock.calls[0][0].messages[0].content).toContain('structured Sleep clinic notes');
+      expect(create.mock.calls[0][0].messages[0].content).toContain('"awakenings": [\n      "Each night-time awakening"\n    ]');
+      expect(create.mock.calls[1][0].messages.at(-1).content).toContain("- / must have required property 'plan'");
+    });
+
+    test('checks notes against the latest revision of the template', async () => {
+      const template = await MERTemplateService.create('clinic-1', sleepClinic, doctor);
+      MERTemplateService.schemasFor(template);
+      const updated = await MERTemplateService.update(template.id, 'clinic-1', {
+        ...sleepClinic,
+        sections: [...sleepClinic.sections, { key: 'followUp', title: 'Follow-up', fields: [{ key: 'when' }] }]
+      });
+      MERGeneratorService.openai = fakeOpenAI(sleepNotes);
+
+      const error = await MERGeneratorService.generateSOAPNotes('text', { doctor: 'Dr Test', patient: 'Pat Test' }, 'en', updated).catch(err => err);
+
+      expect(error).toBeInstanceOf(MERValidationError);
+      expect(error).toMatchObject({ section: 'Sleep clinic notes', errors: ["/ must have required property 'followUp'"] });
+    });
+
+    test('writes a MER in the template\'s sections and keeps its layout', async () => {
+      const template = await MERTemplateService.create('clinic-1', sleepClinic, doctor);
+
+      const document = await MERGeneratorService.generateMER({
+        transcript: [{ id: 'e1', speaker: 'patient', text: 'I keep waking up at night.', timestamp: new Date('2026-10-19T09:00:00Z') }],
+        doctor: 'Dr Test',
+        patient: 'Pat Test',
+        template
+      });
+
+      expect(document.soapNotes).toEqual({
+        sleepHistory: { bedtime: 'Not discussed', awakenings: [] },
+        plan: { advice: 'Not discussed' }
+      });
+      expect(document.metadata.template).toEqual(MERTemplateService.layout(template));
+      expect(validate(MERTemplateService.schemasFor(template).soapNotes, document.soapNotes).valid).toBe(true);
+    });
+  });
+});
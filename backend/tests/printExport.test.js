@@ -0,0 +1,122 @@
+/**
+ * PDF and DOCX exports of a fixture MER: each is a well-formed file, a signed
+ * MER prints its signature and an unsigned one is marked as a draft
+ */
+const zlib = require('zlib');
+const MERExportService = require('../src/services/merExport');
+const PDFExporter = require('../src/services/merExport/pdfExporter');
+const DOCXExporter = require('../src/services/merExport/docxExporter');
+const signedSession = require('./fixtures/mer/signed-session.json');
+
+const sessionWithStatus = (status) => {
+  const session = structuredClone(signedSession);
+  session.merDocument.review = { status, version: 1, signature: null };
+  return session;
+};
+
+/**
+ * Text drawn on the pages of a PDF, one string per text run. PDFKit deflates
+ * each page's content stream and writes standard-font text as hex strings.
+ */
+const pdfText = (pdf) => {
+  const texts = [];
+  for (const [, stream] of pdf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+    } catch (error) {
+      continue; // not a deflated stream, e.g. font data
+    }
+    for (const [, run] of content.matchAll(/\[(.*?)\] TJ/g)) {
+      texts.push([...run.matchAll(/<([0-9a-f]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+    }
+  }
+  return texts;
+};
+
+/**
+ * Contents of one file of a DOCX (ZIP) package, read from its local file headers
+ */
+const docxEntry = (docx, name) => {
+  for (let offset = 0; docx.readUInt32LE(offset) === 0x04034b50;) {
+    const method = docx.readUInt16LE(offset + 8);
+    const size = docx.readUInt32LE(offset + 18);
+    const nameLength = docx.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + docx.readUInt16LE(offset + 28);
+    if (docx.toString('utf8', offset + 30, offset + 30 + nameLength) === name) {
+      const data = docx.subarray(start, start + size);
+      return (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    }
+    offset = start + size;
+  }
+  return null;
+};
+
+describe('print exports', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PDF', () => {
+    test('is a complete PDF file named after the session', async () => {
+      const { body, contentType, filename } = await MERExportService.export(structuredClone(signedSession), 'pdf');
+
+      expect(body.subarray(0, 5).toString('latin1')).toBe('%PDF-');
+      expect(body.subarray(-32).toString('latin1')).toContain('%%EOF');
+      expect(contentType).toBe('application/pdf');
+      expect(filename).toBe(`mer-${signedSession.id}.pdf`);
+    });
+
+    test('prints the signature of a signed MER and no draft mark', async () => {
+      const pdf = await PDFExporter.build(structuredClone(signedSession));
+      const text = pdfText(pdf);
+
+      expect(text).toEqual(expect.arrayContaining(['Signed (version 1)', 'Electronically signed 2026-10-19 11:42 UTC']));
+      expect(text.filter(line => /draft/i.test(line))).toEqual([]);
+      expect(pdf.toString('latin1')).toContain(`sha256:${signedSession.merDocument.review.signature.fingerprint}`);
+    });
+
+    test.each([
+      ['draft', 'Draft (version 1)', 'Unsigned draft'],
+      ['under_review', 'Under review (version 1)', 'Unsigned draft - Under review']
+    ])('marks a MER in status %s as an unsigned draft', async (status, statusLine, mark) => {
+      const text = pdfText(await PDFExporter.build(sessionWithStatus(status)));
+
+      expect(text).toEqual(expect.arrayContaining([statusLine, mark]));
+      expect(text.filter(line => line.startsWith('Electronically signed'))).toEqual([]);
+    });
+  });
+
+  describe('DOCX', () => {
+    test('is a Word package named after the session', async () => {
+      const { body, contentType, filename } = await MERExportService.export(structuredClone(signedSession), 'docx');
+
+      expect(body.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      expect(docxEntry(body, '[Content_Types].xml')).toContain('wordprocessingml.document.main+xml');
+      expect(docxEntry(body, 'word/document.xml')).toContain('Medical Encounter Record');
+      expect(contentType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      expect(filename).toBe(`mer-${signedSession.id}.docx`);
+    });
+
+    test('prints the signature of a signed MER and no draft mark', async () => {
+      const xml = docxEntry(await DOCXExporter.build(structuredClone(signedSession)), 'word/document.xml');
+
+      expect(xml).toContain('Electronically signed 2026-10-19 11:42 UTC');
+      expect(xml).not.toMatch(/draft/i);
+    });
+
+    test.each([
+      ['draft', 'Unsigned draft'],
+      ['under_review', 'Unsigned draft - Under review']
+    ])('marks a MER in status %s as an unsigned draft', async (status, mark) => {
+      const xml = docxEntry(await DOCXExporter.build(sessionWithStatus(status)), 'word/document.xml');
+
+      expect(xml).toContain(mark);
+      expect(xml).not.toContain('Electronically signed');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Session REST routes: who may read a session, how much of it they see and
+ * how speaker reassignments are recorded
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const request = require('supertest');
+const SessionManager = require('../src/services/sessionManager');
+const MERDraftService = require('../src/services/merDraftService');
+const TranscriptEditService = require('../src/services/transcriptEditService');
+const AuthService = require('../src/services/authService');
+const sessionRoutes = require('../src/routes/session');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-1' };
+const patient = { id: 'patient-1', role: 'patient', name: 'Pat Test', email: 'pat@example.com', clinicId: 'default' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+describe('session routes', () => {
+  let app;
+  let sessionId;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/session', authenticate, sessionRoutes);
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+    await SessionManager.bindParticipant(sessionId, 'patient', patient);
+    await SessionManager.addUserToSession(sessionId, 'doctor', 'doctor-socket', doctor);
+    await SessionManager.addTranscriptEntry(sessionId, { speaker: 'patient', text: 'My chest hurts.' });
+    await SessionManager.resolveSpeaker(sessionId, 'doctor', 0);
+    await SessionManager.store.saveMERVersion({
+      id: 'version-1', sessionId, version: 1, action: 'generate', status: 'draft', changes: [], document: { summary: 'Chest pain' }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/session/:sessionId', () => {
+    test('gives the session doctor everything', async () => {
+      const res = await request(app).get(`/api/session/${sessionId}`).set('Authorization', bearer(doctor));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        merDocument: { summary: 'Chest pain' },
+        doctor: { socketId: 'doctor-socket', userId: doctor.id },
+        metadata: { speakerMap: { 'doctor:0': 'doctor' } }
+      });
+    });
+
+    test('leaves the MER, socket and user IDs and speaker map out for the patient', async () => {
+      const res = await request(app).get(`/api/session/${sessionId}`).set('Authorization', bearer(patient));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        id: sessionId,
+        doctor: { name: 'Dr Test', isConnected: true },
+        patient: { name: 'Pat Test', isConnected: false },
+        status: 'waiting',
+        isRecording: false,
+        transcript: [expect.objectContaining({ text: 'My chest hurts.' })],
+        settings: expect.any(Object)
+      });
+    });
+
+    test('refuses other users and reports unknown sessions', async () => {
+      const forbidden = await request(app).get(`/api/session/${sessionId}`).set('Authorization', bearer(otherDoctor));
+      const missing = await request(app).get('/api/session/missing').set('Authorization', bearer(doctor));
+
+      expect(forbidden.status).toBe(403);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/session/:sessionId/speakers', () => {
+    test('marks relabelled entries as edited and records a revision for each', async () => {
+      const first = await SessionManager.addTranscriptEntry(sessionId, { speaker: 'doctor', speakerLabel: 'doctor:0', text: 'Any allergies?' });
+      const second = await SessionManager.addTranscriptEntry(sessionId, { speaker: 'doctor', speakerLabel: 'doctor:0', text: 'Penicillin.' });
+      const before = await SessionManager.getSession(sessionId);
+      const draft = { coveredIds: new Set(before.transcript.map(entry => entry.id)), coveredAt: new Date(Date.now() - 1000) };
+
+      const res = await request(app).patch(`/api/session/${sessionId}/speakers`)
+        .set('Authorization', bearer(doctor))
+        .send({ speakerLabel: 'doctor:0', role: 'patient' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.entries).toEqual([
+        expect.objectContaining({ id: first.id, speaker: 'patient', editedBy: doctor.id, editedAt: expect.any(String) }),
+        expect.objectContaining({ id: second.id, speaker: 'patient', editedBy: doctor.id, editedAt: expect.any(String) })
+      ]);
+
+      const revisions = await TranscriptEditService.getRevisions(sessionId);
+      expect(revisions).toEqual([
+        expect.objectContaining({ action: 'change-speaker', actorId: doctor.id, before: [expect.objectContaining({ id: first.id, speaker: 'doctor' })] }),
+        expect.objectContaining({ action: 'change-speaker', actorId: doctor.id, before: [expect.objectContaining({ id: second.id, speaker: 'doctor' })] })
+      ]);
+      expect((await TranscriptEditService.getOriginalTranscript(sessionId)).map(entry => entry.speaker))
+        .toEqual(['patient', 'doctor', 'doctor']);
+      expect(MERDraftService.isStale(draft, (await SessionManager.getSession(sessionId)).transcript)).toBe(true);
+    });
+  });
+
+  describe('GET /api/session', () => {
+    test('lists and counts only the doctor\'s own sessions', async () => {
+      await SessionManager.createSession('Dr Other', 'Someone', otherDoctor.id);
+
+      const res = await request(app).get('/api/session').set('Authorization', bearer(doctor));
+
+      expect(res.body.data.sessions.map(session => session.id)).toEqual([sessionId]);
+      expect(res.body.data.stats).toEqual({ total: 1, active: 0, waiting: 1, ended: 0, recording: 0 });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Socket event authorization: events are allowed or refused by the role the
+ * socket joined its session with, never by what the payload claims, and every
+ * refusal is a structured error that ends up in the audit log
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const AuditLogger = require('../src/services/auditLogger');
+const TranscriptionService = require('../src/services/transcriptionService');
+const MERGeneratorService = require('../src/services/merGeneratorService');
+const socketHandlers = require('../src/services/socketHandlers');
+const { MemoryAdapter } = require('../src/services/storage');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const patient = { id: 'patient-1', role: 'patient', name: 'Pat Test', email: 'pat@example.com', clinicId: 'default' };
+
+describe('socket event authorization', () => {
+  let io;
+  let url;
+  let sessionId;
+  let clients;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const server = http.createServer();
+    io = new Server(server);
+    socketHandlers(io);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    clients = [];
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+    // A patient who already redeemed their invite rejoins without it
+    await SessionManager.bindParticipant(sessionId, 'patient', patient);
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => new Promise(resolve => {
+      if (!client.connected) return resolve();
+      client.once('disconnect', resolve);
+      client.close();
+    })));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => io.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  const connectAs = async (user) => {
+    const client = connect(url, { transports: ['websocket'], reconnection: false, auth: { token: AuthService.issueToken(user) } });
+    clients.push(client);
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('connect_error', reject);
+    });
+    return client;
+  };
+
+  const next = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  const join = async (user) => {
+    const client = await connectAs(user);
+    const joined = next(client, 'session-joined');
+    client.emit('join-session', { sessionId });
+    await joined;
+    return client;
+  };
+
+  /**
+   * Emit an event and wait for the structured error it is refused with
+   */
+  const refusal = (client, event, data) => {
+    const error = next(client, 'error');
+    client.emit(event, data);
+    return error;
+  };
+
+  /**
+   * Audit events are written after the error is sent
+   */
+  const deniedEvents = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return (await AuditLogger.getEvents({ actorId: patient.id })).filter(event => event.outcome === 'denied');
+  };
+
+  test.each([
+    ['start-recording', 'Only doctors can start recording'],
+    ['stop-recording', 'Only doctors can stop recording'],
+    ['generate-mer', 'Only doctors can generate MER documents']
+  ])('refuses %s from a patient even when the payload claims a doctor', async (event, message) => {
+    const generateMER = jest.spyOn(MERGeneratorService, 'generateMER');
+    const client = await join(patient);
+
+    const error = await refusal(client, event, { userRole: 'doctor', userName: 'Dr Fake' });
+
+    expect(error).toEqual({ code: 'FORBIDDEN_ROLE', event, message });
+    expect((await SessionManager.getSession(sessionId)).isRecording).toBe(false);
+    expect(generateMER).not.toHaveBeenCalled();
+    generateMER.mockRestore();
+    expect(await deniedEvents()).toEqual([
+      expect.objectContaining({
+        action: `socket:${event}`,
+        actorRole: 'patient',
+        sessionId,
+        details: expect.objectContaining({ code: 'FORBIDDEN_ROLE', socketId: client.id })
+      })
+    ]);
+  });
+
+  test.each(['start-recording', 'generate-mer', 'audio-stream'])('refuses %s from a socket that has not joined a session', async (event) => {
+    const processAudioChunk = jest.spyOn(TranscriptionService, 'processAudioChunk');
+    const client = await connectAs(patient);
+
+    const error = await refusal(client, event, { userRole: 'doctor', sessionId, audioData: Buffer.from('audio').toString('base64') });
+
+    expect(error).toEqual({ code: 'NOT_IN_SESSION', event, message: 'Join a session before sending this event' });
+    expect(processAudioChunk).not.toHaveBeenCalled();
+    processAudioChunk.mockRestore();
+    expect(await deniedEvents()).toEqual([
+      expect.objectContaining({ action: `socket:${event}`, actorRole: 'patient', sessionId: null, details: expect.objectContaining({ code: 'NOT_IN_SESSION' }) })
+    ]);
+  });
+
+  test('transcribes a patient\'s audio as the patient whatever the payload claims', async () => {
+    const doctorClient = await join(doctor);
+    const started = next(doctorClient, 'recording-started');
+    doctorClient.emit('start-recording', {});
+    await started;
+
+    const transcribed = new Promise(resolve => {
+      jest.spyOn(TranscriptionService, 'processAudioChunk').mockImplementation(async (chunk, options) => {
+        resolve(options);
+        return null;
+      });
+    });
+    const patientClient = await join(patient);
+    patientClient.emit('audio-stream', { userRole: 'doctor', audioData: Buffer.from('audio').toString('base64') });
+
+    expect(await transcribed).toMatchObject({ sessionId, speaker: 'patient', speakerName: 'Pat Test' });
+    TranscriptionService.processAudioChunk.mockRestore();
+    expect(await deniedEvents()).toEqual([]);
+  });
+
+  test('lets the session doctor start recording', async () => {
+    const client = await join(doctor);
+
+    const started = next(client, 'recording-started');
+    client.emit('start-recording', {});
+
+    expect(await started).toMatchObject({ startedBy: 'Dr Test' });
+    expect((await SessionManager.getSession(sessionId)).isRecording).toBe(true);
+    expect((await AuditLogger.getEvents({ actorId: doctor.id })).filter(event => event.outcome === 'denied')).toEqual([]);
+  });
+});
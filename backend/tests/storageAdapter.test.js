@@ -0,0 +1,278 @@
+/**
+ * Storage adapter contract: what the services rely on from every adapter.
+ * Runs against the in-memory adapter, and against PostgreSQL as well when
+ * TEST_POSTGRES=true (using the DB_* settings; migrations are applied first).
+ */
+process.env.NODE_ENV = 'development';
+
+const { v4: uuidv4 } = require('uuid');
+const { MemoryAdapter } = require('../src/services/storage');
+
+const adapters = [['memory', () => new MemoryAdapter()]];
+if (process.env.TEST_POSTGRES === 'true') {
+  adapters.push(['postgres', () => new (require('../src/services/storage/postgresAdapter'))()]);
+}
+
+const newSession = (changes = {}) => ({
+  id: uuidv4(),
+  doctor: { name: 'Dr Test', userId: 'doctor-1', socketId: null, joinedAt: null },
+  patient: { name: 'Pat Test', userId: null, socketId: null, joinedAt: null },
+  status: 'waiting',
+  transcript: [],
+  isRecording: false,
+  merDocument: null,
+  metadata: {
+    createdAt: new Date(),
+    lastActivity: new Date(),
+    totalMessages: 0,
+    settings: { language: 'en' }
+  },
+  ...changes
+});
+
+const entry = (text) => ({ id: uuidv4(), speaker: 'patient', text, timestamp: new Date('2026-10-19T09:00:00Z') });
+
+describe.each(adapters)('%s storage adapter', (name, createAdapter) => {
+  let store;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = createAdapter();
+    await store.init();
+  });
+
+  afterAll(async () => {
+    await store.close();
+    console.log.mockRestore();
+  });
+
+  describe('sessions', () => {
+    test('stores a session with an empty transcript and no MER', async () => {
+      const session = newSession();
+      const created = await store.createSession(session);
+
+      expect(created).toMatchObject({ id: session.id, status: 'waiting', transcript: [], merDocument: null, recordings: [] });
+      // Dates come back as dates
+      expect(created.metadata.createdAt.getTime()).toBe(session.metadata.createdAt.getTime());
+      expect(await store.getSession('missing')).toBeNull();
+    });
+
+    test('loads a session record without its transcript, MER and recordings', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.addTranscriptEntry(id, entry('Hello.'));
+
+      const record = await store.getSessionRecord(id);
+      expect(record).toMatchObject({ id, doctor: { userId: 'doctor-1' }, isRecording: false });
+      expect(record).not.toHaveProperty('transcript');
+      expect(await store.getSessionRecord('missing')).toBeNull();
+    });
+
+    test('patches metadata and bumps lastActivity', async () => {
+      const { id, metadata } = await store.createSession(newSession());
+
+      const updated = await store.updateSessionMetadata(id, {
+        set: { recordingStartTime: new Date('2026-10-19T09:00:00Z') },
+        increment: { totalMessages: 2 },
+        merge: { settings: { archiveAudio: true } },
+        mergeMissing: { speakerMap: { 'doctor:0': 'doctor' } }
+      }, { status: 'recording', isRecording: true });
+
+      expect(updated).toMatchObject({ status: 'recording', isRecording: true });
+      expect(updated.metadata).toMatchObject({
+        totalMessages: 2,
+        settings: { language: 'en', archiveAudio: true },
+        speakerMap: { 'doctor:0': 'doctor' }
+      });
+      expect(new Date(updated.metadata.recordingStartTime).toISOString()).toBe('2026-10-19T09:00:00.000Z');
+      expect(updated.metadata.lastActivity.getTime()).toBeGreaterThanOrEqual(metadata.lastActivity.getTime());
+      expect(await store.updateSessionMetadata('missing', { increment: { totalMessages: 1 } })).toBeNull();
+    });
+
+    test('keeps existing keys on mergeMissing and replaces them on merge', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.updateSessionMetadata(id, { mergeMissing: { speakerMap: { 'doctor:0': 'doctor' } } });
+
+      const kept = await store.updateSessionMetadata(id, { mergeMissing: { speakerMap: { 'doctor:0': 'patient', 'doctor:1': 'patient' } } });
+      expect(kept.metadata.speakerMap).toEqual({ 'doctor:0': 'doctor', 'doctor:1': 'patient' });
+
+      const replaced = await store.updateSessionMetadata(id, { merge: { speakerMap: { 'doctor:0': 'patient' } } });
+      expect(replaced.metadata.speakerMap).toEqual({ 'doctor:0': 'patient', 'doctor:1': 'patient' });
+    });
+
+    test('loses no concurrent metadata updates', async () => {
+      const { id } = await store.createSession(newSession());
+
+      await Promise.all([
+        ...Array.from({ length: 10 }, () => store.updateSessionMetadata(id, { increment: { totalMessages: 1 } })),
+        ...Array.from({ length: 5 }, (_, label) => store.updateSessionMetadata(id, {
+          mergeMissing: { speakerMap: { [`doctor:${label}`]: 'doctor' } }
+        }))
+      ]);
+
+      const { metadata } = await store.getSessionRecord(id);
+      expect(metadata.totalMessages).toBe(10);
+      expect(Object.keys(metadata.speakerMap).sort()).toEqual(['doctor:0', 'doctor:1', 'doctor:2', 'doctor:3', 'doctor:4']);
+    });
+
+    test('lists, counts and finds sessions by doctor, status and recording', async () => {
+      const doctorId = uuidv4();
+      const doctor = { name: 'Dr Scoped', userId: doctorId, socketId: null, joinedAt: null };
+      const waiting = await store.createSession(newSession({ doctor }));
+      const recording = await store.createSession(newSession({ doctor, status: 'recording', isRecording: true }));
+      await store.createSession(newSession());
+
+      const listed = await store.listSessions({ doctorId });
+      expect(listed.map(session => session.id)).toEqual([waiting.id, recording.id]);
+      expect(listed[0].transcript).toEqual([]);
+
+      expect(await store.countSessions({ doctorId })).toBe(2);
+      expect(await store.countSessions({ doctorId, status: 'waiting' })).toBe(1);
+      expect(await store.countSessions({ doctorId, isRecording: true })).toBe(1);
+      expect(await store.findSessionIds({ doctorId, status: 'recording' })).toEqual([recording.id]);
+    });
+
+    test('deletes a session with everything attached to it', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.addTranscriptEntry(id, entry('Hello.'));
+      await store.saveMERVersion({ id: uuidv4(), sessionId: id, version: 1, action: 'generate', status: 'draft', changes: [], document: { summary: 'x' } });
+
+      expect(await store.deleteSession(id)).toBe(true);
+      expect(await store.getSession(id)).toBeNull();
+      expect(await store.getTranscript(id)).toEqual([]);
+      expect(await store.getMERVersions(id)).toEqual([]);
+      expect(await store.deleteSession(id)).toBe(false);
+    });
+  });
+
+  describe('transcripts', () => {
+    test('appends, updates and returns entries in order', async () => {
+      const { id } = await store.createSession(newSession());
+      const first = await store.addTranscriptEntry(id, entry('My chest hurts.'));
+      await store.addTranscriptEntry(id, entry('Since Monday.'));
+
+      expect(first.timestamp.toISOString()).toBe('2026-10-19T09:00:00.000Z');
+      expect(await store.updateTranscriptEntry(id, first.id, { text: 'My chest aches.' })).toMatchObject({ id: first.id, text: 'My chest aches.' });
+      expect((await store.getTranscript(id)).map(e => e.text)).toEqual(['My chest aches.', 'Since Monday.']);
+      expect(await store.addTranscriptEntry('missing', entry('Lost.'))).toBeNull();
+      expect(await store.updateTranscriptEntry(id, 'missing', { text: 'x' })).toBeNull();
+    });
+
+    test('replaces consecutive entries in place and keeps appending after them', async () => {
+      const { id } = await store.createSession(newSession());
+      const [a, b, c] = [entry('A'), entry('B'), entry('C')];
+      for (const e of [a, b, c]) await store.addTranscriptEntry(id, e);
+
+      const split = await store.replaceTranscriptEntries(id, [b.id], [entry('B1'), entry('B2')]);
+      expect(split.position).toBe(1);
+      await store.addTranscriptEntry(id, entry('D'));
+      expect((await store.getTranscript(id)).map(e => e.text)).toEqual(['A', 'B1', 'B2', 'C', 'D']);
+
+      expect(await store.replaceTranscriptEntries(id, [c.id, a.id], [entry('X')])).toBeNull();
+    });
+
+    test('keeps transcript revisions oldest first', async () => {
+      const { id } = await store.createSession(newSession());
+      const base = { sessionId: id, actorId: 'doctor-1', actorRole: 'doctor', position: 0 };
+      await store.addTranscriptRevision({ ...base, id: uuidv4(), action: 'edit', before: [entry('a')], after: [entry('b')], createdAt: new Date('2026-10-19T09:00:00Z') });
+      await store.addTranscriptRevision({ ...base, id: uuidv4(), action: 'delete', before: [entry('b')], after: [], createdAt: new Date('2026-10-19T09:01:00Z') });
+
+      const revisions = await store.getTranscriptRevisions(id);
+      expect(revisions.map(revision => [revision.action, revision.actorId])).toEqual([['edit', 'doctor-1'], ['delete', 'doctor-1']]);
+      expect(revisions[0].before[0].text).toBe('a');
+    });
+  });
+
+  describe('MER versions', () => {
+    const version = (sessionId, number, document) => ({
+      id: uuidv4(), sessionId, version: number, action: 'edit', status: 'draft',
+      actorId: 'doctor-1', actorRole: 'doctor', changes: [], document
+    });
+
+    test('stores a version together with the current document', async () => {
+      const { id } = await store.createSession(newSession());
+
+      await store.saveMERVersion(version(id, 1, { summary: 'first' }));
+      const second = await store.saveMERVersion(version(id, 2, { summary: 'second' }));
+
+      expect(second).toMatchObject({ sessionId: id, version: 2, actorId: 'doctor-1' });
+      expect(await store.getMERDocument(id)).toEqual({ summary: 'second' });
+      expect((await store.getMERVersions(id)).map(v => v.version)).toEqual([1, 2]);
+      expect((await store.getMERVersion(id, 1)).document).toEqual({ summary: 'first' });
+      expect((await store.getSession(id)).merDocument).toEqual({ summary: 'second' });
+    });
+
+    test('refuses a version number that is already taken, leaving the document alone', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.saveMERVersion(version(id, 1, { summary: 'first' }));
+
+      expect(await store.saveMERVersion(version(id, 1, { summary: 'other' }))).toBeNull();
+      expect(await store.getMERDocument(id)).toEqual({ summary: 'first' });
+      expect(await store.saveMERVersion(version('missing', 1, { summary: 'x' }))).toBeNull();
+    });
+
+    test('refuses a version that skips ahead of the latest one', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.saveMERVersion(version(id, 1, { summary: 'first' }));
+
+      expect(await store.saveMERVersion(version(id, 3, { summary: 'third' }))).toBeNull();
+      expect((await store.getMERVersions(id)).map(v => v.version)).toEqual([1]);
+    });
+
+    test('lets only one of two concurrent writers of the same version through', async () => {
+      const { id } = await store.createSession(newSession());
+      await store.saveMERVersion(version(id, 1, { summary: 'first' }));
+
+      const saved = await Promise.all([
+        store.saveMERVersion(version(id, 2, { summary: 'mine' })),
+        store.saveMERVersion(version(id, 2, { summary: 'theirs' }))
+      ]);
+
+      const winner = saved.filter(Boolean);
+      expect(winner).toHaveLength(1);
+      expect(await store.getMERDocument(id)).toEqual(winner[0].document);
+      expect((await store.getMERVersions(id)).map(v => v.version)).toEqual([1, 2]);
+    });
+  });
+
+  describe('recordings, users and invites', () => {
+    test('inserts and updates recordings', async () => {
+      const { id } = await store.createSession(newSession());
+      const recordingId = uuidv4();
+      await store.saveRecording({ id: recordingId, sessionId: id, startedAt: new Date('2026-10-19T09:00:00Z'), metadata: {} });
+      await store.saveRecording({ id: recordingId, sessionId: id, endedAt: new Date('2026-10-19T09:05:00Z'), durationMs: 300000 });
+
+      expect(await store.getRecordings(id)).toEqual([expect.objectContaining({ id: recordingId, durationMs: 300000 })]);
+    });
+
+    test('finds users by email regardless of case and refuses duplicates', async () => {
+      const email = `${uuidv4()}@Example.com`;
+      const user = { id: uuidv4(), email, passwordHash: 'hash', name: 'Dr Test', role: 'doctor', clinicId: 'clinic-1' };
+      await store.createUser(user);
+
+      expect(await store.getUserByEmail(email.toUpperCase())).toMatchObject({ id: user.id, clinicId: 'clinic-1' });
+      expect(await store.getUserById(user.id)).toMatchObject({ email: expect.any(String) });
+      await expect(store.createUser({ ...user, id: uuidv4(), email: email.toLowerCase() })).rejects.toThrow();
+    });
+
+    test('lets an invite be claimed only once', async () => {
+      const { id } = await store.createSession(newSession());
+      const invite = { id: uuidv4(), sessionId: id, createdBy: 'doctor-1', expiresAt: new Date(Date.now() + 60000), createdAt: new Date() };
+      await store.saveInvite(invite);
+
+      const claims = await Promise.all([store.markInviteUsed(invite.id, 'patient-1'), store.markInviteUsed(invite.id, 'patient-2')]);
+      expect(claims.filter(Boolean)).toHaveLength(1);
+      expect((await store.getInvite(invite.id)).usedBy).toEqual(expect.stringMatching(/^patient-/));
+      expect(await store.listInvites(id)).toHaveLength(1);
+    });
+
+    test('stores and replaces clinic settings', async () => {
+      const clinicId = `clinic-${uuidv4()}`;
+      expect(await store.getClinicSettings(clinicId)).toBeNull();
+
+      await store.saveClinicSettings({ clinicId, documentationLanguage: 'hi' });
+      await store.saveClinicSettings({ clinicId, documentationLanguage: 'es' });
+
+      expect(await store.getClinicSettings(clinicId)).toEqual({ clinicId, documentationLanguage: 'es', updatedAt: expect.anything() });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Streaming transcription end to end: socket audio -> fake streaming provider
+ * -> transcription-interim / transcription-final events -> saved transcript
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.TRANSCRIPTION_STREAMING = 'true';
+process.env.STREAMING_PROVIDER = 'fake';
+process.env.FAKE_STREAM_WORDS_PER_CHUNK = '2';
+process.env.MER_AUTO_GENERATE = 'false';
+process.env.SESSION_STORE = 'memory';
+delete process.env.OPENAI_API_KEY;
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const socketHandlers = require('../src/services/socketHandlers');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const { MOCK_TRANSCRIPTIONS } = require('../src/services/mockAIService');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'doctor@example.com', clinicId: 'default' };
+
+const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+const audioChunk = () => Buffer.from('fake audio').toString('base64');
+
+describe('streaming transcription over Socket.IO', () => {
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await SessionManager.init();
+
+    server = http.createServer();
+    socketHandlers(new Server(server));
+    await new Promise(resolve => server.listen(0, resolve));
+
+    client = connect(`http://localhost:${server.address().port}`, {
+      transports: ['websocket'],
+      auth: { token: AuthService.issueToken(doctor) }
+    });
+    await once(client, 'connect');
+  });
+
+  afterAll(async () => {
+    client?.close();
+    await new Promise(resolve => server.close(resolve));
+    console.log.mockRestore();
+  });
+
+  test('interim results settle into final entries that are saved to the session', async () => {
+    const sessionId = 'streaming-test';
+    const interims = [];
+    const finals = [];
+    client.on('transcription-interim', event => interims.push(event));
+    client.on('transcription-final', event => finals.push(event));
+
+    client.emit('join-session', { sessionId });
+    await once(client, 'session-joined');
+    client.emit('start-recording', {});
+    await once(client, 'recording-started');
+
+    // "Hello, what brings you in today?" is six words: two interims, then the final
+    const firstLine = MOCK_TRANSCRIPTIONS[0];
+    for (let i = 0; i < 3; i++) {
+      client.emit('audio-stream', { audioData: audioChunk() });
+    }
+    await once(client, 'transcription-final');
+
+    expect(interims.map(event => event.text)).toEqual(['Hello, what', 'Hello, what brings you']);
+    expect(interims.every(event => event.isFinal === false && event.speaker === 'doctor')).toBe(true);
+    expect(finals).toHaveLength(1);
+    expect(finals[0]).toMatchObject({ text: firstLine, speaker: 'doctor', speakerName: 'Dr Test' });
+    // The final replaces the interims of the same utterance
+    expect(new Set(interims.map(event => event.utteranceId))).toEqual(new Set([finals[0].utteranceId]));
+
+    // Stopping flushes the utterance still in progress before the MER is generated
+    client.emit('audio-stream', { audioData: audioChunk() });
+    await once(client, 'transcription-interim');
+    client.emit('stop-recording', {});
+    await once(client, 'mer-generated');
+
+    expect(finals.map(event => event.text)).toEqual([firstLine, MOCK_TRANSCRIPTIONS[1].split(' ').slice(0, 2).join(' ')]);
+
+    const session = await SessionManager.getSession(sessionId);
+    expect(session.transcript.map(entry => [entry.speaker, entry.text])).toEqual(
+      finals.map(event => ['doctor', event.text])
+    );
+  }, 20000);
+});
@@ -0,0 +1,247 @@
+/**
+ * Transcript corrections: editing, deleting, splitting and merging entries and
+ * changing their speaker, each recorded as a revision from which the original
+ * transcript can be rebuilt
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.MER_AUTO_GENERATE = 'false';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const request = require('supertest');
+const SessionManager = require('../src/services/sessionManager');
+const TranscriptEditService = require('../src/services/transcriptEditService');
+const AuthService = require('../src/services/authService');
+const sessionRoutes = require('../src/routes/session');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-1' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+/**
+ * Words of a text spread evenly between two offsets
+ */
+const timedWords = (text, offsetMs, endOffsetMs) => {
+  const words = text.split(' ');
+  const step = (endOffsetMs - offsetMs) / words.length;
+  return words.map((word, index) => ({
+    word,
+    offsetMs: offsetMs + index * step,
+    endOffsetMs: offsetMs + (index + 1) * step,
+    confidence: 0.9
+  }));
+};
+
+describe('TranscriptEditService', () => {
+  let app;
+  let sessionId;
+  let entries;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/session', authenticate, sessionRoutes);
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+
+    const add = (speaker, text, offsetMs, endOffsetMs) => SessionManager.addTranscriptEntry(sessionId, {
+      speaker,
+      speakerName: speaker === 'doctor' ? 'Dr Test' : 'Pat Test',
+      text,
+      language: 'en',
+      confidence: 0.9,
+      offsetMs,
+      endOffsetMs,
+      words: timedWords(text, offsetMs, endOffsetMs)
+    });
+    entries = [
+      await add('doctor', 'Any allergies?', 0, 1000),
+      await add('patient', 'Penicillin gives me a rash. Do you take anything else?', 1000, 5000),
+      await add('patient', 'And metformin.', 5000, 6000),
+      await add('doctor', 'Okay.', 6000, 6500)
+    ];
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const transcript = async () => (await SessionManager.getSession(sessionId)).transcript;
+  const texts = async () => (await transcript()).map(entry => `${entry.speaker}: ${entry.text}`);
+
+  /**
+   * Revision written by the doctor between two points in time
+   */
+  const expectRevision = (revision, action, since) => {
+    expect(revision).toMatchObject({ sessionId, action, actorId: doctor.id, actorRole: 'doctor' });
+    expect(new Date(revision.createdAt).getTime()).toBeGreaterThanOrEqual(since);
+    expect(new Date(revision.createdAt).getTime()).toBeLessThanOrEqual(Date.now());
+  };
+
+  test('edits an entry\'s text and drops its word timings', async () => {
+    const since = Date.now();
+
+    const { revision, entries: [edited], removedIds } = await TranscriptEditService.editEntry(sessionId, entries[0].id, { text: ' Any drug allergies? ' }, doctor);
+
+    expect(edited).toMatchObject({ id: entries[0].id, text: 'Any drug allergies?', words: [], editedBy: doctor.id });
+    expect(removedIds).toEqual([]);
+    expectRevision(revision, 'edit', since);
+    expect(revision).toMatchObject({ position: 0, before: [expect.objectContaining({ text: 'Any allergies?' })], after: [expect.objectContaining({ text: 'Any drug allergies?' })] });
+    expect((await texts())[0]).toBe('doctor: Any drug allergies?');
+  });
+
+  test('deletes an entry', async () => {
+    const since = Date.now();
+
+    const { revision, entries: after, removedIds } = await TranscriptEditService.deleteEntry(sessionId, entries[3].id, doctor);
+
+    expect(after).toEqual([]);
+    expect(removedIds).toEqual([entries[3].id]);
+    expectRevision(revision, 'delete', since);
+    expect(revision).toMatchObject({ position: 3, before: [expect.objectContaining({ text: 'Okay.' })], after: [] });
+    expect(await texts()).toHaveLength(3);
+  });
+
+  test('changes an entry\'s speaker', async () => {
+    const since = Date.now();
+
+    const { revision, entries: [changed] } = await TranscriptEditService.changeSpeaker(sessionId, entries[3].id, { speaker: 'patient' }, doctor);
+
+    expect(changed).toMatchObject({ id: entries[3].id, speaker: 'patient', speakerName: 'Pat Test', editedBy: doctor.id });
+    expectRevision(revision, 'change-speaker', since);
+  });
+
+  test('splits an entry where a second voice starts, dividing words and offsets', async () => {
+    const at = entries[1].text.indexOf('Do you');
+    const since = Date.now();
+
+    const { revision, entries: [first, second], removedIds } = await TranscriptEditService.splitEntry(sessionId, entries[1].id, { at, speaker: 'doctor' }, doctor);
+
+    expect(first).toMatchObject({ id: entries[1].id, speaker: 'patient', text: 'Penicillin gives me a rash.', offsetMs: 1000, endOffsetMs: 3000 });
+    expect(first.words.map(word => word.word)).toEqual(['Penicillin', 'gives', 'me', 'a', 'rash.']);
+    expect(second).toMatchObject({ speaker: 'doctor', speakerName: 'Dr Test', text: 'Do you take anything else?', offsetMs: 3000, endOffsetMs: 5000 });
+    expect(second.id).not.toBe(entries[1].id);
+    expect(second.words.map(word => word.word)).toEqual(['Do', 'you', 'take', 'anything', 'else?']);
+    expect(removedIds).toEqual([]);
+    expectRevision(revision, 'split', since);
+    expect(revision.after.map(entry => entry.id)).toEqual([first.id, second.id]);
+  });
+
+  test('estimates the split offset from the text without word timings', async () => {
+    const entry = (await transcript())[2];
+    await SessionManager.store.replaceTranscriptEntries(sessionId, [entry.id], [{ ...entry, words: [] }]);
+
+    const { entries: [first, second] } = await TranscriptEditService.splitEntry(sessionId, entry.id, { at: 4 }, doctor);
+
+    expect(first).toMatchObject({ text: 'And', endOffsetMs: 5286 });
+    expect(second).toMatchObject({ text: 'metformin.', offsetMs: 5286, speaker: 'patient' });
+  });
+
+  test('merges consecutive entries of one speaker into the first', async () => {
+    const since = Date.now();
+
+    const { revision, entries: [merged], removedIds } = await TranscriptEditService.mergeEntries(sessionId, [entries[1].id, entries[2].id], doctor);
+
+    expect(merged).toMatchObject({
+      id: entries[1].id,
+      text: 'Penicillin gives me a rash. Do you take anything else? And metformin.',
+      offsetMs: 1000,
+      endOffsetMs: 6000,
+      editedBy: doctor.id
+    });
+    expect(merged.words).toHaveLength(12);
+    expect(removedIds).toEqual([entries[2].id]);
+    expectRevision(revision, 'merge', since);
+    expect(revision.before.map(entry => entry.id)).toEqual([entries[1].id, entries[2].id]);
+  });
+
+  test.each([
+    ['entries that are not consecutive', () => [entries[0].id, entries[3].id], 'NOT_CONSECUTIVE'],
+    ['entries out of order', () => [entries[2].id, entries[1].id], 'NOT_CONSECUTIVE'],
+    ['entries of different speakers', () => [entries[0].id, entries[1].id], 'SPEAKER_MISMATCH'],
+    ['a single entry', () => [entries[0].id], 'VALIDATION_ERROR']
+  ])('refuses to merge %s', async (_, entryIds, code) => {
+    await expect(TranscriptEditService.mergeEntries(sessionId, entryIds(), doctor)).rejects.toMatchObject({ code, status: 400 });
+    expect(await TranscriptEditService.getRevisions(sessionId)).toEqual([]);
+  });
+
+  test.each([
+    ['an empty text', () => TranscriptEditService.editEntry(sessionId, entries[0].id, { text: '  ' }, doctor), 'VALIDATION_ERROR', 400],
+    ['an unknown speaker', () => TranscriptEditService.changeSpeaker(sessionId, entries[0].id, { speaker: 'nurse' }, doctor), 'VALIDATION_ERROR', 400],
+    ['a split at the edge of the text', () => TranscriptEditService.splitEntry(sessionId, entries[0].id, { at: 0 }, doctor), 'VALIDATION_ERROR', 400],
+    ['an unknown entry', () => TranscriptEditService.deleteEntry(sessionId, 'missing', doctor), 'ENTRY_NOT_FOUND', 404],
+    ['an unknown session', () => TranscriptEditService.deleteEntry('missing', entries[0].id, doctor), 'SESSION_NOT_FOUND', 404]
+  ])('refuses %s', async (_, edit, code, status) => {
+    await expect(edit()).rejects.toMatchObject({ code, status });
+  });
+
+  test('keeps every correction in order and the original transcript retrievable', async () => {
+    const original = await transcript();
+    await TranscriptEditService.splitEntry(sessionId, entries[1].id, { at: entries[1].text.indexOf('Do you'), speaker: 'doctor' }, doctor);
+    await TranscriptEditService.editEntry(sessionId, entries[2].id, { text: 'I take metformin.' }, doctor);
+    await TranscriptEditService.deleteEntry(sessionId, entries[3].id, doctor);
+    await TranscriptEditService.changeSpeaker(sessionId, entries[0].id, { speaker: 'patient' }, doctor);
+
+    expect(await texts()).toEqual([
+      'patient: Any allergies?',
+      'patient: Penicillin gives me a rash.',
+      'doctor: Do you take anything else?',
+      'patient: I take metformin.'
+    ]);
+
+    const revisions = await TranscriptEditService.getRevisions(sessionId);
+    expect(revisions.map(revision => [revision.action, revision.actorId])).toEqual([
+      ['split', doctor.id],
+      ['edit', doctor.id],
+      ['delete', doctor.id],
+      ['change-speaker', doctor.id]
+    ]);
+    const rebuilt = await TranscriptEditService.getOriginalTranscript(sessionId);
+    expect(rebuilt.map(entry => [entry.id, entry.speaker, entry.text])).toEqual(original.map(entry => [entry.id, entry.speaker, entry.text]));
+    expect(rebuilt.every(entry => !entry.editedAt)).toBe(true);
+  });
+
+  describe('routes', () => {
+    test('record the correction as the requesting doctor and serve the original transcript', async () => {
+      const edit = await request(app).patch(`/api/session/${sessionId}/transcript/${entries[0].id}`)
+        .set('Authorization', bearer(doctor))
+        .send({ text: 'Any drug allergies?' });
+      const revisions = await request(app).get(`/api/session/${sessionId}/transcript/revisions`).set('Authorization', bearer(doctor));
+      const original = await request(app).get(`/api/session/${sessionId}/transcript/original`).set('Authorization', bearer(doctor));
+
+      expect(edit.status).toBe(200);
+      expect(edit.body.data.entries).toEqual([expect.objectContaining({ text: 'Any drug allergies?', editedBy: doctor.id, editedAt: expect.any(String) })]);
+      expect(revisions.body.data).toEqual([expect.objectContaining({ action: 'edit', actorId: doctor.id, createdAt: expect.any(String) })]);
+      expect(original.body.data[0]).toMatchObject({ id: entries[0].id, text: 'Any allergies?' });
+    });
+
+    test('take one kind of change per request', async () => {
+      const res = await request(app).patch(`/api/session/${sessionId}/transcript/${entries[0].id}`)
+        .set('Authorization', bearer(doctor))
+        .send({ text: 'Any drug allergies?', speaker: 'patient' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('refuse other doctors, both to edit and to read the history', async () => {
+      const edit = await request(app).delete(`/api/session/${sessionId}/transcript/${entries[0].id}`).set('Authorization', bearer(otherDoctor));
+      const original = await request(app).get(`/api/session/${sessionId}/transcript/original`).set('Authorization', bearer(otherDoctor));
+
+      expect(edit.status).toBe(403);
+      expect(original.status).toBe(403);
+      expect(await texts()).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Background transcription of uploaded recordings: cutting decoded audio at
+ * pauses, running a job with the offline provider and resuming jobs left
+ * behind by a restart
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+delete process.env.OPENAI_API_KEY;
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config/config');
+const SessionManager = require('../src/services/sessionManager');
+const TranscriptionService = require('../src/services/transcriptionService');
+const TranscriptionJobService = require('../src/services/transcriptionJobService');
+const AudioNormalizer = require('../src/services/audioNormalizer');
+const fakeProvider = require('../src/services/transcriptionProviders/fake');
+const { MemoryAdapter } = require('../src/services/storage');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'default' };
+const SAMPLE_RATE = 16000;
+
+/**
+ * Mono 16-bit PCM made of [kind, seconds] pieces, 'tone' being a 440 Hz sine
+ * well above the VAD threshold and 'silence' digital silence
+ */
+function pcmFixture(...pieces) {
+  const buffers = pieces.map(([kind, seconds]) => {
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const buffer = Buffer.alloc(samples * 2);
+    if (kind === 'tone') {
+      for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 10000), i * 2);
+      }
+    }
+    return buffer;
+  });
+  return Buffer.concat(buffers);
+}
+
+// Two phrases a short pause apart, a long silence, then a last phrase
+const consultation = () => pcmFixture(['tone', 1.8], ['silence', 0.9], ['tone', 1.2], ['silence', 6], ['tone', 0.6]);
+
+describe('TranscriptionJobService', () => {
+  const defaults = {
+    chunkSeconds: config.transcription.jobs.chunkSeconds,
+    chain: config.transcription.fallback.chain,
+    allowMock: config.transcription.fallback.allowMock
+  };
+  let tmpDir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcription-jobs-'));
+
+    // Only the offline provider, and no mock text standing in for a failure
+    config.transcription.jobs.chunkSeconds = 3;
+    config.transcription.fallback.chain = [];
+    config.transcription.fallback.allowMock = false;
+    TranscriptionService.switchProvider('fake', 'default');
+  });
+
+  beforeEach(() => {
+    SessionManager.setStore(new MemoryAdapter());
+  });
+
+  afterEach(() => {
+    TranscriptionJobService.removeAllListeners();
+  });
+
+  afterAll(async () => {
+    config.transcription.jobs.chunkSeconds = defaults.chunkSeconds;
+    config.transcription.fallback.chain = defaults.chain;
+    config.transcription.fallback.allowMock = defaults.allowMock;
+    TranscriptionService.clinicProviders.delete('default');
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Write a recording where multer would have put it
+   */
+  const upload = async (name, contents) => {
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, contents);
+    return { path: filePath, originalname: name, mimetype: 'audio/wav', size: contents.length };
+  };
+
+  /**
+   * Create a job and wait until the queue has run it, collecting the events it emits
+   */
+  const runUpload = async (file) => {
+    const events = [];
+    for (const name of ['progress', 'completed', 'failed']) {
+      TranscriptionJobService.on(name, job => events.push([name, job]));
+    }
+    const processQueue = jest.spyOn(TranscriptionJobService, 'processQueue');
+
+    const job = await TranscriptionJobService.createJob(file, doctor, { patientName: 'Pat Test' });
+    await Promise.all(processQueue.mock.results.map(result => result.value));
+    processQueue.mockRestore();
+    return { job, events };
+  };
+
+  const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  describe('splitAudio', () => {
+    test('cuts in the middle of pauses and skips pieces without speech', () => {
+      const audio = AudioNormalizer.fromPcm(consultation(), SAMPLE_RATE, 1);
+
+      const { chunks, durationMs } = TranscriptionJobService.splitAudio(audio);
+
+      expect(durationMs).toBe(10500);
+      // 0-2.25s ends halfway through the first pause, 2.25-4.575s halfway
+      // through the silence in its second half, 4.575-7.575s is silent
+      expect(chunks.map(chunk => chunk.offsetMs)).toEqual([0, 2250, 7575]);
+      expect(chunks.map(chunk => chunk.audio.pcm.length / (SAMPLE_RATE * 2 / 1000))).toEqual([2250, 2325, 2925]);
+      expect(chunks[0].audio).toMatchObject({ format: 'wav', mimeType: 'audio/wav', sampleRate: SAMPLE_RATE, channels: 1 });
+    });
+
+    test('keeps a piece whole when it has no pause in its second half', () => {
+      const audio = AudioNormalizer.fromPcm(pcmFixture(['tone', 1], ['silence', 0.9], ['tone', 3]), SAMPLE_RATE, 1);
+
+      const { chunks } = TranscriptionJobService.splitAudio(audio);
+
+      expect(chunks.map(chunk => chunk.offsetMs)).toEqual([0, 3000]);
+    });
+
+    test('sends audio that could not be decoded whole', () => {
+      const audio = { buffer: Buffer.from('mp3 data'), format: 'mp3', pcm: null };
+
+      expect(TranscriptionJobService.splitAudio(audio)).toEqual({ chunks: [{ audio, offsetMs: 0 }], durationMs: null });
+    });
+  });
+
+  describe('runJob', () => {
+    test('transcribes each piece into the job\'s recording at the piece\'s offset', async () => {
+      const transcribe = jest.spyOn(fakeProvider, 'transcribe');
+      const file = await upload('visit.wav', AudioNormalizer.encodeWav(consultation(), SAMPLE_RATE, 1));
+
+      const { job, events } = await runUpload(file);
+
+      expect(job).toMatchObject({ status: 'queued', filename: 'visit.wav' });
+      expect(job.filePath).toBeUndefined();
+      expect(events.map(([name, event]) => [name, event.status, event.progress])).toEqual([
+        ['progress', 'processing', { chunksDone: 0, chunksTotal: 3 }],
+        ['progress', 'processing', { chunksDone: 1, chunksTotal: 3 }],
+        ['progress', 'processing', { chunksDone: 2, chunksTotal: 3 }],
+        ['progress', 'processing', { chunksDone: 3, chunksTotal: 3 }],
+        ['completed', 'completed', { chunksDone: 3, chunksTotal: 3 }]
+      ]);
+      expect(transcribe).toHaveBeenCalledTimes(3);
+      transcribe.mockRestore();
+
+      const [, completed] = events.at(-1);
+      const [recording] = await SessionManager.store.getRecordings(job.sessionId);
+      expect(completed.result).toEqual({ recordingId: recording.id, entryCount: 3, durationMs: 10500 });
+      expect(recording).toMatchObject({ durationMs: 10500, startedBy: doctor.id, metadata: { source: 'upload', jobId: job.id } });
+
+      const { transcript } = await SessionManager.getSession(job.sessionId);
+      expect(transcript.map(entry => [entry.speaker, entry.recordingId, entry.offsetMs])).toEqual([
+        ['doctor', recording.id, 0],
+        ['doctor', recording.id, 2250],
+        ['doctor', recording.id, 7575]
+      ]);
+      expect(await fileExists(file.path)).toBe(false);
+    });
+
+    test('marks a recording that cannot be decoded as failed', async () => {
+      const file = await upload('broken.wav', Buffer.from('not audio at all'));
+
+      const { job, events } = await runUpload(file);
+
+      expect(events).toEqual([['failed', expect.objectContaining({ id: job.id, status: 'failed', error: 'Unrecognized audio container' })]]);
+      expect(await TranscriptionJobService.getJob(job.id, doctor)).toMatchObject({ status: 'failed', completedAt: expect.anything() });
+      expect(await fileExists(file.path)).toBe(false);
+    });
+
+    test('records the provider attempts when no provider could transcribe', async () => {
+      jest.spyOn(fakeProvider, 'transcribe').mockRejectedValueOnce(new Error('Provider exploded'));
+      const file = await upload('short.wav', AudioNormalizer.encodeWav(pcmFixture(['tone', 1]), SAMPLE_RATE, 1));
+
+      const { job, events } = await runUpload(file);
+      fakeProvider.transcribe.mockRestore();
+
+      const [name, failed] = events.at(-1);
+      expect(name).toBe('failed');
+      expect(failed).toMatchObject({ id: job.id, status: 'failed', result: { attempts: [{ provider: 'fake', error: 'Provider exploded' }] } });
+      expect(await fileExists(file.path)).toBe(false);
+    });
+  });
+
+  describe('resumePendingJobs', () => {
+    test('requeues jobs that were queued or running, and only those', async () => {
+      const runJob = jest.spyOn(TranscriptionJobService, 'runJob').mockResolvedValue();
+      const store = SessionManager.store;
+      for (const [id, status] of [['queued-job', 'queued'], ['running-job', 'processing'], ['done-job', 'completed'], ['failed-job', 'failed']]) {
+        await store.saveTranscriptionJob({ id, status, createdBy: doctor.id, createdAt: new Date() });
+      }
+
+      await TranscriptionJobService.resumePendingJobs();
+      // Let the queue drain
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(runJob.mock.calls).toEqual([['queued-job'], ['running-job']]);
+      runJob.mockRestore();
+      expect((await store.getTranscriptionJob('running-job')).status).toBe('queued');
+      expect((await store.getTranscriptionJob('done-job')).status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Transcription REST routes scoped to a session
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+delete process.env.OPENAI_API_KEY;
+
+const express = require('express');
+const request = require('supertest');
+const SessionManager = require('../src/services/sessionManager');
+const AuthService = require('../src/services/authService');
+const TranscriptionService = require('../src/services/transcriptionService');
+const transcriptionRoutes = require('../src/routes/transcription');
+const { MemoryAdapter } = require('../src/services/storage');
+const { authenticate, requireRole } = require('../src/middleware/auth');
+
+const doctor = { id: 'doctor-1', role: 'doctor', name: 'Dr Test', email: 'dr@example.com', clinicId: 'clinic-1' };
+const otherDoctor = { id: 'doctor-2', role: 'doctor', name: 'Dr Other', email: 'other@example.com', clinicId: 'clinic-1' };
+
+const bearer = (user) => `Bearer ${AuthService.issueToken(user)}`;
+
+describe('transcription routes', () => {
+  let app;
+  let sessionId;
+  let cleanupSession;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/transcription', authenticate, requireRole('doctor'), transcriptionRoutes);
+  });
+
+  beforeEach(async () => {
+    SessionManager.setStore(new MemoryAdapter());
+    ({ id: sessionId } = await SessionManager.createSession('Dr Test', 'Pat Test', doctor.id));
+    cleanupSession = jest.spyOn(TranscriptionService, 'cleanupSession').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanupSession.mockRestore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('DELETE /api/transcription/session/:sessionId', () => {
+    test('lets the session doctor tear down the session\'s streams', async () => {
+      const res = await request(app).delete(`/api/transcription/session/${sessionId}`).set('Authorization', bearer(doctor));
+
+      expect(res.status).toBe(200);
+      expect(cleanupSession).toHaveBeenCalledWith(sessionId);
+    });
+
+    test('refuses another doctor', async () => {
+      const res = await request(app).delete(`/api/transcription/session/${sessionId}`).set('Authorization', bearer(otherDoctor));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('FORBIDDEN');
+      expect(cleanupSession).not.toHaveBeenCalled();
+    });
+
+    test('reports an unknown session', async () => {
+      const res = await request(app).delete('/api/transcription/session/missing').set('Authorization', bearer(doctor));
+
+      expect(res.status).toBe(404);
+      expect(cleanupSession).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Live transcription buffering: with voice activity detection a speaker's
+ * chunks are decoded one at a time so their audio is appended in the order it
+ * was recorded
+ */
+process.env.NODE_ENV = 'development';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+process.env.TRANSCRIPTION_VAD = 'true';
+delete process.env.OPENAI_API_KEY;
+
+const TranscriptionService = require('../src/services/transcriptionService');
+const AudioNormalizer = require('../src/services/audioNormalizer');
+const MockAIService = require('../src/services/mockAIService');
+
+const sessionId = 'vad-session';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TranscriptionService VAD buffering', () => {
+  let appended;
+  let decodeDelays;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(MockAIService, 'shouldUseMockTranscription').mockReturnValue(false);
+    jest.spyOn(AudioNormalizer, 'captureInitSegment').mockImplementation(() => {});
+    jest.spyOn(AudioNormalizer, 'normalize').mockImplementation(async (chunk) => {
+      const name = chunk.toString();
+      await sleep(decodeDelays[name] || 0);
+      if (name.startsWith('broken')) {
+        throw new Error('Could not decode webm audio');
+      }
+      return { pcm: chunk, sampleRate: 16000, channels: 1 };
+    });
+    jest.spyOn(TranscriptionService, 'appendSpeech').mockImplementation((bufferKey, sessionBuffer, audio) => {
+      appended.push(`${sessionBuffer.speaker}:${audio.pcm.toString()}`);
+      return null;
+    });
+  });
+
+  beforeEach(() => {
+    appended = [];
+    decodeDelays = {};
+  });
+
+  afterEach(() => {
+    TranscriptionService.cleanupSession(sessionId);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (speaker, name) => TranscriptionService.processAudioChunk(Buffer.from(name), { sessionId, speaker, timestamp: new Date() });
+
+  test('appends a speaker\'s chunks in arrival order however long each takes to decode', async () => {
+    decodeDelays = { first: 40, second: 0, third: 10 };
+
+    await Promise.all([send('doctor', 'first'), send('doctor', 'second'), send('doctor', 'third')]);
+
+    expect(appended).toEqual(['doctor:first', 'doctor:second', 'doctor:third']);
+  });
+
+  test('does not hold one speaker up behind the other', async () => {
+    decodeDelays = { slow: 40 };
+
+    await Promise.all([send('doctor', 'slow'), send('patient', 'fast')]);
+
+    expect(appended).toEqual(['patient:fast', 'doctor:slow']);
+  });
+
+  test('keeps going after a chunk fails to decode', async () => {
+    decodeDelays = { broken: 20 };
+
+    const results = await Promise.allSettled([send('doctor', 'broken'), send('doctor', 'next')]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    expect(appended).toEqual(['doctor:next']);
+  });
+
+  test('flushes only after the chunks still being decoded are appended', async () => {
+    decodeDelays = { last: 30 };
+    const flushed = jest.spyOn(TranscriptionService, 'transcribeBufferedAudio').mockImplementation(async () => {
+      appended.push('flush');
+      return null;
+    });
+
+    const pending = send('doctor', 'last');
+    await TranscriptionService.flushBuffers(sessionId);
+    await pending;
+
+    expect(appended).toEqual(['doctor:last', 'flush']);
+    flushed.mockRestore();
+  });
+});
@@ -1,5 +1,9 @@
-import React from 'react';
-import { Box, Typography } from '@mui/material';
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Button, Stack, Alert, CircularProgress, FormControl, InputLabel, Select, MenuItem
+} from '@mui/material';
+import { PictureAsPdf, Description } from '@mui/icons-material';
+import { sessionService, MERDocumentFormat, NoteTemplate } from '../../services/sessionService';
 
 interface DoctorDashboardProps {
   user: { name: string; role: 'doctor' | 'patient' };
@@ -7,6 +11,50 @@ interface DoctorDashboardProps {
 }
 
 const DoctorDashboard: React.FC<DoctorDashboardProps> = ({ user, sessionId }) => {
+  const [downloading, setDownloading] = useState<MERDocumentFormat | null>(null);
+  const [downloadError, setDownloadError] = useState<string | null>(null);
+  const [templates, setTemplates] = useState<NoteTemplate[]>([]);
+  const [noteTemplate, setNoteTemplate] = useState('soap');
+  const [templateError, setTemplateError] = useState<string | null>(null);
+
+  useEffect(() => {
+    sessionService.getNoteTemplates()
+      .then(setTemplates)
+      .catch((error) => setTemplateError(error.message));
+  }, []);
+
+  // The MER is generated with the chosen template when recording stops
+  const chooseTemplate = async (templateId: string) => {
+    const previous = noteTemplate;
+    setNoteTemplate(templateId);
+    setTemplateError(null);
+    try {
+      await sessionService.updateSettings(sessionId, { noteTemplate: templateId });
+    } catch (error: any) {
+      setNoteTemplate(previous);
+      setTemplateError(error.message);
+    }
+  };
+
+  // Fetch the rendered MER and hand it to the browser as a file download
+  const downloadMER = async (format: MERDocumentFormat) => {
+    setDownloading(format);
+    setDownloadError(null);
+    try {
+      const file = await sessionService.downloadMER(sessionId, format);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mer-${sessionId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error: any) {
+      setDownloadError(error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
   return (
     <Box sx={{ p: 4 }}>
       <Typography variant="h4">
@@ -15,9 +63,56 @@ const DoctorDashboard: React.FC<DoctorDashboardProps> = ({ user, sessionId }) =>
       <Typography variant="body1">
         Session: {sessionId}
       </Typography>
-      <Typography variant="body2" sx={{ mt: 2 }}>
-        MER generation and management interface coming soon...
+
+      <Typography variant="h6" sx={{ mt: 3 }}>
+        Medical Encounter Record
+      </Typography>
+      <FormControl size="small" sx={{ mt: 2, minWidth: 260 }} disabled={!sessionId || templates.length === 0}>
+        <InputLabel id="note-template-label">Note template</InputLabel>
+        <Select
+          labelId="note-template-label"
+          label="Note template"
+          value={templates.length > 0 ? noteTemplate : ''}
+          onChange={(event) => chooseTemplate(event.target.value)}
+        >
+          {templates.map((template) => (
+            <MenuItem key={template.id} value={template.id}>
+              {template.name}{template.builtIn ? '' : ' (clinic)'}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {templateError && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setTemplateError(null)}>
+          {templateError}
+        </Alert>
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        Download the MER with the clinic letterhead once it has been generated; it shows whether you have signed it.
       </Typography>
+      <Stack direction="row" spacing={2} sx={{ mt: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={downloading === 'pdf' ? <CircularProgress size={18} color="inherit" /> : <PictureAsPdf />}
+          disabled={!sessionId || downloading !== null}
+          onClick={() => downloadMER('pdf')}
+        >
+          Download PDF
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={downloading === 'docx' ? <CircularProgress size={18} color="inherit" /> : <Description />}
+          disabled={!sessionId || downloading !== null}
+          onClick={() => downloadMER('docx')}
+        >
+          Download DOCX
+        </Button>
+      </Stack>
+      {downloadError && (
+        <Alert severity="error" sx={{ mt: 2 }} onClose={() => setDownloadError(null)}>
+          {downloadError}
+        </Alert>
+      )}
     </Box>
   );
 };
@@ -77,12 +77,14 @@ interface VideoCallProps {
 }
 
 interface TranscriptEntry {
-  id: number;
+  id: number | string;
   speaker: string;
   speakerName: string;
   text: string;
   timestamp: string; // Changed from Date to string
   confidence: number;
+  language?: string | null; // ISO 639-1 code of the spoken language
+  translation?: { language: string; text: string } | null;
 }
 
 const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }) => {
@@ -96,6 +98,7 @@ const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }
   const audioChunksRef = useRef<Blob[]>([]);
   const speechRecognitionRef = useRef<any>(null);
   const isUsingSpeechRecognition = useRef<boolean>(false);
+  const sessionLanguageRef = useRef<string>('auto'); // Session language setting ('auto' = detect)
   
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
   const [isAudioEnabled, setIsAudioEnabled] = useState(true);
@@ -371,6 +374,9 @@ const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }
 
     socketService.on('session-joined', (data) => {
       console.log('🏠 Session joined event received:', data);
+      if (data.session?.settings?.language) {
+        sessionLanguageRef.current = data.session.settings.language;
+      }
       console.log('Session details:', {
         sessionId: data.sessionId,
         users: data.users,
@@ -487,6 +493,26 @@ const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }
       });
     });
 
+    // The doctor corrected the transcript: swap the entries the revision replaced
+    socketService.on('transcript-updated', (data) => {
+      setTranscript(prev => {
+        const replacedIds = new Set(data.revision.before.map((entry: TranscriptEntry) => entry.id));
+        const index = prev.findIndex(entry => replacedIds.has(entry.id));
+        if (index === -1) return prev;
+        return [
+          ...prev.slice(0, index),
+          ...data.entries,
+          ...prev.slice(index).filter(entry => !replacedIds.has(entry.id))
+        ];
+      });
+    });
+
+    socketService.on('session-settings-updated', (data) => {
+      if (data.settings?.language) {
+        sessionLanguageRef.current = data.settings.language;
+      }
+    });
+
     socketService.on('recording-started', (data) => {
       setIsRecording(true);
       console.log('Recording started:', data);
@@ -608,7 +634,8 @@ const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }
       const recognition = new SpeechRecognition();
       recognition.continuous = true;
       recognition.interimResults = true;
-      recognition.lang = 'en-US';
+      // Browser recognition can't detect the language, so 'auto' uses the browser's own
+      recognition.lang = sessionLanguageRef.current === 'auto' ? navigator.language : sessionLanguageRef.current;
       
       speechRecognitionRef.current = recognition;
       isUsingSpeechRecognition.current = true;
@@ -1076,7 +1103,16 @@ const VideoCall: React.FC<VideoCallProps> = ({ user, sessionId, onLeaveSession }
                         </Typography>
                       </Box>
                     }
-                    secondary={entry.text}
+                    secondary={
+                      <>
+                        {entry.text}
+                        {entry.translation && (
+                          <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block', fontStyle: 'italic' }}>
+                            {entry.translation.text}
+                          </Typography>
+                        )}
+                      </>
+                    }
                   />
                 </ListItem>
                 {index < transcript.length - 1 && <Divider />}
@@ -20,6 +20,22 @@ interface JoinSessionData {
   role: "doctor" | "patient";
 }
 
+type MERDocumentFormat = "pdf" | "docx";
+
+interface NoteTemplate {
+  id: string;
+  name: string;
+  specialty: string | null;
+  description: string | null;
+  builtIn: boolean;
+}
+
+interface SessionSettings {
+  archiveAudio?: boolean;
+  language?: string;
+  noteTemplate?: string;
+}
+
 class SessionService {
   private axiosInstance;
 
@@ -133,7 +149,60 @@ class SessionService {
       throw new Error(error.response?.data?.error || "Failed to get sessions");
     }
   }
+
+  /**
+   * Note templates the MER can be written with: the built-in ones and the clinic's own
+   */
+  async getNoteTemplates(): Promise<NoteTemplate[]> {
+    try {
+      const response = await this.axiosInstance.get("/mer/templates");
+      return response.data.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || "Failed to get note templates");
+    }
+  }
+
+  /**
+   * Change session settings, e.g. the note template the MER is written with
+   */
+  async updateSettings(sessionId: string, settings: SessionSettings): Promise<SessionSettings> {
+    try {
+      const response = await this.axiosInstance.patch(`/session/${sessionId}/settings`, settings);
+      return response.data.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || "Failed to update session settings");
+    }
+  }
+
+  /**
+   * Download the session's MER as a printable PDF or DOCX file
+   */
+  async downloadMER(sessionId: string, format: MERDocumentFormat): Promise<Blob> {
+    try {
+      const response = await this.axiosInstance.get(`/mer/${sessionId}/export`, {
+        params: { format },
+        responseType: "blob",
+        timeout: 30000,
+      });
+      return response.data;
+    } catch (error: any) {
+      // Error bodies arrive as a Blob too, since the response type is blob
+      const body = error.response?.data;
+      const details =
+        body instanceof Blob
+          ? await body.text().then(JSON.parse).catch(() => null)
+          : body;
+      throw new Error(details?.error || "Failed to download MER");
+    }
+  }
 }
 
 export const sessionService = new SessionService();
-export type { CreateSessionData, SessionInfo, JoinSessionData };
+export type {
+  CreateSessionData,
+  SessionInfo,
+  JoinSessionData,
+  MERDocumentFormat,
+  NoteTemplate,
+  SessionSettings,
+};